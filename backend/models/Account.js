@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+
+// Dashboard/API login; not to be confused with User, the sample data being checked
+const accountSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  // scrypt hash with its salt and parameters; never returned by default
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'viewer'
+  },
+  disabled: {
+    type: Boolean,
+    default: false
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+accountSchema.statics.ROLES = ROLES;
+
+module.exports = mongoose.model('Account', accountSchema);
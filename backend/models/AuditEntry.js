@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const SOURCES = ['api', 'job', 'scheduler'];
+const OUTCOMES = ['success', 'partial', 'failure', 'denied'];
+
+// Entries are only ever appended; each one's hash covers its fields and the previous entry's hash
+const auditEntrySchema = new mongoose.Schema({
+  // Position in the chain, starting at 1 with no gaps
+  seq: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  timestamp: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  // Username, or the attempted one for logins; null when the request had no valid token
+  actor: {
+    type: String,
+    default: null,
+    index: true
+  },
+  actorRole: {
+    type: String,
+    default: null
+  },
+  source: {
+    type: String,
+    enum: SOURCES,
+    required: true
+  },
+  // "METHOD /route/:pattern" for API requests, a name such as repair_batch for work done in jobs
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  path: {
+    type: String,
+    default: null
+  },
+  sessionId: {
+    type: String,
+    default: null
+  },
+  profileId: {
+    type: String,
+    default: null
+  },
+  database: {
+    type: String,
+    default: null
+  },
+  collection: {
+    type: String,
+    default: null
+  },
+  // ID of the report, schedule, profile, account or job acted on
+  target: {
+    type: String,
+    default: null
+  },
+  // Request parameters with secrets masked, as JSON
+  params: {
+    type: String,
+    default: null
+  },
+  outcome: {
+    type: String,
+    enum: OUTCOMES,
+    required: true
+  },
+  statusCode: {
+    type: Number,
+    default: null
+  },
+  message: {
+    type: String,
+    default: null
+  },
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+});
+
+auditEntrySchema.index({ database: 1, collection: 1, timestamp: -1 });
+
+auditEntrySchema.statics.SOURCES = SOURCES;
+auditEntrySchema.statics.OUTCOMES = OUTCOMES;
+
+module.exports = mongoose.model('AuditEntry', auditEntrySchema);
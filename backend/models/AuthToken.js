@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const authTokenSchema = new mongoose.Schema({
+  // SHA-256 of the bearer token; the token itself is only ever held by the client
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true,
+    index: true
+  },
+  // MongoDB removes the token once this passes
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
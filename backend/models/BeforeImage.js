@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const beforeImageSchema = new mongoose.Schema({
+  reportId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report',
+    required: true,
+    index: true
+  },
+  database: {
+    type: String
+  },
+  collection: {
+    type: String,
+    required: true
+  },
+  documentId: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['update', 'delete'],
+    required: true
+  },
+  // The document exactly as it was read before the repair
+  document: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // What the repair wrote, used to detect changes made after it
+  changes: [{
+    field: String,
+    value: mongoose.Schema.Types.Mixed,
+    unset: Boolean
+  }],
+  restoredAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+module.exports = mongoose.model('BeforeImage', beforeImageSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const connectionProfileSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // MongoDB URI encrypted with CONNECTION_ENCRYPTION_KEY; never returned by default
+  encryptedUri: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // The URI with its password masked, for display
+  redactedUri: {
+    type: String,
+    required: true
+  },
+  // Database the URI resolved to when last connected
+  database: {
+    type: String,
+    default: null
+  },
+  lastConnectedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ConnectionProfile', connectionProfileSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const TYPES = ['webhook', 'slack', 'email'];
+
+const notificationChannelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: TYPES,
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // A finished check is sent when any enabled trigger matches
+  triggers: {
+    anyIssues: { type: Boolean, default: false },
+    // More than this many issues; null to ignore
+    issuesAbove: { type: Number, default: null },
+    // The collection was consistent at its previous check of the same kind (or never checked) and is not now
+    becameInconsistent: { type: Boolean, default: false },
+    // The check failed or its report lists errors
+    errored: { type: Boolean, default: false }
+  },
+  // Only checks on these collections; empty for all
+  collections: {
+    type: [String],
+    default: []
+  },
+  // Settings of the channel type, without its secrets
+  config: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // The type's secret settings (webhook signing secret and headers, Slack URL, SMTP password) as encrypted JSON
+  encryptedSecrets: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // Names of the secret settings that are set, the only trace of them the API returns
+  secretsSet: {
+    type: [String],
+    default: []
+  },
+  lastDeliveryAt: {
+    type: Date,
+    default: null
+  },
+  lastDeliveryOk: {
+    type: Boolean,
+    default: null
+  },
+  // Most recent deliveries first, capped by the service
+  history: [{
+    _id: false,
+    event: String,
+    test: Boolean,
+    ok: Boolean,
+    attempts: Number,
+    statusCode: Number,
+    error: String,
+    reportId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Report'
+    },
+    jobId: String,
+    triggers: [String],
+    deliveredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+notificationChannelSchema.statics.TYPES = TYPES;
+
+module.exports = mongoose.model('NotificationChannel', notificationChannelSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['pending', 'approved', 'rejected', 'applied', 'failed'];
+
+const pendingRepairSchema = new mongoose.Schema({
+  // The check that proposed the repair
+  reportId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report',
+    required: true,
+    index: true
+  },
+  database: {
+    type: String
+  },
+  collection: {
+    type: String,
+    required: true
+  },
+  validator: {
+    type: String
+  },
+  documentId: {
+    type: String,
+    required: true
+  },
+  // null for repairs that act on the whole document (delete, quarantine, archive)
+  field: {
+    type: String,
+    default: null
+  },
+  issue: {
+    type: String
+  },
+  severity: {
+    type: String
+  },
+  description: {
+    type: String
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  oldValue: mongoose.Schema.Types.Mixed,
+  newValue: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending'
+  },
+  decidedBy: {
+    type: String
+  },
+  decidedAt: {
+    type: Date
+  },
+  comment: {
+    type: String
+  },
+  // The follow-up report that applied the repair
+  appliedReportId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  },
+  appliedBy: {
+    type: String
+  },
+  appliedAt: {
+    type: Date
+  },
+  error: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+pendingRepairSchema.index({ database: 1, collection: 1, status: 1 });
+
+pendingRepairSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('PendingRepair', pendingRepairSchema);
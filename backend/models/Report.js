@@ -1,15 +1,67 @@
 const mongoose = require('mongoose');
 
+// Source-versus-target comparisons: where the source was read from and what differed
+const comparisonSchema = new mongoose.Schema({
+  sourceProfileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ConnectionProfile'
+  },
+  sourceDatabase: String,
+  sourceCollection: String,
+  ignoredFields: [String],
+  sourceDocuments: Number,
+  targetDocuments: Number,
+  missingInTarget: Number,
+  extraInTarget: Number,
+  // Documents on both sides whose fields differ, and the differing fields across them
+  differentDocuments: Number,
+  fieldDifferences: Number,
+  // Details stop at a limit; the counts and the recorded issues cover everything
+  detailsTruncated: Boolean
+}, { _id: false });
+
 const reportSchema = new mongoose.Schema({
   timestamp: {
     type: Date,
     default: Date.now,
     required: true
   },
+  database: {
+    type: String
+  },
+  // Connection profile the check ran through
+  profileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ConnectionProfile',
+    default: null
+  },
   collection: {
     type: String,
     required: true
   },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  // Repairs were held for review instead of written (see PendingRepair)
+  approval: {
+    type: Boolean,
+    default: false
+  },
+  validator: {
+    type: String,
+    enum: ['simple', 'dynamic', 'rules', 'compare'],
+    default: 'simple'
+  },
+  // Version of the stored rules a rules-engine check ran against; null for built-in rules
+  rulesVersion: {
+    type: Number,
+    default: null
+  },
+  cancelled: {
+    type: Boolean,
+    default: false
+  },
   totalDocuments: {
     type: Number,
     required: true
@@ -26,17 +78,80 @@ const reportSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Repairs that could not be written, including approved ones skipped because the document changed
+  repairsFailed: {
+    type: Number,
+    default: 0
+  },
+  // Issues found, by type and severity
+  issueCounts: [{
+    _id: false,
+    issue: String,
+    severity: String,
+    count: Number
+  }],
+  pendingRepairs: {
+    type: Number,
+    default: 0
+  },
+  // Repairs a dry run would have written
+  proposedRepairs: {
+    type: Number,
+    default: 0
+  },
+  // Issues were stored as ReportIssue records, so the report can be compared with others
+  issuesRecorded: {
+    type: Boolean,
+    default: false
+  },
   errors: [{
     type: String
   }],
   details: [{
     documentId: String,
     issue: String,
-    action: String
+    action: String,
+    oldValue: mongoose.Schema.Types.Mixed,
+    newValue: mongoose.Schema.Types.Mixed
+  }],
+  // Details and duplicate groups stop at a limit; the counts cover everything
+  detailsTruncated: {
+    type: Boolean,
+    default: false
+  },
+  // Documents sharing a unique key; keepId survives, documentIds are the duplicates
+  duplicateGroups: [{
+    _id: false,
+    key: String,
+    fields: [String],
+    strategy: String,
+    keepId: String,
+    documentIds: [String]
   }],
+  duplicateGroupsFound: {
+    type: Number,
+    default: 0
+  },
+  // Follow-up reports: the checks whose approved repairs this run applied, and who applied them
+  approvedFrom: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  }],
+  appliedBy: {
+    type: String,
+    default: null
+  },
+  // Set on comparison reports, which describe the target (database, profileId, collection)
+  comparison: {
+    type: comparisonSchema,
+    default: null
+  },
   duration: {
     type: Number, // in milliseconds
     required: true
+  },
+  rolledBackAt: {
+    type: Date
   }
 }, {
   timestamps: true
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const reportIssueSchema = new mongoose.Schema({
+  reportId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report',
+    required: true,
+    index: true
+  },
+  database: {
+    type: String
+  },
+  collection: {
+    type: String,
+    required: true
+  },
+  // Timestamp of the check, so history queries need not join reports
+  checkedAt: {
+    type: Date,
+    required: true
+  },
+  documentId: {
+    type: String,
+    required: true
+  },
+  field: {
+    type: String,
+    default: null
+  },
+  issue: {
+    type: String,
+    required: true
+  },
+  severity: {
+    type: String
+  },
+  // A repair for the issue was written (field repaired or document removed)
+  repaired: {
+    type: Boolean,
+    default: false
+  }
+});
+
+reportIssueSchema.index({ database: 1, collection: 1, documentId: 1, checkedAt: -1 });
+// Comparisons read each report's issues in this order
+reportIssueSchema.index({ reportId: 1, documentId: 1, field: 1, issue: 1 });
+
+module.exports = mongoose.model('ReportIssue', reportIssueSchema);
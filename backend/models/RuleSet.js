@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// One saved version of the validation rules for a database collection.
+// Versions are append-only: updates and rollbacks add a new version.
+const ruleSetSchema = new mongoose.Schema({
+  database: {
+    type: String,
+    required: true
+  },
+  collection: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  rules: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  comment: {
+    type: String
+  },
+  // Set when the version was created by rolling back to an earlier one
+  restoredFrom: {
+    type: Number
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+ruleSetSchema.index({ database: 1, collection: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('RuleSet', ruleSetSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const RUN_STATUSES = ['queued', 'completed', 'failed', 'cancelled', 'skipped', 'missed'];
+
+const scheduleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Five-field cron expression, evaluated in server local time
+  cron: {
+    type: String,
+    required: true
+  },
+  // Connection profile the check runs against
+  profileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ConnectionProfile',
+    required: true,
+    index: true
+  },
+  collection: {
+    type: String,
+    required: true
+  },
+  validator: {
+    type: String,
+    enum: ['simple', 'dynamic', 'rules'],
+    default: 'simple'
+  },
+  // Check options, as accepted by POST /api/check
+  options: {
+    dryRun: { type: Boolean, default: false },
+    approval: { type: Boolean, default: false },
+    batchSize: { type: Number, default: null },
+    sampleSize: { type: Number, default: null },
+    writeBatchSize: { type: Number, default: null }
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // null while disabled
+  nextRunAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastStatus: {
+    type: String,
+    enum: [...RUN_STATUSES, null],
+    default: null
+  },
+  // Most recent runs first, capped by the scheduler
+  history: [{
+    _id: false,
+    scheduledFor: Date,
+    status: {
+      type: String,
+      enum: RUN_STATUSES
+    },
+    jobId: String,
+    // Started with "run now" rather than by the cron expression
+    manual: Boolean,
+    reportId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Report'
+    },
+    // Missed runs are recorded as one entry per gap: the first missed time, the last and how many
+    missedUntil: Date,
+    missedCount: Number,
+    error: String,
+    recordedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+scheduleSchema.statics.RUN_STATUSES = RUN_STATUSES;
+
+module.exports = mongoose.model('Schedule', scheduleSchema);
@@ -1,26 +1,58 @@
 const mongoose = require('mongoose');
 
 const statusSchema = new mongoose.Schema({
+  // Database the collection lives in; collections of the same name in other databases have their own Status
+  database: {
+    type: String,
+    default: null
+  },
   collection: {
     type: String,
-    required: true,
-    unique: true
+    required: true
   },
+  // Set by consistency checks; a replica verification alone leaves them unset
   isConsistent: {
-    type: Boolean,
-    required: true
+    type: Boolean
   },
   lastCheckTime: {
-    type: Date,
-    required: true
+    type: Date
   },
   lastConsistentTime: {
     type: Date
   },
+  // Every replica set member matched the primary at the last replica verification
   allReplicasConsistent: {
     type: Boolean,
     default: false
   },
+  lastReplicaCheckTime: {
+    type: Date,
+    default: null
+  },
+  replicaSet: {
+    type: String,
+    default: null
+  },
+  replicaMembers: [{
+    _id: false,
+    host: String,
+    state: String,
+    reachable: Boolean,
+    documents: Number,
+    lagSeconds: Number,
+    divergentRanges: Number,
+    consistent: Boolean,
+    error: String
+  }],
+  // _id ranges (min inclusive, max exclusive, null for open) where a member differs from the primary
+  divergentRanges: [{
+    _id: false,
+    min: mongoose.Schema.Types.Mixed,
+    max: mongoose.Schema.Types.Mixed,
+    host: String,
+    documents: Number,
+    expectedDocuments: Number
+  }],
   lastReportId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Report'
@@ -29,4 +61,6 @@ const statusSchema = new mongoose.Schema({
   timestamps: true
 });
 
+statusSchema.index({ database: 1, collection: 1 }, { unique: true });
+
 module.exports = mongoose.model('Status', statusSchema);
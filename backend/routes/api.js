@@ -1,289 +1,2432 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 
 const ConsistencyChecker = require('../services/consistencyChecker');
 const ReportGenerator = require('../services/reportGenerator');
+const RepairApplier = require('../services/repairApplier');
+const RollbackService = require('../services/rollbackService');
+const JobQueue = require('../services/jobQueue');
+const RuleService = require('../services/ruleService');
+const SchemaImporter = require('../services/schemaImporter');
+const SchemaExporter = require('../services/schemaExporter');
+const DynamicValidator = require('../services/dynamicValidator');
+const ApprovalService = require('../services/approvalService');
+const ReportExporter = require('../services/reportExporter');
+const IssueHistoryService = require('../services/issueHistoryService');
+const Scheduler = require('../services/scheduler');
+const ConnectionProfileService = require('../services/connectionProfileService');
+const AuthService = require('../services/authService');
+const AuditService = require('../services/auditService');
+const NotificationService = require('../services/notificationService');
+const MetricsService = require('../services/metricsService');
+const ReplicaChecker = require('../services/replicaChecker');
+const CollectionComparer = require('../services/collectionComparer');
+const { EncryptionKeyError } = require('../services/secretUtils');
+const { redactSecrets } = require('../services/secretUtils');
 const User = require('../models/User');
 const Report = require('../models/Report');
+const BeforeImage = require('../models/BeforeImage');
+const ReportIssue = require('../models/ReportIssue');
 
 // Constants
-const VALID_COLLECTIONS = ['users'];
 const DEFAULT_LIMIT = 20;
 
 // Initialize services
 const consistencyChecker = new ConsistencyChecker();
 const reportGenerator = new ReportGenerator();
+const rollbackService = new RollbackService();
+const ruleService = new RuleService();
+const schemaImporter = new SchemaImporter();
+const schemaExporter = new SchemaExporter();
+const reportExporter = new ReportExporter();
+const profiles = new ConnectionProfileService();
+const approvalService = consistencyChecker.approvalService;
+const issueHistory = consistencyChecker.issueHistory;
+const auditService = consistencyChecker.auditService;
+const jobQueue = new JobQueue({
+  concurrency: parseInt(process.env.MAX_CONCURRENT_CHECKS) || JobQueue.DEFAULT_CONCURRENCY
+});
+const comparer = new CollectionComparer(consistencyChecker);
+const notifications = new NotificationService();
+notifications.watch(jobQueue);
+const metrics = new MetricsService();
+metrics.watch(jobQueue);
 
-// Store for dynamic connections (in production, use Redis or database)
+// Open connections per session; the URIs themselves live encrypted in connection profiles
 const connections = new Map();
 const activeConnections = new Map();
 
 /**
- * Utility: Standard success response
+ * Utility: Standard success response
+ */
+const successResponse = (res, data, message = null) => {
+  return res.json({
+    success: true,
+    data,
+    message,
+    timestamp: new Date()
+  });
+};
+
+/**
+ * Utility: Standard error response
+ * Driver errors can quote the connection string, so credentials are masked.
+ */
+const errorResponse = (res, status, message) => {
+  return res.status(status).json({
+    success: false,
+    message: redactSecrets(message),
+    timestamp: new Date()
+  });
+};
+
+/**
+ * Utility: Schemaless model for a collection on a user's connection
+ */
+const getCollectionModel = (connection, collection) => {
+  return connection.model(
+    collection,
+    new mongoose.Schema({}, { strict: false }),
+    collection
+  );
+};
+
+/**
+ * Utility: Key identifying the database collection a check runs against
+ * Checks on the same key are serialized by the job queue.
+ */
+const getCheckTarget = (connection, collection) => {
+  return `${connection.host}:${connection.port}/${connection.name}/${collection}`;
+};
+
+/**
+ * Utility: Validate numeric options from request bodies
+ */
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Utility: Queue a consistency check on a connection; the report is saved when it finishes
+ * The check waits while another check runs on the same collection.
+ */
+const enqueueCheck = (connection, database, collection, options, meta = {}) => {
+  const {
+    dryRun, approval, validator, batchSize, sampleSize, writeBatchSize, resolvedRules, profileId = null, audit = {}
+  } = options;
+  const dynamicModel = getCollectionModel(connection, collection);
+
+  return jobQueue.enqueue(
+    getCheckTarget(connection, collection),
+    async (job) => {
+      const report = await consistencyChecker.checkCollection(collection, dynamicModel, {
+        dryRun,
+        approval,
+        validator,
+        batchSize,
+        sampleSize,
+        writeBatchSize,
+        database,
+        profileId,
+        rules: resolvedRules ? resolvedRules.rules : undefined,
+        rulesVersion: resolvedRules ? resolvedRules.version : null,
+        audit,
+        signal: job.signal,
+        onProgress: (progress) => jobQueue.updateProgress(job, progress)
+      });
+
+      // Save report
+      const savedReport = await reportGenerator.saveReport(report);
+      job.reportId = savedReport._id.toString();
+      return savedReport;
+    },
+    { ...meta, profileId, database, collection, validator, dryRun, approval }
+  );
+};
+
+/**
+ * Utility: Open a connection and wait until it is ready
+ */
+const openConnection = async (mongoUri, timeoutMs = 10000) => {
+  const connection = mongoose.createConnection(mongoUri, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+    serverSelectionTimeoutMS: timeoutMs
+  });
+
+  try {
+    await new Promise((resolve, reject) => {
+      connection.once('connected', resolve);
+      connection.once('error', reject);
+      setTimeout(() => reject(new Error('Connection timeout')), timeoutMs);
+    });
+  } catch (error) {
+    await connection.close().catch(() => {});
+    throw error;
+  }
+
+  return connection;
+};
+
+/**
+ * Utility: Start a scheduled check on its own connection to the schedule's profile
+ * The connection is closed once the job finishes, however it ends.
+ * actor is the user who pressed "run now", or the scheduler itself for cron runs.
+ */
+const runScheduledCheck = async (schedule, { actor = 'scheduler', actorRole = null } = {}) => {
+  const resolved = await profiles.resolve(schedule.profileId);
+  if (!resolved) {
+    throw new Error(`Connection profile ${schedule.profileId} no longer exists`);
+  }
+
+  const connection = await openConnection(resolved.mongoUri);
+
+  try {
+    const database = connection.db.databaseName;
+    await profiles.recordConnection(schedule.profileId, database);
+    const collections = await connection.db.listCollections().toArray();
+    if (!collections.some(c => c.name === schedule.collection)) {
+      throw new Error(`Collection '${schedule.collection}' not found in ${database}`);
+    }
+
+    let resolvedRules = null;
+    if (schedule.validator === 'rules') {
+      resolvedRules = await ruleService.resolveRules(database, schedule.collection);
+      if (!resolvedRules) {
+        throw new Error(`No validation rules defined for collection '${schedule.collection}'`);
+      }
+    }
+
+    const { options } = schedule;
+    const job = enqueueCheck(connection, database, schedule.collection, {
+      dryRun: Boolean(options.dryRun),
+      approval: Boolean(options.approval),
+      validator: schedule.validator,
+      batchSize: options.batchSize || ConsistencyChecker.DEFAULT_BATCH_SIZE,
+      sampleSize: options.sampleSize || null,
+      writeBatchSize: options.writeBatchSize || RepairApplier.DEFAULT_WRITE_BATCH_SIZE,
+      resolvedRules,
+      profileId: String(schedule.profileId),
+      audit: { actor, actorRole }
+    }, { scheduleId: String(schedule._id), scheduleName: schedule.name, user: actor });
+
+    const close = () => connection.close().catch(() => {});
+    job.promise.then(close, close);
+    return job;
+  } catch (error) {
+    await connection.close().catch(() => {});
+    throw error;
+  }
+};
+
+const replicaChecker = new ReplicaChecker({ openConnection });
+
+// Started by server.js once the app database is connected
+const scheduler = new Scheduler(runScheduledCheck);
+notifications.watchScheduler(scheduler);
+
+const authService = new AuthService({
+  tokenTtlHours: parseFloat(process.env.AUTH_TOKEN_TTL_HOURS) || undefined
+});
+
+// Reachable without logging in
+const PUBLIC_ROUTES = ['/health', '/auth/login'];
+// With METRICS_TOKEN set, scrapers send it to /metrics instead of logging in; without it /metrics needs an account
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+// EventSource and download links cannot send headers; these GET routes also take ?token=
+const QUERY_TOKEN_ROUTES = [/^\/jobs\/[^/]+\/events$/, /^\/reports\/[^/]+\/export$/];
+
+/**
+ * Utility: Bearer token of a request
+ */
+const getRequestToken = (req) => {
+  const match = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  if (match) return match[1];
+
+  const queryAllowed = req.method === 'GET' && QUERY_TOKEN_ROUTES.some(pattern => pattern.test(req.path));
+  return queryAllowed && typeof req.query.token === 'string' ? req.query.token : null;
+};
+
+// Methods that only read; every other request goes into the audit log
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+// Notification channel settings masked in the log; an update need not name the channel type
+const CHANNEL_SECRET_KEYS = [...new Set(Object.values(NotificationService.SECRET_FIELDS).flat())];
+
+/**
+ * Middleware: Record every request that changes something in the audit log once it is answered,
+ * including the ones refused for lack of a login or role
+ * Routes add what the request alone does not say (e.g. the collection of a deleted report) to req.audit.
+ */
+router.use((req, res, next) => {
+  if (READ_METHODS.includes(req.method)) return next();
+
+  req.audit = {};
+  const path = req.path;
+  const body = req.body || {};
+  // The session may be gone by the time the response is sent (disconnect)
+  const sessionInfo = connections.get(body.sessionId);
+
+  let responseBody = null;
+  const json = res.json.bind(res);
+  res.json = (payload) => {
+    responseBody = payload;
+    return json(payload);
+  };
+
+  res.on('finish', () => {
+    const connInfo = connections.get(body.sessionId) || sessionInfo || {};
+    const status = res.statusCode;
+    const params = req.params || {};
+    const created = responseBody && responseBody.data ? responseBody.data.id : null;
+    const loginName = path === '/auth/login' && typeof body.username === 'string' ? body.username : null;
+
+    auditService.record({
+      actor: req.account ? req.account.username : loginName,
+      actorRole: req.account ? req.account.role : null,
+      source: 'api',
+      action: `${req.method} ${req.route ? req.route.path : path}`,
+      path,
+      sessionId: typeof body.sessionId === 'string' ? body.sessionId : null,
+      profileId: req.audit.profileId || (typeof body.profileId === 'string' ? body.profileId : connInfo.profileId),
+      database: req.audit.database || params.database || connInfo.database,
+      collection: req.audit.collection || params.collection || (typeof body.collection === 'string' ? body.collection : null),
+      target: req.audit.target || params.id || created,
+      params: { ...params, ...body },
+      secretKeys: path.startsWith('/notifications') ? CHANNEL_SECRET_KEYS : [],
+      outcome: status < 400 ? 'success' : [401, 403].includes(status) ? 'denied' : 'failure',
+      statusCode: status,
+      message: responseBody ? responseBody.message : null
+    }).catch(error => {
+      console.error(`[AUDIT] Failed to record ${req.method} ${path}:`, error.message);
+    });
+  });
+
+  return next();
+});
+
+/**
+ * Middleware: Every route except PUBLIC_ROUTES needs a logged-in account (req.account)
+ * Any account may read; routes that change things add requireRole.
+ */
+router.use(async (req, res, next) => {
+  if (PUBLIC_ROUTES.includes(req.path)) return next();
+
+  try {
+    req.account = await authService.authenticate(getRequestToken(req));
+  } catch (error) {
+    console.error('[ERROR] Authentication failed:', error);
+    return errorResponse(res, 500, error.message);
+  }
+
+  if (!req.account) {
+    return errorResponse(res, 401, 'Authentication required. Please log in.');
+  }
+  return next();
+});
+
+/**
+ * Middleware: Require a role or a higher one (viewer < operator < admin)
+ */
+const requireRole = (role) => (req, res, next) => {
+  if (!authService.hasRole(req.account, role)) {
+    return errorResponse(res, 403, `This action requires the ${role} role`);
+  }
+  return next();
+};
+
+/**
+ * Utility: API shape of an account
+ */
+const formatAccount = (account) => {
+  const { _id, __v, passwordHash, tokenExpiresAt, ...fields } = account;
+  return {
+    id: _id.toString(),
+    ...fields
+  };
+};
+
+/**
+ * Utility: Map account errors onto responses
+ */
+const accountErrorResponse = (res, error, route) => {
+  if (error instanceof AuthService.AccountValidationError) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+      errors: error.errors,
+      timestamp: new Date()
+    });
+  }
+  console.error(`[ERROR] ${route}:`, error);
+  return errorResponse(res, 500, error.message);
+};
+
+/**
+ * POST /api/auth/login
+ * Exchange { username, password } for a bearer token
+ */
+router.post('/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const session = await authService.login(username, password);
+    if (!session) {
+      return errorResponse(res, 401, 'Invalid username or password');
+    }
+
+    return successResponse(res, {
+      token: session.token,
+      expiresAt: session.expiresAt,
+      account: formatAccount(session.account)
+    }, `Logged in as ${session.account.username}`);
+  } catch (error) {
+    console.error('[ERROR] /auth/login:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * End the current token's session
+ */
+router.post('/auth/logout', async (req, res) => {
+  try {
+    await authService.logout(getRequestToken(req));
+    return successResponse(res, { loggedOut: true }, 'Logged out');
+  } catch (error) {
+    console.error('[ERROR] /auth/logout:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * The logged-in account and when its token expires
+ */
+router.get('/auth/me', (req, res) => {
+  return successResponse(res, { ...formatAccount(req.account), tokenExpiresAt: req.account.tokenExpiresAt });
+});
+
+/**
+ * PUT /api/auth/password
+ * Change your own password: { currentPassword, newPassword }; signs out every session
+ */
+router.put('/auth/password', async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!(await authService.checkCredentials(req.account.username, currentPassword))) {
+      return errorResponse(res, 401, 'Current password is incorrect');
+    }
+
+    await authService.update(req.account._id, { password: newPassword });
+    return successResponse(res, { changed: true }, 'Password changed; please log in again');
+  } catch (error) {
+    return accountErrorResponse(res, error, 'PUT /auth/password');
+  }
+});
+
+/**
+ * GET /api/accounts
+ * Every account and its role
+ */
+router.get('/accounts', requireRole('admin'), async (req, res) => {
+  try {
+    const accounts = await authService.list();
+    return successResponse(res, accounts.map(formatAccount));
+  } catch (error) {
+    console.error('[ERROR] /accounts:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
+
+/**
+ * POST /api/accounts
+ * Create an account: { username, password, role }
+ */
+router.post('/accounts', requireRole('admin'), async (req, res) => {
+  try {
+    const account = await authService.create(req.body);
+    return successResponse(res.status(201), formatAccount(account), `Account '${account.username}' created`);
+  } catch (error) {
+    return accountErrorResponse(res, error, 'POST /accounts');
+  }
+});
+
+/**
+ * PUT /api/accounts/:id
+ * Change an account's { password, role, disabled }
+ */
+router.put('/accounts/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (!isObjectIdString(req.params.id)) {
+      return errorResponse(res, 400, 'Invalid account ID format');
+    }
+
+    const account = await authService.update(req.params.id, req.body);
+    if (!account) {
+      return errorResponse(res, 404, 'Account not found');
+    }
+
+    return successResponse(res, formatAccount(account), `Account '${account.username}' updated`);
+  } catch (error) {
+    return accountErrorResponse(res, error, 'PUT /accounts/:id');
+  }
+});
+
+/**
+ * DELETE /api/accounts/:id
+ * Delete an account and end its sessions
+ */
+router.delete('/accounts/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (!isObjectIdString(req.params.id)) {
+      return errorResponse(res, 400, 'Invalid account ID format');
+    }
+
+    const account = await authService.remove(req.params.id);
+    if (!account) {
+      return errorResponse(res, 404, 'Account not found');
+    }
+
+    return successResponse(res, { deletedId: req.params.id }, `Account '${account.username}' deleted`);
+  } catch (error) {
+    return accountErrorResponse(res, error, 'DELETE /accounts/:id');
+  }
+});
+
+/**
+ * Utility: API shape of an audit entry, with its parameters parsed back into an object
+ */
+const formatAuditEntry = (entry) => {
+  const { _id, __v, params, ...fields } = entry;
+  return {
+    id: _id.toString(),
+    ...fields,
+    params: params ? JSON.parse(params) : null
+  };
+};
+
+/**
+ * GET /api/audit
+ * Audit log entries, newest first
+ * Filter with actor, action, source, outcome, sessionId, profileId, database, collection, target
+ * and a from/to time range; paginate with limit and skip
+ */
+router.get('/audit', requireRole('admin'), async (req, res) => {
+  try {
+    const filter = {};
+    AuditService.FILTER_FIELDS.forEach(key => {
+      if (typeof req.query[key] === 'string' && req.query[key] !== '') filter[key] = req.query[key];
+    });
+
+    if (filter.outcome && !AuditService.OUTCOMES.includes(filter.outcome)) {
+      return errorResponse(res, 400, `Invalid outcome '${filter.outcome}'. Available: ${AuditService.OUTCOMES.join(', ')}`);
+    }
+
+    for (const key of ['from', 'to']) {
+      if (req.query[key]) {
+        filter[key] = new Date(req.query[key]);
+        if (isNaN(filter[key].getTime())) {
+          return errorResponse(res, 400, `${key} must be a date`);
+        }
+      }
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_LIMIT, 500);
+    const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+    const { entries, total } = await auditService.list(filter, { limit, skip });
+
+    return successResponse(res, { entries: entries.map(formatAuditEntry), total, limit, skip });
+  } catch (error) {
+    console.error('[ERROR] /audit:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
+
+/**
+ * GET /api/audit/verify
+ * Recompute the hash chain and report the first entry that was modified, removed or inserted
+ */
+router.get('/audit/verify', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await auditService.verify();
+    const message = result.valid
+      ? `Audit chain intact (${result.checked} entries)`
+      : `Audit chain broken at entry ${result.brokenAt.seq}: ${result.brokenAt.reason}`;
+    return successResponse(res, result, message);
+  } catch (error) {
+    console.error('[ERROR] /audit/verify:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
+
+/**
+ * POST /api/check
+ * Queue a consistency check on user's connected database
+ * Responds immediately with the job; poll GET /api/jobs/:id for progress and the report
+ * Pass dryRun: true to get a preview report of proposed repairs without writing,
+ * or approval: true to hold them for review (see /api/approvals)
+ * validator selects the engine: simple (default), dynamic or rules
+ * batchSize and sampleSize tune the streaming scan and the schema pass,
+ * writeBatchSize the number of repair operations per bulkWrite
+ */
+router.post('/check', requireRole('operator'), async (req, res) => {
+  try {
+    const {
+      collection = 'users',
+      sessionId,
+      dryRun = false,
+      approval = false,
+      validator = 'simple',
+      batchSize = ConsistencyChecker.DEFAULT_BATCH_SIZE,
+      sampleSize = null,
+      writeBatchSize = RepairApplier.DEFAULT_WRITE_BATCH_SIZE
+    } = req.body;
+
+    if (!ConsistencyChecker.VALIDATOR_MODES.includes(validator)) {
+      return errorResponse(
+        res,
+        400,
+        `Invalid validator '${validator}'. Available: ${ConsistencyChecker.VALIDATOR_MODES.join(', ')}`
+      );
+    }
+
+    if (dryRun && approval) {
+      return errorResponse(res, 400, 'dryRun and approval cannot be combined');
+    }
+
+    if (!isPositiveInteger(batchSize)) {
+      return errorResponse(res, 400, 'batchSize must be a positive integer');
+    }
+
+    if (sampleSize !== null && !isPositiveInteger(sampleSize)) {
+      return errorResponse(res, 400, 'sampleSize must be a positive integer');
+    }
+
+    if (!isPositiveInteger(writeBatchSize)) {
+      return errorResponse(res, 400, 'writeBatchSize must be a positive integer');
+    }
+
+    // Operators may look and propose; only admins let a check write repairs
+    if (!dryRun && !approval && !authService.hasRole(req.account, 'admin')) {
+      return errorResponse(res, 403, 'Applying repairs requires the admin role; run a dry run or require approval instead');
+    }
+
+    if (!sessionId) {
+      return errorResponse(res, 400, 'Session ID is required. Please connect to a database first.');
+    }
+
+    // Check if session has an active connection
+    if (!activeConnections.has(sessionId)) {
+      return errorResponse(res, 400, 'No active database connection. Please connect first.');
+    }
+
+    const connection = activeConnections.get(sessionId);
+    const connInfo = connections.get(sessionId);
+
+    // Validate collection against available collections in user's database
+    const availableCollections = connInfo.collections || [];
+    if (!availableCollections.includes(collection)) {
+      return errorResponse(
+        res,
+        400,
+        `Collection '${collection}' not found in connected database. Available: ${availableCollections.join(', ') || 'none'}`
+      );
+    }
+
+    // Stored rules for this database win over the built-in ones
+    let resolvedRules = null;
+    if (validator === 'rules') {
+      resolvedRules = await ruleService.resolveRules(connInfo.database, collection);
+      if (!resolvedRules) {
+        return errorResponse(res, 400, `No validation rules defined for collection '${collection}'`);
+      }
+    }
+
+    console.log(`[START] Consistency check → ${collection} [${validator}] (session: ${sessionId}${dryRun ? ', dry run' : ''}${approval ? ', approval' : ''})`);
+
+    const job = enqueueCheck(connection, connInfo.database, collection, {
+      dryRun: Boolean(dryRun),
+      approval: Boolean(approval),
+      validator,
+      batchSize,
+      sampleSize,
+      writeBatchSize,
+      resolvedRules,
+      profileId: connInfo.profileId,
+      audit: { actor: req.account.username, actorRole: req.account.role, sessionId }
+    }, { sessionId, user: req.account.username });
+
+    return successResponse(
+      res.status(202),
+      jobQueue.serialize(job),
+      `${dryRun ? 'Dry run' : 'Consistency check'} queued for ${collection}`
+    );
+
+  } catch (error) {
+    console.error('[ERROR] /check:', error);
+    return errorResponse(res, 500, error.message || 'Internal Server Error');
+  }
+});
+
+/**
+ * GET /api/report/latest
+ */
+router.get('/report/latest', async (req, res) => {
+  try {
+    const { collection } = req.query;
+
+    const report = await reportGenerator.getLatestReport(collection);
+
+    if (!report) {
+      return errorResponse(res, 404, 'No reports found');
+    }
+
+    const formattedReport =
+      reportGenerator.formatReportForDisplay(report);
+
+    return successResponse(res, formattedReport);
+
+  } catch (error) {
+    console.error('[ERROR] /report/latest:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
+
+/**
+ * GET /api/reports
+ */
+router.get('/reports', async (req, res) => {
+  try {
+    const { collection, profileId, limit = DEFAULT_LIMIT } = req.query;
+
+    if (profileId !== undefined && !isObjectIdString(profileId)) {
+      return errorResponse(res, 400, 'Invalid profile ID format');
+    }
+
+    const reports = await reportGenerator.getAllReports(
+      collection,
+      parseInt(limit),
+      profileId
+    );
+
+    const formattedReports = reports.map(r =>
+      reportGenerator.formatReportForDisplay(r)
+    );
+
+    return successResponse(res, formattedReports, null);
+
+  } catch (error) {
+    console.error('[ERROR] /reports:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
+
+/**
+ * GET /api/status
+ * ?collection= and either ?sessionId= (the connected database) or ?database=;
+ * with neither, the collection's latest Status in any database
+ */
+router.get('/status', async (req, res) => {
+  try {
+    const { collection = 'users', sessionId } = req.query;
+    let { database = null } = req.query;
+
+    if (typeof collection !== 'string' || !collection) {
+      return errorResponse(res, 400, 'Invalid collection');
+    }
+    if (database !== null && typeof database !== 'string') {
+      return errorResponse(res, 400, 'Invalid database');
+    }
+
+    // Viewers read status without a session; with one, the collection must exist in its database
+    if (sessionId !== undefined) {
+      const connInfo = connections.get(sessionId);
+      if (!connInfo || !activeConnections.has(sessionId)) {
+        return errorResponse(res, 400, 'No active database connection. Please connect first.');
+      }
+      if (!(connInfo.collections || []).includes(collection)) {
+        return errorResponse(res, 400, `Collection '${collection}' not found in connected database`);
+      }
+      database = connInfo.database;
+    }
+
+    const status = await consistencyChecker.getConsistencyStatus(collection, database);
+    // The report comes from the same database as the status shown
+    const latestReport = await reportGenerator.getLatestReport(collection, status.database || database);
+
+    return successResponse(res, {
+      ...status,
+      isActive: consistencyChecker.isActive(),
+      latestReport: latestReport
+        ? reportGenerator.formatReportForDisplay(latestReport)
+        : null
+    });
+
+  } catch (error) {
+    console.error('[ERROR] /status:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
+
+/**
+ * POST /api/replicas/verify
+ * Queue a comparison of every replica set member's copy of a collection: { sessionId, collection, rangeSize }
+ */
+router.post('/replicas/verify', requireRole('operator'), async (req, res) => {
+  try {
+    const { sessionId, collection, rangeSize = ReplicaChecker.DEFAULT_RANGE_SIZE } = req.body;
+
+    if (!isPositiveInteger(rangeSize)) {
+      return errorResponse(res, 400, 'rangeSize must be a positive integer');
+    }
+
+    if (!sessionId || !activeConnections.has(sessionId)) {
+      return errorResponse(res, 400, 'No active database connection. Please connect first.');
+    }
+
+    const connection = activeConnections.get(sessionId);
+    const connInfo = connections.get(sessionId);
+
+    if (!(connInfo.collections || []).includes(collection)) {
+      return errorResponse(res, 400, `Collection '${collection}' not found in connected database`);
+    }
+
+    const { setName, hosts } = await replicaChecker.describeSet(connection);
+    if (!setName) {
+      return errorResponse(res, 400, 'The connected database is not a replica set');
+    }
+
+    // Each member is reached with the profile's credentials
+    const resolved = await profiles.resolve(connInfo.profileId);
+    if (!resolved) {
+      return errorResponse(res, 404, 'Connection profile not found');
+    }
+
+    console.log(`[START] Replica verification → ${collection} on ${setName} (session: ${sessionId})`);
+
+    // Queued on the collection's check target, so it does not compare while a check repairs it
+    const job = jobQueue.enqueue(
+      getCheckTarget(connection, collection),
+      async (job) => {
+        const result = await replicaChecker.verify(connection, resolved.mongoUri, collection, {
+          rangeSize,
+          signal: job.signal,
+          onProgress: (progress) => jobQueue.updateProgress(job, progress)
+        });
+        job.replicaCheck = result;
+        return result;
+      },
+      {
+        sessionId,
+        profileId: connInfo.profileId,
+        database: connInfo.database,
+        collection,
+        kind: 'replica_check',
+        replicaSet: setName,
+        user: req.account.username
+      }
+    );
+
+    return successResponse(
+      res.status(202),
+      jobQueue.serialize(job),
+      `Replica verification queued for ${collection} on ${hosts.length} members of ${setName}`
+    );
+
+  } catch (error) {
+    if (error instanceof EncryptionKeyError) {
+      return profileErrorResponse(res, error, '/replicas/verify');
+    }
+    console.error('[ERROR] /replicas/verify:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
+
+/**
+ * GET /api/replicas/status
+ * The last replica verification of a collection (?database=&collection=)
+ */
+router.get('/replicas/status', async (req, res) => {
+  try {
+    const { database, collection } = req.query;
+
+    if (!database || !collection) {
+      return errorResponse(res, 400, 'database and collection are required');
+    }
+
+    const status = await replicaChecker.getReplicaStatus(database, collection);
+    if (!status) {
+      return errorResponse(res, 404, `No replica verification recorded for '${database}.${collection}'`);
+    }
+
+    return successResponse(res, status);
+
+  } catch (error) {
+    console.error('[ERROR] /replicas/status:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
+
+/**
+ * Utility: Open a profile's connection and make sure it has a collection
+ * The caller closes the connection.
+ */
+const openProfileCollection = async (profileId, collection) => {
+  const resolved = await profiles.resolve(profileId);
+  if (!resolved) {
+    return { error: `Connection profile ${profileId} not found`, status: 404 };
+  }
+
+  const connection = await openConnection(resolved.mongoUri);
+  const found = await connection.db.listCollections({ name: collection }).toArray();
+  if (found.length === 0) {
+    await connection.close().catch(() => {});
+    return { error: `Collection '${collection}' not found in ${connection.db.databaseName} (profile '${resolved.profile.name}')`, status: 400 };
+  }
+
+  await profiles.recordConnection(profileId, connection.db.databaseName);
+  return { connection, profile: resolved.profile };
+};
+
+/**
+ * POST /api/compare
+ * Queue a comparison of a target collection with its source, producing a report on the target:
+ * { sourceProfileId, targetProfileId, collection, targetCollection, ignoreFields, batchSize }
+ */
+router.post('/compare', requireRole('operator'), async (req, res) => {
+  const opened = [];
+
+  try {
+    const {
+      sourceProfileId,
+      targetProfileId,
+      collection,
+      targetCollection = collection,
+      ignoreFields = [],
+      batchSize = ConsistencyChecker.DEFAULT_BATCH_SIZE
+    } = req.body;
+
+    if (!isObjectIdString(sourceProfileId) || !isObjectIdString(targetProfileId)) {
+      return errorResponse(res, 400, 'sourceProfileId and targetProfileId must be connection profile IDs');
+    }
+
+    if (typeof collection !== 'string' || !collection || typeof targetCollection !== 'string' || !targetCollection) {
+      return errorResponse(res, 400, 'collection is required');
+    }
+
+    if (sourceProfileId === targetProfileId && collection === targetCollection) {
+      return errorResponse(res, 400, 'Source and target are the same collection');
+    }
+
+    if (!Array.isArray(ignoreFields) || ignoreFields.some(field => typeof field !== 'string' || !field)) {
+      return errorResponse(res, 400, 'ignoreFields must be an array of field paths');
+    }
+
+    if (!isPositiveInteger(batchSize)) {
+      return errorResponse(res, 400, 'batchSize must be a positive integer');
+    }
+
+    const source = await openProfileCollection(sourceProfileId, collection);
+    if (source.connection) opened.push(source.connection);
+    if (source.error) return errorResponse(res, source.status, source.error);
+
+    const target = await openProfileCollection(targetProfileId, targetCollection);
+    if (target.connection) opened.push(target.connection);
+    if (target.error) {
+      await source.connection.close().catch(() => {});
+      return errorResponse(res, target.status, target.error);
+    }
+
+    const targetDatabase = target.connection.db.databaseName;
+    console.log(`[START] Comparison ${source.profile.name}/${collection} → ${target.profile.name}/${targetCollection}`);
+
+    // Queued on the target's check target, so it does not compare while a check repairs it
+    const job = jobQueue.enqueue(
+      getCheckTarget(target.connection, targetCollection),
+      async (job) => {
+        const report = await comparer.compare(
+          { connection: source.connection, profileId: sourceProfileId, collection },
+          { connection: target.connection, profileId: targetProfileId, collection: targetCollection },
+          {
+            ignoreFields,
+            batchSize,
+            signal: job.signal,
+            onProgress: (progress) => jobQueue.updateProgress(job, progress)
+          }
+        );
+
+        const savedReport = await reportGenerator.saveReport(report);
+        job.reportId = savedReport._id.toString();
+        return savedReport;
+      },
+      {
+        profileId: targetProfileId,
+        database: targetDatabase,
+        collection: targetCollection,
+        sourceProfileId,
+        sourceDatabase: source.connection.db.databaseName,
+        sourceCollection: collection,
+        kind: 'compare',
+        user: req.account.username
+      }
+    );
+
+    // The connections belong to the job from here on
+    opened.length = 0;
+    const close = () => Promise.all([source.connection, target.connection].map(conn => conn.close().catch(() => {})));
+    job.promise.then(close, close);
+
+    req.audit.profileId = targetProfileId;
+    req.audit.database = targetDatabase;
+    req.audit.collection = targetCollection;
+
+    return successResponse(
+      res.status(202),
+      jobQueue.serialize(job),
+      `Comparison queued: ${source.profile.name}/${collection} → ${target.profile.name}/${targetCollection}`
+    );
+
+  } catch (error) {
+    await Promise.all(opened.map(conn => conn.close().catch(() => {})));
+    if (error instanceof EncryptionKeyError) {
+      return profileErrorResponse(res, error, '/compare');
+    }
+    console.error('[ERROR] /compare:', error);
+    return errorResponse(res, 500, `Comparison failed: ${error.message}`);
+  }
+});
+
+/**
+ * GET /api/stats
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    const { collection } = req.query;
+
+    const stats = await reportGenerator.generateSummaryStats(collection);
+
+    return successResponse(res, stats);
+
+  } catch (error) {
+    console.error('[ERROR] /stats:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
+
+/**
+ * GET /api/jobs
+ * List queued, running and recently finished check jobs
+ */
+router.get('/jobs', (req, res) => {
+  return successResponse(res, jobQueue.list());
+});
+
+/**
+ * GET /api/jobs/:id
+ * Job state and progress; includes the report once the job has finished
+ */
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = jobQueue.get(req.params.id);
+
+    if (!job) {
+      return errorResponse(res, 404, 'Job not found');
+    }
+
+    const data = jobQueue.serialize(job);
+
+    if (job.reportId) {
+      const report = await Report.findById(job.reportId);
+      data.report = reportGenerator.formatReportForDisplay(report);
+    }
+
+    return successResponse(res, data);
+
+  } catch (error) {
+    console.error('[ERROR] /jobs/:id:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
+
+/**
+ * GET /api/jobs/:id/events
+ * Server-Sent Events stream of a job's progress; ends with a 'finished' event carrying the report
+ */
+router.get('/jobs/:id/events', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+
+  if (!job) {
+    return errorResponse(res, 404, 'Job not found');
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const onUpdate = (updated) => {
+    if (updated.id === job.id) send('progress', jobQueue.serialize(updated));
+  };
+
+  const onFinished = async (finished) => {
+    if (finished.id !== job.id) return;
+    cleanup();
+
+    const data = jobQueue.serialize(finished);
+    try {
+      if (finished.reportId) {
+        const report = await Report.findById(finished.reportId);
+        data.report = reportGenerator.formatReportForDisplay(report);
+      }
+    } catch (error) {
+      console.error('[ERROR] /jobs/:id/events:', error);
+    }
+
+    send('finished', data);
+    res.end();
+  };
+
+  const cleanup = () => {
+    jobQueue.off('update', onUpdate);
+    jobQueue.off('finished', onFinished);
+  };
+
+  req.on('close', cleanup);
+
+  // Late subscribers get the current state first; a finished job is closed straight away
+  if (job.finishedAt) {
+    onFinished(job);
+    return;
+  }
+
+  jobQueue.on('update', onUpdate);
+  jobQueue.on('finished', onFinished);
+  send('progress', jobQueue.serialize(job));
+});
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Cancel a job; a running check stops after its current batch and keeps a partial report
+ */
+router.post('/jobs/:id/cancel', requireRole('operator'), (req, res) => {
+  const job = jobQueue.get(req.params.id);
+
+  if (!job) {
+    return errorResponse(res, 404, 'Job not found');
+  }
+
+  if (job.finishedAt) {
+    return errorResponse(res, 409, `Job already ${job.state}`);
+  }
+
+  jobQueue.cancel(job.id);
+
+  return successResponse(
+    res,
+    jobQueue.serialize(job),
+    job.state === 'cancelled' ? 'Job cancelled' : 'Cancellation requested; the check stops after the current batch'
+  );
+});
+
+/**
+ * GET /api/health
+ */
+router.get('/health', (req, res) => {
+  return successResponse(res, {
+    status: 'healthy',
+    uptime: process.uptime(),
+    active: consistencyChecker.isActive()
+  });
+});
+
+/**
+ * Utility: Whether a request carries METRICS_TOKEN, compared in constant time
+ */
+const hasMetricsToken = (req) => {
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  const token = getRequestToken(req);
+  return token !== null && crypto.timingSafeEqual(digest(token), digest(METRICS_TOKEN));
+};
+
+/**
+ * GET /metrics
+ * Prometheus text format. Mounted by server.js at the root, where scrapers look by default,
+ * so it does its own authentication: METRICS_TOKEN when set, otherwise a login token.
+ */
+const serveMetrics = async (req, res) => {
+  try {
+    if (METRICS_TOKEN) {
+      if (!hasMetricsToken(req)) {
+        return errorResponse(res, 401, 'A valid metrics token is required');
+      }
+    } else if (!await authService.authenticate(getRequestToken(req))) {
+      return errorResponse(res, 401, 'Authentication required. Please log in.');
+    }
+
+    const text = await metrics.render({ jobQueue, sessions: connections.size });
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    return res.send(text);
+  } catch (error) {
+    console.error('[ERROR] Metrics failed:', error);
+    return errorResponse(res, 500, error.message);
+  }
+};
+
+/**
+ * POST /api/cleanup
+ */
+router.post('/cleanup', requireRole('admin'), async (req, res) => {
+  try {
+    const { daysToKeep = 30, collection } = req.body;
+
+    if (daysToKeep <= 0) {
+      return errorResponse(res, 400, 'daysToKeep must be > 0');
+    }
+
+    const result = await reportGenerator.cleanupOldReports(
+      daysToKeep,
+      collection
+    );
+
+    return successResponse(
+      res,
+      { deletedCount: result.deletedCount },
+      `Cleaned up ${result.deletedCount} old reports`
+    );
+
+  } catch (error) {
+    console.error('[ERROR] /cleanup:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
+
+/**
+ * DELETE /api/reports/:id
+ * Delete a specific report by ID
+ */
+router.delete('/reports/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ID format
+    if (!id || !id.match(/^[0-9a-fA-F]{24}$/)) {
+      return errorResponse(res, 400, 'Invalid report ID format');
+    }
+
+    // Find and delete the report
+    const deletedReport = await Report.findByIdAndDelete(id);
+
+    if (!deletedReport) {
+      return errorResponse(res, 404, 'Report not found');
+    }
+    Object.assign(req.audit, {
+      database: deletedReport.database,
+      collection: deletedReport.collection,
+      profileId: deletedReport.profileId
+    });
+
+    // Its before-images and recorded issues are only useful for rolling back and comparing this report
+    await BeforeImage.deleteMany({ reportId: deletedReport._id });
+    await ReportIssue.deleteMany({ reportId: deletedReport._id });
+
+    console.log(`[DELETE] Report ${id} deleted successfully`);
+
+    return successResponse(
+      res,
+      { deletedId: id },
+      'Report deleted successfully'
+    );
+
+  } catch (error) {
+    console.error('[ERROR] DELETE /reports/:id:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
+
+/**
+ * GET /api/reports/compare?from=<id>&to=<id>
+ * Compare the issues of two checks on the same collection: new, resolved and
+ * persisting issues, and documents that earlier checks repaired but broke again
+ * The reports may be given in either order; the earlier one is the baseline
+ */
+router.get('/reports/compare', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    if (![from, to].every(id => typeof id === 'string' && id.match(/^[0-9a-fA-F]{24}$/))) {
+      return errorResponse(res, 400, 'from and to must be report IDs');
+    }
+
+    if (from === to) {
+      return errorResponse(res, 400, 'Choose two different reports to compare');
+    }
+
+    const reports = await Report.find({ _id: { $in: [from, to] } }).lean();
+    if (reports.length < 2) {
+      return errorResponse(res, 404, 'Report not found');
+    }
+
+    const [earlier, later] = reports.sort((a, b) => a.timestamp - b.timestamp);
+
+    if (earlier.collection !== later.collection || (earlier.database || null) !== (later.database || null)) {
+      return errorResponse(res, 400, 'Reports must be for the same database and collection');
+    }
+
+    const unrecorded = reports.filter(report => !report.issuesRecorded);
+    if (unrecorded.length > 0) {
+      return errorResponse(
+        res,
+        400,
+        `Report ${unrecorded.map(report => report._id).join(', ')} has no recorded issues (created before comparisons were available, or not a check)`
+      );
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || IssueHistoryService.DEFAULT_LIMIT, 1000);
+    const diff = await issueHistory.compare(earlier, later, { limit });
+
+    return successResponse(res, {
+      from: reportGenerator.formatReportForDisplay(earlier),
+      to: reportGenerator.formatReportForDisplay(later),
+      limit,
+      ...diff
+    });
+
+  } catch (error) {
+    console.error('[ERROR] /reports/compare:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
+
+/**
+ * GET /api/reports/:id/export?format=csv|ndjson|html|junit
+ * Download a report: CSV of its details, NDJSON records, a printable HTML page,
+ * or JUnit XML that fails on unresolved inconsistencies
+ */
+router.get('/reports/:id/export', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format } = req.query;
+
+    if (!id || !id.match(/^[0-9a-fA-F]{24}$/)) {
+      return errorResponse(res, 400, 'Invalid report ID format');
+    }
+
+    if (!ReportExporter.FORMATS.includes(format)) {
+      return errorResponse(res, 400, `format must be one of: ${ReportExporter.FORMATS.join(', ')}`);
+    }
+
+    const report = await Report.findById(id).lean();
+
+    if (!report) {
+      return errorResponse(res, 404, 'Report not found');
+    }
+
+    const { body, contentType, filename } = reportExporter.export(
+      reportGenerator.formatReportForDisplay(report),
+      format
+    );
+
+    res.set('Content-Type', contentType);
+    res.attachment(filename);
+    return res.send(body);
+
+  } catch (error) {
+    console.error('[ERROR] /reports/:id/export:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
+
+/**
+ * POST /api/reports/:id/rollback
+ * Queue a job restoring the documents a report's repairs changed, from their before-images
+ * Runs in the same queue as checks on that collection; documents modified since the repair
+ * are listed in the job's rollback result as conflicts unless force is set
+ */
+router.post('/reports/:id/rollback', requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { sessionId, force = false } = req.body;
+
+    if (!id || !id.match(/^[0-9a-fA-F]{24}$/)) {
+      return errorResponse(res, 400, 'Invalid report ID format');
+    }
+
+    if (!sessionId || !activeConnections.has(sessionId)) {
+      return errorResponse(res, 400, 'No active database connection. Please connect first.');
+    }
+
+    const report = await Report.findById(id);
+
+    if (!report) {
+      return errorResponse(res, 404, 'Report not found');
+    }
+    Object.assign(req.audit, { database: report.database, collection: report.collection });
+
+    if (report.dryRun) {
+      return errorResponse(res, 400, 'Dry run reports made no changes and cannot be rolled back');
+    }
+
+    const connInfo = connections.get(sessionId);
+
+    // Before-images must go back to the database they were taken from
+    if (report.database && report.database !== connInfo.database) {
+      return errorResponse(
+        res,
+        409,
+        `Report was run against '${report.database}' but the session is connected to '${connInfo.database}'`
+      );
+    }
+
+    const connection = activeConnections.get(sessionId);
+    const model = getCollectionModel(connection, report.collection);
+
+    console.log(`[ROLLBACK] Queueing rollback of report ${id} on ${report.collection}${force ? ' (forced)' : ''}`);
+
+    const job = jobQueue.enqueue(
+      getCheckTarget(connection, report.collection),
+      async (job) => {
+        const result = await rollbackService.rollbackReport(report, model, { force: force === true });
+        job.rollback = result;
+        return result;
+      },
+      {
+        sessionId,
+        profileId: connInfo.profileId,
+        database: connInfo.database,
+        collection: report.collection,
+        kind: 'rollback',
+        rollbackOf: id,
+        user: req.account.username
+      }
+    );
+
+    return successResponse(
+      res.status(202),
+      jobQueue.serialize(job),
+      `Rollback of report ${id} queued`
+    );
+
+  } catch (error) {
+    console.error('[ERROR] POST /reports/:id/rollback:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
+
+/**
+ * Utility: API shape of a repair held for approval
+ */
+const formatPendingRepair = (item) => {
+  const { _id, __v, ...fields } = item;
+  return { id: _id.toString(), ...fields };
+};
+
+/**
+ * Utility: Approval filter from a query string or request body; only known string fields are used
+ */
+const getApprovalFilter = (source = {}) => {
+  const filter = {};
+  ApprovalService.FILTER_FIELDS.forEach(key => {
+    if (typeof source[key] === 'string' && source[key] !== '') filter[key] = source[key];
+  });
+  return filter;
+};
+
+const isObjectIdString = (id) => typeof id === 'string' && /^[0-9a-fA-F]{24}$/.test(id);
+
+/**
+ * GET /api/approvals
+ * Repairs held for approval, newest first
+ * Filter with database, collection, reportId, documentId, field, issue, severity, action
+ * and status (pending by default, "all" for every status); paginate with limit and skip
+ */
+router.get('/approvals', async (req, res) => {
+  try {
+    const filter = { status: 'pending', ...getApprovalFilter(req.query) };
+    if (filter.status === 'all') delete filter.status;
+
+    if (filter.reportId && !isObjectIdString(filter.reportId)) {
+      return errorResponse(res, 400, 'Invalid report ID format');
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_LIMIT, 500);
+    const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+
+    const [{ items, total }, summary] = await Promise.all([
+      approvalService.list(filter, { limit, skip }),
+      approvalService.summarize(filter.database, filter.collection)
+    ]);
+
+    return successResponse(res, { items: items.map(formatPendingRepair), total, limit, skip, summary });
+
+  } catch (error) {
+    console.error('[ERROR] /approvals:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
+
+/**
+ * POST /api/approvals/approve
+ * POST /api/approvals/reject
+ * Decide pending repairs, either { ids } or everything matching { filter }
+ * (a filter must name the database and collection). The logged-in user is recorded with the decision.
+ */
+router.post('/approvals/:decision(approve|reject)', requireRole('admin'), async (req, res) => {
+  try {
+    const { decision } = req.params;
+    const { ids, filter, comment = null } = req.body;
+    const user = req.account.username;
+
+    let selection;
+    if (ids !== undefined) {
+      if (!Array.isArray(ids) || ids.length === 0 || !ids.every(isObjectIdString)) {
+        return errorResponse(res, 400, 'ids must be a non-empty array of item IDs');
+      }
+      selection = { ids };
+    } else {
+      selection = getApprovalFilter(filter);
+      if (!selection.database || !selection.collection) {
+        return errorResponse(res, 400, 'Provide ids, or a filter with database and collection');
+      }
+      if (selection.reportId && !isObjectIdString(selection.reportId)) {
+        return errorResponse(res, 400, 'Invalid report ID format');
+      }
+    }
+
+    const decided = await approvalService.decide(selection, decision, user, comment);
+
+    return successResponse(
+      res,
+      { decided },
+      `${decided} repairs ${ApprovalService.DECISIONS[decision]}`
+    );
+
+  } catch (error) {
+    console.error(`[ERROR] /approvals/${req.params.decision}:`, error);
+    return errorResponse(res, 500, error.message);
+  }
+});
+
+/**
+ * POST /api/approvals/apply
+ * Queue a job applying the approved repairs for a collection on the session's database
+ * Runs in the same queue as checks on that collection; the job's report is the follow-up report
+ */
+router.post('/approvals/apply', requireRole('admin'), async (req, res) => {
+  try {
+    const {
+      collection,
+      sessionId,
+      batchSize = ConsistencyChecker.DEFAULT_BATCH_SIZE,
+      writeBatchSize = RepairApplier.DEFAULT_WRITE_BATCH_SIZE
+    } = req.body;
+    const user = req.account.username;
+
+    if (!collection) {
+      return errorResponse(res, 400, 'collection is required');
+    }
+
+    if (!isPositiveInteger(batchSize) || !isPositiveInteger(writeBatchSize)) {
+      return errorResponse(res, 400, 'batchSize and writeBatchSize must be positive integers');
+    }
+
+    if (!sessionId || !activeConnections.has(sessionId)) {
+      return errorResponse(res, 400, 'No active database connection. Please connect first.');
+    }
+
+    const connection = activeConnections.get(sessionId);
+    const connInfo = connections.get(sessionId);
+
+    const approved = await approvalService.countApproved(connInfo.database, collection);
+    if (approved === 0) {
+      return errorResponse(res, 400, `No approved repairs waiting for ${connInfo.database}.${collection}`);
+    }
+
+    const dynamicModel = getCollectionModel(connection, collection);
+
+    const job = jobQueue.enqueue(
+      getCheckTarget(connection, collection),
+      async (job) => {
+        const report = await consistencyChecker.applyApproved(collection, dynamicModel, {
+          database: connInfo.database,
+          profileId: connInfo.profileId,
+          user,
+          audit: { actorRole: req.account.role, sessionId },
+          batchSize,
+          writeBatchSize,
+          signal: job.signal,
+          onProgress: (progress) => jobQueue.updateProgress(job, progress)
+        });
+
+        const savedReport = await reportGenerator.saveReport(report);
+        job.reportId = savedReport._id.toString();
+        return savedReport;
+      },
+      { sessionId, profileId: connInfo.profileId, database: connInfo.database, collection, kind: 'apply_approved', user }
+    );
+
+    return successResponse(
+      res.status(202),
+      jobQueue.serialize(job),
+      `Applying ${approved} approved repairs to ${collection}`
+    );
+
+  } catch (error) {
+    console.error('[ERROR] /approvals/apply:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
+
+/**
+ * Utility: API shape of a stored rule version
+ */
+const formatRuleSet = (ruleSet) => ({
+  database: ruleSet.database,
+  collection: ruleSet.collection,
+  version: ruleSet.version,
+  rules: ruleSet.rules,
+  comment: ruleSet.comment || null,
+  restoredFrom: ruleSet.restoredFrom || null,
+  createdAt: ruleSet.createdAt
+});
+
+/**
+ * Utility: Map rule service errors onto responses
+ */
+const ruleErrorResponse = (res, error, route) => {
+  if (error instanceof RuleService.RuleValidationError) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+      errors: error.errors,
+      timestamp: new Date()
+    });
+  }
+  if (error.code === 11000) {
+    return errorResponse(res, 409, 'Rules were changed by another request, please retry');
+  }
+  console.error(`[ERROR] ${route}:`, error);
+  return errorResponse(res, 500, error.message);
+};
+
+/**
+ * GET /api/rules
+ * Current version of every stored rule set; filter with ?database=
+ */
+router.get('/rules', async (req, res) => {
+  try {
+    const ruleSets = await ruleService.listCurrent(req.query.database);
+    return successResponse(res, ruleSets.map(formatRuleSet));
+  } catch (error) {
+    console.error('[ERROR] /rules:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
+
+/**
+ * GET /api/rules/:database/:collection
+ * Current rules for a collection, with the version history
+ */
+router.get('/rules/:database/:collection', async (req, res) => {
+  try {
+    const { database, collection } = req.params;
+    const versions = await ruleService.listVersions(database, collection);
+
+    if (versions.length === 0) {
+      return errorResponse(res, 404, `No stored rules for ${database}/${collection}`);
+    }
+
+    return successResponse(res, {
+      current: formatRuleSet(versions[0]),
+      versions: versions.map(({ version, comment, restoredFrom, createdAt }) => ({
+        version,
+        comment: comment || null,
+        restoredFrom: restoredFrom || null,
+        createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('[ERROR] /rules/:database/:collection:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
+
+/**
+ * GET /api/rules/:database/:collection/versions/:version
+ */
+router.get('/rules/:database/:collection/versions/:version', async (req, res) => {
+  try {
+    const { database, collection, version } = req.params;
+    const ruleSet = await ruleService.getVersion(database, collection, parseInt(version));
+
+    if (!ruleSet) {
+      return errorResponse(res, 404, `Version ${version} not found for ${database}/${collection}`);
+    }
+
+    return successResponse(res, formatRuleSet(ruleSet));
+  } catch (error) {
+    console.error('[ERROR] /rules/:database/:collection/versions/:version:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
+
+/**
+ * GET /api/rules/:database/:collection/diff?from=1&to=2
+ * Field-level changes between two versions; "to" defaults to the current version
+ */
+router.get('/rules/:database/:collection/diff', async (req, res) => {
+  try {
+    const { database, collection } = req.params;
+    const from = parseInt(req.query.from);
+
+    if (!isPositiveInteger(from)) {
+      return errorResponse(res, 400, 'from must be a version number');
+    }
+
+    const fromSet = await ruleService.getVersion(database, collection, from);
+    const toSet = req.query.to
+      ? await ruleService.getVersion(database, collection, parseInt(req.query.to))
+      : await ruleService.getCurrent(database, collection);
+
+    if (!fromSet || !toSet) {
+      return errorResponse(res, 404, `Version not found for ${database}/${collection}`);
+    }
+
+    return successResponse(res, {
+      from: fromSet.version,
+      to: toSet.version,
+      changes: ruleService.diff(fromSet.rules, toSet.rules)
+    });
+  } catch (error) {
+    console.error('[ERROR] /rules/:database/:collection/diff:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
+
+/**
+ * POST /api/rules/:database/:collection
+ * Create the first version of a collection's rules
+ */
+router.post('/rules/:database/:collection', requireRole('admin'), async (req, res) => {
+  try {
+    const { database, collection } = req.params;
+    const { rules, comment } = req.body;
+
+    if (await ruleService.getCurrent(database, collection)) {
+      return errorResponse(res, 409, `Rules already exist for ${database}/${collection}; use PUT to update them`);
+    }
+
+    const ruleSet = await ruleService.saveVersion(database, collection, rules, { comment });
+    return successResponse(res.status(201), formatRuleSet(ruleSet), `Rules created for ${database}/${collection}`);
+  } catch (error) {
+    return ruleErrorResponse(res, error, 'POST /rules/:database/:collection');
+  }
+});
+
+/**
+ * PUT /api/rules/:database/:collection
+ * Save a new version of a collection's rules
+ */
+router.put('/rules/:database/:collection', requireRole('admin'), async (req, res) => {
+  try {
+    const { database, collection } = req.params;
+    const { rules, comment } = req.body;
+
+    if (!(await ruleService.getCurrent(database, collection))) {
+      return errorResponse(res, 404, `No stored rules for ${database}/${collection}; use POST to create them`);
+    }
+
+    const ruleSet = await ruleService.saveVersion(database, collection, rules, { comment });
+    return successResponse(res, formatRuleSet(ruleSet), `Rules updated to version ${ruleSet.version}`);
+  } catch (error) {
+    return ruleErrorResponse(res, error, 'PUT /rules/:database/:collection');
+  }
+});
+
+/**
+ * POST /api/rules/:database/:collection/rollback
+ * Make an earlier version current again; saved as a new version
+ */
+router.post('/rules/:database/:collection/rollback', requireRole('admin'), async (req, res) => {
+  try {
+    const { database, collection } = req.params;
+    const { version, comment } = req.body;
+
+    if (!isPositiveInteger(version)) {
+      return errorResponse(res, 400, 'version must be a version number');
+    }
+
+    const ruleSet = await ruleService.rollback(database, collection, version, comment);
+
+    if (!ruleSet) {
+      return errorResponse(res, 404, `Version ${version} not found for ${database}/${collection}`);
+    }
+
+    return successResponse(
+      res,
+      formatRuleSet(ruleSet),
+      `Rules rolled back to version ${version} (saved as version ${ruleSet.version})`
+    );
+  } catch (error) {
+    return ruleErrorResponse(res, error, 'POST /rules/:database/:collection/rollback');
+  }
+});
+
+/**
+ * POST /api/rules/:database/:collection/import
+ * Build rules from a $jsonSchema validator or a JSON Schema document
+ * source: 'collection' reads the validator of the collection on the session's database;
+ * source: 'schema' uses the uploaded `schema`. Returns a preview unless save is true.
+ */
+router.post('/rules/:database/:collection/import', requireRole('operator'), async (req, res) => {
+  try {
+    const { database, collection } = req.params;
+    const { source = 'collection', sessionId, schema, save = false, comment } = req.body;
+    let jsonSchema;
+
+    // Previewing is read-only; saving creates a rule version
+    if (save && !authService.hasRole(req.account, 'admin')) {
+      return errorResponse(res, 403, 'Saving imported rules requires the admin role');
+    }
+
+    if (source === 'collection') {
+      if (!sessionId || !activeConnections.has(sessionId)) {
+        return errorResponse(res, 400, 'No active database connection. Please connect first.');
+      }
+
+      const connInfo = connections.get(sessionId);
+      if (connInfo.database !== database) {
+        return errorResponse(res, 409, `Session is connected to '${connInfo.database}', not '${database}'`);
+      }
+
+      if (!(connInfo.collections || []).includes(collection)) {
+        return errorResponse(res, 404, `Collection '${collection}' not found in connected database`);
+      }
+
+      jsonSchema = await schemaImporter.readCollectionValidator(activeConnections.get(sessionId), collection);
+      if (!jsonSchema) {
+        return errorResponse(res, 404, `Collection '${collection}' has no $jsonSchema validator`);
+      }
+    } else if (source === 'schema') {
+      if (!schema) {
+        return errorResponse(res, 400, 'schema is required when source is schema');
+      }
+      // A full collection validator ({ $jsonSchema: ... }) is accepted as well
+      jsonSchema = schema.$jsonSchema || schema;
+    } else {
+      return errorResponse(res, 400, `Invalid source '${source}'. Available: collection, schema`);
+    }
+
+    let imported;
+    try {
+      imported = schemaImporter.fromJsonSchema(jsonSchema);
+    } catch (error) {
+      return errorResponse(res, 400, error.message);
+    }
+
+    if (!save) {
+      return successResponse(res, imported, 'Rules imported (preview, not saved)');
+    }
+
+    const ruleSet = await ruleService.saveVersion(database, collection, imported.rules, {
+      comment: comment || `Imported from ${source === 'collection' ? '$jsonSchema validator' : 'JSON Schema'}`
+    });
+
+    return successResponse(
+      res,
+      { ...formatRuleSet(ruleSet), warnings: imported.warnings },
+      `Rules imported as version ${ruleSet.version}`
+    );
+  } catch (error) {
+    return ruleErrorResponse(res, error, 'POST /rules/:database/:collection/import');
+  }
+});
+
+/**
+ * Utility: Resolve the session connection and collection for schema endpoints
+ * Sends the error response and returns null when they are not usable.
+ */
+const getSchemaTarget = (res, sessionId, collection) => {
+  if (!sessionId || !activeConnections.has(sessionId)) {
+    errorResponse(res, 400, 'No active database connection. Please connect first.');
+    return null;
+  }
+
+  const connInfo = connections.get(sessionId);
+  if (!(connInfo.collections || []).includes(collection)) {
+    errorResponse(res, 404, `Collection '${collection}' not found in connected database`);
+    return null;
+  }
+
+  return { connection: activeConnections.get(sessionId), database: connInfo.database };
+};
+
+/**
+ * Utility: Infer a collection's schema with the dynamic engine's schema pass
+ */
+const inferCollectionSchema = async (connection, collection, sampleSize) => {
+  const validator = new DynamicValidator();
+  await consistencyChecker.inferSchema(getCollectionModel(connection, collection), validator, {
+    batchSize: ConsistencyChecker.DEFAULT_BATCH_SIZE,
+    sampleSize
+  });
+  return validator.schema;
+};
+
+/**
+ * GET /api/schema/:collection?sessionId=...&sampleSize=...
+ * Schema inferred by the dynamic engine, as $jsonSchema and as JSON Schema
+ */
+router.get('/schema/:collection', async (req, res) => {
+  try {
+    const { collection } = req.params;
+    const sampleSize = req.query.sampleSize ? parseInt(req.query.sampleSize) : null;
+
+    if (sampleSize !== null && !isPositiveInteger(sampleSize)) {
+      return errorResponse(res, 400, 'sampleSize must be a positive integer');
+    }
+
+    const target = getSchemaTarget(res, req.query.sessionId, collection);
+    if (!target) return;
+
+    const schema = await inferCollectionSchema(target.connection, collection, sampleSize);
+
+    return successResponse(res, {
+      database: target.database,
+      collection,
+      inferred: schema,
+      $jsonSchema: schemaExporter.toMongoJsonSchema(schema),
+      jsonSchema: schemaExporter.toJsonSchema(schema, collection)
+    });
+  } catch (error) {
+    console.error('[ERROR] /schema/:collection:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
+
+/**
+ * POST /api/schema/:collection/apply
+ * Install a $jsonSchema as the collection's validator via collMod
+ * Requires confirm: true. Pass the reviewed $jsonSchema from GET /api/schema/:collection,
+ * otherwise the schema is inferred again. level: moderate (default) or strict.
+ */
+router.post('/schema/:collection/apply', requireRole('admin'), async (req, res) => {
+  try {
+    const { collection } = req.params;
+    const { sessionId, level = 'moderate', confirm = false, schema, sampleSize = null } = req.body;
+
+    if (!SchemaExporter.VALIDATION_LEVELS.includes(level)) {
+      return errorResponse(
+        res,
+        400,
+        `Invalid level '${level}'. Available: ${SchemaExporter.VALIDATION_LEVELS.join(', ')}`
+      );
+    }
+
+    if (confirm !== true) {
+      return errorResponse(
+        res,
+        400,
+        'Installing a validator rejects future writes that do not match it. Resend with confirm: true to proceed.'
+      );
+    }
+
+    const target = getSchemaTarget(res, sessionId, collection);
+    if (!target) return;
+
+    const jsonSchema = schema ||
+      schemaExporter.toMongoJsonSchema(await inferCollectionSchema(target.connection, collection, sampleSize));
+
+    const previous = await schemaExporter.applyValidator(target.connection, collection, jsonSchema, level);
+
+    return successResponse(
+      res,
+      { database: target.database, collection, level, $jsonSchema: jsonSchema, previous },
+      `Validator installed on ${collection} (${level})`
+    );
+  } catch (error) {
+    console.error('[ERROR] /schema/:collection/apply:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
+
+/**
+ * Utility: Names of the connection profiles by ID, for labelling schedules
+ */
+const getProfileNames = async () => {
+  const list = await profiles.list();
+  return new Map(list.map(profile => [profile._id.toString(), profile.name]));
+};
+
+/**
+ * Utility: API shape of a schedule, with its profile's name and next run times
  */
-const successResponse = (res, data, message = null) => {
-  return res.json({
-    success: true,
-    data,
-    message,
-    timestamp: new Date()
-  });
+const formatSchedule = (schedule, profileNames) => {
+  const { _id, __v, profileId, ...fields } = schedule;
+  return {
+    id: _id.toString(),
+    ...fields,
+    profileId: profileId.toString(),
+    profileName: profileNames.get(profileId.toString()) || null,
+    running: scheduler.isRunning(_id),
+    upcomingRuns: scheduler.upcoming(schedule)
+  };
 };
 
 /**
- * Utility: Standard error response
+ * Utility: Map scheduler errors onto responses
  */
-const errorResponse = (res, status, message) => {
-  return res.status(status).json({
-    success: false,
-    message,
-    timestamp: new Date()
-  });
+const scheduleErrorResponse = (res, error, route) => {
+  if (error instanceof Scheduler.ScheduleValidationError) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+      errors: error.errors,
+      timestamp: new Date()
+    });
+  }
+  console.error(`[ERROR] ${route}:`, error);
+  return errorResponse(res, 500, error.message);
 };
 
 /**
- * POST /api/check
- * Trigger consistency check on user's connected database
+ * GET /api/schedules
+ * Every schedule with its next run times and last status
  */
-router.post('/check', async (req, res) => {
+router.get('/schedules', async (req, res) => {
   try {
-    const { collection = 'users', sessionId } = req.body;
+    const [schedules, profileNames] = await Promise.all([scheduler.list(), getProfileNames()]);
+    return successResponse(res, schedules.map(schedule => formatSchedule(schedule, profileNames)));
+  } catch (error) {
+    console.error('[ERROR] /schedules:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
 
-    if (!sessionId) {
-      return errorResponse(res, 400, 'Session ID is required. Please connect to a database first.');
+/**
+ * GET /api/schedules/:id
+ * One schedule, including its run history (newest first)
+ */
+router.get('/schedules/:id', async (req, res) => {
+  try {
+    if (!isObjectIdString(req.params.id)) {
+      return errorResponse(res, 400, 'Invalid schedule ID format');
     }
 
-    // Check if session has an active connection
-    if (!activeConnections.has(sessionId)) {
-      return errorResponse(res, 400, 'No active database connection. Please connect first.');
+    const schedule = await scheduler.get(req.params.id);
+    if (!schedule) {
+      return errorResponse(res, 404, 'Schedule not found');
     }
 
-    const connection = activeConnections.get(sessionId);
-    const connInfo = connections.get(sessionId);
+    return successResponse(res, formatSchedule(schedule, await getProfileNames()));
+  } catch (error) {
+    console.error('[ERROR] /schedules/:id:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
 
-    // Validate collection against available collections in user's database
-    const availableCollections = connInfo.collections || [];
-    if (!availableCollections.includes(collection)) {
-      return errorResponse(
-        res,
-        400,
-        `Collection '${collection}' not found in connected database. Available: ${availableCollections.join(', ') || 'none'}`
-      );
-    }
+/**
+ * POST /api/schedules
+ * Create a schedule: { name, cron, profileId, collection, validator, options, enabled }
+ * options takes dryRun, approval, batchSize, sampleSize and writeBatchSize as for /api/check
+ */
+router.post('/schedules', requireRole('admin'), async (req, res) => {
+  try {
+    const schedule = await scheduler.create(req.body);
+    return successResponse(res.status(201), formatSchedule(schedule, await getProfileNames()), `Schedule '${schedule.name}' created`);
+  } catch (error) {
+    return scheduleErrorResponse(res, error, 'POST /schedules');
+  }
+});
 
-    // Prevent concurrent execution
-    if (consistencyChecker.isActive()) {
-      return errorResponse(res, 409, 'Consistency check already in progress');
+/**
+ * PUT /api/schedules/:id
+ * Change a schedule; fields left out keep their values
+ */
+router.put('/schedules/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (!isObjectIdString(req.params.id)) {
+      return errorResponse(res, 400, 'Invalid schedule ID format');
     }
 
-    console.log(`[START] Consistency check → ${collection} (session: ${sessionId})`);
-
-    // Create dynamic model from user's connection
-    const dynamicModel = connection.model(
-      collection,
-      new mongoose.Schema({}, { strict: false }),
-      collection
-    );
-
-    // Run check on user's database
-    const report = await consistencyChecker.checkCollection(collection, dynamicModel);
+    const schedule = await scheduler.update(req.params.id, req.body);
+    if (!schedule) {
+      return errorResponse(res, 404, 'Schedule not found');
+    }
 
-    // Save report
-    const savedReport = await reportGenerator.saveReport(report);
+    return successResponse(res, formatSchedule(schedule, await getProfileNames()), `Schedule '${schedule.name}' updated`);
+  } catch (error) {
+    return scheduleErrorResponse(res, error, 'PUT /schedules/:id');
+  }
+});
 
-    // Format response
-    const formattedReport =
-      reportGenerator.formatReportForDisplay(savedReport);
+/**
+ * DELETE /api/schedules/:id
+ * Delete a schedule; a run in progress finishes normally
+ */
+router.delete('/schedules/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (!isObjectIdString(req.params.id)) {
+      return errorResponse(res, 400, 'Invalid schedule ID format');
+    }
 
-    return successResponse(
-      res,
-      formattedReport,
-      `Consistency check completed for ${collection}`
-    );
+    const schedule = await scheduler.remove(req.params.id);
+    if (!schedule) {
+      return errorResponse(res, 404, 'Schedule not found');
+    }
 
+    return successResponse(res, { deletedId: req.params.id }, `Schedule '${schedule.name}' deleted`);
   } catch (error) {
-    console.error('[ERROR] /check:', error);
-    return errorResponse(res, 500, error.message || 'Internal Server Error');
+    console.error('[ERROR] DELETE /schedules/:id:', error);
+    return errorResponse(res, 500, error.message);
   }
 });
 
 /**
- * GET /api/report/latest
+ * POST /api/schedules/:id/run
+ * Run a schedule now, outside its cron times; responds with the queued job
+ * No session is needed, so cron jobs and CI pipelines can trigger checks this way
  */
-router.get('/report/latest', async (req, res) => {
+router.post('/schedules/:id/run', requireRole('operator'), async (req, res) => {
   try {
-    const { collection } = req.query;
+    if (!isObjectIdString(req.params.id)) {
+      return errorResponse(res, 400, 'Invalid schedule ID format');
+    }
 
-    const report = await reportGenerator.getLatestReport(collection);
+    const schedule = await scheduler.get(req.params.id);
+    if (!schedule) {
+      return errorResponse(res, 404, 'Schedule not found');
+    }
 
-    if (!report) {
-      return errorResponse(res, 404, 'No reports found');
+    if (!schedule.options.dryRun && !schedule.options.approval && !authService.hasRole(req.account, 'admin')) {
+      return errorResponse(res, 403, 'Running a schedule that applies repairs requires the admin role');
     }
 
-    const formattedReport =
-      reportGenerator.formatReportForDisplay(report);
+    if (scheduler.isRunning(schedule._id)) {
+      return errorResponse(res, 409, `Schedule '${schedule.name}' is already running`);
+    }
 
-    return successResponse(res, formattedReport);
+    const job = await scheduler.runNow(schedule, { actor: req.account.username, actorRole: req.account.role });
+    return successResponse(res.status(202), jobQueue.serialize(job), `Schedule '${schedule.name}' queued`);
+  } catch (error) {
+    console.error('[ERROR] /schedules/:id/run:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
+
+/**
+ * Utility: API shape of a connection profile; the URI is only ever shown redacted
+ */
+const formatProfile = (profile) => {
+  const { _id, __v, encryptedUri, ...fields } = profile;
+  return {
+    id: _id.toString(),
+    ...fields
+  };
+};
 
+/**
+ * Utility: Map connection profile errors onto responses
+ */
+const profileErrorResponse = (res, error, route) => {
+  if (error instanceof ConnectionProfileService.ProfileValidationError) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+      errors: error.errors,
+      timestamp: new Date()
+    });
+  }
+  if (error instanceof ConnectionProfileService.EncryptionKeyError) {
+    console.error(`[ERROR] ${route}: ${error.message}`);
+    return errorResponse(res, 503, error.message);
+  }
+  console.error(`[ERROR] ${route}:`, error);
+  return errorResponse(res, 500, error.message);
+};
+
+/**
+ * GET /api/profiles
+ * Saved connection profiles, with redacted URIs
+ */
+router.get('/profiles', async (req, res) => {
+  try {
+    const list = await profiles.list();
+    return successResponse(res, list.map(formatProfile));
   } catch (error) {
-    console.error('[ERROR] /report/latest:', error);
+    console.error('[ERROR] /profiles:', error);
     return errorResponse(res, 500, error.message);
   }
 });
 
 /**
- * GET /api/reports
+ * GET /api/profiles/:id
+ * One connection profile and the schedules that use it
  */
-router.get('/reports', async (req, res) => {
+router.get('/profiles/:id', async (req, res) => {
   try {
-    const { collection, limit = DEFAULT_LIMIT } = req.query;
+    if (!isObjectIdString(req.params.id)) {
+      return errorResponse(res, 400, 'Invalid profile ID format');
+    }
 
-    const reports = await reportGenerator.getAllReports(
-      collection,
-      parseInt(limit)
-    );
+    const profile = await profiles.get(req.params.id);
+    if (!profile) {
+      return errorResponse(res, 404, 'Connection profile not found');
+    }
 
-    const formattedReports = reports.map(r =>
-      reportGenerator.formatReportForDisplay(r)
-    );
+    const schedules = await profiles.usage(profile._id);
+    return successResponse(res, { ...formatProfile(profile), schedules });
+  } catch (error) {
+    console.error('[ERROR] /profiles/:id:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
 
-    return successResponse(res, formattedReports, null);
+/**
+ * POST /api/profiles
+ * Save a connection profile: { name, mongoUri }; the URI is encrypted before it is stored
+ */
+router.post('/profiles', requireRole('admin'), async (req, res) => {
+  try {
+    const profile = await profiles.create(req.body);
+    req.audit.profileId = profile._id;
+    return successResponse(res.status(201), formatProfile(profile), `Connection profile '${profile.name}' saved`);
+  } catch (error) {
+    return profileErrorResponse(res, error, 'POST /profiles');
+  }
+});
 
+/**
+ * PUT /api/profiles/:id
+ * Rename a profile or replace its URI; sessions already connected keep their connection
+ */
+router.put('/profiles/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (!isObjectIdString(req.params.id)) {
+      return errorResponse(res, 400, 'Invalid profile ID format');
+    }
+    req.audit.profileId = req.params.id;
+
+    const profile = await profiles.update(req.params.id, req.body);
+    if (!profile) {
+      return errorResponse(res, 404, 'Connection profile not found');
+    }
+
+    return successResponse(res, formatProfile(profile), `Connection profile '${profile.name}' updated`);
   } catch (error) {
-    console.error('[ERROR] /reports:', error);
-    return errorResponse(res, 500, error.message);
+    return profileErrorResponse(res, error, 'PUT /profiles/:id');
   }
 });
 
 /**
- * GET /api/status
+ * DELETE /api/profiles/:id
+ * Delete a profile no schedule uses; reports keep its ID
  */
-router.get('/status', async (req, res) => {
+router.delete('/profiles/:id', requireRole('admin'), async (req, res) => {
   try {
-    const { collection = 'users' } = req.query;
+    if (!isObjectIdString(req.params.id)) {
+      return errorResponse(res, 400, 'Invalid profile ID format');
+    }
+    req.audit.profileId = req.params.id;
 
-    if (!VALID_COLLECTIONS.includes(collection)) {
-      return errorResponse(res, 400, 'Invalid collection');
+    const schedules = await profiles.usage(req.params.id);
+    if (schedules.length > 0) {
+      return errorResponse(res, 409, `Connection profile is used by schedules: ${schedules.join(', ')}`);
     }
 
-    const status = await consistencyChecker.getConsistencyStatus(collection);
-    const latestReport = await reportGenerator.getLatestReport(collection);
+    const profile = await profiles.remove(req.params.id);
+    if (!profile) {
+      return errorResponse(res, 404, 'Connection profile not found');
+    }
 
-    return successResponse(res, {
-      ...status,
-      isActive: consistencyChecker.isActive(),
-      latestReport: latestReport
-        ? reportGenerator.formatReportForDisplay(latestReport)
-        : null
+    return successResponse(res, { deletedId: req.params.id }, `Connection profile '${profile.name}' deleted`);
+  } catch (error) {
+    console.error('[ERROR] DELETE /profiles/:id:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
+
+/**
+ * Utility: API shape of a notification channel; secret settings are left out and only named in secretsSet
+ */
+const formatChannel = (channel) => {
+  const { _id, __v, encryptedSecrets, secretsSet = [], ...fields } = channel;
+  return {
+    id: _id.toString(),
+    ...fields,
+    secretsSet
+  };
+};
+
+/**
+ * Utility: Map notification channel errors onto responses
+ */
+const channelErrorResponse = (res, error, route) => {
+  if (error instanceof NotificationService.ChannelValidationError) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+      errors: error.errors,
+      timestamp: new Date()
     });
+  }
+  if (error instanceof EncryptionKeyError) {
+    console.error(`[ERROR] ${route}: ${error.message}`);
+    return errorResponse(res, 503, error.message);
+  }
+  console.error(`[ERROR] ${route}:`, error);
+  return errorResponse(res, 500, error.message);
+};
 
+/**
+ * GET /api/notifications
+ * Notification channels, without their secret settings
+ */
+router.get('/notifications', requireRole('admin'), async (req, res) => {
+  try {
+    const channels = await notifications.list();
+    return successResponse(res, channels.map(formatChannel));
   } catch (error) {
-    console.error('[ERROR] /status:', error);
+    console.error('[ERROR] /notifications:', error);
     return errorResponse(res, 500, error.message);
   }
 });
 
 /**
- * GET /api/stats
+ * GET /api/notifications/:id
+ * One channel and its recent deliveries
  */
-router.get('/stats', async (req, res) => {
+router.get('/notifications/:id', requireRole('admin'), async (req, res) => {
   try {
-    const { collection } = req.query;
-
-    const stats = await reportGenerator.generateSummaryStats(collection);
+    if (!isObjectIdString(req.params.id)) {
+      return errorResponse(res, 400, 'Invalid channel ID format');
+    }
 
-    return successResponse(res, stats);
+    const channel = await notifications.get(req.params.id);
+    if (!channel) {
+      return errorResponse(res, 404, 'Notification channel not found');
+    }
 
+    return successResponse(res, formatChannel(channel));
   } catch (error) {
-    console.error('[ERROR] /stats:', error);
+    console.error('[ERROR] /notifications/:id:', error);
     return errorResponse(res, 500, error.message);
   }
 });
 
 /**
- * GET /api/health
+ * POST /api/notifications
+ * Create a channel: { name, type, enabled, triggers, collections, config }
+ * type is webhook, slack or email; triggers takes anyIssues, issuesAbove, becameInconsistent and errored
  */
-router.get('/health', (req, res) => {
-  return successResponse(res, {
-    status: 'healthy',
-    uptime: process.uptime(),
-    active: consistencyChecker.isActive()
-  });
+router.post('/notifications', requireRole('admin'), async (req, res) => {
+  try {
+    const channel = await notifications.create(req.body);
+    return successResponse(res.status(201), formatChannel(channel), `Notification channel '${channel.name}' created`);
+  } catch (error) {
+    return channelErrorResponse(res, error, 'POST /notifications');
+  }
 });
 
 /**
- * POST /api/cleanup
+ * PUT /api/notifications/:id
+ * Change a channel; fields and config settings left out keep their values
  */
-router.post('/cleanup', async (req, res) => {
+router.put('/notifications/:id', requireRole('admin'), async (req, res) => {
   try {
-    const { daysToKeep = 30, collection } = req.body;
-
-    if (daysToKeep <= 0) {
-      return errorResponse(res, 400, 'daysToKeep must be > 0');
+    if (!isObjectIdString(req.params.id)) {
+      return errorResponse(res, 400, 'Invalid channel ID format');
     }
 
-    const result = await reportGenerator.cleanupOldReports(
-      daysToKeep,
-      collection
-    );
-
-    return successResponse(
-      res,
-      { deletedCount: result.deletedCount },
-      `Cleaned up ${result.deletedCount} old reports`
-    );
+    const channel = await notifications.update(req.params.id, req.body);
+    if (!channel) {
+      return errorResponse(res, 404, 'Notification channel not found');
+    }
 
+    return successResponse(res, formatChannel(channel), `Notification channel '${channel.name}' updated`);
   } catch (error) {
-    console.error('[ERROR] /cleanup:', error);
-    return errorResponse(res, 500, error.message);
+    return channelErrorResponse(res, error, 'PUT /notifications/:id');
   }
 });
 
 /**
- * DELETE /api/reports/:id
- * Delete a specific report by ID
+ * DELETE /api/notifications/:id
  */
-router.delete('/reports/:id', async (req, res) => {
+router.delete('/notifications/:id', requireRole('admin'), async (req, res) => {
   try {
-    const { id } = req.params;
+    if (!isObjectIdString(req.params.id)) {
+      return errorResponse(res, 400, 'Invalid channel ID format');
+    }
 
-    // Validate ID format
-    if (!id || !id.match(/^[0-9a-fA-F]{24}$/)) {
-      return errorResponse(res, 400, 'Invalid report ID format');
+    const channel = await notifications.remove(req.params.id);
+    if (!channel) {
+      return errorResponse(res, 404, 'Notification channel not found');
     }
 
-    // Find and delete the report
-    const deletedReport = await Report.findByIdAndDelete(id);
+    return successResponse(res, { deletedId: req.params.id }, `Notification channel '${channel.name}' deleted`);
+  } catch (error) {
+    console.error('[ERROR] DELETE /notifications/:id:', error);
+    return errorResponse(res, 500, error.message);
+  }
+});
 
-    if (!deletedReport) {
-      return errorResponse(res, 404, 'Report not found');
+/**
+ * POST /api/notifications/:id/test
+ * Send a test message through a channel once, without retries, and report how it went
+ */
+router.post('/notifications/:id/test', requireRole('admin'), async (req, res) => {
+  try {
+    if (!isObjectIdString(req.params.id)) {
+      return errorResponse(res, 400, 'Invalid channel ID format');
     }
 
-    console.log(`[DELETE] Report ${id} deleted successfully`);
-
-    return successResponse(
-      res,
-      { deletedId: id },
-      'Report deleted successfully'
-    );
+    const result = await notifications.test(req.params.id);
+    if (!result) {
+      return errorResponse(res, 404, 'Notification channel not found');
+    }
 
+    if (!result.ok) {
+      return errorResponse(res, 502, `Test delivery failed: ${result.error}`);
+    }
+    return successResponse(res, result, 'Test notification delivered');
   } catch (error) {
-    console.error('[ERROR] DELETE /reports/:id:', error);
-    return errorResponse(res, 500, error.message);
+    return channelErrorResponse(res, error, 'POST /notifications/:id/test');
   }
 });
 
 /**
  * POST /api/connection/test
- * Test a MongoDB connection string without saving
+ * Test a saved profile ({ profileId }) or a connection string before saving it ({ mongoUri })
  */
-router.post('/connection/test', async (req, res) => {
+router.post('/connection/test', requireRole('operator'), async (req, res) => {
   try {
-    const { mongoUri } = req.body;
+    const { profileId } = req.body;
+    let { mongoUri } = req.body;
+
+    if (profileId) {
+      if (!isObjectIdString(profileId)) {
+        return errorResponse(res, 400, 'Invalid profile ID format');
+      }
+
+      const resolved = await profiles.resolve(profileId);
+      if (!resolved) {
+        return errorResponse(res, 404, 'Connection profile not found');
+      }
+      mongoUri = resolved.mongoUri;
+    }
 
     if (!mongoUri) {
-      return errorResponse(res, 400, 'MongoDB URI is required');
+      return errorResponse(res, 400, 'profileId or mongoUri is required');
+    }
+
+    // Testing arbitrary URIs is part of managing profiles
+    if (!profileId && !authService.hasRole(req.account, 'admin')) {
+      return errorResponse(res, 403, 'Testing a new connection string requires the admin role');
     }
 
     // Validate URI format
@@ -294,18 +2437,7 @@ router.post('/connection/test', async (req, res) => {
     console.log('[TEST] Testing MongoDB connection...');
 
     // Create a temporary connection
-    const tempConnection = mongoose.createConnection(mongoUri, {
-      useNewUrlParser: true,
-      useUnifiedTopology: true,
-      serverSelectionTimeoutMS: 5000, // 5 second timeout
-    });
-
-    // Wait for connection
-    await new Promise((resolve, reject) => {
-      tempConnection.once('connected', resolve);
-      tempConnection.once('error', reject);
-      setTimeout(() => reject(new Error('Connection timeout')), 5000);
-    });
+    const tempConnection = await openConnection(mongoUri, 5000);
 
     // Get database info
     const db = tempConnection.db;
@@ -329,48 +2461,67 @@ router.post('/connection/test', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof ConnectionProfileService.EncryptionKeyError) {
+      return profileErrorResponse(res, error, '/connection/test');
+    }
     console.error('[ERROR] Connection test failed:', error);
     return errorResponse(res, 500, `Connection failed: ${error.message}`);
   }
 });
 
+/**
+ * Utility: Refuse to close a session's connection while its jobs still use it
+ * @returns {Object|null} The 409 response sent, or null when the session has no queued or running jobs
+ */
+const rejectIfSessionBusy = (res, sessionId, action) => {
+  const jobs = jobQueue.findActive({ sessionId });
+  if (jobs.length === 0) return null;
+
+  return errorResponse(
+    res,
+    409,
+    `Cannot ${action} while ${jobs.length} job(s) of this session are queued or running; wait for them or cancel them first`
+  );
+};
+
 /**
  * POST /api/connection/connect
- * Save and establish a persistent connection
+ * Establish a persistent connection for a session through a saved profile: { profileId, sessionId }
  */
-router.post('/connection/connect', async (req, res) => {
+router.post('/connection/connect', requireRole('operator'), async (req, res) => {
   try {
-    const { mongoUri, sessionId } = req.body;
+    const { profileId, sessionId } = req.body;
 
-    if (!mongoUri) {
-      return errorResponse(res, 400, 'MongoDB URI is required');
+    if (!profileId) {
+      return errorResponse(res, 400, 'profileId is required; save the connection string as a profile first (POST /api/profiles)');
+    }
+
+    if (!isObjectIdString(profileId)) {
+      return errorResponse(res, 400, 'Invalid profile ID format');
     }
 
     if (!sessionId) {
       return errorResponse(res, 400, 'Session ID is required');
     }
 
+    const resolved = await profiles.resolve(profileId);
+    if (!resolved) {
+      return errorResponse(res, 404, 'Connection profile not found');
+    }
+
     // Close existing connection for this session if exists
     if (activeConnections.has(sessionId)) {
+      if (rejectIfSessionBusy(res, sessionId, 'reconnect')) return;
       const existingConn = activeConnections.get(sessionId);
       await existingConn.close();
       activeConnections.delete(sessionId);
+      connections.delete(sessionId);
     }
 
-    console.log(`[CONNECT] Establishing connection for session: ${sessionId}`);
+    console.log(`[CONNECT] Establishing connection for session: ${sessionId} (profile '${resolved.profile.name}')`);
 
     // Create new persistent connection
-    const newConnection = mongoose.createConnection(mongoUri, {
-      useNewUrlParser: true,
-      useUnifiedTopology: true,
-    });
-
-    // Wait for connection
-    await new Promise((resolve, reject) => {
-      newConnection.once('connected', resolve);
-      newConnection.once('error', reject);
-      setTimeout(() => reject(new Error('Connection timeout')), 10000);
-    });
+    const newConnection = await openConnection(resolved.mongoUri);
 
     // Get database info
     const db = newConnection.db;
@@ -381,23 +2532,30 @@ router.post('/connection/connect', async (req, res) => {
     // Store connection
     activeConnections.set(sessionId, newConnection);
     connections.set(sessionId, {
-      mongoUri,
+      profileId,
+      profileName: resolved.profile.name,
       database: dbName,
       collections: collectionNames,
       connectedAt: new Date()
     });
+    await profiles.recordConnection(profileId, dbName);
 
     console.log(`[CONNECT] Session ${sessionId} connected to ${dbName}`);
 
     return successResponse(res, {
       connected: true,
       sessionId,
+      profileId,
+      profileName: resolved.profile.name,
       database: dbName,
       collections: collectionNames,
       message: `Connected to ${dbName}`
     });
 
   } catch (error) {
+    if (error instanceof ConnectionProfileService.EncryptionKeyError) {
+      return profileErrorResponse(res, error, '/connection/connect');
+    }
     console.error('[ERROR] Connection failed:', error);
     return errorResponse(res, 500, `Connection failed: ${error.message}`);
   }
@@ -427,6 +2585,8 @@ router.get('/connection/status', async (req, res) => {
     return successResponse(res, {
       connected: isConnected,
       sessionId,
+      profileId: connInfo.profileId,
+      profileName: connInfo.profileName,
       database: connInfo.database,
       collections: connInfo.collections,
       connectedAt: connInfo.connectedAt,
@@ -443,7 +2603,7 @@ router.get('/connection/status', async (req, res) => {
  * POST /api/connection/disconnect
  * Disconnect from database
  */
-router.post('/connection/disconnect', async (req, res) => {
+router.post('/connection/disconnect', requireRole('operator'), async (req, res) => {
   try {
     const { sessionId } = req.body;
 
@@ -452,6 +2612,7 @@ router.post('/connection/disconnect', async (req, res) => {
     }
 
     if (activeConnections.has(sessionId)) {
+      if (rejectIfSessionBusy(res, sessionId, 'disconnect')) return;
       const conn = activeConnections.get(sessionId);
       await conn.close();
       activeConnections.delete(sessionId);
@@ -501,4 +2662,8 @@ router.get('/connection/collections', async (req, res) => {
   }
 });
 
+router.scheduler = scheduler;
+router.authService = authService;
+router.serveMetrics = serveMetrics;
+
 module.exports = router;
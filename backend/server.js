@@ -3,9 +3,14 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const path = require('path');
+const { installConsoleRedaction } = require('./services/secretUtils');
+
+// Mask connection credentials in every log line, including driver errors
+installConsoleRedaction();
 
 // Import routes
 const apiRoutes = require('./routes/api');
+const Status = require('./models/Status');
 
 // Initialize Express app
 const app = express();
@@ -22,6 +27,9 @@ app.use(express.static(path.join(__dirname, '../frontend')));
 //  API route handling (all routes prefixed with /api)
 app.use('/api', apiRoutes);
 
+// Prometheus metrics, at the path scrapers use by default
+app.get('/metrics', apiRoutes.serveMetrics);
+
 // Serve frontend for all other routes
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '../frontend/index.html'));
@@ -49,9 +57,32 @@ mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/consistency
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => {
+.then(async () => {
   console.log('Connected to MongoDB successfully');
+
+  // First start: create the admin account everyone else is managed from
+  try {
+    await apiRoutes.authService.ensureAdmin(process.env.ADMIN_USERNAME, process.env.ADMIN_PASSWORD);
+  } catch (error) {
+    console.error('[AUTH] Could not create the admin account:', error.message);
+  }
   
+  // Status was once unique per collection name alone; its index would block per-database entries
+  try {
+    await Status.collection.dropIndex('collection_1');
+    console.log('[STATUS] Dropped the old per-collection unique index');
+  } catch (error) {
+    // Already gone, or the collection does not exist yet
+    if (!['IndexNotFound', 'NamespaceNotFound'].includes(error.codeName)) {
+      console.error('[STATUS] Could not drop the old per-collection index:', error.message);
+    }
+  }
+
+  // Run stored schedules; disable on all but one instance when running several
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    apiRoutes.scheduler.start();
+  }
+
   // Start server
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
@@ -69,6 +100,7 @@ process.on('SIGINT', async () => {
   console.log('Shutting down gracefully...');
   
   try {
+    apiRoutes.scheduler.stop();
     await mongoose.connection.close();
     console.log('MongoDB connection closed');
     process.exit(0);
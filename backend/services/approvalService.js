@@ -0,0 +1,209 @@
+/**
+ * Approval Service - Repairs held for human review
+ * Checks run with approval: true store each proposed repair as a PendingRepair
+ * instead of writing it. Reviewers approve or reject items one by one or in bulk;
+ * ConsistencyChecker.applyApproved later applies the approved ones with a follow-up report.
+ */
+
+const { isDeepStrictEqual } = require('util');
+const PendingRepair = require('../models/PendingRepair');
+const { groupByDocument } = require('./issueUtils');
+const { getValue } = require('./pathUtils');
+
+const DECISIONS = { approve: 'approved', reject: 'rejected' };
+// Item fields reviewers can filter on
+const FILTER_FIELDS = ['database', 'collection', 'reportId', 'documentId', 'field', 'issue', 'severity', 'action', 'status'];
+const SEVERITY_ORDER = ['high', 'medium', 'low'];
+
+class ApprovalService {
+  /**
+   * Store proposed repairs for review
+   * Each repair is linked to the issue on its field; whole-document repairs are
+   * linked to the document's most severe issue.
+   * @param {Object} report - Report of the check proposing the repairs
+   * @param {Array} planned - Planned repairs
+   * @param {Array} issues - Issues found in the same batch
+   * @returns {number} Items stored
+   */
+  async savePending(report, planned, issues) {
+    if (planned.length === 0) return 0;
+
+    const issuesByDocument = groupByDocument(issues);
+    const items = planned.map(repair => {
+      const docIssues = issuesByDocument.get(repair.documentId) || [];
+      const issue = docIssues.find(candidate => candidate.field === repair.field) ||
+        (repair.field === null ? this.mostSevere(docIssues) : null) || {};
+
+      return {
+        reportId: report._id,
+        database: report.database,
+        collection: report.collection,
+        validator: report.validator,
+        documentId: repair.documentId,
+        field: repair.field,
+        issue: issue.issue || null,
+        severity: issue.severity || null,
+        description: issue.description || null,
+        action: repair.action,
+        oldValue: repair.oldValue,
+        newValue: repair.newValue
+      };
+    });
+
+    await PendingRepair.insertMany(items);
+    return items.length;
+  }
+
+  mostSevere(issues) {
+    return [...issues].sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity))[0];
+  }
+
+  /**
+   * MongoDB query for a reviewer's filter; unknown keys and empty values are ignored
+   */
+  buildQuery(filter = {}) {
+    const query = {};
+    FILTER_FIELDS.forEach(key => {
+      if (filter[key] !== undefined && filter[key] !== '') query[key] = filter[key];
+    });
+    return query;
+  }
+
+  /**
+   * Items matching a filter, newest first
+   * @returns {Object} { items, total }
+   */
+  async list(filter, { limit, skip }) {
+    const query = this.buildQuery(filter);
+    const [items, total] = await Promise.all([
+      PendingRepair.find(query).sort({ createdAt: -1, _id: 1 }).skip(skip).limit(limit).lean(),
+      PendingRepair.countDocuments(query)
+    ]);
+    return { items, total };
+  }
+
+  /**
+   * Item counts per status, and the values reviewers can filter pending items by
+   * @returns {Object} { counts, fields, issues, severities }
+   */
+  async summarize(database, collection) {
+    const scope = this.buildQuery({ database, collection });
+    const pending = { ...scope, status: 'pending' };
+
+    const [statuses, fields, issues, severities] = await Promise.all([
+      PendingRepair.aggregate([{ $match: scope }, { $group: { _id: '$status', count: { $sum: 1 } } }]),
+      PendingRepair.distinct('field', pending),
+      PendingRepair.distinct('issue', pending),
+      PendingRepair.distinct('severity', pending)
+    ]);
+
+    const counts = {};
+    PendingRepair.STATUSES.forEach(status => { counts[status] = 0; });
+    statuses.forEach(({ _id, count }) => { counts[_id] = count; });
+
+    return {
+      counts,
+      fields: fields.filter(field => field !== null).sort(),
+      issues: issues.filter(Boolean).sort(),
+      severities: SEVERITY_ORDER.filter(severity => severities.includes(severity))
+    };
+  }
+
+  /**
+   * Approve or reject pending items
+   * Only pending items change; a decision, once made, is final.
+   * @param {Object} selection - { ids } for specific items, otherwise a filter as for list()
+   * @param {string} decision - approve or reject
+   * @param {string} user - Who made the decision
+   * @param {string} comment - Optional reason
+   * @returns {number} Items decided
+   */
+  async decide(selection, decision, user, comment = null) {
+    if (!DECISIONS[decision]) {
+      throw new Error(`Unknown decision '${decision}'. Available: ${Object.keys(DECISIONS).join(', ')}`);
+    }
+
+    const query = Array.isArray(selection.ids)
+      ? { _id: { $in: selection.ids } }
+      : this.buildQuery(selection);
+    query.status = 'pending';
+
+    const result = await PendingRepair.updateMany(query, {
+      $set: { status: DECISIONS[decision], decidedBy: user, decidedAt: new Date(), comment }
+    });
+
+    console.log(`[APPROVAL] ${user} ${DECISIONS[decision]} ${result.modifiedCount} repairs`);
+    return result.modifiedCount;
+  }
+
+  /**
+   * Number of approved items waiting to be applied to a collection
+   */
+  async countApproved(database, collection) {
+    return PendingRepair.countDocuments({ database, collection, status: 'approved' });
+  }
+
+  /**
+   * Next approved items to apply, oldest first
+   */
+  async nextApproved(database, collection, limit) {
+    return PendingRepair.find({ database, collection, status: 'approved' }).sort({ _id: 1 }).limit(limit).lean();
+  }
+
+  /**
+   * Split approved items into those still applicable and those overtaken by later changes
+   * A field repair only applies while the field still holds the value the check saw.
+   * @param {Array} items - Approved items
+   * @param {Array} documents - The documents they touch, as they are now
+   * @returns {Object} { ready, stale: [{ item, reason }] }
+   */
+  partitionStale(items, documents) {
+    const byId = new Map(documents.map(doc => [String(doc._id), doc]));
+    const ready = [];
+    const stale = [];
+
+    items.forEach(item => {
+      const doc = byId.get(item.documentId);
+      if (!doc) {
+        stale.push({ item, reason: 'Document no longer exists' });
+      } else if (item.field !== null && !isDeepStrictEqual(getValue(doc, item.field), item.oldValue)) {
+        stale.push({ item, reason: `Field '${item.field}' changed since the check` });
+      } else {
+        ready.push(item);
+      }
+    });
+
+    return { ready, stale };
+  }
+
+  /**
+   * Record what happened to each approved item
+   * @param {Array} results - { item, applied, error }
+   * @param {Object} report - Follow-up report that applied them
+   * @param {string} user - Who applied them
+   */
+  async markApplied(results, report, user) {
+    if (results.length === 0) return;
+
+    const appliedAt = new Date();
+    await PendingRepair.bulkWrite(results.map(({ item, applied, error }) => ({
+      updateOne: {
+        filter: { _id: item._id },
+        update: {
+          $set: {
+            status: applied ? 'applied' : 'failed',
+            appliedReportId: report._id,
+            appliedBy: user,
+            appliedAt,
+            error: applied ? null : error
+          }
+        }
+      }
+    })), { ordered: false });
+  }
+}
+
+ApprovalService.DECISIONS = DECISIONS;
+ApprovalService.FILTER_FIELDS = FILTER_FIELDS;
+
+module.exports = ApprovalService;
@@ -0,0 +1,188 @@
+/**
+ * Audit Service - Append-only, hash-chained record of every change made through the API
+ * and every repair batch written by a job. Each entry's hash covers its own fields and the
+ * previous entry's hash, so editing, deleting or inserting an entry breaks the chain from
+ * that point on; verify() walks the chain and reports the first break.
+ */
+
+const crypto = require('crypto');
+const AuditEntry = require('../models/AuditEntry');
+const { redactSecrets } = require('./secretUtils');
+
+const GENESIS_HASH = '0'.repeat(64);
+// Fields covered by an entry's hash, in order
+const HASHED_FIELDS = [
+  'seq', 'timestamp', 'actor', 'actorRole', 'source', 'action', 'path', 'sessionId', 'profileId',
+  'database', 'collection', 'target', 'params', 'outcome', 'statusCode', 'message', 'prevHash'
+];
+const SECRET_KEYS = /password|secret|token/i;
+const MAX_PARAM_DEPTH = 6;
+// Another instance may append between reading the tail and writing; retry on the seq clash
+const APPEND_ATTEMPTS = 5;
+const FILTER_FIELDS = ['actor', 'action', 'source', 'outcome', 'sessionId', 'profileId', 'database', 'collection', 'target'];
+
+/**
+ * Mask a secret value; an object (e.g. HTTP headers) keeps its keys so the log shows what was set
+ */
+const maskSecret = (value) => {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) return '****';
+  const masked = {};
+  Object.keys(value).forEach(key => {
+    masked[key] = '****';
+  });
+  return masked;
+};
+
+/**
+ * Copy request parameters for the log: secret-looking keys and the given secret keys are
+ * masked, URIs redacted
+ * @param {*} value - Parameters to copy
+ * @param {Array} secretKeys - Further keys whose values are secret wherever they appear
+ */
+const sanitizeParams = (value, secretKeys = [], depth = 0) => {
+  if (typeof value === 'string') return redactSecrets(value);
+  if (value === null || typeof value !== 'object') return value === undefined ? null : value;
+  if (depth >= MAX_PARAM_DEPTH) return '[truncated]';
+  // Dates and ObjectIds
+  if (typeof value.toJSON === 'function') return sanitizeParams(value.toJSON(), secretKeys, depth + 1);
+  if (Array.isArray(value)) return value.map(item => sanitizeParams(item, secretKeys, depth + 1));
+
+  const copy = {};
+  Object.keys(value).forEach(key => {
+    copy[key] = SECRET_KEYS.test(key) || secretKeys.includes(key)
+      ? maskSecret(value[key])
+      : sanitizeParams(value[key], secretKeys, depth + 1);
+  });
+  return copy;
+};
+
+const computeHash = (entry) => {
+  const values = HASHED_FIELDS.map(field => {
+    const value = entry[field];
+    if (value instanceof Date) return value.toISOString();
+    return value === undefined ? null : value;
+  });
+  return crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex');
+};
+
+class AuditService {
+  constructor() {
+    // Appends from this process are chained one after another
+    this.tail = Promise.resolve();
+  }
+
+  /**
+   * Append an entry to the chain
+   * @param {Object} fields - actor, actorRole, source, action, path, sessionId, profileId,
+   *                          database, collection, target, params, outcome, statusCode, message,
+   *                          and secretKeys: keys of params to mask besides the secret-looking ones
+   * @returns {Promise<Object>} The stored entry
+   */
+  record(fields) {
+    const entry = {
+      actor: fields.actor || null,
+      actorRole: fields.actorRole || null,
+      source: fields.source || 'api',
+      action: fields.action,
+      path: fields.path || null,
+      sessionId: fields.sessionId || null,
+      profileId: fields.profileId ? String(fields.profileId) : null,
+      database: fields.database || null,
+      collection: fields.collection || null,
+      target: fields.target ? String(fields.target) : null,
+      params: fields.params === undefined ? null : JSON.stringify(sanitizeParams(fields.params, fields.secretKeys)),
+      outcome: fields.outcome || 'success',
+      statusCode: fields.statusCode === undefined ? null : fields.statusCode,
+      message: fields.message ? redactSecrets(String(fields.message)) : null
+    };
+
+    const appended = this.tail.then(() => this.append(entry));
+    this.tail = appended.catch(() => {});
+    return appended;
+  }
+
+  async append(entry) {
+    for (let attempt = 1; ; attempt++) {
+      const last = await AuditEntry.findOne({}).sort({ seq: -1 }).select('seq hash').lean();
+      const linked = {
+        ...entry,
+        seq: last ? last.seq + 1 : 1,
+        timestamp: new Date(),
+        prevHash: last ? last.hash : GENESIS_HASH
+      };
+      linked.hash = computeHash(linked);
+
+      try {
+        const saved = await AuditEntry.create(linked);
+        return saved.toObject();
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= APPEND_ATTEMPTS) throw error;
+      }
+    }
+  }
+
+  /**
+   * Entries matching a filter, newest first
+   * @param {Object} filter - Any of FILTER_FIELDS, plus from and to (dates) on the timestamp
+   * @param {Object} options - limit and skip
+   * @returns {Object} { entries, total }
+   */
+  async list(filter = {}, { limit = 50, skip = 0 } = {}) {
+    const query = {};
+    FILTER_FIELDS.forEach(key => {
+      if (filter[key] !== undefined) query[key] = filter[key];
+    });
+    if (filter.from || filter.to) {
+      query.timestamp = {};
+      if (filter.from) query.timestamp.$gte = filter.from;
+      if (filter.to) query.timestamp.$lte = filter.to;
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditEntry.find(query).sort({ seq: -1 }).skip(skip).limit(limit).lean(),
+      AuditEntry.countDocuments(query)
+    ]);
+    return { entries, total };
+  }
+
+  /**
+   * Walk the whole chain, recomputing every hash
+   * Removing entries from the end cannot be detected from the chain alone; keep the
+   * returned headHash somewhere else to compare against later.
+   * @returns {Object} { valid, checked, headSeq, headHash, brokenAt: { seq, reason } | null }
+   */
+  async verify() {
+    let expectedSeq = 1;
+    let prevHash = GENESIS_HASH;
+    let checked = 0;
+
+    const cursor = AuditEntry.find({}).sort({ seq: 1 }).lean().cursor();
+    for await (const entry of cursor) {
+      let reason = null;
+      if (entry.seq !== expectedSeq) {
+        reason = `expected entry ${expectedSeq} but found ${entry.seq}; entries are missing`;
+      } else if (entry.prevHash !== prevHash) {
+        reason = 'previous hash does not match the entry before it';
+      } else if (computeHash(entry) !== entry.hash) {
+        reason = 'hash does not match the entry contents; it was modified';
+      }
+
+      if (reason) {
+        await cursor.close();
+        console.warn(`[AUDIT] Chain broken at entry ${entry.seq}: ${reason}`);
+        return { valid: false, checked, headSeq: null, headHash: null, brokenAt: { seq: entry.seq, reason } };
+      }
+
+      checked++;
+      expectedSeq = entry.seq + 1;
+      prevHash = entry.hash;
+    }
+
+    return { valid: true, checked, headSeq: expectedSeq - 1, headHash: prevHash, brokenAt: null };
+  }
+}
+
+AuditService.FILTER_FIELDS = FILTER_FIELDS;
+AuditService.OUTCOMES = AuditEntry.OUTCOMES;
+
+module.exports = AuditService;
@@ -0,0 +1,252 @@
+/**
+ * Auth Service - Local accounts, password hashing and bearer-token sessions
+ * Passwords are hashed with scrypt; tokens are random and stored only as SHA-256
+ * hashes, so neither can be recovered from the database.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const Account = require('../models/Account');
+const AuthToken = require('../models/AuthToken');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Each role can do everything the ones before it can
+const ROLE_LEVELS = { viewer: 1, operator: 2, admin: 3 };
+const DEFAULT_TOKEN_TTL_HOURS = 12;
+const MIN_PASSWORD_LENGTH = 8;
+const SALT_BYTES = 16;
+const KEY_BYTES = 64;
+const TOKEN_BYTES = 32;
+
+class AccountValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid account: ${errors.join('; ')}`);
+    this.name = 'AccountValidationError';
+    this.errors = errors;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class AuthService {
+  /**
+   * @param {Object} options - Service options
+   * @param {number} options.tokenTtlHours - How long a login stays valid
+   */
+  constructor(options = {}) {
+    this.tokenTtlHours = options.tokenTtlHours || DEFAULT_TOKEN_TTL_HOURS;
+  }
+
+  /**
+   * Whether an account's role includes another role
+   */
+  hasRole(account, role) {
+    return Boolean(account) && ROLE_LEVELS[account.role] >= ROLE_LEVELS[role];
+  }
+
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const key = await scrypt(password, salt, KEY_BYTES);
+    return `scrypt:${salt.toString('hex')}:${key.toString('hex')}`;
+  }
+
+  async verifyPassword(password, stored) {
+    const [scheme, salt, expected] = stored.split(':');
+    if (scheme !== 'scrypt') return false;
+
+    const key = await scrypt(password, Buffer.from(salt, 'hex'), KEY_BYTES);
+    return crypto.timingSafeEqual(key, Buffer.from(expected, 'hex'));
+  }
+
+  /**
+   * Check an account definition
+   * @param {Object} options - partial: only check the fields present (for updates)
+   * @returns {Array} Error messages, empty when valid
+   */
+  validateDefinition({ username, password, role, disabled }, { partial = false } = {}) {
+    const errors = [];
+
+    if (!partial && (typeof username !== 'string' || !/^[a-zA-Z0-9._-]{3,64}$/.test(username.trim()))) {
+      errors.push('username must be 3-64 letters, digits, dots, dashes or underscores');
+    }
+
+    if ((!partial || password !== undefined) &&
+        (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+      errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    if ((!partial || role !== undefined) && !Account.ROLES.includes(role)) {
+      errors.push(`role must be one of: ${Account.ROLES.join(', ')}`);
+    }
+
+    if (disabled !== undefined && typeof disabled !== 'boolean') {
+      errors.push('disabled must be a boolean');
+    }
+
+    return errors;
+  }
+
+  async list() {
+    return Account.find({}).sort({ username: 1 }).lean();
+  }
+
+  async get(id) {
+    return Account.findById(id).lean();
+  }
+
+  /**
+   * Create an account
+   * @throws {AccountValidationError} When the definition is invalid or the username is taken
+   */
+  async create({ username, password, role = 'viewer' }) {
+    const errors = this.validateDefinition({ username, password, role });
+    const name = typeof username === 'string' ? username.trim().toLowerCase() : username;
+    if (errors.length === 0 && await Account.exists({ username: name })) {
+      errors.push(`username '${name}' is taken`);
+    }
+    if (errors.length > 0) {
+      throw new AccountValidationError(errors);
+    }
+
+    const account = await Account.create({
+      username: name,
+      passwordHash: await this.hashPassword(password),
+      role
+    });
+
+    console.log(`[AUTH] Account '${account.username}' created (${account.role})`);
+    return this.get(account._id);
+  }
+
+  /**
+   * Change an account's password, role or disabled flag
+   * Changing the password or disabling the account signs it out everywhere.
+   * @returns {Object|null} The updated account, or null if it does not exist
+   * @throws {AccountValidationError} When a change is invalid or would leave no active admin
+   */
+  async update(id, { password, role, disabled }) {
+    const account = await Account.findById(id);
+    if (!account) return null;
+
+    const errors = this.validateDefinition({ password, role, disabled }, { partial: true });
+    const losesAdmin = account.role === 'admin' && !account.disabled &&
+      ((role !== undefined && role !== 'admin') || disabled === true);
+    if (errors.length === 0 && losesAdmin && await this.isLastAdmin(account._id)) {
+      errors.push('at least one enabled admin account must remain');
+    }
+    if (errors.length > 0) {
+      throw new AccountValidationError(errors);
+    }
+
+    if (password !== undefined) account.passwordHash = await this.hashPassword(password);
+    if (role !== undefined) account.role = role;
+    if (disabled !== undefined) account.disabled = disabled;
+    await account.save();
+
+    if (password !== undefined || disabled === true) {
+      await AuthToken.deleteMany({ accountId: account._id });
+    }
+
+    console.log(`[AUTH] Account '${account.username}' updated (${account.role}${account.disabled ? ', disabled' : ''})`);
+    return this.get(account._id);
+  }
+
+  /**
+   * Delete an account and sign it out
+   * @throws {AccountValidationError} When it is the last enabled admin
+   */
+  async remove(id) {
+    const account = await Account.findById(id).lean();
+    if (!account) return null;
+
+    if (account.role === 'admin' && !account.disabled && await this.isLastAdmin(account._id)) {
+      throw new AccountValidationError(['at least one enabled admin account must remain']);
+    }
+
+    await Account.deleteOne({ _id: account._id });
+    await AuthToken.deleteMany({ accountId: account._id });
+    console.log(`[AUTH] Account '${account.username}' deleted`);
+    return account;
+  }
+
+  async isLastAdmin(accountId) {
+    const others = await Account.countDocuments({ _id: { $ne: accountId }, role: 'admin', disabled: false });
+    return others === 0;
+  }
+
+  /**
+   * The enabled account matching a username and password
+   * @returns {Object|null} The account document, or null when the credentials are wrong
+   */
+  async checkCredentials(username, password) {
+    if (typeof username !== 'string' || typeof password !== 'string') return null;
+
+    const account = await Account.findOne({ username: username.trim().toLowerCase() }).select('+passwordHash');
+    if (!account || account.disabled || !(await this.verifyPassword(password, account.passwordHash))) {
+      console.warn(`[AUTH] Wrong credentials for '${username}'`);
+      return null;
+    }
+    return account;
+  }
+
+  /**
+   * Check a username and password and start a session
+   * @returns {Object|null} { token, expiresAt, account }, or null when the credentials are wrong
+   */
+  async login(username, password) {
+    const account = await this.checkCredentials(username, password);
+    if (!account) return null;
+
+    const token = crypto.randomBytes(TOKEN_BYTES).toString('hex');
+    const expiresAt = new Date(Date.now() + this.tokenTtlHours * 60 * 60 * 1000);
+    await AuthToken.create({ tokenHash: hashToken(token), accountId: account._id, expiresAt });
+
+    account.lastLoginAt = new Date();
+    await account.save();
+
+    console.log(`[AUTH] '${account.username}' logged in`);
+    return { token, expiresAt, account: await this.get(account._id) };
+  }
+
+  /**
+   * The account a bearer token belongs to
+   * @returns {Object|null} The account, or null if the token is unknown, expired or its account disabled
+   */
+  async authenticate(token) {
+    if (typeof token !== 'string' || !token) return null;
+
+    const session = await AuthToken.findOne({ tokenHash: hashToken(token), expiresAt: { $gt: new Date() } }).lean();
+    if (!session) return null;
+
+    const account = await this.get(session.accountId);
+    if (!account || account.disabled) return null;
+
+    return { ...account, tokenExpiresAt: session.expiresAt };
+  }
+
+  async logout(token) {
+    await AuthToken.deleteOne({ tokenHash: hashToken(token) });
+  }
+
+  /**
+   * Create the first admin account from the environment when there are no accounts yet
+   * @returns {boolean} Whether an account was created
+   */
+  async ensureAdmin(username, password) {
+    if (await Account.countDocuments({}) > 0) return false;
+
+    if (!password) {
+      console.warn('[AUTH] No accounts exist; set ADMIN_PASSWORD (and optionally ADMIN_USERNAME) to create the first admin');
+      return false;
+    }
+
+    await this.create({ username: username || 'admin', password, role: 'admin' });
+    return true;
+  }
+}
+
+AuthService.AccountValidationError = AccountValidationError;
+AuthService.ROLE_LEVELS = ROLE_LEVELS;
+
+module.exports = AuthService;
@@ -0,0 +1,290 @@
+/**
+ * Collection Comparer - Verifies that a target collection matches its source, e.g. after a migration
+ * Both sides are streamed in _id order and merged like a sorted join, so memory use does not
+ * grow with the collection. Documents only in the source are missing in the target, documents
+ * only in the target are extra, and documents on both sides are compared field by field.
+ * The result is an ordinary report (validator 'compare') describing the target.
+ */
+
+const mongoose = require('mongoose');
+const ConsistencyChecker = require('./consistencyChecker');
+const { isPlainObject, joinPath } = require('./pathUtils');
+
+const { BSON } = mongoose.mongo;
+
+// Report details kept per comparison; counts and recorded issues are not limited
+const DETAIL_LIMIT = 10000;
+const NUMERIC_TYPES = ['Long', 'Double', 'Int32', 'Decimal128'];
+
+/**
+ * Position of a value's type in MongoDB's sort order, for the types _id can hold
+ */
+const typeRank = (value) => {
+  if (value === null || value === undefined) return 1;
+  if (typeof value === 'number' || NUMERIC_TYPES.includes(value._bsontype)) return 2;
+  if (typeof value === 'string') return 3;
+  if (isPlainObject(value)) return 4;
+  if (value._bsontype === 'Binary') return 6;
+  if (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID') return 7;
+  if (typeof value === 'boolean') return 8;
+  if (value instanceof Date) return 9;
+  if (value._bsontype === 'Timestamp') return 10;
+  return 11;
+};
+
+/**
+ * Compare two _id values the way MongoDB sorts them (simple collation)
+ * Subdocument _ids are ordered by their BSON bytes, which matches MongoDB for the common
+ * cases; the merge checks each side's order, so a mismatch fails the run instead of
+ * producing wrong results.
+ * @returns {number} Negative, zero or positive
+ */
+const compareIds = (a, b) => {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) return rankA - rankB;
+
+  switch (rankA) {
+    case 1:
+      return 0;
+    case 2:
+      return Number(a.toString()) - Number(b.toString());
+    case 3:
+      return Buffer.compare(Buffer.from(a, 'utf8'), Buffer.from(b, 'utf8'));
+    case 6:
+      return (a.buffer.length - b.buffer.length) || (a.sub_type - b.sub_type) || Buffer.compare(a.buffer, b.buffer);
+    case 7:
+      return a.toHexString().localeCompare(b.toHexString());
+    case 8:
+      return Number(a) - Number(b);
+    case 9:
+      return a.getTime() - b.getTime();
+    default:
+      return Buffer.compare(BSON.serialize({ v: a }), BSON.serialize({ v: b }));
+  }
+};
+
+/**
+ * Whether two values are the same BSON value, type included
+ */
+const sameValue = (a, b) => Buffer.compare(BSON.serialize({ v: a }), BSON.serialize({ v: b })) === 0;
+
+/**
+ * Fields that differ between two versions of a document
+ * Subdocuments are compared field by field; arrays and other values as a whole.
+ * @param {Object} source - Source document or subdocument
+ * @param {Object} target - Target document or subdocument
+ * @param {Set} ignored - Dotted paths to leave out, with everything under them
+ * @returns {Array} [{ field, sourceValue, targetValue }]; a value is undefined where the field is absent
+ */
+const diffDocuments = (source, target, ignored, prefix = '') => {
+  const differences = [];
+  const keys = [...new Set([...Object.keys(source), ...Object.keys(target)])];
+
+  keys.forEach(key => {
+    if (!prefix && key === '_id') return;
+    const field = joinPath(prefix, key);
+    if (ignored.has(field)) return;
+
+    const inSource = Object.prototype.hasOwnProperty.call(source, key);
+    const inTarget = Object.prototype.hasOwnProperty.call(target, key);
+    const sourceValue = source[key];
+    const targetValue = target[key];
+
+    if (inSource && inTarget && isPlainObject(sourceValue) && isPlainObject(targetValue)) {
+      differences.push(...diffDocuments(sourceValue, targetValue, ignored, field));
+    } else if (!inSource || !inTarget || !sameValue(sourceValue, targetValue)) {
+      differences.push({
+        field,
+        sourceValue: inSource ? sourceValue : undefined,
+        targetValue: inTarget ? targetValue : undefined
+      });
+    }
+  });
+
+  return differences;
+};
+
+/**
+ * Reads one side in _id order, failing if the server's order does not match compareIds
+ */
+class SortedReader {
+  constructor(connection, collectionName, batchSize, side) {
+    this.cursor = connection.db.collection(collectionName).find({}).sort({ _id: 1 }).batchSize(batchSize);
+    this.iterator = this.cursor[Symbol.asyncIterator]();
+    this.side = side;
+    this.previous = undefined;
+    this.count = 0;
+  }
+
+  async next() {
+    const { value, done } = await this.iterator.next();
+    if (done) return null;
+
+    if (this.previous !== undefined && compareIds(this.previous, value._id) >= 0) {
+      throw new Error(
+        `${this.side} documents are not in the expected _id order at ${value._id}; ` +
+        '_ids of mixed types or a collection collation other than simple are not supported'
+      );
+    }
+    this.previous = value._id;
+    this.count++;
+    return value;
+  }
+
+  close() {
+    return this.cursor.close().catch(() => {});
+  }
+}
+
+class CollectionComparer {
+  /**
+   * @param {Object} checker - ConsistencyChecker, for empty reports and recording issues
+   */
+  constructor(checker) {
+    this.checker = checker;
+  }
+
+  /**
+   * Compare a target collection with its source
+   * @param {Object} source - { connection, profileId, collection } of the source
+   * @param {Object} target - { connection, profileId, collection } of the target
+   * @param {Object} options - Comparison options
+   * @param {Array} options.ignoreFields - Dotted paths left out of the comparison, with everything under them
+   * @param {number} options.batchSize - Documents read per batch on each side, and per progress update
+   * @param {Function} options.onProgress - Called with progress after each batch
+   * @param {AbortSignal} options.signal - Stops after the current batch, keeping a partial report
+   * @returns {Object} Report data
+   */
+  async compare(source, target, options = {}) {
+    const {
+      ignoreFields = [],
+      batchSize = 1000,
+      onProgress = null,
+      signal = null
+    } = options;
+
+    const startTime = Date.now();
+    const ignored = new Set(ignoreFields);
+    const report = this.checker.createReport(target.collection, {
+      database: target.connection.db.databaseName,
+      profileId: target.profileId,
+      validator: 'compare',
+      issuesRecorded: true,
+      comparison: {
+        sourceProfileId: source.profileId,
+        sourceDatabase: source.connection.db.databaseName,
+        sourceCollection: source.collection,
+        ignoredFields: ignoreFields,
+        sourceDocuments: 0,
+        targetDocuments: 0,
+        missingInTarget: 0,
+        extraInTarget: 0,
+        differentDocuments: 0,
+        fieldDifferences: 0,
+        detailsTruncated: false
+      }
+    });
+    const { comparison } = report;
+
+    const sourceReader = new SortedReader(source.connection, source.collection, batchSize, 'Source');
+    const targetReader = new SortedReader(target.connection, target.collection, batchSize, 'Target');
+
+    try {
+      console.log(`[COMPARE] ${comparison.sourceDatabase}.${source.collection} → ${report.database}.${target.collection}`);
+      const estimatedTotal = await source.connection.db.collection(source.collection).estimatedDocumentCount();
+      const progress = new ConsistencyChecker.ProgressTracker(report, estimatedTotal, onProgress);
+      progress.startScan();
+
+      let issues = [];
+      const flush = async () => {
+        await this.checker.recordIssues(report, issues, null);
+        progress.emit('comparing', issues);
+        issues = [];
+      };
+
+      let sourceDoc = await sourceReader.next();
+      let targetDoc = await targetReader.next();
+
+      while (sourceDoc || targetDoc) {
+        const order = !targetDoc ? -1 : !sourceDoc ? 1 : compareIds(sourceDoc._id, targetDoc._id);
+
+        if (order < 0) {
+          issues.push(this.addDifference(report, { documentId: String(sourceDoc._id), field: null, issue: 'missing_in_target' }));
+          comparison.missingInTarget++;
+          sourceDoc = await sourceReader.next();
+        } else if (order > 0) {
+          issues.push(this.addDifference(report, { documentId: String(targetDoc._id), field: null, issue: 'extra_in_target' }));
+          comparison.extraInTarget++;
+          targetDoc = await targetReader.next();
+        } else {
+          const differences = diffDocuments(sourceDoc, targetDoc, ignored);
+          if (differences.length > 0) comparison.differentDocuments++;
+          differences.forEach(({ field, sourceValue, targetValue }) => {
+            issues.push(this.addDifference(report, {
+              documentId: String(sourceDoc._id), field, issue: 'field_mismatch', sourceValue, targetValue
+            }));
+          });
+          comparison.fieldDifferences += differences.length;
+          sourceDoc = await sourceReader.next();
+          targetDoc = await targetReader.next();
+        }
+
+        report.totalDocuments++;
+        if (report.totalDocuments % batchSize === 0) {
+          await flush();
+          // Cancellation takes effect between batches, as in checks
+          if (signal && signal.aborted) {
+            report.cancelled = true;
+            break;
+          }
+        }
+      }
+
+      if (!report.cancelled) await flush();
+
+      console.log(`[COMPARE] ${comparison.missingInTarget} missing, ${comparison.extraInTarget} extra, ` +
+        `${comparison.differentDocuments} different in ${report.totalDocuments} documents${report.cancelled ? ' (cancelled)' : ''}`);
+
+    } catch (error) {
+      const errorMsg = `Comparison failed: ${error.message}`;
+      report.errors.push(errorMsg);
+      console.error('[COMPARE]', errorMsg);
+    } finally {
+      await Promise.all([sourceReader.close(), targetReader.close()]);
+      comparison.sourceDocuments = sourceReader.count;
+      comparison.targetDocuments = targetReader.count;
+      report.duration = Date.now() - startTime;
+    }
+
+    return report;
+  }
+
+  /**
+   * Count a difference on the report and add its detail while under DETAIL_LIMIT
+   * @returns {Object} The issue, for the issue history
+   */
+  addDifference(report, { documentId, field, issue, sourceValue, targetValue }) {
+    const severity = issue === 'field_mismatch' ? 'medium' : 'high';
+    report.inconsistenciesFound++;
+    this.checker.countIssues(report, [{ issue, severity }]);
+
+    if (report.details.length < DETAIL_LIMIT) {
+      report.details.push({
+        documentId,
+        issue: `${field === null ? 'document' : field}: ${issue}`,
+        action: 'reported',
+        oldValue: sourceValue,
+        newValue: targetValue
+      });
+    } else {
+      report.comparison.detailsTruncated = true;
+    }
+
+    return { documentId, field, issue, severity };
+  }
+}
+
+CollectionComparer.DETAIL_LIMIT = DETAIL_LIMIT;
+
+module.exports = CollectionComparer;
@@ -0,0 +1,148 @@
+/**
+ * Connection Profile Service - Named MongoDB connections stored server-side
+ * URIs are encrypted at rest with AES-256-GCM under CONNECTION_ENCRYPTION_KEY and only
+ * decrypted to open a connection; everything else sees the redacted URI.
+ */
+
+const ConnectionProfile = require('../models/ConnectionProfile');
+const Schedule = require('../models/Schedule');
+const { redactSecrets, encryptSecret, decryptSecret, EncryptionKeyError } = require('./secretUtils');
+
+class ProfileValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid connection profile: ${errors.join('; ')}`);
+    this.name = 'ProfileValidationError';
+    this.errors = errors;
+  }
+}
+
+class ConnectionProfileService {
+  /**
+   * Check a profile definition
+   * @param {Object} definition - { name, mongoUri }
+   * @param {Object} options - partial: only check the fields present (for updates)
+   * @returns {Array} Error messages, empty when valid
+   */
+  validateDefinition({ name, mongoUri }, { partial = false } = {}) {
+    const errors = [];
+
+    if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+      errors.push('name is required');
+    }
+
+    if ((!partial || mongoUri !== undefined) &&
+        (typeof mongoUri !== 'string' || !/^mongodb(\+srv)?:\/\//.test(mongoUri))) {
+      errors.push('mongoUri must start with mongodb:// or mongodb+srv://');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Profiles by name, without their URIs
+   */
+  async list() {
+    return ConnectionProfile.find({}).sort({ name: 1 }).lean();
+  }
+
+  async get(id) {
+    return ConnectionProfile.findById(id).lean();
+  }
+
+  /**
+   * Store a profile with its URI encrypted
+   * @throws {ProfileValidationError} When the definition is invalid or the name is taken
+   * @throws {EncryptionKeyError} When no usable key is configured
+   */
+  async create(definition) {
+    const errors = this.validateDefinition(definition);
+    const name = typeof definition.name === 'string' ? definition.name.trim() : definition.name;
+    if (errors.length === 0 && await ConnectionProfile.exists({ name })) {
+      errors.push(`a profile named '${name}' already exists`);
+    }
+    if (errors.length > 0) {
+      throw new ProfileValidationError(errors);
+    }
+
+    const profile = await ConnectionProfile.create({
+      name,
+      encryptedUri: encryptSecret(definition.mongoUri),
+      redactedUri: redactSecrets(definition.mongoUri)
+    });
+
+    console.log(`[PROFILES] Profile '${profile.name}' created (${profile.redactedUri})`);
+    return this.get(profile._id);
+  }
+
+  /**
+   * Rename a profile or replace its URI; fields left out keep their values
+   * @returns {Object|null} The updated profile, or null if it does not exist
+   * @throws {ProfileValidationError} When a change is invalid or the name is taken
+   */
+  async update(id, { name, mongoUri }) {
+    const profile = await ConnectionProfile.findById(id);
+    if (!profile) return null;
+
+    const errors = this.validateDefinition({ name, mongoUri }, { partial: true });
+    const newName = typeof name === 'string' ? name.trim() : undefined;
+    if (errors.length === 0 && newName && newName !== profile.name &&
+        await ConnectionProfile.exists({ name: newName })) {
+      errors.push(`a profile named '${newName}' already exists`);
+    }
+    if (errors.length > 0) {
+      throw new ProfileValidationError(errors);
+    }
+
+    if (newName) profile.name = newName;
+    if (mongoUri !== undefined) {
+      profile.encryptedUri = encryptSecret(mongoUri);
+      profile.redactedUri = redactSecrets(mongoUri);
+      profile.database = null;
+    }
+    await profile.save();
+
+    console.log(`[PROFILES] Profile '${profile.name}' updated (${profile.redactedUri})`);
+    return this.get(profile._id);
+  }
+
+  /**
+   * Names of the schedules that run against a profile; it cannot be deleted while any do
+   */
+  async usage(id) {
+    const schedules = await Schedule.find({ profileId: id }).select('name').lean();
+    return schedules.map(schedule => schedule.name);
+  }
+
+  async remove(id) {
+    const profile = await ConnectionProfile.findByIdAndDelete(id);
+    if (profile) {
+      console.log(`[PROFILES] Profile '${profile.name}' deleted`);
+    }
+    return profile;
+  }
+
+  /**
+   * A profile with its decrypted URI, for opening a connection
+   * @returns {Object|null} { profile, mongoUri }, or null if the profile does not exist
+   * @throws {EncryptionKeyError} When the URI cannot be decrypted
+   */
+  async resolve(id) {
+    const profile = await ConnectionProfile.findById(id).select('+encryptedUri').lean();
+    if (!profile) return null;
+
+    const { encryptedUri, ...fields } = profile;
+    return { profile: fields, mongoUri: decryptSecret(encryptedUri) };
+  }
+
+  /**
+   * Remember which database a profile resolved to
+   */
+  async recordConnection(id, database) {
+    await ConnectionProfile.updateOne({ _id: id }, { $set: { database, lastConnectedAt: new Date() } });
+  }
+}
+
+ConnectionProfileService.ProfileValidationError = ProfileValidationError;
+ConnectionProfileService.EncryptionKeyError = EncryptionKeyError;
+
+module.exports = ConnectionProfileService;
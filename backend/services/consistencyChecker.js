@@ -1,70 +1,205 @@
+const mongoose = require('mongoose');
 const SimpleValidator = require('./simpleValidator');
+const DynamicValidator = require('./dynamicValidator');
+const RulesValidator = require('./rulesValidator');
+const RepairApplier = require('./repairApplier');
+const RollbackService = require('./rollbackService');
+const ApprovalService = require('./approvalService');
+const IssueHistoryService = require('./issueHistoryService');
+const AuditService = require('./auditService');
+const { readBatches } = require('./cursorUtils');
+
+const VALIDATOR_MODES = ['simple', 'dynamic', 'rules'];
+const DEFAULT_BATCH_SIZE = 1000;
+// Report details and duplicate groups kept per run, so the report stays well under MongoDB's
+// 16 MB document limit; the counters (repairsApplied, proposedRepairs...) cover everything
+const DETAIL_LIMIT = 10000;
+const DUPLICATE_GROUP_LIMIT = 1000;
+// Report detail action for each way of removing a document
+const REMOVAL_LABELS = {
+  delete_document: 'deleted',
+  quarantine_document: 'quarantined',
+  archive_document: 'archived'
+};
+
+// Issues passed along with each progress update, so live views get a tail without the full list
+const LIVE_ISSUE_LIMIT = 20;
+
+/**
+ * Reports check progress, with an ETA based on the scan rate so far
+ */
+class ProgressTracker {
+  constructor(report, estimatedTotal, onProgress) {
+    this.report = report;
+    this.estimatedTotal = estimatedTotal;
+    this.onProgress = onProgress;
+    this.scanStartedAt = null;
+  }
+
+  startScan() {
+    this.scanStartedAt = Date.now();
+  }
+
+  /**
+   * @param {string} phase - schema, scanning, duplicates or applying
+   * @param {Array} newIssues - Issues found since the last update
+   */
+  emit(phase, newIssues = []) {
+    if (!this.onProgress) return;
+
+    const processed = this.report.totalDocuments;
+    let etaMs = null;
+    if (this.scanStartedAt && processed > 0 && this.estimatedTotal > processed) {
+      const elapsed = Date.now() - this.scanStartedAt;
+      etaMs = Math.round(elapsed / processed * (this.estimatedTotal - processed));
+    }
+
+    this.onProgress({
+      phase,
+      documentsProcessed: processed,
+      estimatedTotal: this.estimatedTotal,
+      issuesFound: this.report.inconsistenciesFound,
+      repairsApplied: this.report.repairsApplied,
+      etaMs,
+      newIssues: newIssues.slice(-LIVE_ISSUE_LIMIT).map(({ documentId, field, issue }) => ({ documentId, field, issue }))
+    });
+  }
+}
 
 class ConsistencyChecker {
   constructor() {
-    this.isRunning = false;
-    this.currentCheck = null;
-    this.validator = new SimpleValidator();
+    // Checks hold no shared state, so several can run at once; scheduling is the job queue's concern
+    this.activeChecks = 0;
+    this.repairApplier = new RepairApplier();
+    this.rollbackService = new RollbackService();
+    this.approvalService = new ApprovalService();
+    this.issueHistory = new IssueHistoryService();
+    this.auditService = new AuditService();
   }
 
-  async checkCollection(collectionName, Model) {
-    if (this.isRunning) {
-      throw new Error('Consistency check already in progress');
+  /**
+   * Create the validation engine for a check
+   * @param {string} mode - simple (first document as schema), dynamic (majority inference)
+   *                        or rules (declared rules in validationRules.js)
+   * @param {string} collectionName - Collection being checked
+   * @param {Object} rules - Compiled rules for the rules engine; built-in rules when omitted
+   * @returns {Object} Validator exposing checkDocuments() and planRepairs()
+   */
+  createValidator(mode, collectionName, rules) {
+    switch (mode) {
+      case 'simple': return new SimpleValidator();
+      case 'dynamic': return new DynamicValidator();
+      case 'rules': return new RulesValidator(collectionName, rules);
+      default: throw new Error(`Unknown validator mode: ${mode}`);
     }
+  }
+
+  /**
+   * Scan a collection and repair the issues found
+   * Documents are streamed through a cursor in batches, so memory use does not
+   * grow with the size of the collection.
+   * @param {string} collectionName - Name of the collection being checked
+   * @param {Object} Model - Mongoose model bound to the collection
+   * @param {Object} options - Check options
+   * @param {boolean} options.dryRun - Record proposed repairs without writing them
+   * @param {boolean} options.approval - Hold proposed repairs for review (see ApprovalService) instead of writing them
+   * @param {string} options.validator - Validation engine, one of VALIDATOR_MODES
+   * @param {number} options.batchSize - Documents read and validated per batch
+   * @param {number} options.sampleSize - Infer the schema from a random sample instead of a full pass
+   * @param {number} options.writeBatchSize - Repair operations per bulkWrite call
+   * @param {string} options.database - Name of the database being checked, recorded on the report
+   * @param {string} options.profileId - Connection profile the check runs through, recorded on the report
+   * @param {Object} options.rules - Compiled rules for the rules engine
+   * @param {number} options.rulesVersion - Version of the stored rules, recorded on the report
+   * @param {Object} options.audit - Who started the check ({ actor, actorRole, sessionId }), recorded with each repair batch in the audit log
+   * @param {Function} options.onProgress - Called with progress after each batch
+   * @param {AbortSignal} options.signal - Stops the check after the current batch, keeping a partial report
+   * @returns {Object} Report data
+   */
+  async checkCollection(collectionName, Model, options = {}) {
+    const {
+      dryRun = false,
+      approval = false,
+      validator: mode = 'simple',
+      batchSize = DEFAULT_BATCH_SIZE,
+      sampleSize = null,
+      writeBatchSize = RepairApplier.DEFAULT_WRITE_BATCH_SIZE,
+      database = null,
+      profileId = null,
+      rules = undefined,
+      rulesVersion = null,
+      audit = {},
+      onProgress = null,
+      signal = null
+    } = options;
 
-    this.isRunning = true;
+    this.activeChecks++;
     const startTime = Date.now();
     
-    const report = {
-      timestamp: new Date(),
-      collection: collectionName,
-      totalDocuments: 0,
-      inconsistenciesFound: 0,
-      repairsApplied: 0,
-      documentsDeleted: 0,
-      errors: [],
-      details: [],
-      duration: 0
-    };
+    const report = this.createReport(collectionName, {
+      database, profileId, dryRun, approval, validator: mode, rulesVersion, issuesRecorded: true
+    });
 
     try {
-      console.log(`[CHECK] Starting consistency check for: ${collectionName}`);
+      console.log(`[CHECK] Starting consistency check for: ${collectionName} [${mode}]${dryRun ? ' (dry run)' : ''}${approval ? ' (approval)' : ''}`);
+      const validator = this.createValidator(mode, collectionName, rules);
+
+      const estimatedTotal = await Model.estimatedDocumentCount();
+      const progress = new ProgressTracker(report, estimatedTotal, onProgress);
+
+      // Pass 1: schema inference, for engines that learn the schema from the data
+      if (typeof validator.observeSchema === 'function') {
+        progress.emit('schema');
+        await this.inferSchema(Model, validator, { batchSize, sampleSize, signal });
+      }
+
+      // Pass 2: stream documents in _id order, validating and repairing each batch
+      let expectedFields = [];
+      progress.startScan();
+
+      if (!(signal && signal.aborted)) {
+        const cursor = Model.find({}).sort({ _id: 1 }).lean().cursor({ batchSize });
+        for await (const batch of readBatches(cursor, batchSize)) {
+          report.totalDocuments += batch.length;
+          const result = await this.processBatch(Model, validator, batch, report, { dryRun, approval, writeBatchSize, audit });
+          expectedFields = result.expectedFields;
+          progress.emit('scanning', result.issues);
+
+          // Cancellation takes effect between batches, so every batch is either fully handled or untouched
+          if (signal && signal.aborted) break;
+        }
+      }
+
+      // Pass 3: duplicates on unique keys, for engines with uniqueness rules
+      if (typeof validator.findDuplicates === 'function' && !(signal && signal.aborted)) {
+        progress.emit('duplicates');
+        await this.processDuplicates(Model, validator, report, { dryRun, approval, writeBatchSize, batchSize, signal, progress, audit });
+      }
+
+      if (signal && signal.aborted) {
+        report.cancelled = true;
+        console.log(`[CHECK] Cancelled after ${report.totalDocuments} documents; partial report kept`);
+        return report;
+      }
 
-      // Get all documents
-      const documents = await Model.find({}).lean();
-      report.totalDocuments = documents.length;
-      console.log(`[CHECK] Found ${documents.length} documents`);
+      console.log(`[CHECK] Found ${report.totalDocuments} documents`);
 
-      if (documents.length === 0) {
+      if (report.totalDocuments === 0) {
         console.log('[CHECK] No documents to check');
         return report;
       }
 
-      // Check for issues
-      const { issues, expectedFields } = this.validator.checkDocuments(documents);
-      report.inconsistenciesFound = issues.length;
-      
-      console.log(`[CHECK] Found ${issues.length} issues in ${documents.length} documents`);
+      console.log(`[CHECK] Found ${report.inconsistenciesFound} issues in ${report.totalDocuments} documents`);
       console.log(`[CHECK] Expected fields: ${expectedFields.join(', ')}`);
 
-      // Repair issues
-      if (issues.length > 0) {
-        console.log('[CHECK] Starting repairs...');
-        const repairs = await this.validator.repairDocuments(Model, issues);
-        report.repairsApplied = repairs.length;
-        
-        // Add to report details
-        repairs.forEach(repair => {
-          report.details.push({
-            documentId: repair.documentId,
-            issue: `${repair.field}: ${repair.action}`,
-            action: 'repaired',
-            oldValue: repair.oldValue,
-            newValue: repair.newValue
-          });
-        });
-        
-        console.log(`[CHECK] Completed ${repairs.length} repairs`);
+      // Dry run: the collection was left untouched, so the status is not updated either
+      if (dryRun) {
+        console.log(`[CHECK] Dry run: ${report.proposedRepairs} repairs proposed, none applied`);
+        return report;
+      }
+
+      if (approval) {
+        console.log(`[CHECK] ${report.pendingRepairs} repairs held for approval`);
       }
 
       // Update status
@@ -76,7 +211,7 @@ class ConsistencyChecker {
       console.error('[CHECK]', errorMsg);
     } finally {
       report.duration = Date.now() - startTime;
-      this.isRunning = false;
+      this.activeChecks--;
       
       console.log(`[CHECK] Completed:`);
       console.log(`  - Documents: ${report.totalDocuments}`);
@@ -87,15 +222,401 @@ class ConsistencyChecker {
     return report;
   }
 
+  /**
+   * Empty report for a run
+   * The ID is assigned up front so before-images and pending repairs can reference
+   * the report while it runs.
+   */
+  createReport(collectionName, fields) {
+    return {
+      _id: new mongoose.Types.ObjectId(),
+      timestamp: new Date(),
+      database: null,
+      profileId: null,
+      collection: collectionName,
+      dryRun: false,
+      approval: false,
+      validator: 'simple',
+      rulesVersion: null,
+      cancelled: false,
+      totalDocuments: 0,
+      inconsistenciesFound: 0,
+      repairsApplied: 0,
+      documentsDeleted: 0,
+      repairsFailed: 0,
+      pendingRepairs: 0,
+      proposedRepairs: 0,
+      duplicateGroupsFound: 0,
+      issueCounts: [],
+      issuesRecorded: false,
+      errors: [],
+      details: [],
+      detailsTruncated: false,
+      duplicateGroups: [],
+      approvedFrom: [],
+      appliedBy: null,
+      comparison: null,
+      duration: 0,
+      ...fields
+    };
+  }
+
+  /**
+   * Apply the approved repairs for a collection, producing a follow-up report
+   * Items are applied in batches; an item whose document changed since its check is
+   * skipped and marked failed rather than overwriting the newer value.
+   * @param {string} collectionName - Name of the collection
+   * @param {Object} Model - Mongoose model bound to the collection
+   * @param {Object} options - Apply options
+   * @param {string} options.database - Database the items were proposed for
+   * @param {string} options.profileId - Connection profile the items are applied through
+   * @param {string} options.user - Who applied them, recorded on the items and the report
+   * @param {Object} options.audit - { actorRole, sessionId } of the user, recorded with each repair batch in the audit log
+   * @param {number} options.batchSize - Items applied per batch
+   * @param {number} options.writeBatchSize - Repair operations per bulkWrite call
+   * @param {Function} options.onProgress - Called with progress after each batch
+   * @param {AbortSignal} options.signal - Stops after the current batch
+   * @returns {Object} Report data
+   */
+  async applyApproved(collectionName, Model, options = {}) {
+    const {
+      database = null,
+      profileId = null,
+      user = null,
+      audit = {},
+      batchSize = DEFAULT_BATCH_SIZE,
+      writeBatchSize = RepairApplier.DEFAULT_WRITE_BATCH_SIZE,
+      onProgress = null,
+      signal = null
+    } = options;
+
+    this.activeChecks++;
+    const startTime = Date.now();
+    const report = this.createReport(collectionName, { database, profileId, appliedBy: user });
+    const sourceReports = new Set();
+
+    try {
+      const total = await this.approvalService.countApproved(database, collectionName);
+      const progress = new ProgressTracker(report, total, onProgress);
+      console.log(`[APPROVAL] Applying ${total} approved repairs to ${collectionName} (by ${user})`);
+      progress.startScan();
+
+      let items;
+      while ((items = await this.approvalService.nextApproved(database, collectionName, batchSize)).length > 0) {
+        items.forEach(item => sourceReports.add(String(item.reportId)));
+        report.validator = items[0].validator || report.validator;
+
+        const ids = [...new Set(items.map(item => item.documentId))];
+        const documents = await Model.find({ _id: { $in: ids } }).lean();
+        const { ready, stale } = this.approvalService.partitionStale(items, documents);
+
+        report.totalDocuments += ids.length;
+        report.inconsistenciesFound += items.length;
+
+        const outcome = await this.recordRepairs(Model, ready, documents, report, {
+          dryRun: false, writeBatchSize, audit: { actor: user, ...audit }
+        });
+        report.repairsFailed += stale.length;
+        const results = stale.map(({ item, reason }) => {
+          this.addDetail(report, { documentId: item.documentId, issue: this.describeRepair(item), action: 'skipped' });
+          return { item, applied: false, error: reason };
+        });
+        ready.forEach(item => results.push(this.itemResult(item, outcome)));
+
+        await this.approvalService.markApplied(results, report, user);
+        progress.emit('applying');
+
+        if (signal && signal.aborted) {
+          report.cancelled = true;
+          break;
+        }
+      }
+    } catch (error) {
+      const errorMsg = `Applying approved repairs failed: ${error.message}`;
+      report.errors.push(errorMsg);
+      console.error('[APPROVAL]', errorMsg);
+    } finally {
+      report.approvedFrom = [...sourceReports];
+      report.duration = Date.now() - startTime;
+      this.activeChecks--;
+      console.log(`[APPROVAL] Completed: ${report.repairsApplied} repairs, ${report.documentsDeleted} deletions`);
+    }
+
+    return report;
+  }
+
+  /**
+   * Whether an approved item was written, from the applier's outcome
+   */
+  itemResult(item, outcome) {
+    if (item.field === null) {
+      return outcome.deleted.includes(item.documentId)
+        ? { item, applied: true }
+        : { item, applied: false, error: this.findError(item, outcome) };
+    }
+
+    const applied = outcome.repairs.some(repair =>
+      repair.documentId === item.documentId && repair.field === item.field && repair.action === item.action);
+    if (applied) return { item, applied: true };
+
+    // A removal approved for the same document takes precedence over its field repairs
+    const error = outcome.deleted.includes(item.documentId)
+      ? 'Document was removed by another approved repair'
+      : this.findError(item, outcome);
+    return { item, applied: false, error };
+  }
+
+  findError(item, outcome) {
+    return outcome.errors.find(error => error.includes(item.documentId)) || 'Repair was not applied';
+  }
+
+  /**
+   * Schema pass: feed the collection (or a random sample of it) to the validator
+   * @param {Object} Model - Mongoose model bound to the collection
+   * @param {Object} validator - Validator exposing observeSchema()
+   * @param {Object} options - batchSize and optional sampleSize
+   */
+  async inferSchema(Model, validator, { batchSize, sampleSize, signal }) {
+    const cursor = sampleSize
+      ? Model.aggregate([{ $sample: { size: sampleSize } }]).cursor({ batchSize })
+      : Model.find({}).sort({ _id: 1 }).lean().cursor({ batchSize });
+
+    console.log(`[CHECK] Schema pass: ${sampleSize ? `sampling ${sampleSize} documents` : 'scanning collection'}`);
+
+    for await (const batch of readBatches(cursor, batchSize)) {
+      // Validators that only need a few documents can end the pass early (closes the cursor)
+      if (validator.observeSchema(batch)) break;
+      if (signal && signal.aborted) return;
+    }
+
+    if (typeof validator.finishSchema === 'function') {
+      validator.finishSchema();
+    }
+  }
+
+  /**
+   * Validate one batch and record (or apply) its repairs
+   * @returns {Object} Issues found in the batch and the fields the validator expects
+   */
+  async processBatch(Model, validator, batch, report, { dryRun, approval, writeBatchSize, audit }) {
+    const { issues, expectedFields } = validator.checkDocuments(batch);
+
+    // Checks that need other collections (reference rules) run against the database
+    if (typeof validator.checkReferences === 'function') {
+      issues.push(...await validator.checkReferences(Model, batch));
+    }
+    report.inconsistenciesFound += issues.length;
+    this.countIssues(report, issues);
+
+    const planned = validator.planRepairs(issues);
+    const outcome = await this.recordRepairs(Model, planned, batch, report, { dryRun, approval, writeBatchSize, issues, audit });
+    await this.recordIssues(report, issues, outcome);
+
+    return { issues, expectedFields };
+  }
+
+  /**
+   * Duplicate pass: find duplicate groups and record (or apply) their repairs
+   */
+  async processDuplicates(Model, validator, report, { dryRun, approval, writeBatchSize, batchSize, signal, progress, audit }) {
+    for await (const { rule, groups } of validator.findDuplicates(Model, batchSize)) {
+      const { issues, planned, summaries } = validator.planDuplicates(rule, groups);
+      report.inconsistenciesFound += issues.length;
+      this.countIssues(report, issues);
+      report.duplicateGroupsFound += summaries.length;
+      const room = Math.max(DUPLICATE_GROUP_LIMIT - report.duplicateGroups.length, 0);
+      report.duplicateGroups.push(...summaries.slice(0, room));
+      if (summaries.length > room) report.detailsTruncated = true;
+
+      const documents = groups.flatMap(group => group.documents);
+      const outcome = await this.recordRepairs(Model, planned, documents, report, { dryRun, approval, writeBatchSize, issues, audit });
+      await this.recordIssues(report, issues, outcome);
+      progress.emit('duplicates', issues);
+
+      if (signal && signal.aborted) break;
+    }
+
+    console.log(`[CHECK] Duplicate pass: ${report.duplicateGroupsFound} groups`);
+  }
+
+  /**
+   * Record planned repairs on the report, applying them unless this is a dry run
+   * or they are held for approval
+   * @param {Object} Model - Mongoose model bound to the collection
+   * @param {Array} planned - Planned repairs
+   * @param {Array} documents - The documents the repairs touch, as read
+   * @param {Object} report - Report being built
+   * @param {Object} options - dryRun, approval, writeBatchSize, the issues behind the repairs
+   *                           and the audit context of whoever started the run
+   * @returns {Object|null} The applier's outcome, or null when nothing was written
+   */
+  async recordRepairs(Model, planned, documents, report, { dryRun, approval = false, writeBatchSize, issues = [], audit = {} }) {
+    // Dry run: record what would change and leave the collection untouched
+    if (dryRun) {
+      report.proposedRepairs += planned.length;
+      planned.forEach(repair => {
+        this.addDetail(report, {
+          documentId: repair.documentId,
+          issue: this.describeRepair(repair),
+          action: 'proposed',
+          oldValue: repair.oldValue,
+          newValue: repair.newValue
+        });
+      });
+      return null;
+    }
+
+    // Approval: store the repairs for review and leave the collection untouched
+    if (approval) {
+      report.pendingRepairs += await this.approvalService.savePending(report, planned, issues);
+      planned.forEach(repair => {
+        this.addDetail(report, {
+          documentId: repair.documentId,
+          issue: this.describeRepair(repair),
+          action: 'pending',
+          oldValue: repair.oldValue,
+          newValue: repair.newValue
+        });
+      });
+      return null;
+    }
+
+    const outcome = { repairs: [], deleted: [], moved: {}, errors: [] };
+
+    // Repair issues
+    if (planned.length > 0) {
+      Object.assign(outcome, await this.repairApplier.apply(Model, planned, {
+        writeBatchSize,
+        documents
+      }));
+      const { repairs, deleted, moved, errors } = outcome;
+      report.repairsApplied += repairs.length;
+      report.documentsDeleted += deleted.length;
+      report.repairsFailed += errors.length;
+      report.errors.push(...errors);
+
+      try {
+        await this.rollbackService.captureBeforeImages(report, documents, { repairs, deleted });
+      } catch (error) {
+        report.errors.push(`Failed to save before-images, rollback will be incomplete: ${error.message}`);
+      }
+
+      // Add to report details
+      repairs.forEach(repair => {
+        this.addDetail(report, {
+          documentId: repair.documentId,
+          issue: this.describeRepair(repair),
+          action: 'repaired',
+          oldValue: repair.oldValue,
+          newValue: repair.newValue
+        });
+      });
+      deleted.forEach(documentId => {
+        const removal = moved[documentId] || 'delete_document';
+        this.addDetail(report, {
+          documentId,
+          issue: `document: ${removal}`,
+          action: REMOVAL_LABELS[removal]
+        });
+      });
+
+      console.log(`[CHECK] Batch: ${repairs.length} repairs, ${deleted.length} deletions, ${errors.length} failures`);
+      await this.auditRepairBatch(report, outcome, audit);
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Add a detail to the report while under DETAIL_LIMIT; past it, only flag the report as truncated
+   */
+  addDetail(report, detail) {
+    if (report.details.length < DETAIL_LIMIT) {
+      report.details.push(detail);
+    } else {
+      report.detailsTruncated = true;
+    }
+  }
+
+  /**
+   * Add a written batch to the audit log
+   * The batch is already in the collection, so a failed audit write is reported on the run instead of undoing it.
+   */
+  async auditRepairBatch(report, { repairs, deleted, errors }, audit) {
+    const written = repairs.length + deleted.length;
+
+    try {
+      await this.auditService.record({
+        ...audit,
+        source: 'job',
+        action: 'repair_batch',
+        profileId: report.profileId,
+        database: report.database,
+        collection: report.collection,
+        target: report._id,
+        params: {
+          validator: report.validator,
+          repaired: [...new Set(repairs.map(repair => String(repair.documentId)))],
+          deleted: deleted.map(String),
+          failed: errors.length
+        },
+        outcome: errors.length === 0 ? 'success' : written > 0 ? 'partial' : 'failure',
+        message: `${repairs.length} repairs, ${deleted.length} deletions, ${errors.length} failures`
+      });
+    } catch (error) {
+      report.errors.push(`Failed to write the audit log entry for a repair batch: ${error.message}`);
+      console.error('[AUDIT] Failed to record repair batch:', error.message);
+    }
+  }
+
+  /**
+   * Add a batch's issues to the report's counts by type and severity
+   */
+  countIssues(report, issues) {
+    issues.forEach(({ issue, severity }) => {
+      const entry = report.issueCounts.find(count => count.issue === issue && count.severity === (severity || null));
+      if (entry) {
+        entry.count++;
+      } else {
+        report.issueCounts.push({ issue, severity: severity || null, count: 1 });
+      }
+    });
+  }
+
+  /**
+   * Store a batch's issues for comparing reports
+   * A failure only costs the comparison, so the check carries on without recording.
+   */
+  async recordIssues(report, issues, outcome) {
+    if (!report.issuesRecorded) return;
+
+    try {
+      await this.issueHistory.record(report, issues, outcome);
+    } catch (error) {
+      report.issuesRecorded = false;
+      report.errors.push(`Failed to record issues, this report cannot be compared: ${error.message}`);
+    }
+  }
+
+  /**
+   * Summarize a planned repair as "field: action" for report details
+   */
+  describeRepair(repair) {
+    return repair.field === null
+      ? `document: ${repair.action}`
+      : `${repair.field}: ${repair.action}`;
+  }
+
   async updateConsistencyStatus(collectionName, report) {
     try {
       const Status = require('../models/Status');
       const isConsistent = report.inconsistenciesFound === 0 || 
-                          report.inconsistenciesFound === report.repairsApplied;
+                          report.inconsistenciesFound === report.repairsApplied + report.documentsDeleted;
       
       await Status.findOneAndUpdate(
-        { collection: collectionName },
+        { database: report.database || null, collection: collectionName },
         {
+          database: report.database || null,
           collection: collectionName,
           isConsistent,
           lastCheckTime: new Date(),
@@ -111,24 +632,41 @@ class ConsistencyChecker {
     }
   }
 
-  async getConsistencyStatus(collectionName) {
+  /**
+   * @param {string} collectionName - Name of the collection
+   * @param {string} database - Its database; without one, the collection's most recently updated Status in any database
+   */
+  async getConsistencyStatus(collectionName, database = null) {
     try {
       const Status = require('../models/Status');
-      const status = await Status.findOne({ collection: collectionName });
+      const status = database
+        ? await Status.findOne({ database, collection: collectionName })
+        : await Status.findOne({ collection: collectionName }).sort({ updatedAt: -1 });
       
-      if (!status) {
+      const replicas = status && status.lastReplicaCheckTime
+        ? {
+            allReplicasConsistent: status.allReplicasConsistent,
+            lastReplicaCheckTime: status.lastReplicaCheckTime
+          }
+        : {};
+
+      if (!status || !status.lastCheckTime) {
         return {
+          database: status ? status.database : database,
           collection: collectionName,
           isConsistent: false,
-          status: 'never_checked'
+          status: 'never_checked',
+          ...replicas
         };
       }
       
       return {
+        database: status.database,
         collection: status.collection,
         isConsistent: status.isConsistent,
         lastCheckTime: status.lastCheckTime,
-        status: status.isConsistent ? 'consistent' : 'inconsistent'
+        status: status.isConsistent ? 'consistent' : 'inconsistent',
+        ...replicas
       };
     } catch (error) {
       console.error('[CHECK] Get status failed:', error.message);
@@ -137,8 +675,13 @@ class ConsistencyChecker {
   }
 
   isActive() {
-    return this.isRunning;
+    return this.activeChecks > 0;
   }
 }
 
+ConsistencyChecker.VALIDATOR_MODES = VALIDATOR_MODES;
+ConsistencyChecker.DEFAULT_BATCH_SIZE = DEFAULT_BATCH_SIZE;
+ConsistencyChecker.DETAIL_LIMIT = DETAIL_LIMIT;
+ConsistencyChecker.ProgressTracker = ProgressTracker;
+
 module.exports = ConsistencyChecker;
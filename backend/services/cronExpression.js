@@ -0,0 +1,181 @@
+/**
+ * Cron Expressions - Parse standard five-field cron expressions and find their run times
+ * Fields are minute, hour, day of month, month and day of week, in server local time.
+ * Each field takes *, numbers, ranges (1-5), lists (1,15) and steps (*\/15, 0-30/10);
+ * months and weekdays also take names (JAN, MON). @hourly, @daily, @weekly, @monthly
+ * and @yearly are accepted as shorthands.
+ */
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  // 7 is accepted as Sunday and folded onto 0
+  { name: 'dayOfWeek', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 }
+];
+
+// A valid expression matches within this many years (29 February only comes every four)
+const SEARCH_YEARS = 5;
+
+/**
+ * Parse one field into the set of values it allows
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  const toNumber = (token) => {
+    const upper = token.toUpperCase();
+    if (field.names && field.names.includes(upper)) {
+      return field.names.indexOf(upper) + field.nameOffset;
+    }
+    if (!/^\d+$/.test(token)) {
+      throw new Error(`Invalid ${field.name} value '${token}'`);
+    }
+    const value = Number(token);
+    if (value < field.min || value > field.max) {
+      throw new Error(`${field.name} value ${value} is out of range ${field.min}-${field.max}`);
+    }
+    return value;
+  };
+
+  text.split(',').forEach(part => {
+    const [rangeText, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step '${stepText}' in ${field.name}`);
+    }
+
+    let start;
+    let end;
+    if (rangeText === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (rangeText.includes('-')) {
+      [start, end] = rangeText.split('-').map(toNumber);
+      if (start > end) {
+        throw new Error(`Invalid ${field.name} range '${rangeText}'`);
+      }
+    } else {
+      start = toNumber(rangeText);
+      // "5/15" means every 15 starting at 5
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five fields or a shorthand such as @daily
+ * @returns {Object} Allowed values per field, plus whether day of month and day of week are restricted
+ * @throws {Error} When the expression is malformed
+ */
+function parseCron(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Cron expression is required');
+  }
+
+  const normalized = MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression must have ${FIELDS.length} fields (minute hour day-of-month month day-of-week), got ${parts.length}`);
+  }
+
+  const parsed = {};
+  FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseField(parts[index], field);
+  });
+
+  if (parsed.dayOfWeek.delete(7)) parsed.dayOfWeek.add(0);
+
+  // As in cron, when both day fields are restricted a day matches either one
+  parsed.dayOfMonthRestricted = parts[2] !== '*';
+  parsed.dayOfWeekRestricted = parts[4] !== '*';
+
+  return parsed;
+}
+
+const matchesDay = (parsed, date) => {
+  const domMatch = parsed.dayOfMonth.has(date.getDate());
+  const dowMatch = parsed.dayOfWeek.has(date.getDay());
+  if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) return domMatch || dowMatch;
+  if (parsed.dayOfMonthRestricted) return domMatch;
+  if (parsed.dayOfWeekRestricted) return dowMatch;
+  return true;
+};
+
+/**
+ * First time after a date that an expression matches
+ * @param {string|Object} expression - Cron expression or the result of parseCron
+ * @param {Date} after - Start searching after this time (exclusive)
+ * @returns {Date|null} The next run, or null if none within SEARCH_YEARS (e.g. 30 February)
+ */
+function nextRun(expression, after = new Date()) {
+  const parsed = typeof expression === 'string' ? parseCron(expression) : expression;
+
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(date.getTime());
+  limit.setFullYear(limit.getFullYear() + SEARCH_YEARS);
+
+  // Skip whole months, days and hours that cannot match before checking minutes
+  while (date < limit) {
+    if (!parsed.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(parsed, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!parsed.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!parsed.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * The next few run times of an expression
+ * @returns {Array} Dates, fewer than count if the expression stops matching
+ */
+function upcomingRuns(expression, after = new Date(), count = 5) {
+  const parsed = typeof expression === 'string' ? parseCron(expression) : expression;
+  const runs = [];
+  let next = nextRun(parsed, after);
+  while (next && runs.length < count) {
+    runs.push(next);
+    next = nextRun(parsed, next);
+  }
+  return runs;
+}
+
+module.exports = {
+  parseCron,
+  nextRun,
+  upcomingRuns
+};
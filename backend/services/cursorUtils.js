@@ -0,0 +1,24 @@
+/**
+ * Cursor Utilities - Helpers for streaming query and aggregation results
+ */
+
+/**
+ * Group a cursor's documents into arrays of at most batchSize
+ * @param {Object} cursor - Mongoose query or aggregation cursor
+ * @param {number} batchSize - Maximum documents per batch
+ */
+async function* readBatches(cursor, batchSize) {
+  let batch = [];
+  for await (const doc of cursor) {
+    batch.push(doc);
+    if (batch.length >= batchSize) {
+      yield batch;
+      batch = [];
+    }
+  }
+  if (batch.length > 0) yield batch;
+}
+
+module.exports = {
+  readBatches
+};
@@ -0,0 +1,112 @@
+/**
+ * Duplicate Detector - Finds documents sharing a business key (uniqueness rules)
+ * Groups are found with one aggregation per rule, so duplicates are caught across
+ * the whole collection rather than within a scan batch.
+ */
+
+const { readBatches } = require('./cursorUtils');
+
+class DuplicateDetector {
+  /**
+   * Aggregation that groups documents by the rule's normalized key
+   * @param {Object} rule - { fields, caseInsensitive, trim, orderBy }
+   * @returns {Array} Pipeline yielding { _id: key, ids (oldest first), count }
+   */
+  buildPipeline(rule) {
+    const key = {};
+    rule.fields.forEach((field, index) => {
+      const value = `$${field}`;
+      let expr = value;
+      if (rule.trim) expr = { $trim: { input: expr } };
+      if (rule.caseInsensitive) expr = { $toLower: expr };
+      // Normalization only applies to strings; other types compare as stored
+      key[`k${index}`] = expr === value
+        ? value
+        : { $cond: [{ $eq: [{ $type: value }, 'string'] }, expr, value] };
+    });
+
+    return [
+      // Documents missing part of the key are not duplicates of each other
+      { $match: { $and: rule.fields.map(field => ({ [field]: { $nin: [null, ''] } })) } },
+      { $sort: { [rule.orderBy]: 1, _id: 1 } },
+      { $group: { _id: key, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } }
+    ];
+  }
+
+  /**
+   * Stream duplicate groups with their documents
+   * @param {Object} Model - Mongoose model bound to the collection
+   * @param {Object} rule - Compiled uniqueness rule
+   * @param {number} batchSize - Groups fetched per round trip
+   * @yields {Array} Groups as { key, documents (oldest first) }
+   */
+  async* findGroups(Model, rule, batchSize) {
+    const cursor = Model.aggregate(this.buildPipeline(rule)).allowDiskUse(true).cursor({ batchSize });
+
+    for await (const groups of readBatches(cursor, batchSize)) {
+      const ids = groups.flatMap(group => group.ids);
+      const documents = await Model.find({ _id: { $in: ids } }).lean();
+      const byId = new Map(documents.map(doc => [String(doc._id), doc]));
+
+      yield groups.map(group => ({
+        key: rule.fields.map((field, index) => group._id[`k${index}`]).join(' + '),
+        // Documents deleted since the aggregation ran drop out of their group
+        documents: group.ids.map(id => byId.get(String(id))).filter(Boolean)
+      })).filter(group => group.documents.length > 1);
+    }
+  }
+
+  /**
+   * Decide the survivor of a group and the repairs for the others
+   * @param {Object} group - { key, documents (oldest first) }
+   * @param {Object} rule - Compiled uniqueness rule
+   * @returns {Object} { keep (document), losers (documents), repairs }
+   */
+  planGroup(group, rule) {
+    const newestFirst = rule.strategy === 'keep_newest' ||
+      (rule.strategy === 'merge' && rule.precedence !== 'oldest');
+    const ordered = newestFirst ? [...group.documents].reverse() : group.documents;
+    const [keep, ...losers] = ordered;
+    const keepId = String(keep._id);
+    const repairs = [];
+
+    if (rule.strategy === 'report') {
+      return { keep, losers, repairs };
+    }
+
+    // Merge: fill the survivor's gaps from the others, in precedence order
+    if (rule.strategy === 'merge') {
+      const fields = new Set(losers.flatMap(doc => Object.keys(doc)));
+      fields.delete('_id');
+      fields.delete('__v');
+
+      fields.forEach(field => {
+        if (!this.isBlank(keep[field])) return;
+        const donor = losers.find(doc => !this.isBlank(doc[field]));
+        if (!donor) return;
+        repairs.push({
+          documentId: keepId,
+          field,
+          action: 'merge_field',
+          oldValue: keep[field],
+          newValue: donor[field]
+        });
+      });
+    }
+
+    losers.forEach(doc => repairs.push({
+      documentId: String(doc._id),
+      field: null,
+      action: 'archive_document'
+    }));
+
+    return { keep, losers, repairs };
+  }
+
+  isBlank(value) {
+    return value === undefined || value === null || value === '';
+  }
+}
+
+module.exports = DuplicateDetector;
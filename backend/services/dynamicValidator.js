@@ -3,6 +3,12 @@
  * Analyzes collection schema and detects inconsistencies dynamically
  */
 
+const { groupByDocument } = require('./issueUtils');
+const { walkDocument, resolvePath, parentSchemaPath, getValue } = require('./pathUtils');
+
+// A string field with more distinct values than this is not treated as an enum
+const MAX_ENUM_VALUES = 10;
+
 class DynamicValidator {
   constructor() {
     this.schemaCache = new Map();
@@ -14,49 +20,81 @@ class DynamicValidator {
    * @returns {Object} Inferred schema with field types and required status
    */
   analyzeSchema(documents) {
-    console.log(`[DYNAMIC] Analyzing schema for ${documents.length} documents`);
-    if (documents.length === 0) {
-      console.log('[DYNAMIC] No documents to analyze');
-      return { fields: {}, requiredFields: [] };
-    }
+    const stats = this.createSchemaStats();
+    documents.forEach(doc => this.collectFieldStats(stats, doc));
+    return this.buildSchema(stats);
+  }
 
-    const fieldStats = {};
-    const totalDocs = documents.length;
-    console.log(`[DYNAMIC] Total documents: ${totalDocs}`);
-
-    // Collect field statistics
-    documents.forEach(doc => {
-      Object.keys(doc).forEach(field => {
-        if (field === '_id' || field === '__v') return; // Skip MongoDB internal fields
-
-        if (!fieldStats[field]) {
-          fieldStats[field] = {
-            present: 0,
-            types: new Set(),
-            nullCount: 0,
-            emptyCount: 0,
-            values: []
-          };
-        }
+  /**
+   * Create an empty accumulator for incremental schema analysis
+   * @returns {Object} Schema statistics
+   */
+  createSchemaStats() {
+    return { totalDocs: 0, fieldStats: {}, containerCounts: {} };
+  }
+
+  /**
+   * Add a single document to the schema statistics
+   * Subdocument fields and array elements are collected under their schema path
+   * ("address.city", "items[].price"). Memory use is bounded by the number of
+   * distinct paths, not documents.
+   * @param {Object} stats - Accumulator from createSchemaStats
+   * @param {Object} doc - Document to collect
+   */
+  collectFieldStats(stats, doc) {
+    const { fieldStats, containerCounts } = stats;
+    stats.totalDocs++;
+
+    walkDocument(doc, ({ schemaPath: field, value }) => {
+      if (!fieldStats[field]) {
+        fieldStats[field] = {
+          present: 0,
+          types: new Set(),
+          nullCount: 0,
+          emptyCount: 0,
+          valueCount: 0,
+          uniqueValues: new Set()
+        };
+      }
 
-        fieldStats[field].present++;
+      fieldStats[field].present++;
 
-        const value = doc[field];
-        const type = this.getType(value);
-        fieldStats[field].types.add(type);
+      const type = this.getType(value);
+      fieldStats[field].types.add(type);
 
-        if (value === null) {
-          fieldStats[field].nullCount++;
-        } else if (value === '' || (Array.isArray(value) && value.length === 0)) {
-          fieldStats[field].emptyCount++;
-        }
+      // Presence of a nested field is measured against the subdocuments that could hold it
+      if (type === 'object') {
+        containerCounts[field] = (containerCounts[field] || 0) + 1;
+      }
 
-        // Store sample values for enum detection
-        if (value !== null && value !== '' && typeof value !== 'object') {
-          fieldStats[field].values.push(value);
+      if (value === null) {
+        fieldStats[field].nullCount++;
+      } else if (value === '' || (Array.isArray(value) && value.length === 0)) {
+        fieldStats[field].emptyCount++;
+      }
+
+      // Track sample values for enum detection; more than MAX_ENUM_VALUES rules it out
+      if (value !== null && value !== '' && typeof value !== 'object') {
+        fieldStats[field].valueCount++;
+        if (fieldStats[field].uniqueValues.size <= MAX_ENUM_VALUES) {
+          fieldStats[field].uniqueValues.add(value);
         }
-      });
+      }
     });
+  }
+
+  /**
+   * Turn collected statistics into a schema
+   * @param {Object} stats - Accumulator from createSchemaStats
+   * @returns {Object} Inferred schema with field types and required status
+   */
+  buildSchema(stats) {
+    const { fieldStats, containerCounts, totalDocs } = stats;
+    console.log(`[DYNAMIC] Analyzing schema for ${totalDocs} documents`);
+    if (totalDocs === 0) {
+      console.log('[DYNAMIC] No documents to analyze');
+      return { fields: {}, requiredFields: [] };
+    }
 
     // Determine schema based on majority presence (>80%)
     const schema = {
@@ -67,18 +105,22 @@ class DynamicValidator {
     console.log('[DYNAMIC] Field analysis:');
     Object.keys(fieldStats).forEach(field => {
       const stats = fieldStats[field];
-      const presence = stats.present / totalDocs;
-      const isRequired = presence > 0.8;
-      console.log(`[DYNAMIC]   ${field}: present in ${stats.present}/${totalDocs} (${(presence*100).toFixed(1)}%) - Required: ${isRequired}`);
-
-      // Field is required if present in >80% of documents
+      const parent = parentSchemaPath(field);
+      const isElement = field.endsWith('[]');
+      const containers = isElement ? stats.present : (parent ? containerCounts[parent] || 0 : totalDocs);
+      const presence = containers > 0 ? Math.min(stats.present / containers, 1) : 0;
+      const isRequired = !isElement && presence > 0.8;
+      console.log(`[DYNAMIC]   ${field}: present in ${stats.present}/${containers} (${(presence*100).toFixed(1)}%) - Required: ${isRequired}`);
+
+      // Field is required if present in >80% of documents (or of the subdocuments holding it);
+      // array elements always exist where they are, so they are never required
       if (isRequired) {
         schema.requiredFields.push(field);
       }
 
       // Determine dominant type
       const types = Array.from(stats.types);
-      const dominantType = this.getDominantType(types, fieldStats[field].values);
+      const dominantType = this.getDominantType(types);
 
       schema.fields[field] = {
         type: dominantType,
@@ -90,9 +132,9 @@ class DynamicValidator {
 
       // Detect possible enum fields (strings with few unique values)
       if (dominantType === 'string') {
-        const uniqueValues = [...new Set(stats.values)];
-        if (uniqueValues.length > 1 && uniqueValues.length <= 10 && uniqueValues.length < stats.values.length * 0.5) {
-          schema.fields[field].possibleEnum = uniqueValues.slice(0, 10);
+        const uniqueValues = [...stats.uniqueValues];
+        if (uniqueValues.length > 1 && uniqueValues.length <= MAX_ENUM_VALUES && uniqueValues.length < stats.valueCount * 0.5) {
+          schema.fields[field].possibleEnum = uniqueValues;
         }
       }
     });
@@ -100,6 +142,25 @@ class DynamicValidator {
     return schema;
   }
 
+  /**
+   * Feed a batch of documents into the schema pass
+   * @param {Array} documents - Batch of documents
+   * @returns {boolean} Whether the schema pass can stop early (never, for majority inference)
+   */
+  observeSchema(documents) {
+    if (!this.schemaStats) this.schemaStats = this.createSchemaStats();
+    documents.forEach(doc => this.collectFieldStats(this.schemaStats, doc));
+    return false;
+  }
+
+  /**
+   * Build the schema from everything observed during the schema pass
+   */
+  finishSchema() {
+    this.schema = this.buildSchema(this.schemaStats || this.createSchemaStats());
+    this.schemaStats = null;
+  }
+
   /**
    * Get JavaScript type of value
    */
@@ -107,6 +168,7 @@ class DynamicValidator {
     if (value === null) return 'null';
     if (Array.isArray(value)) return 'array';
     if (value instanceof Date) return 'date';
+    if (value && value._bsontype === 'ObjectId') return 'objectId';
     if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
     return typeof value;
   }
@@ -114,7 +176,7 @@ class DynamicValidator {
   /**
    * Determine dominant type from types array
    */
-  getDominantType(types, values) {
+  getDominantType(types) {
     // Remove null from consideration
     const nonNullTypes = types.filter(t => t !== 'null');
     
@@ -133,6 +195,7 @@ class DynamicValidator {
 
   /**
    * Validate a document against inferred schema
+   * Issues name the concrete path in field ("items.2.price") and the schema path in schemaPath.
    * @param {Object} document - Document to validate
    * @param {Object} schema - Inferred schema
    * @returns {Array} Array of validation issues
@@ -144,19 +207,23 @@ class DynamicValidator {
     console.log(`[DYNAMIC]   Required fields: ${schema.requiredFields.join(', ')}`);
     console.log(`[DYNAMIC]   Document has fields: ${Object.keys(document).filter(k => k !== '_id' && k !== '__v').join(', ')}`);
 
-    // Check for missing required fields
-    schema.requiredFields.forEach(field => {
-      if (document[field] === undefined) {
-        console.log(`[DYNAMIC]   ❌ MISSING: Field '${field}' is undefined in document`);
-        issues.push({
-          field,
-          issue: 'missing_required_field',
-          severity: 'high',
-          description: `Required field '${field}' is missing (present in ${Math.round(schema.fields[field]?.presence * 100)}% of documents)`
-        });
-      } else {
-        console.log(`[DYNAMIC]   ✓ Field '${field}' present: ${document[field]}`);
-      }
+    // Check for missing required fields (nested ones only where their subdocument exists)
+    schema.requiredFields.forEach(schemaPath => {
+      const parent = parentSchemaPath(schemaPath);
+      resolvePath(document, schemaPath).forEach(({ path: field, value }) => {
+        if (value === undefined) {
+          console.log(`[DYNAMIC]   ❌ MISSING: Field '${field}' is undefined in document`);
+          issues.push({
+            field,
+            schemaPath,
+            issue: 'missing_required_field',
+            severity: 'high',
+            description: `Required field '${field}' is missing (present in ${Math.round(schema.fields[schemaPath]?.presence * 100)}% of ${parent ? `'${parent}' objects` : 'documents'})`
+          });
+        } else {
+          console.log(`[DYNAMIC]   ✓ Field '${field}' present: ${value}`);
+        }
+      });
     });
 
     if (issues.length === 0) {
@@ -165,17 +232,16 @@ class DynamicValidator {
       console.log(`[DYNAMIC]   Document ${docId} has ${issues.length} issues`);
     }
 
-    // Check field types and nulls
-    Object.keys(document).forEach(field => {
-      if (field === '_id' || field === '__v') return;
-
-      const value = document[field];
-      const fieldSchema = schema.fields[field];
+    // Check field types and nulls, down through subdocuments and array elements
+    walkDocument(document, ({ schemaPath, path: field, value }) => {
+      const fieldSchema = schema.fields[schemaPath];
+      const isRequired = schema.requiredFields.includes(schemaPath);
 
       // Check for null values in required fields
-      if (value === null && fieldSchema && schema.requiredFields.includes(field)) {
+      if (value === null && fieldSchema && isRequired) {
         issues.push({
           field,
+          schemaPath,
           issue: 'null_value',
           severity: 'medium',
           description: `Field '${field}' has null value (required field)`
@@ -183,9 +249,10 @@ class DynamicValidator {
       }
 
       // Check for empty strings
-      if (value === '' && fieldSchema && schema.requiredFields.includes(field)) {
+      if (value === '' && fieldSchema && isRequired) {
         issues.push({
           field,
+          schemaPath,
           issue: 'empty_value',
           severity: 'medium',
           description: `Field '${field}' is empty string`
@@ -206,6 +273,7 @@ class DynamicValidator {
         if (isTypeMismatch) {
           issues.push({
             field,
+            schemaPath,
             issue: 'type_mismatch',
             severity: 'medium',
             description: `Field '${field}' expected type '${fieldSchema.type}' but got '${actualType}'`
@@ -213,10 +281,13 @@ class DynamicValidator {
         }
       }
 
-      // Check for unexpected fields (not in any other document)
-      if (!fieldSchema) {
+      // Check for unexpected fields (not in any other document); the contents of
+      // an unexpected subdocument are covered by the issue on the subdocument itself
+      const parent = parentSchemaPath(schemaPath);
+      if (!fieldSchema && (!parent || schema.fields[parent])) {
         issues.push({
           field,
+          schemaPath,
           issue: 'unexpected_field',
           severity: 'low',
           description: `Field '${field}' is not present in other documents`
@@ -229,6 +300,7 @@ class DynamicValidator {
 
   /**
    * Attempt to repair document based on issues
+   * Values are keyed by concrete path; the schema is looked up by each issue's schemaPath.
    * @param {Object} document - Document to repair
    * @param {Array} issues - Validation issues
    * @param {Object} schema - Inferred schema
@@ -240,11 +312,12 @@ class DynamicValidator {
 
     issues.forEach(issue => {
       const { field, issue: issueType } = issue;
+      const schemaPath = issue.schemaPath || field;
 
       switch (issueType) {
         case 'missing_required_field':
           // Set default based on expected type
-          const fieldSchema = schema.fields[field];
+          const fieldSchema = schema.fields[schemaPath];
           if (fieldSchema) {
             let defaultValue;
             switch (fieldSchema.type) {
@@ -267,8 +340,8 @@ class DynamicValidator {
           break;
 
         case 'null_value':
-          if (schema.requiredFields.includes(field)) {
-            const fs = schema.fields[field];
+          if (schema.requiredFields.includes(schemaPath)) {
+            const fs = schema.fields[schemaPath];
             if (fs && fs.type === 'string') {
               repairs.push({
                 field,
@@ -303,7 +376,7 @@ class DynamicValidator {
         case 'type_mismatch':
           // Attempt type conversion for simple cases
           const currentValue = repaired[field];
-          const expectedType = schema.fields[field]?.type;
+          const expectedType = schema.fields[schemaPath]?.type;
           
           if (expectedType === 'number' || expectedType === 'integer') {
             if (typeof currentValue === 'string') {
@@ -339,6 +412,49 @@ class DynamicValidator {
       shouldDelete: false // Dynamic validator never deletes, only repairs
     };
   }
+
+  /**
+   * Check documents against the schema from the schema pass
+   * Without a prior schema pass, the schema is inferred from these documents alone.
+   * @param {Array} documents - Batch of documents
+   * @returns {Object} Issues found and the fields the schema requires
+   */
+  checkDocuments(documents) {
+    if (!this.schema) this.schema = this.analyzeSchema(documents);
+    const issues = [];
+
+    documents.forEach((doc, index) => {
+      const docId = doc._id ? doc._id.toString() : `doc-${index}`;
+      this.validateDocument(doc, this.schema).forEach(issue => {
+        issues.push({
+          ...issue,
+          documentId: docId,
+          currentValue: getValue(doc, issue.field)
+        });
+      });
+    });
+
+    return { issues, expectedFields: this.schema.requiredFields };
+  }
+
+  /**
+   * Describe the repairs repairDocument would make, without touching the database
+   * @param {Array} issues - Issues from checkDocuments
+   * @returns {Array} Planned repairs
+   */
+  planRepairs(issues) {
+    const planned = [];
+
+    groupByDocument(issues).forEach((docIssues, documentId) => {
+      const document = {};
+      docIssues.forEach(issue => { document[issue.field] = issue.currentValue; });
+
+      const { repairs } = this.repairDocument(document, docIssues, this.schema);
+      repairs.forEach(repair => planned.push({ documentId, ...repair }));
+    });
+
+    return planned;
+  }
 }
 
 module.exports = DynamicValidator;
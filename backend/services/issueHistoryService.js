@@ -0,0 +1,209 @@
+/**
+ * Issue History Service - Issues recorded per check, and comparisons between checks
+ * Every check stores its issues as ReportIssue records keyed by (documentId, field,
+ * issue type), so two reports can be compared issue by issue.
+ */
+
+const Report = require('../models/Report');
+const ReportIssue = require('../models/ReportIssue');
+
+const DEFAULT_LIMIT = 200;
+
+// Documents looked up per history query when finding recurring issues
+const RECURRING_BATCH_SIZE = 1000;
+
+const fieldKey = ({ documentId, field }) => `${documentId}\u0000${field}`;
+
+// Strings in MongoDB's order (simple collation compares UTF-8 bytes); a null field sorts first
+const compareStrings = (a, b) => {
+  if (a === b) return 0;
+  if (a === null) return -1;
+  if (b === null) return 1;
+  return Buffer.compare(Buffer.from(a, 'utf8'), Buffer.from(b, 'utf8'));
+};
+
+const byDocumentAndField = (a, b) =>
+  compareStrings(a.documentId, b.documentId) ||
+  compareStrings(a.field, b.field) ||
+  compareStrings(a.issue, b.issue);
+
+const byRepairRuns = (a, b) => b.repairRuns - a.repairRuns || compareStrings(a.documentId, b.documentId);
+
+/**
+ * A report's issues in (documentId, field, issue) order, read through a cursor
+ */
+const sortedIssues = (reportId) => ReportIssue.find({ reportId })
+  .sort({ documentId: 1, field: 1, issue: 1 })
+  .select('documentId field issue severity repaired')
+  .lean()
+  .cursor();
+
+class IssueHistoryService {
+  /**
+   * Store the issues a batch produced
+   * @param {Object} report - Report of the check (must carry _id)
+   * @param {Array} issues - Issues found in the batch
+   * @param {Object|null} outcome - The applier's outcome, or null when nothing was written
+   * @returns {number} Issues stored
+   */
+  async record(report, issues, outcome) {
+    if (issues.length === 0) return 0;
+
+    const deleted = new Set(outcome ? outcome.deleted : []);
+    const repaired = new Set(outcome ? outcome.repairs.map(fieldKey) : []);
+
+    const entries = issues.map(issue => ({
+      reportId: report._id,
+      database: report.database,
+      collection: report.collection,
+      checkedAt: report.timestamp,
+      documentId: issue.documentId,
+      field: issue.field === undefined ? null : issue.field,
+      issue: issue.issue,
+      severity: issue.severity || null,
+      repaired: deleted.has(issue.documentId) || repaired.has(fieldKey(issue))
+    }));
+
+    await ReportIssue.insertMany(entries, { ordered: false });
+    return entries.length;
+  }
+
+  /**
+   * Compare the issues of two checks on the same collection
+   * Issues are matched on (documentId, field, issue type). Both reports are read in that
+   * order and merged like a sorted join, so memory use does not grow with the number of
+   * issues; only the first limit entries of each list are kept. Documents with issues in
+   * the later check that earlier checks already repaired are listed as recurring:
+   * something keeps writing them back into a bad state.
+   * @param {Object} from - Earlier report
+   * @param {Object} to - Later report
+   * @param {Object} options - limit: maximum entries returned per list
+   * @returns {Object} { counts, new, resolved, persisting, recurring, truncated }
+   */
+  async compare(from, to, { limit = DEFAULT_LIMIT } = {}) {
+    const format = ({ documentId, field, issue, severity }) => ({ documentId, field, issue, severity });
+    const counts = { new: 0, resolved: 0, persisting: 0, recurring: 0 };
+    const lists = { new: [], resolved: [], persisting: [] };
+    const add = (list, entry) => {
+      counts[list]++;
+      if (lists[list].length < limit) lists[list].push(entry);
+    };
+
+    const recurring = this.recurringFinder(to, limit);
+    const before = sortedIssues(from._id);
+    const after = sortedIssues(to._id);
+
+    try {
+      let previous = await before.next();
+      let current = await after.next();
+
+      while (previous || current) {
+        const order = !current ? -1 : !previous ? 1 : byDocumentAndField(previous, current);
+
+        if (order < 0) {
+          add('resolved', format(previous));
+          previous = await before.next();
+        } else {
+          if (order > 0) {
+            add('new', format(current));
+          } else {
+            // repairedBefore: the earlier check wrote a repair, yet the issue is back
+            add('persisting', { ...format(current), repairedBefore: previous.repaired });
+            previous = await before.next();
+          }
+          await recurring.add(current);
+          current = await after.next();
+        }
+      }
+    } finally {
+      await Promise.all([before.close(), after.close()]);
+    }
+
+    const found = await recurring.finish();
+    counts.recurring = found.total;
+
+    return {
+      counts,
+      new: lists.new,
+      resolved: lists.resolved,
+      persisting: lists.persisting,
+      recurring: found.documents,
+      truncated: Object.keys(counts).some(list => counts[list] > limit)
+    };
+  }
+
+  /**
+   * Collects documents with issues in a check that earlier checks had repaired
+   * Issues are added in documentId order; their documents' repair history is looked up
+   * RECURRING_BATCH_SIZE documents at a time, keeping only the limit most repaired.
+   * Runs that were rolled back are left out; their repairs were undone on purpose.
+   * @param {Object} report - The later check
+   * @param {number} limit - Documents kept
+   * @returns {Object} { add(issue), finish() } where finish resolves to { total, documents };
+   *                   documents are { documentId, repairRuns, lastRepairedAt, repairedFields, issues }, most repaired first
+   */
+  recurringFinder(report, limit) {
+    const scope = { database: report.database, collection: report.collection };
+    let rolledBack = null;
+    let issuesByDocument = new Map();
+    let kept = [];
+    let total = 0;
+
+    const flush = async () => {
+      if (issuesByDocument.size === 0) return;
+      const batch = issuesByDocument;
+      issuesByDocument = new Map();
+      if (!rolledBack) {
+        rolledBack = await Report.find({ ...scope, rolledBackAt: { $ne: null } }).distinct('_id');
+      }
+
+      const history = await ReportIssue.aggregate([
+        {
+          $match: {
+            ...scope,
+            repaired: true,
+            checkedAt: { $lt: report.timestamp },
+            reportId: { $nin: rolledBack },
+            documentId: { $in: [...batch.keys()] }
+          }
+        },
+        {
+          $group: {
+            _id: '$documentId',
+            runs: { $addToSet: '$reportId' },
+            lastRepairedAt: { $max: '$checkedAt' },
+            fields: { $addToSet: '$field' }
+          }
+        }
+      ]);
+
+      total += history.length;
+      kept = kept.concat(history.map(({ _id, runs, lastRepairedAt, fields }) => ({
+        documentId: _id,
+        repairRuns: runs.length,
+        lastRepairedAt,
+        repairedFields: fields.filter(field => field !== null).sort(),
+        issues: [...batch.get(_id)].sort()
+      }))).sort(byRepairRuns).slice(0, limit);
+    };
+
+    return {
+      add: async (entry) => {
+        // Issues come grouped by document, so a full batch is complete once the next document starts
+        if (issuesByDocument.size >= RECURRING_BATCH_SIZE && !issuesByDocument.has(entry.documentId)) {
+          await flush();
+        }
+        if (!issuesByDocument.has(entry.documentId)) issuesByDocument.set(entry.documentId, new Set());
+        issuesByDocument.get(entry.documentId).add(entry.field === null ? entry.issue : `${entry.field}: ${entry.issue}`);
+      },
+      finish: async () => {
+        await flush();
+        return { total, documents: kept };
+      }
+    };
+  }
+}
+
+IssueHistoryService.DEFAULT_LIMIT = DEFAULT_LIMIT;
+
+module.exports = IssueHistoryService;
@@ -0,0 +1,21 @@
+/**
+ * Issue Utilities - Helpers shared by the validators and the checker
+ */
+
+/**
+ * Group issues (or planned repairs) by the document they belong to
+ * @param {Array} items - Items carrying a documentId
+ * @returns {Map} documentId -> items for that document, in input order
+ */
+function groupByDocument(items) {
+  const groups = new Map();
+  items.forEach(item => {
+    if (!groups.has(item.documentId)) groups.set(item.documentId, []);
+    groups.get(item.documentId).push(item);
+  });
+  return groups;
+}
+
+module.exports = {
+  groupByDocument
+};
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { redactSecrets } = require('./secretUtils');
+
+const DEFAULT_CONCURRENCY = 2;
+const FINISHED_HISTORY_LIMIT = 100;
+const RECENT_ISSUES_LIMIT = 50;
+
+/**
+ * Job Queue - Runs checks concurrently across targets
+ * Jobs on the same target (database + collection) run one at a time, in order;
+ * jobs on different targets run side by side up to a global concurrency limit.
+ * Emits 'update' (job) when a job starts or reports progress and 'finished' (job) when it ends.
+ */
+class JobQueue extends EventEmitter {
+  /**
+   * @param {Object} options - Queue options
+   * @param {number} options.concurrency - Maximum jobs running at once
+   */
+  constructor(options = {}) {
+    super();
+    // Every open progress stream listens here
+    this.setMaxListeners(0);
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.queued = [];
+    this.running = new Map();
+    this.finished = [];
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} target - Key of the resource the job works on
+   * @param {Function} task - async (job) => result; job.signal aborts on cancel and
+   *                          progress is reported through updateProgress(job, progress)
+   * @param {Object} meta - Extra fields shown in job listings
+   * @returns {Object} The job; job.promise settles when it finishes
+   */
+  enqueue(target, task, meta = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      target,
+      state: 'queued',
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+      progress: null,
+      recentIssues: [],
+      error: null,
+      ...meta
+    };
+
+    const controller = new AbortController();
+    job.controller = controller;
+    job.signal = controller.signal;
+
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    // Callers may not await the promise; failures are recorded on the job instead
+    job.promise.catch(() => {});
+    job.task = task;
+
+    this.queued.push(job);
+    console.log(`[QUEUE] Job ${job.id} queued for ${target} (${this.queued.length} waiting)`);
+    this.drain();
+
+    return job;
+  }
+
+  /**
+   * Start every queued job whose target is free, while capacity allows
+   */
+  drain() {
+    const busyTargets = new Set([...this.running.values()].map(job => job.target));
+
+    for (let i = 0; i < this.queued.length && this.running.size < this.concurrency; ) {
+      const job = this.queued[i];
+
+      if (busyTargets.has(job.target)) {
+        i++;
+        continue;
+      }
+
+      this.queued.splice(i, 1);
+      busyTargets.add(job.target);
+      this.start(job);
+    }
+  }
+
+  async start(job) {
+    job.state = 'running';
+    job.startedAt = new Date();
+    this.running.set(job.id, job);
+    console.log(`[QUEUE] Job ${job.id} started (${this.running.size}/${this.concurrency} running)`);
+    this.emit('update', job);
+
+    try {
+      job.result = await job.task(job);
+      job.state = job.signal.aborted ? 'cancelled' : 'completed';
+      job.resolve(job.result);
+    } catch (error) {
+      job.state = 'failed';
+      job.error = redactSecrets(error.message);
+      job.reject(error);
+      console.error(`[QUEUE] Job ${job.id} failed:`, error.message);
+    } finally {
+      job.finishedAt = new Date();
+      this.running.delete(job.id);
+      this.finished.unshift(job);
+      this.finished.length = Math.min(this.finished.length, FINISHED_HISTORY_LIMIT);
+      this.emit('finished', job);
+      this.drain();
+    }
+  }
+
+  /**
+   * Record progress for a running job and notify listeners
+   * @param {Object} job - The job reporting progress
+   * @param {Object} progress - Progress from the task; its newIssues are appended to job.recentIssues
+   */
+  updateProgress(job, progress) {
+    const { newIssues = [], ...fields } = progress;
+    job.progress = fields;
+    if (newIssues.length > 0) {
+      job.recentIssues = job.recentIssues.concat(newIssues).slice(-RECENT_ISSUES_LIMIT);
+    }
+    this.emit('update', job);
+  }
+
+  /**
+   * Cancel a job
+   * A queued job is dropped; a running job is signalled and stops at its next checkpoint.
+   * @returns {Object|null} The job, or null if it does not exist
+   */
+  cancel(id) {
+    const index = this.queued.findIndex(job => job.id === id);
+
+    if (index !== -1) {
+      const [job] = this.queued.splice(index, 1);
+      job.state = 'cancelled';
+      job.finishedAt = new Date();
+      job.controller.abort();
+      job.resolve(null);
+      this.finished.unshift(job);
+      this.finished.length = Math.min(this.finished.length, FINISHED_HISTORY_LIMIT);
+      console.log(`[QUEUE] Job ${id} cancelled before it started`);
+      this.emit('finished', job);
+      return job;
+    }
+
+    const job = this.running.get(id);
+    if (job) {
+      job.cancelRequested = true;
+      job.controller.abort();
+      console.log(`[QUEUE] Job ${id} cancellation requested`);
+      return job;
+    }
+
+    return this.finished.find(finishedJob => finishedJob.id === id) || null;
+  }
+
+  /**
+   * Find a job in any state
+   */
+  get(id) {
+    return this.running.get(id) ||
+      this.queued.find(job => job.id === id) ||
+      this.finished.find(job => job.id === id) ||
+      null;
+  }
+
+  /**
+   * Queued and running jobs whose fields match
+   * @param {Object} fields - e.g. { sessionId }
+   * @returns {Array} The jobs
+   */
+  findActive(fields) {
+    return [...this.queued, ...this.running.values()]
+      .filter(job => Object.keys(fields).every(key => job[key] === fields[key]));
+  }
+
+  /**
+   * Whether any job is running
+   */
+  isBusy() {
+    return this.running.size > 0;
+  }
+
+  /**
+   * Jobs grouped by state, in API shape
+   */
+  list() {
+    return {
+      concurrency: this.concurrency,
+      queued: this.queued.map(job => this.serialize(job)),
+      running: [...this.running.values()].map(job => this.serialize(job)),
+      finished: this.finished.map(job => this.serialize(job))
+    };
+  }
+
+  /**
+   * Public view of a job, without its task, promise and result
+   */
+  serialize(job) {
+    const { task, promise, resolve, reject, result, controller, signal, ...fields } = job;
+    if (job.state === 'queued') {
+      fields.position = this.queued.indexOf(job) + 1;
+    }
+    return fields;
+  }
+}
+
+JobQueue.DEFAULT_CONCURRENCY = DEFAULT_CONCURRENCY;
+
+module.exports = JobQueue;
@@ -0,0 +1,193 @@
+/**
+ * Metrics Service - Prometheus metrics for checks, issues, repairs and durations
+ * Counters and the duration histogram accumulate from finished jobs while the process
+ * runs and start again from zero on restart, as Prometheus expects; queue, session and
+ * Status gauges are read when the metrics are scraped.
+ */
+
+const Status = require('../models/Status');
+
+const PREFIX = 'consistency_checker';
+// Check duration buckets, in seconds
+const DURATION_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600];
+
+const COUNTERS = {
+  checks_total: 'Consistency checks finished, by outcome (completed, completed_with_errors, failed, cancelled)',
+  issues_total: 'Issues found by consistency checks, by type and severity',
+  repairs_applied_total: 'Field repairs written, by checks or by applying approved repairs',
+  repairs_failed_total: 'Repairs that could not be written',
+  documents_deleted_total: 'Documents removed (deleted or moved to quarantine or archive) by repairs'
+};
+
+const escapeLabel = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const pairs = Object.keys(labels).map(name => `${name}="${escapeLabel(labels[name])}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+const toSeconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+const statusLabels = (status) => ({ database: status.database || '', collection: status.collection });
+
+/**
+ * How a check job ended, for the checks_total outcome label
+ */
+const getCheckOutcome = (job) => {
+  if (job.state === 'completed') {
+    return job.result && job.result.errors && job.result.errors.length > 0 ? 'completed_with_errors' : 'completed';
+  }
+  return job.state;
+};
+
+class MetricsService {
+  constructor() {
+    // metric name -> Map(label key -> { labels, value })
+    this.counters = new Map(Object.keys(COUNTERS).map(name => [name, new Map()]));
+    // label key -> { labels, buckets, sum, count }
+    this.durations = new Map();
+  }
+
+  /**
+   * Count every job the queue finishes
+   * @param {Object} jobQueue - JobQueue emitting 'finished'
+   */
+  watch(jobQueue) {
+    jobQueue.on('finished', (job) => {
+      try {
+        this.recordJob(job);
+      } catch (error) {
+        console.error(`[METRICS] Failed to record job ${job.id}:`, error.message);
+      }
+    });
+  }
+
+  /**
+   * Add a finished check or approved-repair job to the counters
+   */
+  recordJob(job) {
+    // Replica verifications and source-versus-target comparisons only read
+    if (job.kind && job.kind !== 'apply_approved') return;
+
+    const report = job.result || null;
+    const target = { database: job.database || '', collection: job.collection || '' };
+    const kind = job.kind === 'apply_approved' ? 'approved' : 'check';
+
+    if (kind === 'check') {
+      this.increment('checks_total', {
+        ...target,
+        validator: job.validator || 'simple',
+        mode: job.dryRun ? 'dry_run' : job.approval ? 'approval' : 'repair',
+        outcome: getCheckOutcome(job)
+      });
+
+      // A job cancelled while queued never ran
+      if (job.startedAt) {
+        const durationMs = report ? report.duration : job.finishedAt - job.startedAt;
+        this.observeDuration(target, durationMs / 1000);
+      }
+    }
+
+    if (!report) return;
+
+    (report.issueCounts || []).forEach(({ issue, severity, count }) => {
+      this.increment('issues_total', { ...target, issue, severity: severity || 'none' }, count);
+    });
+    this.increment('repairs_applied_total', { ...target, kind }, report.repairsApplied || 0);
+    this.increment('repairs_failed_total', { ...target, kind }, report.repairsFailed || 0);
+    this.increment('documents_deleted_total', { ...target, kind }, report.documentsDeleted || 0);
+  }
+
+  increment(name, labels, amount = 1) {
+    const series = this.counters.get(name);
+    const key = formatLabels(labels);
+    if (!series.has(key)) series.set(key, { labels, value: 0 });
+    series.get(key).value += amount;
+  }
+
+  observeDuration(labels, seconds) {
+    const key = formatLabels(labels);
+    if (!this.durations.has(key)) {
+      this.durations.set(key, { labels, buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 });
+    }
+
+    const histogram = this.durations.get(key);
+    DURATION_BUCKETS.forEach((bound, index) => {
+      if (seconds <= bound) histogram.buckets[index]++;
+    });
+    histogram.sum += seconds;
+    histogram.count++;
+  }
+
+  /**
+   * All metrics in the Prometheus text exposition format (version 0.0.4)
+   * @param {Object} state - Read at scrape time
+   * @param {Object} state.jobQueue - The job queue, for running and queued jobs
+   * @param {number} state.sessions - Open connection sessions
+   * @returns {Promise<string>} The metrics text
+   */
+  async render({ jobQueue, sessions }) {
+    const lines = [];
+    const metric = (name, type, help) => {
+      lines.push(`# HELP ${PREFIX}_${name} ${help}`);
+      lines.push(`# TYPE ${PREFIX}_${name} ${type}`);
+    };
+    const sample = (name, labels, value) => {
+      lines.push(`${PREFIX}_${name}${formatLabels(labels)} ${value}`);
+    };
+
+    Object.keys(COUNTERS).forEach(name => {
+      metric(name, 'counter', COUNTERS[name]);
+      this.counters.get(name).forEach(({ labels, value }) => sample(name, labels, value));
+    });
+
+    metric('check_duration_seconds', 'histogram', 'Time consistency checks took');
+    this.durations.forEach(({ labels, buckets, sum, count }) => {
+      buckets.forEach((value, index) => {
+        sample('check_duration_seconds_bucket', { ...labels, le: DURATION_BUCKETS[index] }, value);
+      });
+      sample('check_duration_seconds_bucket', { ...labels, le: '+Inf' }, count);
+      sample('check_duration_seconds_sum', labels, sum);
+      sample('check_duration_seconds_count', labels, count);
+    });
+
+    metric('jobs', 'gauge', 'Jobs in the queue, by state');
+    sample('jobs', { state: 'running' }, jobQueue.running.size);
+    sample('jobs', { state: 'queued' }, jobQueue.queued.length);
+
+    metric('job_concurrency', 'gauge', 'Maximum jobs running at once');
+    sample('job_concurrency', {}, jobQueue.concurrency);
+
+    metric('sessions', 'gauge', 'Open connection sessions');
+    sample('sessions', {}, sessions);
+
+    const statuses = await Status.find({}).lean();
+    const checked = statuses.filter(status => status.lastCheckTime);
+    const verified = statuses.filter(status => status.lastReplicaCheckTime);
+
+    metric('collection_consistent', 'gauge', 'Whether the collection was consistent at its last check (1) or not (0)');
+    checked.forEach(status => sample('collection_consistent', statusLabels(status), status.isConsistent ? 1 : 0));
+
+    metric('all_replicas_consistent', 'gauge', 'Whether every replica of the collection was consistent at the last verification');
+    verified.forEach(status => sample('all_replicas_consistent', statusLabels(status), status.allReplicasConsistent ? 1 : 0));
+
+    metric('last_check_timestamp_seconds', 'gauge', 'Unix time of the last check of the collection');
+    checked.forEach(status => sample('last_check_timestamp_seconds', statusLabels(status), toSeconds(status.lastCheckTime)));
+
+    metric('last_replica_check_timestamp_seconds', 'gauge', 'Unix time of the last replica verification of the collection');
+    verified.forEach(status => sample('last_replica_check_timestamp_seconds', statusLabels(status), toSeconds(status.lastReplicaCheckTime)));
+
+    metric('last_consistent_timestamp_seconds', 'gauge', 'Unix time the collection was last found consistent; absent if it never was');
+    checked
+      .filter(status => status.lastConsistentTime)
+      .forEach(status => sample('last_consistent_timestamp_seconds', statusLabels(status), toSeconds(status.lastConsistentTime)));
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+MetricsService.DURATION_BUCKETS = DURATION_BUCKETS;
+
+module.exports = MetricsService;
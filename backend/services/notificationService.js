@@ -0,0 +1,660 @@
+/**
+ * Notification Service - Tells people when checks find inconsistencies or fail
+ * Channels are stored in MongoDB: JSON webhooks signed with HMAC-SHA256, Slack-compatible
+ * incoming webhooks, and SMTP email. When a check job finishes, every enabled channel whose
+ * triggers match is sent the event; failed deliveries are retried with backoff.
+ */
+
+const crypto = require('crypto');
+const NotificationChannel = require('../models/NotificationChannel');
+const Report = require('../models/Report');
+const { sendMail } = require('./smtpClient');
+const { redactSecrets, encryptSecret, decryptSecret } = require('./secretUtils');
+
+const HISTORY_LIMIT = 50;
+// Wait before each retry; a delivery is attempted once more than there are delays
+const RETRY_DELAYS_MS = [1000, 5000, 30000];
+const REQUEST_TIMEOUT_MS = 10000;
+const REPORT_ERRORS_LIMIT = 10;
+// Settings kept per channel type; the secret ones are stored encrypted and never returned
+const CONFIG_FIELDS = {
+  webhook: ['url'],
+  slack: [],
+  email: ['host', 'port', 'secure', 'requireTls', 'username', 'from', 'to']
+};
+const SECRET_FIELDS = {
+  // Added headers usually carry credentials (Authorization, API keys)
+  webhook: ['secret', 'headers'],
+  slack: ['url'],
+  email: ['password']
+};
+const TRIGGERS = ['anyIssues', 'issuesAbove', 'becameInconsistent', 'errored'];
+
+class ChannelValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid notification channel: ${errors.join('; ')}`);
+    this.name = 'ChannelValidationError';
+    this.errors = errors;
+  }
+}
+
+class DeliveryError extends Error {
+  /**
+   * @param {string} message - What failed
+   * @param {Object} options - statusCode of the response; permanent when retrying cannot help
+   */
+  constructor(message, { statusCode = null, permanent = false } = {}) {
+    super(message);
+    this.name = 'DeliveryError';
+    this.statusCode = statusCode;
+    this.permanent = permanent;
+  }
+}
+
+const isUrl = (value) => typeof value === 'string' && /^https?:\/\/\S+$/.test(value);
+const isEmail = (value) => typeof value === 'string' && /^[^\s@<>,]+@[^\s@<>,]+$/.test(value);
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether a report leaves its collection consistent, by the same rule as the collection status
+ */
+const isConsistent = (report) => (
+  report.inconsistenciesFound === 0 ||
+  report.inconsistenciesFound === report.repairsApplied + report.documentsDeleted
+);
+
+const summarizeReport = (report) => ({
+  id: String(report._id),
+  timestamp: report.timestamp,
+  database: report.database,
+  collection: report.collection,
+  profileId: report.profileId ? String(report.profileId) : null,
+  validator: report.validator,
+  dryRun: report.dryRun,
+  approval: report.approval,
+  cancelled: report.cancelled,
+  totalDocuments: report.totalDocuments,
+  inconsistenciesFound: report.inconsistenciesFound,
+  repairsApplied: report.repairsApplied,
+  documentsDeleted: report.documentsDeleted,
+  pendingRepairs: report.pendingRepairs,
+  errorCount: report.errors.length,
+  errors: report.errors.slice(0, REPORT_ERRORS_LIMIT),
+  duration: report.duration
+});
+
+/**
+ * One-line summary of an event, for Slack messages and email subjects
+ */
+const summarizeEvent = (event) => {
+  if (event.event === 'test') {
+    return `Test notification for channel '${event.channel}'`;
+  }
+
+  const scope = `${event.database || 'unknown database'}.${event.collection}`;
+  if (!event.job.id) {
+    return `Scheduled consistency check on ${scope} failed to start`;
+  }
+  if (!event.report) {
+    return `Consistency check on ${scope} failed`;
+  }
+
+  const { inconsistenciesFound: issues, dryRun, approval } = event.report;
+  const mode = dryRun ? ' (dry run)' : approval ? ' (held for approval)' : '';
+  return `Consistency check on ${scope} found ${issues} issue${issues === 1 ? '' : 's'}${mode}`;
+};
+
+/**
+ * The event as plain-text lines, for Slack messages and email bodies
+ */
+const describeEvent = (event) => {
+  const lines = [summarizeEvent(event)];
+  if (event.event === 'test') {
+    lines.push('', 'This channel is set up correctly.');
+    return lines;
+  }
+
+  lines.push('');
+  if (event.triggers.length > 0) lines.push(`Triggered by: ${event.triggers.join(', ')}`);
+  if (event.job.scheduleName) lines.push(`Schedule: ${event.job.scheduleName}`);
+  if (event.job.user) lines.push(`Started by: ${event.job.user}`);
+  if (event.job.error) lines.push(`Error: ${event.job.error}`);
+
+  const { report } = event;
+  if (report) {
+    lines.push(
+      `Documents: ${report.totalDocuments}, issues: ${report.inconsistenciesFound}, repaired: ${report.repairsApplied}, ` +
+      `removed: ${report.documentsDeleted}, awaiting approval: ${report.pendingRepairs}`
+    );
+    lines.push(`Status: ${event.status}${event.previousStatus ? ` (was ${event.previousStatus})` : ''}`);
+    if (report.errorCount > 0) {
+      lines.push(`Errors (${report.errorCount}):`, ...report.errors.map(error => `- ${error}`));
+    }
+    lines.push(`Report: ${report.id}`);
+  }
+  if (event.job.id) lines.push(`Job: ${event.job.id}`);
+  return lines;
+};
+
+class NotificationService {
+  /**
+   * @param {Object} options - Service options
+   * @param {Array} options.retryDelays - Milliseconds to wait before each retry
+   */
+  constructor(options = {}) {
+    this.retryDelays = options.retryDelays || RETRY_DELAYS_MS;
+  }
+
+  /**
+   * Check a channel definition, including its secret settings
+   * @returns {Array} Error messages, empty when valid
+   */
+  validateDefinition({ name, type, enabled, triggers, collections, config }) {
+    const errors = [];
+
+    if (typeof name !== 'string' || !name.trim()) {
+      errors.push('name is required');
+    }
+
+    if (!NotificationChannel.TYPES.includes(type)) {
+      errors.push(`type must be one of: ${NotificationChannel.TYPES.join(', ')}`);
+    }
+
+    if (typeof enabled !== 'boolean') {
+      errors.push('enabled must be a boolean');
+    }
+
+    ['anyIssues', 'becameInconsistent', 'errored'].forEach(key => {
+      if (typeof triggers[key] !== 'boolean') errors.push(`triggers.${key} must be a boolean`);
+    });
+    if (triggers.issuesAbove !== null && !(Number.isInteger(triggers.issuesAbove) && triggers.issuesAbove >= 0)) {
+      errors.push('triggers.issuesAbove must be a non-negative integer or null');
+    }
+    if (!triggers.anyIssues && triggers.issuesAbove === null && !triggers.becameInconsistent && !triggers.errored) {
+      errors.push(`at least one trigger must be set: ${TRIGGERS.join(', ')}`);
+    }
+
+    if (!Array.isArray(collections) || !collections.every(c => typeof c === 'string' && c.trim())) {
+      errors.push('collections must be an array of collection names');
+    }
+
+    if (type === 'webhook') {
+      if (!isUrl(config.url)) errors.push('config.url must be an http(s) URL');
+      if (config.secret !== undefined && (typeof config.secret !== 'string' || !config.secret)) {
+        errors.push('config.secret must be a non-empty string');
+      }
+      if (config.headers !== undefined && (typeof config.headers !== 'object' || config.headers === null ||
+          !Object.values(config.headers).every(value => typeof value === 'string'))) {
+        errors.push('config.headers must be an object of header names to strings');
+      }
+    }
+
+    if (type === 'slack' && !isUrl(config.url)) {
+      errors.push('config.url must be the incoming webhook URL');
+    }
+
+    if (type === 'email') {
+      if (typeof config.host !== 'string' || !config.host.trim()) errors.push('config.host is required');
+      if (!(Number.isInteger(config.port) && config.port > 0 && config.port < 65536)) {
+        errors.push('config.port must be a port number');
+      }
+      ['secure', 'requireTls'].forEach(key => {
+        if (typeof config[key] !== 'boolean') errors.push(`config.${key} must be a boolean`);
+      });
+      if (config.username !== undefined && typeof config.username !== 'string') {
+        errors.push('config.username must be a string');
+      }
+      if (config.password !== undefined && !config.username) {
+        errors.push('config.password needs config.username');
+      }
+      if (!isEmail(config.from)) errors.push('config.from must be an email address');
+      if (!Array.isArray(config.to) || config.to.length === 0 || !config.to.every(isEmail)) {
+        errors.push('config.to must be a non-empty array of email addresses');
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * A definition with defaults filled in and unknown settings dropped
+   * Secret settings set to null or '' are removed.
+   */
+  normalize(definition) {
+    const { name, type, enabled = true, triggers = {}, collections = [], config = {} } = definition;
+    const known = [...(CONFIG_FIELDS[type] || []), ...(SECRET_FIELDS[type] || [])];
+    const kept = {};
+    known.forEach(key => {
+      if (config[key] !== undefined && config[key] !== null && config[key] !== '') kept[key] = config[key];
+    });
+
+    if (type === 'email') {
+      kept.secure = kept.secure === undefined ? false : kept.secure;
+      kept.requireTls = kept.requireTls === undefined ? true : kept.requireTls;
+      kept.port = kept.port === undefined ? (kept.secure === true ? 465 : 587) : kept.port;
+    }
+
+    return {
+      name: typeof name === 'string' ? name.trim() : name,
+      type,
+      enabled,
+      triggers: {
+        anyIssues: triggers.anyIssues === undefined ? false : triggers.anyIssues,
+        issuesAbove: triggers.issuesAbove === undefined ? null : triggers.issuesAbove,
+        becameInconsistent: triggers.becameInconsistent === undefined ? false : triggers.becameInconsistent,
+        errored: triggers.errored === undefined ? false : triggers.errored
+      },
+      collections: Array.isArray(collections) ? collections.map(c => (typeof c === 'string' ? c.trim() : c)) : collections,
+      config: kept
+    };
+  }
+
+  /**
+   * Split a normalized definition into stored fields, with its secrets encrypted
+   */
+  toStored(definition) {
+    const config = { ...definition.config };
+    const secrets = {};
+    SECRET_FIELDS[definition.type].forEach(key => {
+      if (config[key] !== undefined) secrets[key] = config[key];
+      delete config[key];
+    });
+
+    const secretsSet = Object.keys(secrets);
+    return {
+      ...definition,
+      config,
+      encryptedSecrets: secretsSet.length > 0 ? encryptSecret(JSON.stringify(secrets)) : null,
+      secretsSet
+    };
+  }
+
+  /**
+   * A stored channel's secret settings
+   * @throws {EncryptionKeyError} When they cannot be decrypted
+   */
+  readSecrets(channel) {
+    return channel.encryptedSecrets ? JSON.parse(decryptSecret(channel.encryptedSecrets)) : {};
+  }
+
+  /**
+   * Channels by name, without their delivery history
+   */
+  async list() {
+    return NotificationChannel.find({}).select('-history').sort({ name: 1 }).lean();
+  }
+
+  async get(id) {
+    return NotificationChannel.findById(id).lean();
+  }
+
+  /**
+   * Store a channel
+   * @throws {ChannelValidationError} When the definition is invalid or the name is taken
+   * @throws {EncryptionKeyError} When it has secrets and no usable key is configured
+   */
+  async create(definition) {
+    const normalized = this.normalize(definition);
+    const errors = this.validateDefinition(normalized);
+    if (errors.length === 0 && await NotificationChannel.exists({ name: normalized.name })) {
+      errors.push(`a channel named '${normalized.name}' already exists`);
+    }
+    if (errors.length > 0) {
+      throw new ChannelValidationError(errors);
+    }
+
+    const channel = await NotificationChannel.create(this.toStored(normalized));
+    console.log(`[NOTIFY] Channel '${channel.name}' (${channel.type}) created`);
+    return this.get(channel._id);
+  }
+
+  /**
+   * Change a channel; fields left out keep their values, and so do config settings left out
+   * of config unless the type changes. Set a secret setting to null to remove it.
+   * @returns {Object|null} The updated channel, or null if it does not exist
+   * @throws {ChannelValidationError} When the result is invalid or the name is taken
+   */
+  async update(id, changes) {
+    const channel = await NotificationChannel.findById(id).select('+encryptedSecrets').lean();
+    if (!channel) return null;
+
+    const type = changes.type || channel.type;
+    const currentConfig = { ...channel.config, ...this.readSecrets(channel) };
+    const merged = this.normalize({
+      name: changes.name !== undefined ? changes.name : channel.name,
+      type,
+      enabled: changes.enabled !== undefined ? changes.enabled : channel.enabled,
+      triggers: { ...channel.triggers, ...(changes.triggers || {}) },
+      collections: changes.collections !== undefined ? changes.collections : channel.collections,
+      config: type === channel.type ? { ...currentConfig, ...(changes.config || {}) } : (changes.config || {})
+    });
+
+    const errors = this.validateDefinition(merged);
+    if (errors.length === 0 && merged.name !== channel.name &&
+        await NotificationChannel.exists({ name: merged.name })) {
+      errors.push(`a channel named '${merged.name}' already exists`);
+    }
+    if (errors.length > 0) {
+      throw new ChannelValidationError(errors);
+    }
+
+    await NotificationChannel.updateOne({ _id: channel._id }, { $set: this.toStored(merged) });
+    console.log(`[NOTIFY] Channel '${merged.name}' updated`);
+    return this.get(channel._id);
+  }
+
+  async remove(id) {
+    const channel = await NotificationChannel.findByIdAndDelete(id);
+    if (channel) {
+      console.log(`[NOTIFY] Channel '${channel.name}' deleted`);
+    }
+    return channel;
+  }
+
+  /**
+   * Send notifications for every check job the queue finishes
+   */
+  watch(jobQueue) {
+    jobQueue.on('finished', (job) => {
+      this.handleJob(job).catch(error => {
+        console.error(`[NOTIFY] Notifications for job ${job.id} failed:`, error.message);
+      });
+    });
+  }
+
+  /**
+   * Send notifications for scheduled checks that fail before a job is queued, e.g. because
+   * the profile is unreachable or the collection or its rules are gone
+   * @param {Object} scheduler - Scheduler emitting 'runFailed'
+   */
+  watchScheduler(scheduler) {
+    scheduler.on('runFailed', (failure) => {
+      this.handleRunFailed(failure).catch(error => {
+        console.error(`[NOTIFY] Notifications for schedule '${failure.schedule.name}' failed:`, error.message);
+      });
+    });
+  }
+
+  async handleJob(job) {
+    const event = await this.buildEvent(job);
+    if (!event) return;
+    await this.notify(event, `Job ${job.id}`);
+  }
+
+  /**
+   * @param {Object} failure - { schedule, error, actor } from the scheduler
+   */
+  async handleRunFailed({ schedule, error, actor }) {
+    await this.notify({
+      event: 'check.failed',
+      database: null,
+      collection: schedule.collection,
+      status: null,
+      previousStatus: null,
+      job: {
+        id: null,
+        state: 'failed',
+        error,
+        user: actor,
+        scheduleId: String(schedule._id),
+        scheduleName: schedule.name
+      },
+      report: null,
+      triggers: []
+    }, `Schedule '${schedule.name}'`);
+  }
+
+  /**
+   * Deliver an event to every enabled channel whose collections and triggers match
+   * @param {Object} event - The event, with no triggers yet
+   * @param {string} source - What the event is about, for the log
+   */
+  async notify(event, source) {
+    const channels = await NotificationChannel.find({ enabled: true }).select('+encryptedSecrets -history').lean();
+    await Promise.all(channels.map(channel => {
+      if (channel.collections.length > 0 && !channel.collections.includes(event.collection)) return null;
+
+      const triggers = this.matchTriggers(channel.triggers, event);
+      if (triggers.length === 0) return null;
+
+      console.log(`[NOTIFY] ${source} → channel '${channel.name}' (${triggers.join(', ')})`);
+      return this.deliver(channel, { ...event, triggers });
+    }));
+  }
+
+  /**
+   * The event for a finished check job
+   * @returns {Object|null} null for jobs that send nothing: cancelled ones and approved-repair runs
+   */
+  async buildEvent(job) {
+    if (job.kind || !['completed', 'failed'].includes(job.state)) return null;
+
+    const report = job.state === 'completed' ? job.result : null;
+    if (job.state === 'completed' && !report) return null;
+
+    let previousStatus = null;
+    if (report) {
+      // Only the same kind of check: a dry run in between must not hide or fake the change
+      const previous = await Report.findOne({
+        database: report.database,
+        collection: report.collection,
+        dryRun: report.dryRun,
+        approval: report.approval,
+        validator: { $ne: 'compare' },
+        _id: { $ne: report._id },
+        timestamp: { $lt: report.timestamp }
+      }).sort({ timestamp: -1 }).select('inconsistenciesFound repairsApplied documentsDeleted').lean();
+      previousStatus = previous ? (isConsistent(previous) ? 'consistent' : 'inconsistent') : null;
+    }
+
+    return {
+      event: report ? 'check.completed' : 'check.failed',
+      database: job.database || null,
+      collection: job.collection,
+      status: report ? (isConsistent(report) ? 'consistent' : 'inconsistent') : null,
+      previousStatus,
+      job: {
+        id: job.id,
+        state: job.state,
+        error: job.error || null,
+        user: job.user || null,
+        scheduleId: job.scheduleId || null,
+        scheduleName: job.scheduleName || null
+      },
+      report: report ? summarizeReport(report) : null,
+      triggers: []
+    };
+  }
+
+  /**
+   * Names of the channel triggers an event matches
+   */
+  matchTriggers(triggers, event) {
+    const matched = [];
+    const { report } = event;
+
+    if (report && triggers.anyIssues && report.inconsistenciesFound > 0) {
+      matched.push('anyIssues');
+    }
+    if (report && triggers.issuesAbove !== null && report.inconsistenciesFound > triggers.issuesAbove) {
+      matched.push('issuesAbove');
+    }
+    if (triggers.becameInconsistent && event.status === 'inconsistent' && event.previousStatus !== 'inconsistent') {
+      matched.push('becameInconsistent');
+    }
+    if (triggers.errored && (event.job.state === 'failed' || (report && report.errorCount > 0))) {
+      matched.push('errored');
+    }
+    return matched;
+  }
+
+  /**
+   * Send a test message through a channel, once and without retrying
+   * @returns {Object|null} The delivery result, or null if the channel does not exist
+   */
+  async test(id) {
+    const channel = await NotificationChannel.findById(id).select('+encryptedSecrets -history').lean();
+    if (!channel) return null;
+
+    return this.deliver(channel, { event: 'test', triggers: [] }, { retry: false });
+  }
+
+  /**
+   * Send an event through a channel, retrying temporary failures, and record the outcome
+   * @returns {Object} { ok, attempts, statusCode, error }
+   */
+  async deliver(channel, event, { retry = true } = {}) {
+    const delays = retry ? this.retryDelays : [];
+    const payload = { ...event, channel: channel.name, deliveryId: crypto.randomUUID() };
+    let attempts = 0;
+    let statusCode = null;
+    let lastError = null;
+
+    try {
+      const secrets = this.readSecrets(channel);
+
+      for (;;) {
+        attempts++;
+        try {
+          statusCode = await this.send(channel, secrets, { ...payload, sentAt: new Date().toISOString() });
+          lastError = null;
+          break;
+        } catch (error) {
+          lastError = error;
+          statusCode = error.statusCode || error.code || null;
+          if (error.permanent || attempts > delays.length) break;
+
+          const delay = delays[attempts - 1];
+          console.warn(`[NOTIFY] Channel '${channel.name}' attempt ${attempts} failed (${redactSecrets(error.message)}), retrying in ${delay}ms`);
+          await sleep(delay);
+        }
+      }
+    } catch (error) {
+      // The secrets could not be read; nothing was sent
+      lastError = error;
+    }
+
+    const result = {
+      ok: !lastError,
+      attempts,
+      statusCode: typeof statusCode === 'number' ? statusCode : null,
+      error: lastError ? redactSecrets(lastError.message) : null
+    };
+
+    if (result.ok) {
+      console.log(`[NOTIFY] Channel '${channel.name}' delivered ${payload.event}`);
+    } else {
+      console.error(`[NOTIFY] Channel '${channel.name}' gave up after ${attempts} attempt(s): ${result.error}`);
+    }
+    await this.recordDelivery(channel._id, payload, result);
+    return result;
+  }
+
+  /**
+   * One delivery attempt
+   * @returns {number|null} HTTP status for webhooks, null for email
+   * @throws {DeliveryError|SmtpError} When it fails; permanent errors are not retried
+   */
+  async send(channel, secrets, payload) {
+    const { config } = channel;
+
+    if (channel.type === 'webhook') {
+      const body = JSON.stringify(payload);
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const headers = {
+        ...(secrets.headers || {}),
+        'Content-Type': 'application/json',
+        'User-Agent': 'data-consistency-checker',
+        'X-Consistency-Event': payload.event,
+        'X-Consistency-Delivery': payload.deliveryId,
+        'X-Consistency-Timestamp': timestamp
+      };
+      if (secrets.secret) {
+        const signature = crypto.createHmac('sha256', secrets.secret).update(`${timestamp}.${body}`).digest('hex');
+        headers['X-Consistency-Signature'] = `sha256=${signature}`;
+      }
+      return this.post(config.url, body, headers);
+    }
+
+    if (channel.type === 'slack') {
+      const [title, ...details] = describeEvent(payload);
+      const text = [`*${title}*`, ...details.filter(line => line !== '')].join('\n');
+      return this.post(secrets.url, JSON.stringify({ text }), { 'Content-Type': 'application/json' });
+    }
+
+    await sendMail({
+      host: config.host,
+      port: config.port,
+      secure: config.secure,
+      requireTls: config.requireTls,
+      username: config.username,
+      password: secrets.password,
+      from: config.from,
+      to: config.to,
+      subject: `[Consistency Checker] ${summarizeEvent(payload)}`,
+      text: describeEvent(payload).join('\n')
+    });
+    return null;
+  }
+
+  /**
+   * POST a body; 408, 429 and 5xx responses and network errors are worth retrying
+   */
+  async post(url, body, headers) {
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+    } catch (error) {
+      throw new DeliveryError(`Request failed: ${error.cause ? error.cause.message : error.message}`);
+    }
+
+    await response.text().catch(() => {});
+    if (!response.ok) {
+      const retryable = response.status === 408 || response.status === 429 || response.status >= 500;
+      throw new DeliveryError(`HTTP ${response.status} ${response.statusText}`, {
+        statusCode: response.status,
+        permanent: !retryable
+      });
+    }
+    return response.status;
+  }
+
+  /**
+   * Add a delivery to a channel's history, newest first
+   */
+  async recordDelivery(channelId, payload, result) {
+    try {
+      await NotificationChannel.updateOne({ _id: channelId }, {
+        $push: {
+          history: {
+            $each: [{
+              event: payload.event,
+              test: payload.event === 'test',
+              ...result,
+              reportId: payload.report ? payload.report.id : null,
+              jobId: payload.job ? payload.job.id : null,
+              triggers: payload.triggers,
+              deliveredAt: new Date()
+            }],
+            $position: 0,
+            $slice: HISTORY_LIMIT
+          }
+        },
+        $set: { lastDeliveryAt: new Date(), lastDeliveryOk: result.ok }
+      });
+    } catch (error) {
+      console.error(`[NOTIFY] Failed to record delivery for channel ${channelId}:`, error.message);
+    }
+  }
+}
+
+NotificationService.ChannelValidationError = ChannelValidationError;
+NotificationService.TRIGGERS = TRIGGERS;
+NotificationService.SECRET_FIELDS = SECRET_FIELDS;
+
+module.exports = NotificationService;
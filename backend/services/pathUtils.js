@@ -0,0 +1,172 @@
+/**
+ * Path Utilities - Dotted and array-element paths into documents
+ * Schema paths name a field wherever it occurs: "address.city", "items[].price",
+ * "tags[]" (each element of tags). Concrete paths point at one occurrence in
+ * MongoDB dot notation, e.g. "items.2.price", so a repair can $set a single
+ * array element instead of rewriting the whole array.
+ */
+
+/**
+ * Whether a value is a subdocument (not an array, Date, ObjectId or other BSON value)
+ */
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !value._bsontype;
+};
+
+const joinPath = (prefix, key) => (prefix ? `${prefix}.${key}` : String(key));
+
+/**
+ * Visit every field of a document, subdocuments and array elements included
+ * Top-level _id and __v are skipped.
+ * @param {Object} doc - Document to walk
+ * @param {Function} visit - Called with { schemaPath, path, value } for each field and element
+ */
+function walkDocument(doc, visit) {
+  const walkValue = (value, schemaPath, path) => {
+    visit({ schemaPath, path, value });
+
+    if (isPlainObject(value)) {
+      Object.keys(value).forEach(key => {
+        walkValue(value[key], `${schemaPath}.${key}`, `${path}.${key}`);
+      });
+    } else if (Array.isArray(value)) {
+      value.forEach((element, index) => walkValue(element, `${schemaPath}[]`, `${path}.${index}`));
+    }
+  };
+
+  Object.keys(doc).forEach(key => {
+    if (key === '_id' || key === '__v') return;
+    walkValue(doc[key], key, key);
+  });
+}
+
+/**
+ * Split a schema path into keys and array markers
+ * @example splitSchemaPath('items[].price') // ['items', '[]', 'price']
+ */
+function splitSchemaPath(schemaPath) {
+  const tokens = [];
+  schemaPath.split('.').forEach(part => {
+    const match = part.match(/^(.*?)((?:\[\])*)$/);
+    if (match[1]) tokens.push(match[1]);
+    for (let i = 0; i < match[2].length / 2; i++) tokens.push('[]');
+  });
+  return tokens;
+}
+
+/**
+ * Schema path of the object or array that holds a field ('' for top-level fields)
+ * @example parentSchemaPath('items[].price') // 'items[]'
+ */
+function parentSchemaPath(schemaPath) {
+  if (schemaPath.endsWith('[]')) return schemaPath.slice(0, -2);
+  const index = schemaPath.lastIndexOf('.');
+  return index === -1 ? '' : schemaPath.slice(0, index);
+}
+
+/**
+ * Schema path of a concrete path
+ * @example toSchemaPath('items.2.price') // 'items[].price'
+ */
+function toSchemaPath(path) {
+  return path.split('.').reduce((schemaPath, part) => {
+    if (/^\d+$/.test(part)) return `${schemaPath}[]`;
+    return schemaPath ? `${schemaPath}.${part}` : part;
+  }, '');
+}
+
+/**
+ * Every occurrence of a schema path in a document
+ * A field inside a subdocument or array element is only listed where that
+ * subdocument or element exists; its value is undefined when the field is missing.
+ * @param {Object} doc - Document to read
+ * @param {string} schemaPath - Path such as "address.city" or "items[].price"
+ * @returns {Array} Occurrences as { path (concrete), value }
+ */
+function resolvePath(doc, schemaPath) {
+  let entries = [{ path: '', value: doc }];
+
+  splitSchemaPath(schemaPath).forEach(token => {
+    const next = [];
+    entries.forEach(({ path, value }) => {
+      if (token === '[]') {
+        if (Array.isArray(value)) {
+          value.forEach((element, index) => next.push({ path: joinPath(path, index), value: element }));
+        }
+      } else if (isPlainObject(value)) {
+        next.push({ path: joinPath(path, token), value: value[token] });
+      }
+    });
+    entries = next;
+  });
+
+  return entries;
+}
+
+/**
+ * Value at a concrete path
+ * @example getValue({ items: [{ price: 3 }] }, 'items.0.price') // 3
+ */
+function getValue(doc, path) {
+  return path.split('.').reduce((value, key) => {
+    if (Array.isArray(value) && /^\d+$/.test(key)) return value[Number(key)];
+    return isPlainObject(value) ? value[key] : undefined;
+  }, doc);
+}
+
+/**
+ * Set the value at a concrete path, creating missing subdocuments like $set does
+ */
+function setValue(doc, path, newValue) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let target = doc;
+  keys.forEach(key => {
+    if (target[key] === undefined || target[key] === null) target[key] = {};
+    target = target[key];
+  });
+  target[last] = newValue;
+}
+
+/**
+ * Remove the value at a concrete path, like $unset does
+ */
+function unsetValue(doc, path) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((value, key) => (value == null ? undefined : value[key]), doc);
+  if (target == null) return;
+  if (Array.isArray(target)) {
+    target[Number(last)] = null; // $unset leaves null in place of an array element
+  } else {
+    delete target[last];
+  }
+}
+
+/**
+ * Copy subdocuments and arrays; Dates, ObjectIds and other values are shared
+ */
+function cloneDocument(value) {
+  if (Array.isArray(value)) return value.map(cloneDocument);
+  if (isPlainObject(value)) {
+    const copy = {};
+    Object.keys(value).forEach(key => { copy[key] = cloneDocument(value[key]); });
+    return copy;
+  }
+  return value;
+}
+
+module.exports = {
+  isPlainObject,
+  joinPath,
+  walkDocument,
+  splitSchemaPath,
+  parentSchemaPath,
+  toSchemaPath,
+  resolvePath,
+  getValue,
+  setValue,
+  unsetValue,
+  cloneDocument
+};
@@ -0,0 +1,102 @@
+/**
+ * Reference Checker - Finds documents whose reference fields point at nothing
+ * Each batch costs one $in query per reference rule against the referenced
+ * collection, however many documents the batch holds.
+ */
+
+const { resolvePath, getValue } = require('./pathUtils');
+
+/**
+ * Key for comparing referenced values across queries; keeps an ObjectId
+ * distinct from a string with the same hex digits
+ */
+const valueKey = (value) => `${value && value._bsontype ? value._bsontype : typeof value}:${String(value)}`;
+
+class ReferenceChecker {
+  constructor() {
+    this.verifiedCollections = new Set();
+  }
+
+  /**
+   * Find orphaned references in a batch of documents
+   * @param {Object} Model - Mongoose model of the checked collection; its connection is used for lookups
+   * @param {Array} documents - Batch of documents
+   * @param {Object} references - field path -> { collection, key, onOrphan } (compiled rules)
+   * @returns {Array} orphaned_reference issues
+   */
+  async findOrphans(Model, documents, references) {
+    const issues = [];
+
+    for (const [rulePath, reference] of Object.entries(references)) {
+      // One entry per occurrence of the field, so "items[].productId" is checked per element
+      const occurrences = documents.map(doc => resolvePath(doc, rulePath).map(({ path, value }) => ({
+        path,
+        value,
+        values: [].concat(value).filter(item => item !== undefined && item !== null && item !== '')
+      })));
+
+      const distinct = new Map();
+      occurrences.flat().forEach(({ values }) => values.forEach(value => distinct.set(valueKey(value), value)));
+      if (distinct.size === 0) continue;
+
+      await this.verifyCollection(Model, reference.collection);
+      const existing = await this.findExisting(Model, reference, [...distinct.values()]);
+
+      documents.forEach((doc, index) => {
+        occurrences[index].forEach(({ path: field, value, values }) => {
+          const missing = values.filter(item => !existing.has(valueKey(item)));
+          if (missing.length === 0) return;
+
+          issues.push({
+            documentId: doc._id ? doc._id.toString() : `doc-${index}`,
+            field,
+            rulePath,
+            issue: 'orphaned_reference',
+            severity: 'high',
+            description: `Field '${field}' references ${missing.join(', ')}, not found in ${reference.collection}.${reference.key}`,
+            currentValue: value,
+            missingValues: missing,
+            reference
+          });
+        });
+      });
+    }
+
+    return issues;
+  }
+
+  /**
+   * Refuse to check against a collection that does not exist
+   * Every reference would look orphaned, and repairs could wipe the checked collection.
+   */
+  async verifyCollection(Model, collection) {
+    if (this.verifiedCollections.has(collection)) return;
+
+    const found = await Model.db.db.listCollections({ name: collection }, { nameOnly: true }).toArray();
+    if (found.length === 0) {
+      throw new Error(`Referenced collection '${collection}' does not exist`);
+    }
+    this.verifiedCollections.add(collection);
+  }
+
+  /**
+   * Look up which of the values exist in the referenced collection
+   * @returns {Set} valueKey of every value found
+   */
+  async findExisting(Model, reference, values) {
+    const target = Model.db.collection(reference.collection);
+    const found = await target
+      .find({ [reference.key]: { $in: values } }, { projection: { [reference.key]: 1 } })
+      .toArray();
+
+    const existing = new Set();
+    found.forEach(doc => {
+      [].concat(getValue(doc, reference.key)).forEach(value => existing.add(valueKey(value)));
+    });
+    return existing;
+  }
+}
+
+ReferenceChecker.valueKey = valueKey;
+
+module.exports = ReferenceChecker;
@@ -0,0 +1,225 @@
+/**
+ * Repair Applier - Writes planned repairs back to the collection
+ * Validators only plan repairs; this is the single place that modifies data.
+ * Repairs are grouped per document into one $set/$unset (or delete) and sent
+ * through bulkWrite in batches. Quarantined and archived documents are copied
+ * to <collection>_quarantine or <collection>_archive before they are deleted.
+ */
+
+const { groupByDocument } = require('./issueUtils');
+
+const DEFAULT_WRITE_BATCH_SIZE = 500;
+// Removal actions that keep a copy of the document, and where the copy goes
+const MOVE_TARGETS = {
+  quarantine_document: '_quarantine',
+  archive_document: '_archive'
+};
+const REMOVE_ACTIONS = ['delete_document', ...Object.keys(MOVE_TARGETS)];
+
+class RepairApplier {
+  /**
+   * Apply planned repairs to a collection
+   * @param {Object} Model - Mongoose model bound to the collection
+   * @param {Array} plannedRepairs - Repairs from a validator's planRepairs()
+   * @param {Object} options - Apply options
+   * @param {number} options.writeBatchSize - Operations per bulkWrite call
+   * @param {Array} options.documents - The documents as read; needed to quarantine or archive them
+   * @returns {Object} Applied repairs, deleted document IDs, the removal action of each
+   *                   deleted document that was moved (moved[id]) and per-operation errors
+   */
+  async apply(Model, plannedRepairs, options = {}) {
+    const { writeBatchSize = DEFAULT_WRITE_BATCH_SIZE, documents = [] } = options;
+    const operations = this.buildOperations(plannedRepairs);
+    const outcome = { repairs: [], deleted: [], moved: {}, errors: [] };
+    const byId = new Map(documents.map(doc => [String(doc._id), doc]));
+
+    for (let i = 0; i < operations.length; i += writeBatchSize) {
+      let batch = operations.slice(i, i + writeBatchSize);
+
+      // A document is only deleted once its copy is safely written
+      if (batch.some(entry => entry.moveAction)) {
+        const failed = await this.copyDocuments(Model, batch.filter(entry => entry.moveAction), byId, outcome);
+        batch = batch.filter(entry => !failed.has(entry.documentId));
+      }
+
+      await this.writeBatch(Model, batch, outcome);
+    }
+
+    const moveActions = new Map(operations.map(entry => [entry.documentId, entry.moveAction]));
+    outcome.deleted.forEach(documentId => {
+      if (moveActions.get(documentId)) outcome.moved[documentId] = moveActions.get(documentId);
+    });
+
+    return outcome;
+  }
+
+  /**
+   * Turn planned repairs into one bulkWrite operation per document
+   * @param {Array} plannedRepairs - Repairs from a validator's planRepairs()
+   * @returns {Array} Operations, each carrying the repairs it applies
+   */
+  buildOperations(plannedRepairs) {
+    const operations = [];
+
+    groupByDocument(plannedRepairs).forEach((repairs, documentId) => {
+      const removal = repairs.find(repair => REMOVE_ACTIONS.includes(repair.action));
+      if (removal) {
+        operations.push({
+          documentId,
+          repairs: [],
+          moveAction: MOVE_TARGETS[removal.action] ? removal.action : null,
+          op: { deleteOne: { filter: { _id: documentId } } }
+        });
+        return;
+      }
+
+      const $set = {};
+      const $unset = {};
+      repairs.forEach(repair => {
+        if (repair.newValue === undefined) {
+          $unset[repair.field] = '';
+        } else {
+          $set[repair.field] = repair.newValue;
+        }
+      });
+
+      const update = {};
+      if (Object.keys($set).length > 0) update.$set = $set;
+      if (Object.keys($unset).length > 0) update.$unset = $unset;
+
+      operations.push({
+        documentId,
+        repairs,
+        op: { updateOne: { filter: { _id: documentId }, update } }
+      });
+    });
+
+    return operations;
+  }
+
+  /**
+   * Send one bulkWrite and map its result back onto the operations
+   * @param {Object} Model - Mongoose model bound to the collection
+   * @param {Array} batch - Operations from buildOperations
+   * @param {Object} outcome - Accumulated repairs, deletions and errors
+   */
+  async writeBatch(Model, batch, outcome) {
+    const failed = new Map();
+    let result;
+
+    try {
+      console.log(`[REPAIR] Writing ${batch.length} operations`);
+      result = await Model.bulkWrite(batch.map(entry => entry.op), { ordered: false });
+    } catch (error) {
+      if (!error.writeErrors && !error.result) {
+        // The whole batch failed (e.g. lost connection)
+        batch.forEach(entry => {
+          outcome.errors.push(`Repair failed for ${entry.documentId}: ${error.message}`);
+        });
+        console.error('[REPAIR] Bulk write failed:', error.message);
+        return;
+      }
+
+      [].concat(error.writeErrors || []).forEach(writeError => {
+        failed.set(writeError.index, writeError.errmsg || writeError.message);
+      });
+      result = error.result;
+    }
+
+    const succeeded = batch.filter((entry, index) => {
+      if (!failed.has(index)) return true;
+      outcome.errors.push(`Repair failed for ${entry.documentId}: ${failed.get(index)}`);
+      return false;
+    });
+
+    const updates = succeeded.filter(entry => entry.op.updateOne);
+    const deletes = succeeded.filter(entry => entry.op.deleteOne);
+
+    // Updates that matched nothing: the document was removed after it was read
+    const missing = result && result.matchedCount < updates.length
+      ? await this.findMissing(Model, updates.map(entry => entry.documentId))
+      : new Set();
+
+    updates.forEach(entry => {
+      if (missing.has(entry.documentId)) {
+        outcome.errors.push(`Repair failed for ${entry.documentId}: document not found`);
+      } else {
+        outcome.repairs.push(...entry.repairs);
+      }
+    });
+
+    // Deletions that matched nothing leave the document gone either way; note the mismatch
+    if (result && result.deletedCount < deletes.length) {
+      outcome.errors.push(`${deletes.length - result.deletedCount} documents scheduled for deletion were already gone`);
+    }
+    deletes.forEach(entry => outcome.deleted.push(entry.documentId));
+
+    console.log(`[REPAIR] Batch written: ${updates.length - missing.size} updated, ${deletes.length} deleted, ${failed.size} failed`);
+  }
+
+  /**
+   * Copy documents into their quarantine or archive collection
+   * @param {Object} Model - Mongoose model bound to the collection
+   * @param {Array} entries - Move operations from buildOperations
+   * @param {Map} byId - Documents as read, by ID
+   * @param {Object} outcome - Accumulated errors
+   * @returns {Set} IDs of documents that could not be copied and must not be deleted
+   */
+  async copyDocuments(Model, entries, byId, outcome) {
+    const failed = new Set();
+
+    for (const [moveAction, suffix] of Object.entries(MOVE_TARGETS)) {
+      const group = entries.filter(entry => entry.moveAction === moveAction);
+      if (group.length === 0) continue;
+
+      const target = Model.db.collection(`${Model.collection.name}${suffix}`);
+      const copies = [];
+
+      group.forEach(entry => {
+        const doc = byId.get(entry.documentId);
+        if (!doc) {
+          failed.add(entry.documentId);
+          outcome.errors.push(`Copy to ${target.collectionName} failed for ${entry.documentId}: document not available`);
+          return;
+        }
+        copies.push({
+          replaceOne: {
+            filter: { _id: doc._id },
+            replacement: { ...doc, _movedAt: new Date(), _movedBy: moveAction },
+            upsert: true
+          }
+        });
+      });
+
+      if (copies.length === 0) continue;
+
+      try {
+        await target.bulkWrite(copies, { ordered: false });
+        console.log(`[REPAIR] Copied ${copies.length} documents to ${target.collectionName}`);
+      } catch (error) {
+        group.forEach(entry => {
+          if (failed.has(entry.documentId)) return;
+          failed.add(entry.documentId);
+          outcome.errors.push(`Copy to ${target.collectionName} failed for ${entry.documentId}: ${error.message}`);
+        });
+      }
+    }
+
+    return failed;
+  }
+
+  /**
+   * Find which of the given document IDs no longer exist
+   * @returns {Set} Missing document IDs
+   */
+  async findMissing(Model, documentIds) {
+    const found = await Model.find({ _id: { $in: documentIds } }).select('_id').lean();
+    const existing = new Set(found.map(doc => doc._id.toString()));
+    return new Set(documentIds.filter(id => !existing.has(id)));
+  }
+}
+
+RepairApplier.DEFAULT_WRITE_BATCH_SIZE = DEFAULT_WRITE_BATCH_SIZE;
+RepairApplier.MOVE_TARGETS = MOVE_TARGETS;
+
+module.exports = RepairApplier;
@@ -0,0 +1,409 @@
+/**
+ * Replica Checker - Verifies that every member of a replica set holds the same copy of a collection
+ * Each member is read over its own direct connection. The primary's _id order splits the
+ * collection into ranges of rangeSize documents; every member's document count and SHA-256
+ * of the raw BSON in each range is compared with the primary's. Ranges that still differ
+ * after a short wait (so replication lag is not reported as divergence) are recorded,
+ * with the member that diverges, in the collection's Status.
+ */
+
+const crypto = require('crypto');
+const Status = require('../models/Status');
+
+const DEFAULT_RANGE_SIZE = 1000;
+const DEFAULT_RECHECK_DELAY_MS = 5000;
+// Divergent ranges kept on the Status; the counts cover all of them
+const DIVERGENT_RANGE_LIMIT = 100;
+// Options of the set's URI that do not apply to a direct connection to one member
+const SET_OPTIONS = [
+  'replicaSet', 'directConnection', 'readPreference', 'readPreferenceTags', 'maxStalenessSeconds',
+  'loadBalanced', 'srvServiceName', 'srvMaxHosts'
+];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Query for the documents of a range; null bounds are open
+ * Range queries only match _id values of the bound's BSON type, so documents with _ids of
+ * other types are only covered by the total counts.
+ */
+const rangeFilter = ({ min, max }) => {
+  const bounds = {};
+  if (min !== null) bounds.$gte = min;
+  if (max !== null) bounds.$lt = max;
+  return Object.keys(bounds).length > 0 ? { _id: bounds } : {};
+};
+
+/**
+ * The set's connection string rewritten to reach one member directly
+ * Credentials, database and other options are kept. An SRV string's hosts come from DNS, so
+ * it becomes a plain string with TLS on and the authSource the driver resolved.
+ * @param {string} mongoUri - Connection string of the set
+ * @param {string} host - Member as host:port
+ * @param {string|null} authSource - Authentication database in use, for SRV strings
+ * @returns {string}
+ */
+const memberUri = (mongoUri, host, authSource = null) => {
+  const match = mongoUri.match(/^(mongodb(?:\+srv)?):\/\/(?:([^@/]*)@)?[^/?]*(\/[^?]*)?(?:\?(.*))?$/);
+  if (!match) {
+    throw new Error('Connection string is not a MongoDB URI');
+  }
+
+  const [, scheme, credentials, path = '/', query = ''] = match;
+  const params = new URLSearchParams(query);
+  SET_OPTIONS.forEach(option => params.delete(option));
+
+  if (scheme === 'mongodb+srv') {
+    if (!params.has('tls') && !params.has('ssl')) params.set('tls', 'true');
+    if (authSource && !params.has('authSource')) params.set('authSource', authSource);
+  }
+
+  params.set('directConnection', 'true');
+  // A direct connection reads from whichever member it reaches, secondaries included
+  params.set('readPreference', 'secondaryPreferred');
+
+  return `mongodb://${credentials ? `${credentials}@` : ''}${host}${path}?${params.toString()}`;
+};
+
+class ReplicaChecker {
+  /**
+   * @param {Object} options
+   * @param {Function} options.openConnection - async (mongoUri) => mongoose connection, ready to use
+   */
+  constructor({ openConnection }) {
+    this.openConnection = openConnection;
+  }
+
+  /**
+   * Replica set the connection belongs to
+   * @param {Object} connection - Mongoose connection to the set
+   * @returns {Object} { setName, primary, hosts } with setName null when it is not a replica set;
+   *                   hidden members and arbiters are not listed, as they hold no readable copy
+   */
+  async describeSet(connection) {
+    const hello = await this.hello(connection);
+    return {
+      setName: hello.setName || null,
+      primary: hello.primary || null,
+      hosts: [...(hello.hosts || []), ...(hello.passives || [])]
+    };
+  }
+
+  async hello(connection) {
+    const admin = connection.db.admin();
+    try {
+      return await admin.command({ hello: 1 });
+    } catch (error) {
+      // Servers before 4.4.2 only know the legacy name
+      return admin.command({ isMaster: 1 });
+    }
+  }
+
+  /**
+   * Compare every member's copy of a collection with the primary's and store the result in Status
+   * @param {Object} connection - Mongoose connection to the set
+   * @param {string} mongoUri - Connection string of the set, to reach each member
+   * @param {string} collectionName - Collection to compare
+   * @param {Object} options - Verification options
+   * @param {number} options.rangeSize - Documents per compared _id range
+   * @param {number} options.recheckDelayMs - Wait before comparing divergent ranges again; 0 to report them at once
+   * @param {Function} options.onProgress - Called with progress after each range
+   * @param {AbortSignal} options.signal - Stops after the current range; the Status is left as it was
+   * @returns {Object} Verification result
+   */
+  async verify(connection, mongoUri, collectionName, options = {}) {
+    const {
+      rangeSize = DEFAULT_RANGE_SIZE,
+      recheckDelayMs = DEFAULT_RECHECK_DELAY_MS,
+      onProgress = null,
+      signal = null
+    } = options;
+
+    const startTime = Date.now();
+    const { setName, primary, hosts } = await this.describeSet(connection);
+    if (!setName) {
+      throw new Error('The connected server is not a replica set member');
+    }
+    if (!primary) {
+      throw new Error(`Replica set ${setName} has no primary to compare against`);
+    }
+
+    const credentials = connection.getClient().options.credentials;
+    const authSource = credentials ? credentials.source : null;
+    console.log(`[REPLICA] Verifying ${collectionName} on ${hosts.length} members of ${setName}`);
+
+    const members = await Promise.all(hosts.map(host => this.openMember(mongoUri, host, authSource)));
+
+    try {
+      const reference = members.find(member => member.host === primary);
+      if (!reference || !reference.connection) {
+        throw new Error(`Could not reach the primary ${primary}: ${reference ? reference.error : 'not listed'}`);
+      }
+      await this.describeMembers(members, reference);
+
+      const others = members.filter(member => member !== reference && member.connection);
+      const ranges = await this.splitRanges(reference.connection, collectionName, rangeSize, signal);
+      const divergent = [];
+      let rangesCompared = 0;
+
+      for (const range of ranges) {
+        if (signal && signal.aborted) break;
+
+        const readable = others.filter(member => !member.error);
+        divergent.push(...await this.compareRange(range, reference, readable, collectionName));
+        rangesCompared++;
+        if (onProgress) {
+          onProgress({ phase: 'replicas', rangesCompared, totalRanges: ranges.length, divergentRanges: divergent.length });
+        }
+      }
+
+      const cancelled = Boolean(signal && signal.aborted);
+      let confirmed = divergent;
+      if (!cancelled && divergent.length > 0 && recheckDelayMs > 0) {
+        console.log(`[REPLICA] ${divergent.length} ranges differ; comparing them again in ${recheckDelayMs} ms`);
+        await sleep(recheckDelayMs);
+        confirmed = await this.recheck(divergent, reference, members, collectionName);
+      }
+
+      reference.documents = await reference.connection.db.collection(collectionName).countDocuments({});
+      await Promise.all(others.filter(member => !member.error).map(async member => {
+        try {
+          member.documents = await member.connection.db.collection(collectionName).countDocuments({});
+        } catch (error) {
+          member.error = `Read failed: ${error.message}`;
+        }
+      }));
+
+      const result = this.buildResult({
+        collectionName,
+        database: connection.db.databaseName,
+        setName,
+        reference,
+        members,
+        divergent: confirmed,
+        rangeSize,
+        rangesCompared,
+        totalRanges: ranges.length,
+        cancelled,
+        duration: Date.now() - startTime
+      });
+
+      if (cancelled) {
+        console.log(`[REPLICA] Cancelled after ${rangesCompared} of ${ranges.length} ranges; status not updated`);
+      } else {
+        await this.updateReplicaStatus(collectionName, result);
+      }
+      return result;
+    } finally {
+      await Promise.all(members
+        .filter(member => member.connection)
+        .map(member => member.connection.close().catch(() => {})));
+    }
+  }
+
+  /**
+   * Direct connection to one member; a member that cannot be reached is kept with its error
+   */
+  async openMember(mongoUri, host, authSource) {
+    try {
+      const connection = await this.openConnection(memberUri(mongoUri, host, authSource));
+      return { host, connection, error: null };
+    } catch (error) {
+      console.error(`[REPLICA] Could not connect to ${host}:`, error.message);
+      return { host, connection: null, error: `Could not connect: ${error.message}` };
+    }
+  }
+
+  /**
+   * Each member's state and how far its last write trails the primary's
+   */
+  async describeMembers(members, reference) {
+    await Promise.all(members.filter(member => member.connection).map(async member => {
+      const hello = await this.hello(member.connection);
+      member.state = hello.isWritablePrimary || hello.ismaster ? 'PRIMARY' : hello.secondary ? 'SECONDARY' : 'OTHER';
+      member.lastWriteDate = hello.lastWrite ? hello.lastWrite.lastWriteDate : null;
+    }));
+
+    members.forEach(member => {
+      member.lagSeconds = member.lastWriteDate && reference.lastWriteDate
+        ? Math.max(0, Math.round((reference.lastWriteDate - member.lastWriteDate) / 1000))
+        : null;
+    });
+  }
+
+  /**
+   * Split the primary's copy into consecutive _id ranges of rangeSize documents
+   * @returns {Array} [{ min, max }], min inclusive and max exclusive; null bounds are open
+   */
+  async splitRanges(connection, collectionName, rangeSize, signal) {
+    const boundaries = [];
+    const cursor = connection.db.collection(collectionName)
+      .find({}, { projection: { _id: 1 } })
+      .sort({ _id: 1 });
+
+    let index = 0;
+    for await (const { _id } of cursor) {
+      if (index > 0 && index % rangeSize === 0) boundaries.push(_id);
+      index++;
+      if (signal && signal.aborted) {
+        await cursor.close();
+        break;
+      }
+    }
+
+    const bounds = [null, ...boundaries, null];
+    return bounds.slice(0, -1).map((min, i) => ({ min, max: bounds[i + 1] }));
+  }
+
+  /**
+   * Document count and SHA-256 of the raw BSON of the documents in a range, in _id order
+   */
+  async hashRange(connection, collectionName, range) {
+    const hash = crypto.createHash('sha256');
+    let documents = 0;
+
+    const cursor = connection.db.collection(collectionName)
+      .find(rangeFilter(range), { raw: true })
+      .sort({ _id: 1 });
+    for await (const raw of cursor) {
+      hash.update(raw);
+      documents++;
+    }
+
+    return { documents, hash: hash.digest('hex') };
+  }
+
+  /**
+   * Members whose copy of a range differs from the primary's
+   * A member that fails to answer keeps its error and is left out of the remaining ranges.
+   * @returns {Array} [{ range, host, documents, expectedDocuments }]
+   */
+  async compareRange(range, reference, others, collectionName) {
+    const expected = await this.hashRange(reference.connection, collectionName, range);
+    const divergent = [];
+
+    await Promise.all(others.map(async member => {
+      try {
+        const actual = await this.hashRange(member.connection, collectionName, range);
+        if (actual.hash !== expected.hash) {
+          divergent.push({ range, host: member.host, documents: actual.documents, expectedDocuments: expected.documents });
+        }
+      } catch (error) {
+        console.error(`[REPLICA] Reading ${member.host} failed:`, error.message);
+        member.error = `Read failed: ${error.message}`;
+      }
+    }));
+
+    return divergent;
+  }
+
+  /**
+   * Compare divergent ranges once more; the ones that have caught up were replication lag
+   */
+  async recheck(divergent, reference, members, collectionName) {
+    const confirmed = [];
+
+    for (const entry of divergent) {
+      const member = members.find(candidate => candidate.host === entry.host);
+      if (member.error) continue;
+      const [expected, actual] = await Promise.all([
+        this.hashRange(reference.connection, collectionName, entry.range),
+        this.hashRange(member.connection, collectionName, entry.range)
+      ]);
+      if (actual.hash !== expected.hash) {
+        confirmed.push({ ...entry, documents: actual.documents, expectedDocuments: expected.documents });
+      }
+    }
+
+    return confirmed;
+  }
+
+  /**
+   * The verification in API shape; a set is consistent when every member was reached and
+   * matches the primary in total count and in every range
+   */
+  buildResult({ collectionName, database, setName, reference, members, divergent, rangeSize, rangesCompared, totalRanges, cancelled, duration }) {
+    const memberResults = members.map(member => {
+      const ranges = divergent.filter(entry => entry.host === member.host).length;
+      const reachable = Boolean(member.connection) && !member.error;
+      return {
+        host: member.host,
+        state: member.state || null,
+        reachable,
+        documents: reachable && member.documents !== undefined ? member.documents : null,
+        lagSeconds: reachable ? member.lagSeconds : null,
+        divergentRanges: ranges,
+        consistent: reachable && ranges === 0 && member.documents === reference.documents,
+        error: member.error
+      };
+    });
+
+    return {
+      collection: collectionName,
+      database,
+      setName,
+      primary: reference.host,
+      checkedAt: new Date(),
+      rangeSize,
+      rangesCompared,
+      totalRanges,
+      cancelled,
+      consistent: !cancelled && memberResults.every(member => member.consistent),
+      members: memberResults,
+      divergentRanges: divergent.slice(0, DIVERGENT_RANGE_LIMIT).map(({ range, host, documents, expectedDocuments }) => ({
+        min: range.min,
+        max: range.max,
+        host,
+        documents,
+        expectedDocuments
+      })),
+      truncated: divergent.length > DIVERGENT_RANGE_LIMIT,
+      duration
+    };
+  }
+
+  /**
+   * The last stored verification of a collection
+   * @param {string} database - Database of the collection
+   * @param {string} collectionName - Name of the collection
+   * @returns {Object|null} null when the collection was never verified
+   */
+  async getReplicaStatus(database, collectionName) {
+    const status = await Status.findOne({ database, collection: collectionName }).lean();
+    if (!status || !status.lastReplicaCheckTime) return null;
+
+    return {
+      database: status.database,
+      collection: status.collection,
+      allReplicasConsistent: status.allReplicasConsistent,
+      lastReplicaCheckTime: status.lastReplicaCheckTime,
+      replicaSet: status.replicaSet,
+      members: status.replicaMembers,
+      divergentRanges: status.divergentRanges
+    };
+  }
+
+  async updateReplicaStatus(collectionName, result) {
+    await Status.findOneAndUpdate(
+      { database: result.database, collection: collectionName },
+      {
+        database: result.database,
+        collection: collectionName,
+        allReplicasConsistent: result.consistent,
+        lastReplicaCheckTime: result.checkedAt,
+        replicaSet: result.setName,
+        replicaMembers: result.members,
+        divergentRanges: result.divergentRanges
+      },
+      { upsert: true, new: true }
+    );
+
+    const divergentMembers = result.members.filter(member => !member.consistent).map(member => member.host);
+    console.log(`[REPLICA] ${result.database}.${collectionName}: ${result.consistent ? 'all replicas consistent' : `diverging on ${divergentMembers.join(', ')}`}`);
+  }
+}
+
+ReplicaChecker.DEFAULT_RANGE_SIZE = DEFAULT_RANGE_SIZE;
+ReplicaChecker.memberUri = memberUri;
+
+module.exports = ReplicaChecker;
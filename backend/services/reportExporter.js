@@ -0,0 +1,270 @@
+/**
+ * Report Exporter - Renders a report as CSV, NDJSON, standalone HTML or JUnit XML
+ * Works on reports as shaped by ReportGenerator.formatReportForDisplay.
+ */
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  junit: { contentType: 'application/xml; charset=utf-8', extension: 'xml' }
+};
+
+const CSV_COLUMNS = ['reportId', 'database', 'collection', 'documentId', 'issue', 'action', 'oldValue', 'newValue'];
+
+// Detail actions that leave the issue in place; JUnit counts them as failures
+const UNRESOLVED_ACTIONS = ['proposed', 'pending', 'skipped', 'reported'];
+
+// Characters XML 1.0 does not allow (control characters, lone surrogates, U+FFFE/U+FFFF);
+// one in a field value would make the whole JUnit file unparseable
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uD800-\uDFFF\uFFFE\uFFFF]/gu;
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeXml = (value) => String(value)
+  .replace(INVALID_XML_CHARS, '\uFFFD')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Value as text: strings as they are, everything else as JSON; missing values are empty
+ */
+const formatValue = (value) => {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+class ReportExporter {
+  /**
+   * Render a report in one of FORMATS
+   * @param {Object} report - Report from formatReportForDisplay
+   * @param {string} format - csv, ndjson, html or junit
+   * @returns {Object} { body, contentType, filename }
+   */
+  export(report, format) {
+    const spec = FORMATS[format];
+    if (!spec) {
+      throw new Error(`Unknown export format '${format}'. Available: ${Object.keys(FORMATS).join(', ')}`);
+    }
+
+    const renderers = {
+      csv: () => this.toCsv(report),
+      ndjson: () => this.toNdjson(report),
+      html: () => this.toHtml(report),
+      junit: () => this.toJUnit(report)
+    };
+
+    return {
+      body: renderers[format](),
+      contentType: spec.contentType,
+      filename: `report-${report.collection}-${report.id}.${spec.extension}`
+    };
+  }
+
+  /**
+   * One row per issue/repair detail
+   */
+  toCsv(report) {
+    const escapeCell = (value) => {
+      // A leading quote makes spreadsheets show the text instead of evaluating it
+      const raw = formatValue(value);
+      const text = FORMULA_PREFIX.test(raw) ? `'${raw}` : raw;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = report.details.map(detail => [
+      report.id,
+      report.database,
+      report.collection,
+      detail.documentId,
+      detail.issue,
+      detail.action,
+      detail.oldValue,
+      detail.newValue
+    ].map(escapeCell).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+  }
+
+  /**
+   * A summary record, then one record per detail and per duplicate group
+   * Every record carries type and reportId so streams of several reports can be merged.
+   */
+  toNdjson(report) {
+    const { details, duplicateGroups, ...summary } = report;
+    const records = [
+      { type: 'report', ...summary },
+      ...details.map(detail => ({
+        type: 'detail',
+        reportId: report.id,
+        collection: report.collection,
+        documentId: detail.documentId,
+        issue: detail.issue,
+        action: detail.action,
+        oldValue: detail.oldValue,
+        newValue: detail.newValue
+      })),
+      ...duplicateGroups.map(group => ({ type: 'duplicate_group', reportId: report.id, ...group }))
+    ];
+
+    return records.map(record => JSON.stringify(record)).join('\n') + '\n';
+  }
+
+  /**
+   * Printable page with the summary and details; styles are inline so the file stands alone
+   */
+  toHtml(report) {
+    const summaryRows = [
+      ['Status', report.status.replace(/_/g, ' ')],
+      ['Database', report.database || '-'],
+      ['Collection', report.collection],
+      ['Validator', `${report.validator}${report.rulesVersion ? ` (rules v${report.rulesVersion})` : ''}`],
+      ['Checked at', new Date(report.timestamp).toISOString()],
+      ['Duration', report.durationFormatted],
+      ['Documents', report.totalDocuments],
+      ['Inconsistencies', report.inconsistenciesFound],
+      ['Repairs applied', report.repairsApplied],
+      ['Documents removed', report.documentsDeleted]
+    ];
+    if (report.dryRun) summaryRows.push(['Mode', 'Dry run (no changes written)'], ['Repairs proposed', report.proposedRepairs]);
+    if (report.comparison) {
+      const { comparison } = report;
+      summaryRows.push(
+        ['Source', `${comparison.sourceDatabase}.${comparison.sourceCollection}`],
+        ['Source / target documents', `${comparison.sourceDocuments} / ${comparison.targetDocuments}`],
+        ['Missing in target', comparison.missingInTarget],
+        ['Extra in target', comparison.extraInTarget],
+        ['Documents with different fields', `${comparison.differentDocuments} (${comparison.fieldDifferences} fields)`]
+      );
+      if (comparison.ignoredFields.length > 0) summaryRows.push(['Ignored fields', comparison.ignoredFields.join(', ')]);
+      if (comparison.detailsTruncated) summaryRows.push(['Details', `First ${report.details.length} differences only`]);
+    }
+    if (report.detailsTruncated) summaryRows.push(['Details', `First ${report.details.length} only; the counts above cover all`]);
+    if (report.approval) summaryRows.push(['Held for approval', report.pendingRepairs]);
+    if (report.rolledBackAt) summaryRows.push(['Rolled back at', new Date(report.rolledBackAt).toISOString()]);
+
+    const section = (title, content) => `<h2>${escapeXml(title)}</h2>\n${content}`;
+    const table = (headers, rows) => `<table>
+<thead><tr>${headers.map(header => `<th>${escapeXml(header)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.map(row => `<tr>${row.map(cell => `<td>${escapeXml(formatValue(cell))}</td>`).join('')}</tr>`).join('\n')}
+</tbody>
+</table>`;
+
+    const parts = [
+      section('Summary', table(['', ''], summaryRows))
+    ];
+    if (report.errors.length > 0) {
+      parts.push(section(`Errors (${report.errors.length})`,
+        `<ul class="errors">${report.errors.map(error => `<li>${escapeXml(error)}</li>`).join('')}</ul>`));
+    }
+    if (report.duplicateGroups.length > 0) {
+      parts.push(section(`Duplicate groups (${report.duplicateGroupsFound})`, table(
+        ['Key', 'Fields', 'Strategy', 'Kept', 'Duplicates'],
+        report.duplicateGroups.map(group => [
+          group.key, group.fields.join(' + '), group.strategy, group.keepId, group.documentIds.join(', ')
+        ])
+      )));
+    }
+    parts.push(section(`Details (${report.details.length})`, report.details.length > 0
+      ? table(
+        ['Document', 'Issue', 'Action', 'Before', 'After'],
+        report.details.map(detail => [detail.documentId, detail.issue, detail.action, detail.oldValue, detail.newValue])
+      )
+      : '<p>No issues or repairs recorded.</p>'));
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Consistency report ${escapeXml(report.collection)} ${escapeXml(report.id)}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; color: #1e293b; margin: 32px; }
+h1 { font-size: 1.5rem; margin-bottom: 4px; }
+h2 { font-size: 1.1rem; margin-top: 28px; border-bottom: 1px solid #cbd5e1; padding-bottom: 4px; }
+.meta { color: #64748b; margin-top: 0; }
+table { border-collapse: collapse; width: 100%; font-size: 0.85rem; }
+th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e2e8f0; vertical-align: top; word-break: break-word; }
+th { background: #f1f5f9; }
+.errors { color: #b91c1c; }
+@media print { body { margin: 0; } tr { page-break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>Data Consistency Report</h1>
+<p class="meta">Report ${escapeXml(report.id)}</p>
+${parts.join('\n')}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * JUnit XML for build pipelines
+   * Each detail is a test case, failing when its issue was left in place (dry run,
+   * held for approval, skipped). A summary case fails when issues remain unresolved,
+   * and check errors are reported as a test error.
+   */
+  toJUnit(report) {
+    const suiteName = `${report.database ? `${report.database}.` : ''}${report.collection}`;
+    // Dry runs and approval checks write nothing, so all their issues stay unresolved
+    const resolved = Math.min(report.repairsApplied + report.documentsDeleted, report.inconsistenciesFound);
+    const cases = [];
+
+    cases.push({
+      name: 'consistency',
+      failure: resolved < report.inconsistenciesFound
+        ? `${report.inconsistenciesFound} inconsistencies found, ${resolved} resolved`
+        : null
+    });
+
+    if (report.errors.length > 0) {
+      cases.push({ name: 'check', error: report.errors.join('\n') });
+    }
+
+    report.details.forEach(detail => {
+      cases.push({
+        name: `${detail.documentId} ${detail.issue}`,
+        failure: UNRESOLVED_ACTIONS.includes(detail.action)
+          ? `${detail.issue} (${detail.action})${detail.oldValue !== undefined ? `: ${formatValue(detail.oldValue)}` : ''}`
+          : null
+      });
+    });
+
+    const failures = cases.filter(testCase => testCase.failure).length;
+    const errors = cases.filter(testCase => testCase.error).length;
+    const time = (report.duration / 1000).toFixed(3);
+
+    const renderCase = (testCase) => {
+      const open = `    <testcase classname="${escapeXml(suiteName)}" name="${escapeXml(testCase.name)}"`;
+      if (testCase.failure) {
+        return `${open}>\n      <failure message="${escapeXml(testCase.failure)}" type="inconsistency"/>\n    </testcase>`;
+      }
+      if (testCase.error) {
+        return `${open}>\n      <error message="Check failed" type="error">${escapeXml(testCase.error)}</error>\n    </testcase>`;
+      }
+      return `${open}/>`;
+    };
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="Data Consistency Checker" tests="${cases.length}" failures="${failures}" errors="${errors}" time="${time}">
+  <testsuite name="${escapeXml(suiteName)}" tests="${cases.length}" failures="${failures}" errors="${errors}" time="${time}" timestamp="${new Date(report.timestamp).toISOString()}">
+    <properties>
+      <property name="reportId" value="${escapeXml(report.id)}"/>
+      <property name="validator" value="${escapeXml(report.validator)}"/>
+      <property name="status" value="${escapeXml(report.status)}"/>
+      <property name="totalDocuments" value="${report.totalDocuments}"/>
+    </properties>
+${cases.map(renderCase).join('\n')}
+  </testsuite>
+</testsuites>
+`;
+  }
+}
+
+ReportExporter.FORMATS = Object.keys(FORMATS);
+
+module.exports = ReportExporter;
@@ -1,4 +1,6 @@
 const Report = require('../models/Report');
+const BeforeImage = require('../models/BeforeImage');
+const ReportIssue = require('../models/ReportIssue');
 
 class ReportGenerator {
   /**
@@ -21,11 +23,13 @@ class ReportGenerator {
   /**
    * Gets the latest report for a specific collection
    * @param {string} collection - The collection name
+   * @param {string} database - Optional database filter
    * @returns {Object|null} The latest report or null if not found
    */
-  async getLatestReport(collection = null) {
+  async getLatestReport(collection = null, database = null) {
     try {
       const query = collection ? { collection } : {};
+      if (database) query.database = database;
       const report = await Report.findOne(query).sort({ timestamp: -1 });
       return report;
     } catch (error) {
@@ -38,11 +42,13 @@ class ReportGenerator {
    * Gets all reports for a specific collection
    * @param {string} collection - The collection name
    * @param {number} limit - Maximum number of reports to return
+   * @param {string} profileId - Optional connection profile filter
    * @returns {Array} Array of reports
    */
-  async getAllReports(collection = null, limit = 50) {
+  async getAllReports(collection = null, limit = 50, profileId = null) {
     try {
       const query = collection ? { collection } : {};
+      if (profileId) query.profileId = profileId;
       const reports = await Report.find(query)
         .sort({ timestamp: -1 })
         .limit(limit);
@@ -142,6 +148,12 @@ class ReportGenerator {
         query.collection = collection;
       }
       
+      // Before-images and recorded issues go with their reports; once purged, those runs
+      // cannot be rolled back or compared
+      const reportIds = await Report.find(query).distinct('_id');
+      await BeforeImage.deleteMany({ reportId: { $in: reportIds } });
+      await ReportIssue.deleteMany({ reportId: { $in: reportIds } });
+
       const result = await Report.deleteMany(query);
       console.log(`Cleaned up ${result.deletedCount} old reports`);
       return result;
@@ -162,16 +174,45 @@ class ReportGenerator {
     return {
       id: report._id ? report._id.toString() : null,
       timestamp: report.timestamp,
+      database: report.database || null,
+      profileId: report.profileId ? report.profileId.toString() : null,
       collection: report.collection,
+      dryRun: !!report.dryRun,
+      approval: !!report.approval,
+      validator: report.validator || 'simple',
+      rulesVersion: report.rulesVersion || null,
+      cancelled: !!report.cancelled,
       totalDocuments: report.totalDocuments,
       inconsistenciesFound: report.inconsistenciesFound,
       repairsApplied: report.repairsApplied,
       documentsDeleted: report.documentsDeleted,
+      pendingRepairs: report.pendingRepairs || 0,
+      proposedRepairs: report.proposedRepairs || 0,
+      issuesRecorded: !!report.issuesRecorded,
+      approvedFrom: (report.approvedFrom || []).map(id => id.toString()),
+      appliedBy: report.appliedBy || null,
+      comparison: report.comparison ? this.formatComparison(report.comparison) : null,
       errors: report.errors || [],
       details: report.details || [],
+      detailsTruncated: !!report.detailsTruncated,
+      duplicateGroups: report.duplicateGroups || [],
+      duplicateGroupsFound: report.duplicateGroupsFound || (report.duplicateGroups || []).length,
       duration: report.duration,
       durationFormatted: this.formatDuration(report.duration),
-      status: this.getReportStatus(report)
+      status: this.getReportStatus(report),
+      rolledBackAt: report.rolledBackAt || null
+    };
+  }
+
+  /**
+   * Source side and counts of a comparison report
+   */
+  formatComparison(comparison) {
+    const { sourceProfileId, ...fields } = comparison.toObject ? comparison.toObject() : comparison;
+    return {
+      ...fields,
+      sourceProfileId: sourceProfileId ? sourceProfileId.toString() : null,
+      ignoredFields: fields.ignoredFields || []
     };
   }
 
@@ -199,6 +240,16 @@ class ReportGenerator {
     const errors = report.errors || [];
     if (errors.length > 0) {
       return 'error';
+    } else if (report.cancelled) {
+      return 'cancelled';
+    } else if (report.dryRun) {
+      return 'preview';
+    } else if (report.comparison) {
+      return report.inconsistenciesFound === 0 ? 'clean' : 'mismatch';
+    } else if (report.approval && report.pendingRepairs > 0) {
+      return 'awaiting_approval';
+    } else if (report.rolledBackAt) {
+      return 'rolled_back';
     } else if (report.inconsistenciesFound === 0) {
       return 'clean';
     } else if (report.inconsistenciesFound === report.repairsApplied + report.documentsDeleted) {
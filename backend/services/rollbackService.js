@@ -0,0 +1,142 @@
+const { isDeepStrictEqual } = require('util');
+const BeforeImage = require('../models/BeforeImage');
+const Report = require('../models/Report');
+const { groupByDocument } = require('./issueUtils');
+const { cloneDocument, setValue, unsetValue } = require('./pathUtils');
+
+class RollbackService {
+  /**
+   * Saves a before-image of every document a repair batch modified or deleted
+   * @param {Object} report - Report the repairs belong to (must carry _id)
+   * @param {Array} documents - The batch as read, before any repair
+   * @param {Object} outcome - Applied repairs and deleted document IDs from RepairApplier
+   * @returns {number} Number of before-images saved
+   */
+  async captureBeforeImages(report, documents, { repairs, deleted }) {
+    const byId = new Map(documents.map(doc => [String(doc._id), doc]));
+    const images = [];
+
+    groupByDocument(repairs).forEach((docRepairs, documentId) => {
+      if (!byId.has(documentId)) return;
+      images.push({
+        reportId: report._id,
+        database: report.database,
+        collection: report.collection,
+        documentId,
+        action: 'update',
+        document: byId.get(documentId),
+        changes: docRepairs.map(repair => ({
+          field: repair.field,
+          value: repair.newValue,
+          unset: repair.newValue === undefined
+        }))
+      });
+    });
+
+    deleted.forEach(documentId => {
+      if (!byId.has(documentId)) return;
+      images.push({
+        reportId: report._id,
+        database: report.database,
+        collection: report.collection,
+        documentId,
+        action: 'delete',
+        document: byId.get(documentId),
+        changes: []
+      });
+    });
+
+    if (images.length > 0) {
+      await BeforeImage.insertMany(images);
+    }
+    return images.length;
+  }
+
+  /**
+   * Restores every document a report's repairs changed
+   * Documents changed since the repair are skipped with a conflict unless force is set.
+   * @param {Object} report - Report document to roll back
+   * @param {Object} Model - Mongoose model bound to the repaired collection
+   * @param {Object} options - Rollback options
+   * @param {boolean} options.force - Overwrite documents that changed since the repair
+   * @returns {Object} Restored count, per-document conflicts and already restored count
+   */
+  async rollbackReport(report, Model, options = {}) {
+    const { force = false } = options;
+    const result = { restored: 0, conflicts: [], alreadyRestored: 0 };
+
+    const cursor = BeforeImage.find({ reportId: report._id }).cursor();
+
+    for await (const image of cursor) {
+      if (image.restoredAt) {
+        result.alreadyRestored++;
+        continue;
+      }
+
+      try {
+        const conflict = await this.restoreDocument(image, Model, force);
+        if (conflict) {
+          result.conflicts.push({ documentId: image.documentId, reason: conflict });
+          continue;
+        }
+
+        image.restoredAt = new Date();
+        await image.save();
+        result.restored++;
+      } catch (error) {
+        result.conflicts.push({ documentId: image.documentId, reason: `Restore failed: ${error.message}` });
+      }
+    }
+
+    if (result.restored > 0) {
+      await Report.findByIdAndUpdate(report._id, { rolledBackAt: new Date() });
+    }
+
+    console.log(`[ROLLBACK] Report ${report._id}: ${result.restored} restored, ${result.conflicts.length} conflicts`);
+    return result;
+  }
+
+  /**
+   * Puts a single before-image back
+   * @returns {string|null} Conflict reason, or null when the document was restored
+   */
+  async restoreDocument(image, Model, force) {
+    const { document: original, documentId } = image;
+    const current = await Model.findById(documentId).lean();
+
+    if (image.action === 'delete') {
+      if (current && !force) {
+        return 'A document with this _id was recreated after the repair deleted it';
+      }
+      await Model.collection.replaceOne({ _id: original._id }, original, { upsert: true });
+      return null;
+    }
+
+    if (!current) {
+      if (!force) return 'Document was deleted after the repair';
+    } else if (!force && !isDeepStrictEqual(current, this.expectedAfterRepair(image))) {
+      return 'Document was modified after the repair';
+    }
+
+    await Model.collection.replaceOne({ _id: original._id }, original, { upsert: true });
+    return null;
+  }
+
+  /**
+   * Rebuilds the document as the repair left it, from the before-image and its changes
+   * Changed fields may be dotted paths into subdocuments and array elements.
+   */
+  expectedAfterRepair(image) {
+    const expected = cloneDocument(image.document);
+    image.changes.forEach(change => {
+      if (change.unset) {
+        unsetValue(expected, change.field);
+      } else {
+        setValue(expected, change.field, change.value);
+      }
+    });
+    return expected;
+  }
+}
+
+module.exports = RollbackService;
@@ -0,0 +1,169 @@
+/**
+ * Rule Service - Versioned validation rules stored in MongoDB per database/collection
+ * Every change adds a new version, so earlier versions stay available for diffs,
+ * rollbacks and for reading old reports.
+ */
+
+const { isDeepStrictEqual } = require('util');
+const RuleSet = require('../models/RuleSet');
+const { validationRules, validateRuleDefinition, compileRules } = require('../validationRules');
+
+const DIFF_SECTIONS = ['fieldTypes', 'allowedValues', 'valueRanges', 'defaultValues', 'patterns', 'references'];
+
+class RuleValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid rules: ${errors.join('; ')}`);
+    this.name = 'RuleValidationError';
+    this.errors = errors;
+  }
+}
+
+class RuleService {
+  /**
+   * Latest version of the rules for a collection
+   * @returns {Object|null} RuleSet document
+   */
+  async getCurrent(database, collection) {
+    return RuleSet.findOne({ database, collection }).sort({ version: -1 });
+  }
+
+  /**
+   * A specific version of the rules for a collection
+   * @returns {Object|null} RuleSet document
+   */
+  async getVersion(database, collection, version) {
+    return RuleSet.findOne({ database, collection, version });
+  }
+
+  /**
+   * Version history of a collection's rules, newest first
+   */
+  async listVersions(database, collection) {
+    return RuleSet.find({ database, collection }).sort({ version: -1 });
+  }
+
+  /**
+   * Latest version of every stored rule set, optionally for one database
+   */
+  async listCurrent(database) {
+    const match = database ? { database } : {};
+    return RuleSet.aggregate([
+      { $match: match },
+      { $sort: { version: -1 } },
+      { $group: { _id: { database: '$database', collection: '$collection' }, doc: { $first: '$$ROOT' } } },
+      { $replaceRoot: { newRoot: '$doc' } },
+      { $sort: { database: 1, collection: 1 } }
+    ]);
+  }
+
+  /**
+   * Validate and save a rule definition as the next version
+   * @param {string} database - Database the rules apply to
+   * @param {string} collection - Collection the rules apply to
+   * @param {Object} rules - Rule definition
+   * @param {Object} options - comment, restoredFrom
+   * @returns {Object} The saved RuleSet
+   * @throws {RuleValidationError} When the definition is invalid
+   */
+  async saveVersion(database, collection, rules, options = {}) {
+    const errors = validateRuleDefinition(rules);
+    if (errors.length > 0) {
+      throw new RuleValidationError(errors);
+    }
+
+    const current = await this.getCurrent(database, collection);
+    const version = current ? current.version + 1 : 1;
+
+    // The unique index rejects a concurrent save that picked the same version
+    const ruleSet = await RuleSet.create({
+      database,
+      collection,
+      version,
+      rules,
+      comment: options.comment,
+      restoredFrom: options.restoredFrom
+    });
+
+    console.log(`[RULES] Saved ${database}/${collection} v${version}`);
+    return ruleSet;
+  }
+
+  /**
+   * Make an earlier version current again, by saving a copy of it as a new version
+   * @returns {Object|null} The new RuleSet, or null if the version does not exist
+   */
+  async rollback(database, collection, version, comment) {
+    const target = await this.getVersion(database, collection, version);
+    if (!target) return null;
+
+    return this.saveVersion(database, collection, target.rules, {
+      comment: comment || `Rolled back to version ${version}`,
+      restoredFrom: version
+    });
+  }
+
+  /**
+   * Field-level differences between two rule definitions
+   * @param {Object} from - Older definition
+   * @param {Object} to - Newer definition
+   * @returns {Array} Changes as { section, field, change, from, to }
+   */
+  diff(from, to) {
+    const changes = [];
+
+    const fromRequired = from.requiredFields || [];
+    const toRequired = to.requiredFields || [];
+    toRequired.filter(field => !fromRequired.includes(field)).forEach(field => {
+      changes.push({ section: 'requiredFields', field, change: 'added' });
+    });
+    fromRequired.filter(field => !toRequired.includes(field)).forEach(field => {
+      changes.push({ section: 'requiredFields', field, change: 'removed' });
+    });
+
+    // Uniqueness rules have no field to key them by, so they are compared as a whole
+    if (!isDeepStrictEqual(from.unique || [], to.unique || [])) {
+      changes.push({ section: 'unique', field: null, change: 'changed', from: from.unique || [], to: to.unique || [] });
+    }
+
+    DIFF_SECTIONS.forEach(section => {
+      const before = from[section] || {};
+      const after = to[section] || {};
+      const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+      fields.forEach(field => {
+        if (!(field in before)) {
+          changes.push({ section, field, change: 'added', to: after[field] });
+        } else if (!(field in after)) {
+          changes.push({ section, field, change: 'removed', from: before[field] });
+        } else if (!isDeepStrictEqual(before[field], after[field])) {
+          changes.push({ section, field, change: 'changed', from: before[field], to: after[field] });
+        }
+      });
+    });
+
+    return changes;
+  }
+
+  /**
+   * Rules a rules-engine check should run with
+   * Stored rules win over the built-in rules in validationRules.js.
+   * @returns {Object|null} { rules (compiled), version (null for built-in) }, or null if none exist
+   */
+  async resolveRules(database, collection) {
+    const current = database ? await this.getCurrent(database, collection) : null;
+
+    if (current) {
+      return { rules: compileRules(current.rules), version: current.version };
+    }
+
+    if (validationRules[collection]) {
+      return { rules: validationRules[collection], version: null };
+    }
+
+    return null;
+  }
+}
+
+RuleService.RuleValidationError = RuleValidationError;
+
+module.exports = RuleService;
@@ -0,0 +1,173 @@
+/**
+ * Rules Validator - Checks documents against declared rules, either stored in
+ * MongoDB (see RuleService) or built into validationRules.js
+ */
+
+const { validationRules, validateDocument, repairDocument } = require('../validationRules');
+const { getValue } = require('./pathUtils');
+const { groupByDocument } = require('./issueUtils');
+const ReferenceChecker = require('./referenceChecker');
+const DuplicateDetector = require('./duplicateDetector');
+
+class RulesValidator {
+  /**
+   * @param {string} collection - Collection being checked
+   * @param {Object} rules - Compiled rules; defaults to the built-in rules for the collection
+   */
+  constructor(collection, rules = validationRules[collection]) {
+    if (!rules) {
+      throw new Error(`No validation rules defined for collection: ${collection}`);
+    }
+
+    this.collection = collection;
+    this.rules = rules;
+    this.referenceChecker = new ReferenceChecker();
+    this.duplicateDetector = new DuplicateDetector();
+  }
+
+  /**
+   * Check documents against the declared rules
+   * @param {Array} documents - All documents in collection
+   * @returns {Object} Issues found and the fields the rules require
+   */
+  checkDocuments(documents) {
+    const issues = [];
+
+    documents.forEach((doc, index) => {
+      const docId = doc._id ? doc._id.toString() : `doc-${index}`;
+      validateDocument(doc, this.collection, this.rules).forEach(issue => {
+        issues.push({
+          ...issue,
+          documentId: docId,
+          currentValue: getValue(doc, issue.field)
+        });
+      });
+    });
+
+    return { issues, expectedFields: this.rules.requiredFields };
+  }
+
+  /**
+   * Check reference rules against the referenced collections
+   * @param {Object} Model - Mongoose model bound to the checked collection
+   * @param {Array} documents - Batch of documents
+   * @returns {Array} orphaned_reference issues
+   */
+  async checkReferences(Model, documents) {
+    const references = this.rules.references || {};
+    if (Object.keys(references).length === 0) return [];
+
+    return this.referenceChecker.findOrphans(Model, documents, references);
+  }
+
+  /**
+   * Stream duplicate groups for every uniqueness rule
+   * @param {Object} Model - Mongoose model bound to the checked collection
+   * @param {number} batchSize - Groups fetched per round trip
+   * @yields {Object} { rule, groups }
+   */
+  async* findDuplicates(Model, batchSize) {
+    for (const rule of this.rules.unique || []) {
+      for await (const groups of this.duplicateDetector.findGroups(Model, rule, batchSize)) {
+        yield { rule, groups };
+      }
+    }
+  }
+
+  /**
+   * Turn duplicate groups into issues, planned repairs and report summaries
+   * Every document but the survivor counts as one duplicate_key issue.
+   * @param {Object} rule - Compiled uniqueness rule
+   * @param {Array} groups - Groups from findDuplicates
+   * @returns {Object} { issues, planned, summaries }
+   */
+  planDuplicates(rule, groups) {
+    const issues = [];
+    const planned = [];
+    const summaries = [];
+    const field = rule.fields.join('+');
+
+    groups.forEach(group => {
+      const { keep, losers, repairs } = this.duplicateDetector.planGroup(group, rule);
+      const keepId = String(keep._id);
+
+      losers.forEach(doc => issues.push({
+        documentId: String(doc._id),
+        field,
+        issue: 'duplicate_key',
+        severity: 'high',
+        description: `Duplicate of ${keepId} on ${field} = ${group.key}`
+      }));
+      planned.push(...repairs);
+      summaries.push({
+        key: group.key,
+        fields: rule.fields,
+        strategy: rule.strategy,
+        keepId,
+        documentIds: losers.map(doc => String(doc._id))
+      });
+    });
+
+    return { issues, planned, summaries };
+  }
+
+  /**
+   * Describe the repairs repairDocument would make, without touching the database
+   * @param {Array} issues - Issues from checkDocuments
+   * @returns {Array} Planned repairs, including whole-document deletions and quarantines
+   */
+  planRepairs(issues) {
+    const planned = [];
+
+    groupByDocument(issues).forEach((docIssues, documentId) => {
+      const orphans = docIssues.filter(issue => issue.issue === 'orphaned_reference');
+      const fieldIssues = docIssues.filter(issue => issue.issue !== 'orphaned_reference');
+
+      // Removing the document settles every other issue it has
+      const orphanActions = orphans.map(issue => issue.reference.onOrphan);
+      if (orphanActions.includes('quarantine')) {
+        planned.push({ documentId, field: null, action: 'quarantine_document' });
+        return;
+      }
+      if (orphanActions.includes('delete')) {
+        planned.push({ documentId, field: null, action: 'delete_document' });
+        return;
+      }
+
+      const document = {};
+      fieldIssues.forEach(issue => { document[issue.field] = issue.currentValue; });
+
+      const { repairs, shouldDelete } = repairDocument(document, fieldIssues, this.collection, this.rules);
+
+      if (shouldDelete) {
+        planned.push({ documentId, field: null, action: 'delete_document' });
+        return;
+      }
+
+      repairs.forEach(repair => planned.push({
+        documentId,
+        ...repair,
+        oldValue: document[repair.field]
+      }));
+
+      orphans
+        .filter(issue => issue.reference.onOrphan === 'nullify')
+        .forEach(issue => planned.push({
+          documentId,
+          field: issue.field,
+          action: 'nullify_reference',
+          oldValue: issue.currentValue,
+          // An array of references keeps the entries that still resolve
+          newValue: Array.isArray(issue.currentValue)
+            ? issue.currentValue.filter(value => !issue.missingValues.some(
+              missing => ReferenceChecker.valueKey(missing) === ReferenceChecker.valueKey(value)
+            ))
+            : null
+        }));
+    });
+
+    return planned;
+  }
+}
+
+module.exports = RulesValidator;
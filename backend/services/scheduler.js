@@ -0,0 +1,364 @@
+/**
+ * Scheduler - Runs consistency checks on cron schedules stored in MongoDB
+ * Every minute the scheduler claims the schedules that are due and starts their checks
+ * through the runCheck callback. A run is skipped while the schedule's previous run is
+ * still queued or running, and run times that passed while the server was down are
+ * recorded as missed rather than run late. A run that fails to start emits 'runFailed'.
+ */
+
+const EventEmitter = require('events');
+const Schedule = require('../models/Schedule');
+const ConnectionProfile = require('../models/ConnectionProfile');
+const ConsistencyChecker = require('./consistencyChecker');
+const { parseCron, nextRun, upcomingRuns } = require('./cronExpression');
+const { redactSecrets } = require('./secretUtils');
+
+const HISTORY_LIMIT = 50;
+// A run this late is recorded as missed instead of started
+const MISSED_GRACE_MS = 5 * 60 * 1000;
+// Missed run times counted per gap; longer gaps are recorded as "at least" this many
+const MISSED_SCAN_LIMIT = 10000;
+const UPCOMING_RUNS = 5;
+
+class ScheduleValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid schedule: ${errors.join('; ')}`);
+    this.name = 'ScheduleValidationError';
+    this.errors = errors;
+  }
+}
+
+const isObjectIdLike = (value) => /^[0-9a-fA-F]{24}$/.test(String(value));
+const isPositiveIntegerOrNull = (value) => value === null || value === undefined || (Number.isInteger(value) && value > 0);
+
+class Scheduler extends EventEmitter {
+  /**
+   * @param {Function} runCheck - async (schedule, audit) => job; starts a check and returns its queue job.
+   *                              audit is { actor, actorRole } of whoever ran it now, and empty for cron runs
+   */
+  constructor(runCheck) {
+    super();
+    this.runCheck = runCheck;
+    this.timer = null;
+    this.stopped = true;
+    // Latest job per schedule, to skip overlapping runs
+    this.activeJobs = new Map();
+  }
+
+  /**
+   * Check a schedule definition
+   * @returns {Array} Error messages, empty when valid
+   */
+  validateDefinition(definition) {
+    const errors = [];
+    const { name, cron, profileId, collection, validator = 'simple', options = {}, enabled = true } = definition;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      errors.push('name is required');
+    }
+
+    try {
+      if (upcomingRuns(cron, new Date(), 1).length === 0) {
+        errors.push(`cron expression '${cron}' never matches`);
+      }
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    if (!profileId || !isObjectIdLike(profileId)) {
+      errors.push('profileId must be a connection profile ID');
+    }
+
+    if (typeof collection !== 'string' || !collection.trim()) {
+      errors.push('collection is required');
+    }
+
+    if (!ConsistencyChecker.VALIDATOR_MODES.includes(validator)) {
+      errors.push(`validator must be one of: ${ConsistencyChecker.VALIDATOR_MODES.join(', ')}`);
+    }
+
+    if (typeof enabled !== 'boolean') {
+      errors.push('enabled must be a boolean');
+    }
+
+    if (options.dryRun && options.approval) {
+      errors.push('dryRun and approval cannot be combined');
+    }
+
+    ['batchSize', 'sampleSize', 'writeBatchSize'].forEach(key => {
+      if (!isPositiveIntegerOrNull(options[key])) {
+        errors.push(`options.${key} must be a positive integer`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Schedules, soonest first; disabled ones last
+   */
+  async list() {
+    return Schedule.find({}).sort({ enabled: -1, nextRunAt: 1, name: 1 }).lean();
+  }
+
+  async get(id) {
+    return Schedule.findById(id).lean();
+  }
+
+  /**
+   * Check a definition, including that its connection profile exists
+   * @throws {ScheduleValidationError} When the definition is invalid
+   */
+  async assertValid(definition) {
+    const errors = this.validateDefinition(definition);
+    if (errors.length === 0 && !(await ConnectionProfile.exists({ _id: definition.profileId }))) {
+      errors.push(`connection profile ${definition.profileId} does not exist`);
+    }
+    if (errors.length > 0) {
+      throw new ScheduleValidationError(errors);
+    }
+  }
+
+  /**
+   * Create a schedule
+   * @throws {ScheduleValidationError} When the definition is invalid
+   */
+  async create(definition) {
+    await this.assertValid(definition);
+
+    const schedule = await Schedule.create({
+      ...this.pickFields(definition),
+      nextRunAt: definition.enabled === false ? null : nextRun(definition.cron)
+    });
+
+    console.log(`[SCHEDULER] Schedule '${schedule.name}' created (${schedule.cron}), next run ${schedule.nextRunAt}`);
+    return schedule.toObject();
+  }
+
+  /**
+   * Change a schedule; fields left out keep their values
+   * The next run is recomputed when the expression changes or the schedule is enabled.
+   * @returns {Object|null} The updated schedule, or null if it does not exist
+   * @throws {ScheduleValidationError} When the result is invalid
+   */
+  async update(id, changes) {
+    const schedule = await Schedule.findById(id);
+    if (!schedule) return null;
+
+    const current = schedule.toObject();
+    const merged = {
+      ...current,
+      ...this.pickFields(changes),
+      options: { ...current.options, ...(changes.options || {}) }
+    };
+
+    await this.assertValid(merged);
+
+    const reschedule = merged.cron !== current.cron || merged.enabled !== current.enabled;
+    schedule.set(this.pickFields(merged));
+    if (reschedule) {
+      schedule.nextRunAt = merged.enabled ? nextRun(merged.cron) : null;
+    }
+    await schedule.save();
+
+    console.log(`[SCHEDULER] Schedule '${schedule.name}' updated, next run ${schedule.nextRunAt}`);
+    return schedule.toObject();
+  }
+
+  async remove(id) {
+    const schedule = await Schedule.findByIdAndDelete(id);
+    if (schedule) {
+      this.activeJobs.delete(String(schedule._id));
+      console.log(`[SCHEDULER] Schedule '${schedule.name}' deleted`);
+    }
+    return schedule;
+  }
+
+  pickFields({ name, cron, profileId, collection, validator, options, enabled }) {
+    const fields = { name, cron, profileId, collection, validator, options, enabled };
+    Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+    if (typeof fields.name === 'string') fields.name = fields.name.trim();
+    return fields;
+  }
+
+  /**
+   * The next run times of a schedule, for display
+   */
+  upcoming(schedule, count = UPCOMING_RUNS) {
+    return schedule.enabled ? upcomingRuns(schedule.cron, new Date(), count) : [];
+  }
+
+  /**
+   * Start checking for due schedules at the top of every minute
+   * Schedules due while the server was down are handled on the first tick.
+   */
+  start() {
+    if (!this.stopped) return;
+    this.stopped = false;
+    console.log('[SCHEDULER] Started');
+
+    const loop = async () => {
+      await this.tick(new Date());
+      if (this.stopped) return;
+      const now = new Date();
+      const delay = 60000 - (now.getSeconds() * 1000 + now.getMilliseconds());
+      this.timer = setTimeout(loop, delay);
+    };
+    this.timer = setTimeout(loop, 0);
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Handle every schedule due at a given time
+   */
+  async tick(now) {
+    try {
+      const due = await Schedule.find({ enabled: true, nextRunAt: { $lte: now } }).lean();
+      for (const schedule of due) {
+        await this.fire(schedule, now);
+      }
+    } catch (error) {
+      console.error('[SCHEDULER] Tick failed:', error.message);
+    }
+  }
+
+  /**
+   * Claim a due schedule and run it, recording run times it missed
+   */
+  async fire(schedule, now) {
+    const parsed = parseCron(schedule.cron);
+
+    // Run times up to now; all but the latest were missed, and so is the latest when too late
+    const times = [];
+    for (let time = schedule.nextRunAt; time && time <= now && times.length < MISSED_SCAN_LIMIT; time = nextRun(parsed, time)) {
+      times.push(time);
+    }
+    const latest = times[times.length - 1];
+    const runLatest = now - latest <= MISSED_GRACE_MS;
+    const missed = runLatest ? times.slice(0, -1) : times;
+
+    // Claim the run; another instance that got here first has already moved nextRunAt on
+    const claimed = await Schedule.findOneAndUpdate(
+      { _id: schedule._id, nextRunAt: schedule.nextRunAt },
+      { $set: { nextRunAt: nextRun(parsed, now) } }
+    );
+    if (!claimed) return;
+
+    if (missed.length > 0) {
+      console.warn(`[SCHEDULER] Schedule '${schedule.name}' missed ${missed.length} run(s) since ${missed[0].toISOString()}`);
+      await this.recordRun(schedule._id, {
+        scheduledFor: missed[0],
+        missedUntil: missed[missed.length - 1],
+        missedCount: missed.length,
+        status: 'missed'
+      });
+    }
+
+    if (runLatest) {
+      await this.startRun(schedule, latest);
+    }
+  }
+
+  /**
+   * Run a schedule now, outside its cron times
+   * @param {Object} audit - { actor, actorRole } of the user running it, for the audit log
+   * @returns {Object} The queued job
+   * @throws {Error} When the previous run is still in progress, or the check could not start
+   */
+  async runNow(schedule, audit = {}) {
+    if (this.isRunning(schedule._id)) {
+      throw new Error(`Schedule '${schedule.name}' is already running`);
+    }
+    return this.startRun(schedule, new Date(), { manual: true, audit });
+  }
+
+  isRunning(scheduleId) {
+    const job = this.activeJobs.get(String(scheduleId));
+    return Boolean(job) && ['queued', 'running'].includes(job.state);
+  }
+
+  /**
+   * Start one run, unless the previous one is still going
+   * @returns {Object|null} The queued job, or null when skipped or failed to start
+   * @throws {Error} When a manual run fails to start
+   */
+  async startRun(schedule, scheduledFor, { manual = false, audit = {} } = {}) {
+    const id = String(schedule._id);
+
+    if (this.isRunning(id)) {
+      console.warn(`[SCHEDULER] Schedule '${schedule.name}' skipped, previous run still in progress`);
+      await this.recordRun(schedule._id, {
+        scheduledFor,
+        status: 'skipped',
+        jobId: this.activeJobs.get(id).id,
+        error: 'Previous run still in progress'
+      });
+      return null;
+    }
+
+    let job;
+    try {
+      job = await this.runCheck(schedule, audit);
+    } catch (error) {
+      console.error(`[SCHEDULER] Schedule '${schedule.name}' failed to start:`, error.message);
+      await this.recordRun(schedule._id, { scheduledFor, status: 'failed', error: redactSecrets(error.message), manual });
+      this.emit('runFailed', { schedule, error: redactSecrets(error.message), actor: audit.actor || 'scheduler' });
+      if (manual) throw error;
+      return null;
+    }
+
+    this.activeJobs.set(id, job);
+    console.log(`[SCHEDULER] Schedule '${schedule.name}' queued job ${job.id}${manual ? ' (run now)' : ''}`);
+    await this.recordRun(schedule._id, { scheduledFor, status: 'queued', jobId: job.id, manual });
+
+    // Settle the history entry once the check is done
+    job.promise.then(
+      () => this.finishRun(schedule._id, job),
+      () => this.finishRun(schedule._id, job)
+    );
+
+    return job;
+  }
+
+  async finishRun(scheduleId, job) {
+    try {
+      await Schedule.updateOne(
+        { _id: scheduleId, 'history.jobId': job.id },
+        {
+          $set: {
+            'history.$.status': job.state,
+            'history.$.reportId': job.reportId || null,
+            'history.$.error': redactSecrets(job.error) || null,
+            lastStatus: job.state
+          }
+        }
+      );
+    } catch (error) {
+      console.error(`[SCHEDULER] Failed to record result of job ${job.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Add an entry to a schedule's history, newest first
+   */
+  async recordRun(scheduleId, entry) {
+    const update = {
+      $push: { history: { $each: [{ ...entry, recordedAt: new Date() }], $position: 0, $slice: HISTORY_LIMIT } },
+      $set: { lastStatus: entry.status }
+    };
+    if (entry.status !== 'missed') {
+      update.$set.lastRunAt = new Date();
+    }
+    await Schedule.updateOne({ _id: scheduleId }, update);
+  }
+}
+
+Scheduler.ScheduleValidationError = ScheduleValidationError;
+Scheduler.HISTORY_LIMIT = HISTORY_LIMIT;
+
+module.exports = Scheduler;
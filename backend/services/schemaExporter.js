@@ -0,0 +1,187 @@
+/**
+ * Schema Exporter - Publishes the schema DynamicValidator infers
+ * as a MongoDB $jsonSchema document or standard JSON Schema, and installs it
+ * as a collection validator through collMod.
+ */
+
+const { splitSchemaPath } = require('./pathUtils');
+
+// The driver reads whole-valued doubles as plain integers, so 'integer' cannot be
+// narrowed to int/long without rejecting documents that already pass
+const BSON_TYPES = {
+  string: 'string',
+  integer: 'number',
+  number: 'number',
+  boolean: 'bool',
+  date: 'date',
+  objectId: 'objectId',
+  object: 'object',
+  array: 'array'
+};
+
+const JSON_SCHEMA_TYPES = {
+  string: { type: 'string' },
+  integer: { type: 'integer' },
+  number: { type: 'number' },
+  boolean: { type: 'boolean' },
+  date: { type: 'string', format: 'date-time' },
+  objectId: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' },
+  object: { type: 'object' },
+  array: { type: 'array' }
+};
+
+const VALIDATION_LEVELS = ['moderate', 'strict'];
+
+class SchemaExporter {
+  /**
+   * Inferred schema as a MongoDB $jsonSchema document
+   * Nested paths ("address.city", "items[].price") become nested properties/items.
+   * @param {Object} schema - Schema from DynamicValidator.buildSchema
+   * @returns {Object} $jsonSchema
+   */
+  toMongoJsonSchema(schema) {
+    const describe = (fieldSchema) => {
+      const bsonType = BSON_TYPES[fieldSchema.type];
+      if (!bsonType) return null; // Only ever null: nothing to constrain
+
+      const property = {
+        bsonType: fieldSchema.hasNulls ? [].concat(bsonType, 'null') : bsonType
+      };
+      if (fieldSchema.possibleEnum) {
+        property.enum = fieldSchema.hasNulls ? [...fieldSchema.possibleEnum, null] : fieldSchema.possibleEnum;
+      }
+      return property;
+    };
+
+    return {
+      bsonType: 'object',
+      ...this.exportNode(this.buildTree(schema), describe)
+    };
+  }
+
+  /**
+   * Inferred schema as standard JSON Schema (draft 2020-12)
+   * Dates and ObjectIds are described as they appear in Extended JSON exports.
+   * @param {Object} schema - Schema from DynamicValidator.buildSchema
+   * @param {string} title - Schema title, usually the collection name
+   * @returns {Object} JSON Schema
+   */
+  toJsonSchema(schema, title) {
+    const describe = (fieldSchema) => {
+      const base = JSON_SCHEMA_TYPES[fieldSchema.type];
+      if (!base) return null;
+
+      const property = { ...base };
+      if (fieldSchema.hasNulls) {
+        property.type = [base.type, 'null'];
+      }
+      if (fieldSchema.possibleEnum) {
+        property.enum = fieldSchema.hasNulls ? [...fieldSchema.possibleEnum, null] : fieldSchema.possibleEnum;
+      }
+      return property;
+    };
+
+    return {
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      title,
+      type: 'object',
+      ...this.exportNode(this.buildTree(schema), describe)
+    };
+  }
+
+  /**
+   * Arrange the schema's flat paths into a tree of objects and arrays
+   * @returns {Object} Root node: { fieldSchema, properties, items, required }
+   */
+  buildTree(schema) {
+    const createNode = () => ({ fieldSchema: null, properties: {}, items: null, required: [] });
+    const root = createNode();
+    const nodeAt = (tokens) => tokens.reduce((node, token) => {
+      if (token === '[]') {
+        if (!node.items) node.items = createNode();
+        return node.items;
+      }
+      if (!node.properties[token]) node.properties[token] = createNode();
+      return node.properties[token];
+    }, root);
+
+    Object.entries(schema.fields).forEach(([field, fieldSchema]) => {
+      nodeAt(splitSchemaPath(field)).fieldSchema = fieldSchema;
+    });
+    schema.requiredFields.forEach(field => {
+      const tokens = splitSchemaPath(field);
+      nodeAt(tokens.slice(0, -1)).required.push(tokens[tokens.length - 1]);
+    });
+
+    return root;
+  }
+
+  /**
+   * Export the children of a tree node
+   * @param {Object} node - Node from buildTree
+   * @param {Function} describe - Field schema -> property, or null when it cannot be constrained
+   * @returns {Object} { required, properties } for objects, { items } for arrays
+   */
+  exportNode(node, describe) {
+    const result = {};
+    const properties = {};
+
+    Object.entries(node.properties).forEach(([name, child]) => {
+      const property = this.exportChild(child, describe);
+      if (property) properties[name] = property;
+    });
+    // $jsonSchema rejects an empty required list
+    if (node.required.length > 0) result.required = node.required;
+    if (node.fieldSchema === null || Object.keys(node.properties).length > 0) {
+      result.properties = properties;
+    }
+    if (node.items) {
+      const items = this.exportChild(node.items, describe);
+      if (items) result.items = items;
+    }
+
+    return result;
+  }
+
+  exportChild(node, describe) {
+    const property = node.fieldSchema ? describe(node.fieldSchema) : null;
+    if (!property) return null;
+    return { ...property, ...this.exportNode(node, describe) };
+  }
+
+  /**
+   * Install a $jsonSchema as the collection's validator
+   * @param {Object} connection - Mongoose connection to the database
+   * @param {string} collection - Collection name
+   * @param {Object} jsonSchema - $jsonSchema document
+   * @param {string} level - moderate (existing invalid documents may still be updated) or strict
+   * @returns {Object} The validator the collection had before, so it can be restored
+   */
+  async applyValidator(connection, collection, jsonSchema, level) {
+    if (!VALIDATION_LEVELS.includes(level)) {
+      throw new Error(`Invalid validation level '${level}'. Available: ${VALIDATION_LEVELS.join(', ')}`);
+    }
+
+    const [info] = await connection.db.listCollections({ name: collection }).toArray();
+    const options = (info && info.options) || {};
+
+    await connection.db.command({
+      collMod: collection,
+      validator: { $jsonSchema: jsonSchema },
+      validationLevel: level,
+      validationAction: 'error'
+    });
+
+    console.log(`[SCHEMA] Installed validator on ${collection} (${level})`);
+
+    return {
+      validator: options.validator || null,
+      validationLevel: options.validationLevel || null,
+      validationAction: options.validationAction || null
+    };
+  }
+}
+
+SchemaExporter.VALIDATION_LEVELS = VALIDATION_LEVELS;
+
+module.exports = SchemaExporter;
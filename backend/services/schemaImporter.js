@@ -0,0 +1,170 @@
+/**
+ * Schema Importer - Turns a MongoDB $jsonSchema validator or a JSON Schema document
+ * into the rule definition format stored by RuleService
+ * Nested object properties become dotted field names ("address.city") and array
+ * element schemas become element paths ("items[].price"). Constraints the rule
+ * format cannot express are skipped and listed as warnings.
+ */
+
+const { getValueType } = require('../validationRules');
+
+const BSON_TYPES = {
+  string: 'string',
+  int: 'number',
+  long: 'number',
+  double: 'number',
+  decimal: 'number',
+  number: 'number',
+  bool: 'boolean',
+  object: 'object',
+  array: 'array'
+};
+
+const JSON_SCHEMA_TYPES = {
+  string: 'string',
+  integer: 'number',
+  number: 'number',
+  boolean: 'boolean',
+  object: 'object',
+  array: 'array'
+};
+
+// Ranges need both bounds; a one-sided constraint is left open on the other side
+const OPEN_MIN = -Number.MAX_VALUE;
+const OPEN_MAX = Number.MAX_VALUE;
+
+class SchemaImporter {
+  /**
+   * Convert a schema into a rule definition
+   * @param {Object} schema - $jsonSchema or JSON Schema (object schema at the top level)
+   * @returns {Object} { rules, warnings }
+   */
+  fromJsonSchema(schema) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      throw new Error('Schema must be a JSON object');
+    }
+
+    const rules = {
+      requiredFields: [],
+      fieldTypes: {},
+      allowedValues: {},
+      valueRanges: {},
+      defaultValues: {},
+      patterns: {}
+    };
+    const warnings = [];
+
+    this.importProperties(schema, '', rules, warnings);
+
+    if (Object.keys(schema.properties || {}).length === 0) {
+      warnings.push('Schema declares no properties');
+    }
+
+    return { rules, warnings };
+  }
+
+  /**
+   * Import the properties of an object schema, recursing into subdocuments
+   * A nested required field is only checked where its subdocument exists,
+   * matching $jsonSchema semantics.
+   * @param {Object} schema - Object schema
+   * @param {string} prefix - Path of the object with a trailing dot ('' at the top level)
+   */
+  importProperties(schema, prefix, rules, warnings) {
+    const properties = schema.properties || {};
+    const required = Array.isArray(schema.required) ? schema.required : [];
+
+    required.forEach(name => rules.requiredFields.push(prefix + name));
+
+    Object.entries(properties).forEach(([name, property]) => {
+      this.importProperty(prefix + name, property, rules, warnings);
+    });
+  }
+
+  importProperty(field, property, rules, warnings) {
+    if (!property || typeof property !== 'object') {
+      warnings.push(`${field}: property schema is not an object, skipped`);
+      return;
+    }
+
+    const type = this.resolveType(field, property, warnings);
+    if (type) {
+      rules.fieldTypes[field] = type;
+    }
+
+    if (Array.isArray(property.enum)) {
+      const values = property.enum.filter(value => value !== null);
+      if (values.length > 0) {
+        rules.allowedValues[field] = values;
+      }
+    }
+
+    if (typeof property.minimum === 'number' || typeof property.maximum === 'number') {
+      rules.valueRanges[field] = {
+        min: typeof property.minimum === 'number' ? property.minimum : OPEN_MIN,
+        max: typeof property.maximum === 'number' ? property.maximum : OPEN_MAX
+      };
+    }
+    if (property.exclusiveMinimum !== undefined || property.exclusiveMaximum !== undefined) {
+      warnings.push(`${field}: exclusive bounds are not supported, skipped`);
+    }
+
+    if (typeof property.pattern === 'string') {
+      rules.patterns[field] = property.pattern;
+    }
+
+    if (property.default !== undefined && (!type || getValueType(property.default) === type)) {
+      rules.defaultValues[field] = property.default;
+    }
+
+    if (property.properties) {
+      this.importProperties(property, `${field}.`, rules, warnings);
+    }
+
+    if (Array.isArray(property.items)) {
+      warnings.push(`${field}: tuple item schemas are not supported, skipped`);
+    } else if (property.items) {
+      this.importProperty(`${field}[]`, property.items, rules, warnings);
+    }
+  }
+
+  /**
+   * Map bsonType/type onto a rule field type
+   * A nullable type (["string", "null"]) maps to its non-null type.
+   * @returns {string|null} Rule field type, or null when it cannot be expressed
+   */
+  resolveType(field, property, warnings) {
+    const declared = property.bsonType !== undefined ? property.bsonType : property.type;
+    if (declared === undefined) return null;
+
+    const typeMap = property.bsonType !== undefined ? BSON_TYPES : JSON_SCHEMA_TYPES;
+    const names = [].concat(declared).filter(name => name !== 'null');
+    const types = [...new Set(names.map(name => typeMap[name]))];
+
+    if (types.length === 1 && types[0]) {
+      return types[0];
+    }
+
+    warnings.push(`${field}: type ${JSON.stringify(declared)} has no rule equivalent, type not checked`);
+    return null;
+  }
+
+  /**
+   * Read the $jsonSchema validator of a collection on a connected database
+   * @param {Object} connection - Mongoose connection to the database
+   * @param {string} collection - Collection name
+   * @returns {Object|null} The $jsonSchema, or null if the collection has none
+   */
+  async readCollectionValidator(connection, collection) {
+    const [info] = await connection.db.listCollections({ name: collection }).toArray();
+
+    if (!info) {
+      throw new Error(`Collection '${collection}' not found`);
+    }
+
+    const validator = (info.options && info.options.validator) || {};
+    return validator.$jsonSchema || null;
+  }
+}
+
+module.exports = SchemaImporter;
@@ -2,7 +2,29 @@
  * Simple Validator - Checks for common data inconsistencies
  */
 
+const { walkDocument, resolvePath } = require('./pathUtils');
+
 class SimpleValidator {
+  /**
+   * Feed a batch of documents into the schema pass
+   * The expected schema is taken from the first document seen, subdocuments and
+   * array elements included ("address.city", "items[].price").
+   * @returns {boolean} Whether the schema pass can stop early
+   */
+  observeSchema(documents) {
+    if (!this.firstDoc && documents.length > 0) {
+      this.firstDoc = documents[0];
+      this.samples = {};
+      walkDocument(this.firstDoc, ({ schemaPath, value }) => {
+        if (schemaPath.startsWith('_') || schemaPath in this.samples) return;
+        this.samples[schemaPath] = value;
+      });
+      this.expectedFields = Object.keys(this.samples);
+      console.log('[SIMPLE] Expected fields:', this.expectedFields);
+    }
+    return !!this.firstDoc;
+  }
+
   /**
    * Check documents for inconsistencies
    * Looks for: null values, empty strings, type mismatches
@@ -11,57 +33,54 @@ class SimpleValidator {
     const issues = [];
     
     // Determine expected schema from first document
-    if (documents.length === 0) return { issues, schema: {} };
-    
-    const firstDoc = documents[0];
-    const expectedFields = Object.keys(firstDoc).filter(k => !k.startsWith('_'));
+    if (!this.observeSchema(documents)) return { issues, expectedFields: [] };
     
-    console.log('[SIMPLE] Expected fields:', expectedFields);
+    const { samples, expectedFields } = this;
     
     documents.forEach((doc, index) => {
       const docId = doc._id ? doc._id.toString() : `doc-${index}`;
       const docIssues = [];
       
-      // Check each expected field
-      expectedFields.forEach(field => {
-        const value = doc[field];
-        
-        // Check for missing/undefined
-        if (value === undefined) {
-          docIssues.push({
-            documentId: docId,
-            field,
-            issue: 'missing_field',
-            severity: 'high',
-            description: `Field '${field}' is missing`,
-            currentValue: undefined,
-            suggestedFix: this.getDefaultValue(firstDoc[field])
-          });
-        }
-        // Check for null
-        else if (value === null) {
-          docIssues.push({
-            documentId: docId,
-            field,
-            issue: 'null_value',
-            severity: 'medium',
-            description: `Field '${field}' is null`,
-            currentValue: null,
-            suggestedFix: this.getDefaultValue(firstDoc[field])
-          });
-        }
-        // Check for empty string
-        else if (value === '') {
-          docIssues.push({
-            documentId: docId,
-            field,
-            issue: 'empty_string',
-            severity: 'medium',
-            description: `Field '${field}' is empty string`,
-            currentValue: '',
-            suggestedFix: 'N/A'
-          });
-        }
+      // Check each expected field, wherever its subdocument or array element exists
+      expectedFields.forEach(schemaPath => {
+        resolvePath(doc, schemaPath).forEach(({ path: field, value }) => {
+          // Check for missing/undefined
+          if (value === undefined) {
+            docIssues.push({
+              documentId: docId,
+              field,
+              issue: 'missing_field',
+              severity: 'high',
+              description: `Field '${field}' is missing`,
+              currentValue: undefined,
+              suggestedFix: this.getDefaultValue(samples[schemaPath])
+            });
+          }
+          // Check for null
+          else if (value === null) {
+            docIssues.push({
+              documentId: docId,
+              field,
+              issue: 'null_value',
+              severity: 'medium',
+              description: `Field '${field}' is null`,
+              currentValue: null,
+              suggestedFix: this.getDefaultValue(samples[schemaPath])
+            });
+          }
+          // Check for empty string
+          else if (value === '') {
+            docIssues.push({
+              documentId: docId,
+              field,
+              issue: 'empty_string',
+              severity: 'medium',
+              description: `Field '${field}' is empty string`,
+              currentValue: '',
+              suggestedFix: 'N/A'
+            });
+          }
+        });
       });
       
       if (docIssues.length > 0) {
@@ -87,50 +106,33 @@ class SimpleValidator {
   }
   
   /**
-   * Repair documents based on issues
+   * Build the $set update that would fix a single issue
    */
-  async repairDocuments(Model, issues) {
-    const repairs = [];
-    
-    for (const issue of issues) {
-      try {
-        const { documentId, field, suggestedFix, issue: issueType } = issue;
-        
-        // Build update
-        const update = {};
-        if (issueType === 'missing_field' || issueType === 'null_value') {
-          update[field] = suggestedFix;
-        } else if (issueType === 'empty_string') {
-          update[field] = 'N/A';
-        }
-        
-        // Apply fix
-        console.log(`[SIMPLE] Updating DB: ${documentId} -> ${field} = ${JSON.stringify(update[field])}`);
-        const result = await Model.findByIdAndUpdate(
-          documentId,
-          { $set: update },
-          { new: true }
-        );
-        
-        if (result) {
-          const newValue = result[field];
-          repairs.push({
-            documentId,
-            field,
-            action: issueType,
-            oldValue: issue.currentValue,
-            newValue: update[field]
-          });
-          console.log(`[SIMPLE] ✓ SAVED TO DB: ${documentId} now has ${field} = ${JSON.stringify(newValue)}`);
-        } else {
-          console.log(`[SIMPLE] ✗ FAILED: ${documentId} not found or not updated`);
-        }
-      } catch (error) {
-        console.error(`[SIMPLE] Repair failed:`, error.message);
-      }
+  buildFix(issue) {
+    const { field, suggestedFix, issue: issueType } = issue;
+    const update = {};
+    if (issueType === 'missing_field' || issueType === 'null_value') {
+      update[field] = suggestedFix;
+    } else if (issueType === 'empty_string') {
+      update[field] = 'N/A';
     }
-    
-    return repairs;
+    return update;
+  }
+
+  /**
+   * Describe the repairs that would be applied, without touching the database
+   */
+  planRepairs(issues) {
+    return issues.map(issue => {
+      const update = this.buildFix(issue);
+      return {
+        documentId: issue.documentId,
+        field: issue.field,
+        action: issue.issue,
+        oldValue: issue.currentValue,
+        newValue: update[issue.field]
+      };
+    });
   }
 }
 
@@ -0,0 +1,228 @@
+/**
+ * SMTP Client - Sends plain-text mail over SMTP, with STARTTLS or implicit TLS and AUTH PLAIN/LOGIN
+ * Just enough of RFC 5321 for notification emails; one connection per message.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+class SmtpError extends Error {
+  /**
+   * @param {string} message - What failed
+   * @param {number|null} code - SMTP reply code; 4xx are temporary, 5xx permanent
+   */
+  constructor(message, code = null) {
+    super(message);
+    this.name = 'SmtpError';
+    this.code = code;
+  }
+
+  get permanent() {
+    return this.code !== null && this.code >= 500;
+  }
+}
+
+/**
+ * One SMTP session: reads multi-line replies and sends commands
+ */
+class SmtpConnection {
+  constructor(socket, timeoutMs) {
+    this.timeoutMs = timeoutMs;
+    this.buffer = '';
+    this.lines = [];
+    this.waiting = null;
+    this.attach(socket);
+  }
+
+  /**
+   * Read from a socket; called again with the TLS socket after STARTTLS
+   */
+  attach(socket) {
+    if (this.socket) this.socket.removeAllListeners('data');
+    this.socket = socket;
+    socket.setTimeout(this.timeoutMs);
+    socket.on('data', (chunk) => this.onData(chunk));
+    socket.on('timeout', () => this.fail(new SmtpError('SMTP server timed out')));
+    socket.on('error', (error) => this.fail(new SmtpError(`SMTP connection failed: ${error.message}`)));
+    socket.on('close', () => this.fail(new SmtpError('SMTP server closed the connection')));
+  }
+
+  onData(chunk) {
+    this.buffer += chunk.toString('utf8');
+    let index;
+    while ((index = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, index).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(index + 1);
+      this.lines.push(line);
+
+      // "250-..." continues a reply, "250 ..." ends it
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: parseInt(line.slice(0, 3)), lines: this.lines.map(l => l.slice(4)) };
+        this.lines = [];
+        if (this.waiting) {
+          const { resolve } = this.waiting;
+          this.waiting = null;
+          resolve(reply);
+        }
+      }
+    }
+  }
+
+  fail(error) {
+    if (this.waiting) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(error);
+    }
+  }
+
+  read() {
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+    });
+  }
+
+  /**
+   * Send a command and wait for its reply
+   * @param {string|null} line - Command, or null to only read (the greeting)
+   * @param {Array} expected - Reply codes that mean success
+   * @param {string} label - Command name for errors, so credentials never appear in them
+   */
+  async command(line, expected, label = line) {
+    const reply = this.read();
+    if (line !== null) this.socket.write(`${line}\r\n`);
+    const { code, lines } = await reply;
+    if (!expected.includes(code)) {
+      throw new SmtpError(`SMTP ${label} failed: ${code} ${lines.join(' ')}`, code);
+    }
+    return lines;
+  }
+
+  close() {
+    this.socket.removeAllListeners('close');
+    this.socket.end();
+  }
+}
+
+const connectSocket = ({ host, port, secure, timeoutMs }) => new Promise((resolve, reject) => {
+  const socket = secure
+    ? tls.connect({ host, port, servername: host })
+    : net.connect({ host, port });
+  const onError = (error) => reject(new SmtpError(`Could not connect to ${host}:${port}: ${error.message}`));
+  const timer = setTimeout(() => {
+    socket.destroy();
+    reject(new SmtpError(`Could not connect to ${host}:${port}: timed out`));
+  }, timeoutMs);
+
+  socket.once('error', onError);
+  socket.once(secure ? 'secureConnect' : 'connect', () => {
+    clearTimeout(timer);
+    socket.removeListener('error', onError);
+    resolve(socket);
+  });
+});
+
+const upgradeSocket = (socket, host) => new Promise((resolve, reject) => {
+  const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+  secured.once('error', (error) => reject(new SmtpError(`STARTTLS failed: ${error.message}`)));
+});
+
+const encodeHeader = (value) => (
+  /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`
+);
+
+/**
+ * The message as sent after DATA: headers, then the body base64-encoded so any text is safe to send
+ */
+const buildMessage = ({ from, to, subject, text }) => {
+  const domain = from.split('@')[1] || os.hostname();
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64'
+  ];
+  const body = Buffer.from(text.replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64').match(/.{1,76}/g) || [];
+  return `${headers.join('\r\n')}\r\n\r\n${body.join('\r\n')}\r\n.`;
+};
+
+/**
+ * Send one plain-text email
+ * @param {Object} options - Server and message
+ * @param {string} options.host - SMTP server
+ * @param {number} options.port - Usually 587 (STARTTLS), 465 (implicit TLS) or 25
+ * @param {boolean} options.secure - Connect with TLS from the start (port 465)
+ * @param {boolean} options.requireTls - Refuse to send unless the connection is encrypted
+ * @param {string} options.username - Log in with AUTH PLAIN or LOGIN when set
+ * @param {string} options.password - Password for username
+ * @param {string} options.from - Envelope and header sender
+ * @param {Array} options.to - Recipients
+ * @param {string} options.subject - Subject line
+ * @param {string} options.text - Plain-text body
+ * @param {number} options.timeoutMs - Per-step timeout
+ * @throws {SmtpError} When the server refuses the message or cannot be reached
+ */
+async function sendMail(options) {
+  const { host, port, secure = false, requireTls = true, username, password, from, to, subject, text } = options;
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+  [from, subject, ...to].forEach(value => {
+    if (/[\r\n]/.test(value)) throw new SmtpError('Addresses and subject must not contain line breaks');
+  });
+
+  const socket = await connectSocket({ host, port, secure, timeoutMs });
+  const connection = new SmtpConnection(socket, timeoutMs);
+  let encrypted = secure;
+
+  try {
+    await connection.command(null, [220], 'greeting');
+    let extensions = await connection.command(`EHLO ${os.hostname()}`, [250], 'EHLO');
+
+    if (!encrypted && extensions.some(ext => /^STARTTLS\b/i.test(ext))) {
+      await connection.command('STARTTLS', [220]);
+      connection.attach(await upgradeSocket(connection.socket, host));
+      encrypted = true;
+      extensions = await connection.command(`EHLO ${os.hostname()}`, [250], 'EHLO');
+    }
+
+    if (requireTls && !encrypted) {
+      throw new SmtpError(`${host}:${port} does not offer TLS; set requireTls to false to send unencrypted`, 530);
+    }
+
+    if (username) {
+      const auth = extensions.find(ext => /^AUTH\b/i.test(ext)) || '';
+      if (/\bPLAIN\b/i.test(auth) || !/\bLOGIN\b/i.test(auth)) {
+        const credentials = Buffer.from(`\0${username}\0${password || ''}`).toString('base64');
+        await connection.command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+      } else {
+        await connection.command('AUTH LOGIN', [334], 'AUTH');
+        await connection.command(Buffer.from(username).toString('base64'), [334], 'AUTH');
+        await connection.command(Buffer.from(password || '').toString('base64'), [235], 'AUTH');
+      }
+    }
+
+    await connection.command(`MAIL FROM:<${from}>`, [250]);
+    for (const recipient of to) {
+      await connection.command(`RCPT TO:<${recipient}>`, [250, 251]);
+    }
+    await connection.command('DATA', [354]);
+    // The body is base64, so no line can start with a dot and need stuffing
+    await connection.command(buildMessage({ from, to, subject, text }), [250], 'message');
+    await connection.command('QUIT', [221]).catch(() => {});
+  } finally {
+    connection.close();
+  }
+}
+
+module.exports = {
+  sendMail,
+  SmtpError
+};
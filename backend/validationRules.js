@@ -4,8 +4,14 @@
  * 
  * This file contains validation rules for checking and repairing data inconsistencies
  * in MongoDB collections. Rules are version-controlled via Git.
+ *
+ * The rules below are the built-in defaults. Rules stored in MongoDB through the
+ * /api/rules endpoints take precedence for their database and collection; stored
+ * definitions are plain JSON, so custom validations are given as regex `patterns`.
  */
 
+const { resolvePath } = require('./services/pathUtils');
+
 const validationRules = {
   users: {
     // Required fields that must exist
@@ -45,49 +51,239 @@ const validationRules = {
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
         return emailRegex.test(value);
       }
-    }
+    },
+
+    // Business keys that must be unique across the collection
+    unique: [
+      { fields: ['email'], caseInsensitive: true, trim: true, orderBy: '_id', strategy: 'report', precedence: 'newest' }
+    ]
   }
 };
 
+const RULE_SECTIONS = [
+  'requiredFields', 'fieldTypes', 'allowedValues', 'valueRanges', 'defaultValues', 'patterns', 'references', 'unique'
+];
+const FIELD_TYPES = ['string', 'number', 'boolean', 'object', 'array'];
+// What a check does with a document whose reference points at nothing
+const ORPHAN_ACTIONS = ['report', 'nullify', 'delete', 'quarantine'];
+// What a check does with documents sharing a unique key
+const DUPLICATE_STRATEGIES = ['report', 'keep_newest', 'keep_oldest', 'merge'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Type name of a value as used in fieldTypes; arrays are 'array' rather than 'object'
+ */
+const getValueType = (value) => (Array.isArray(value) ? 'array' : typeof value);
+
+/**
+ * Checks a stored rule definition before it is saved
+ * @param {Object} definition - Rule definition as JSON
+ * @returns {Array} Error messages; empty when the definition is valid
+ */
+function validateRuleDefinition(definition) {
+  if (!isPlainObject(definition)) {
+    return ['Rules must be an object'];
+  }
+
+  const errors = [];
+  const {
+    requiredFields = [],
+    fieldTypes = {},
+    allowedValues = {},
+    valueRanges = {},
+    defaultValues = {},
+    patterns = {},
+    references = {},
+    unique = []
+  } = definition;
+
+  Object.keys(definition).forEach(section => {
+    if (!RULE_SECTIONS.includes(section)) {
+      errors.push(`Unknown section '${section}'. Allowed: ${RULE_SECTIONS.join(', ')}`);
+    }
+  });
+
+  if (!Array.isArray(requiredFields) || requiredFields.some(field => typeof field !== 'string' || !field)) {
+    errors.push('requiredFields must be an array of field names');
+  }
+
+  const malformed = ['fieldTypes', 'allowedValues', 'valueRanges', 'defaultValues', 'patterns', 'references']
+    .filter(section => !isPlainObject(definition[section] || {}));
+  if (malformed.length > 0) {
+    // Field-level checks below need every section to be an object
+    return errors.concat(malformed.map(section => `${section} must be an object keyed by field name`));
+  }
+
+  Object.entries(fieldTypes).forEach(([field, type]) => {
+    if (!FIELD_TYPES.includes(type)) {
+      errors.push(`fieldTypes.${field}: unknown type '${type}'. Allowed: ${FIELD_TYPES.join(', ')}`);
+    }
+  });
+
+  Object.entries(allowedValues).forEach(([field, values]) => {
+    if (!Array.isArray(values) || values.length === 0) {
+      errors.push(`allowedValues.${field} must be a non-empty array`);
+    }
+  });
+
+  Object.entries(valueRanges).forEach(([field, range]) => {
+    if (!isPlainObject(range) || typeof range.min !== 'number' || typeof range.max !== 'number') {
+      errors.push(`valueRanges.${field} must have numeric min and max`);
+    } else if (range.min > range.max) {
+      errors.push(`valueRanges.${field}: min is greater than max`);
+    }
+  });
+
+  Object.entries(defaultValues).forEach(([field, value]) => {
+    if (fieldTypes[field] && getValueType(value) !== fieldTypes[field]) {
+      errors.push(`defaultValues.${field} must be a ${fieldTypes[field]}`);
+    }
+    if (Array.isArray(allowedValues[field]) && !allowedValues[field].includes(value)) {
+      errors.push(`defaultValues.${field} is not one of allowedValues.${field}`);
+    }
+  });
+
+  Object.entries(patterns).forEach(([field, pattern]) => {
+    try {
+      if (typeof pattern !== 'string') throw new Error('not a string');
+      new RegExp(pattern);
+    } catch (error) {
+      errors.push(`patterns.${field} is not a valid regular expression: ${error.message}`);
+    }
+  });
+
+  Object.entries(references).forEach(([field, reference]) => {
+    if (!isPlainObject(reference) || typeof reference.collection !== 'string' || !reference.collection) {
+      errors.push(`references.${field} must name the referenced collection`);
+      return;
+    }
+    if (reference.key !== undefined && (typeof reference.key !== 'string' || !reference.key)) {
+      errors.push(`references.${field}.key must be a field name`);
+    }
+    if (reference.onOrphan !== undefined && !ORPHAN_ACTIONS.includes(reference.onOrphan)) {
+      errors.push(`references.${field}.onOrphan must be one of: ${ORPHAN_ACTIONS.join(', ')}`);
+    }
+  });
+
+  if (!Array.isArray(unique)) {
+    errors.push('unique must be an array of uniqueness rules');
+  } else {
+    unique.forEach((rule, index) => {
+      if (!isPlainObject(rule) || !Array.isArray(rule.fields) || rule.fields.length === 0 ||
+          rule.fields.some(field => typeof field !== 'string' || !field)) {
+        errors.push(`unique[${index}].fields must be a non-empty array of field names`);
+        return;
+      }
+      if (rule.fields.some(field => field.includes('[]'))) {
+        // Keys are grouped per document; array element paths have no single value to group by
+        errors.push(`unique[${index}].fields cannot use array element paths`);
+      }
+      if (rule.strategy !== undefined && !DUPLICATE_STRATEGIES.includes(rule.strategy)) {
+        errors.push(`unique[${index}].strategy must be one of: ${DUPLICATE_STRATEGIES.join(', ')}`);
+      }
+      if (rule.precedence !== undefined && !['newest', 'oldest'].includes(rule.precedence)) {
+        errors.push(`unique[${index}].precedence must be newest or oldest`);
+      }
+      if (rule.orderBy !== undefined && (typeof rule.orderBy !== 'string' || !rule.orderBy)) {
+        errors.push(`unique[${index}].orderBy must be a field name`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Turns a stored rule definition into the rules shape used by validateDocument
+ * @param {Object} definition - Definition that passed validateRuleDefinition
+ * @returns {Object} Rules with every section present, patterns as custom validations
+ *                   and references and uniqueness rules with their defaults filled in
+ */
+function compileRules(definition) {
+  const customValidations = {};
+  Object.entries(definition.patterns || {}).forEach(([field, pattern]) => {
+    const regex = new RegExp(pattern);
+    customValidations[field] = (value) => regex.test(String(value));
+  });
+
+  const references = {};
+  Object.entries(definition.references || {}).forEach(([field, reference]) => {
+    references[field] = {
+      collection: reference.collection,
+      key: reference.key || '_id',
+      onOrphan: reference.onOrphan || 'report'
+    };
+  });
+
+  const unique = (definition.unique || []).map(rule => ({
+    fields: rule.fields,
+    caseInsensitive: !!rule.caseInsensitive,
+    trim: !!rule.trim,
+    orderBy: rule.orderBy || '_id',
+    strategy: rule.strategy || 'report',
+    precedence: rule.precedence || 'newest'
+  }));
+
+  return {
+    requiredFields: definition.requiredFields || [],
+    fieldTypes: definition.fieldTypes || {},
+    allowedValues: definition.allowedValues || {},
+    valueRanges: definition.valueRanges || {},
+    defaultValues: definition.defaultValues || {},
+    customValidations,
+    references,
+    unique
+  };
+}
+
 /**
  * Validates a single document against the rules
+ * Rule field names are paths: "address.city" reaches into a subdocument and
+ * "items[].price" checks the field in every element of items. Each issue names
+ * the concrete path ("items.2.price") in field and the rule's path in rulePath.
  * @param {Object} document - The document to validate
  * @param {string} collection - The collection name
+ * @param {Object} rules - Rules to apply; defaults to the built-in rules for the collection
  * @returns {Array} Array of validation issues found
  */
-function validateDocument(document, collection = 'users') {
+function validateDocument(document, collection = 'users', rules = validationRules[collection]) {
   const issues = [];
-  const rules = validationRules[collection];
 
   if (!rules) {
     console.warn(`No validation rules found for collection: ${collection}`);
     return [];
   }
   
-  // Check required fields
-  rules.requiredFields.forEach(field => {
-    if (document[field] === undefined || document[field] === null || document[field] === '') {
-      issues.push({
-        field,
-        issue: 'missing_required_field',
-        severity: 'high',
-        description: `Required field '${field}' is missing or empty`
-      });
-    }
+  // Check required fields (inside subdocuments and array elements, only where those exist)
+  rules.requiredFields.forEach(rulePath => {
+    resolvePath(document, rulePath).forEach(({ path: field, value }) => {
+      if (value === undefined || value === null || value === '') {
+        issues.push({
+          field,
+          rulePath,
+          issue: 'missing_required_field',
+          severity: 'high',
+          description: `Required field '${field}' is missing or empty`
+        });
+      }
+    });
   });
   
   // Check field types
-  Object.keys(rules.fieldTypes).forEach(field => {
-    if (document[field] !== undefined) {
-      const expectedType = rules.fieldTypes[field];
-      const actualType = typeof document[field];
+  Object.keys(rules.fieldTypes).forEach(rulePath => {
+    resolvePath(document, rulePath).forEach(({ path: field, value }) => {
+      if (value === undefined) return;
+      const expectedType = rules.fieldTypes[rulePath];
+      const actualType = getValueType(value);
       
       // Special case for number validation (strings that can be parsed as numbers)
       if (expectedType === 'number' && actualType === 'string') {
-        const parsed = parseInt(document[field], 10);
+        const parsed = parseInt(value, 10);
         if (isNaN(parsed)) {
           issues.push({
             field,
+            rulePath,
             issue: 'invalid_type',
             severity: 'medium',
             description: `Field '${field}' should be ${expectedType} but is ${actualType} and cannot be parsed`
@@ -96,59 +292,65 @@ function validateDocument(document, collection = 'users') {
       } else if (expectedType !== actualType) {
         issues.push({
           field,
+          rulePath,
           issue: 'invalid_type',
           severity: 'medium',
           description: `Field '${field}' should be ${expectedType} but is ${actualType}`
         });
       }
-    }
+    });
   });
   
   // Check allowed values
-  Object.keys(rules.allowedValues).forEach(field => {
-    if (document[field] !== undefined) {
-      const allowed = rules.allowedValues[field];
-      if (!allowed.includes(document[field])) {
+  Object.keys(rules.allowedValues).forEach(rulePath => {
+    resolvePath(document, rulePath).forEach(({ path: field, value }) => {
+      if (value === undefined) return;
+      const allowed = rules.allowedValues[rulePath];
+      if (!allowed.includes(value)) {
         issues.push({
           field,
+          rulePath,
           issue: 'invalid_value',
           severity: 'high',
-          description: `Field '${field}' has invalid value '${document[field]}'. Allowed: ${allowed.join(', ')}`
+          description: `Field '${field}' has invalid value '${value}'. Allowed: ${allowed.join(', ')}`
         });
       }
-    }
+    });
   });
   
   // Check value ranges
-  Object.keys(rules.valueRanges).forEach(field => {
-    if (document[field] !== undefined) {
-      const range = rules.valueRanges[field];
-      const value = typeof document[field] === 'string' ? parseInt(document[field], 10) : document[field];
+  Object.keys(rules.valueRanges).forEach(rulePath => {
+    resolvePath(document, rulePath).forEach(({ path: field, value: rawValue }) => {
+      if (rawValue === undefined) return;
+      const range = rules.valueRanges[rulePath];
+      const value = typeof rawValue === 'string' ? parseInt(rawValue, 10) : rawValue;
       
       if (value < range.min || value > range.max) {
         issues.push({
           field,
+          rulePath,
           issue: 'out_of_range',
           severity: 'medium',
           description: `Field '${field}' value ${value} is out of range [${range.min}, ${range.max}]`
         });
       }
-    }
+    });
   });
   
   // Custom validations
-  Object.keys(rules.customValidations).forEach(field => {
-    if (document[field] !== undefined) {
-      const isValid = rules.customValidations[field](document[field]);
-      if (!isValid) {
+  Object.keys(rules.customValidations).forEach(rulePath => {
+    resolvePath(document, rulePath).forEach(({ path: field, value }) => {
+      if (value === undefined) return;
+      if (!rules.customValidations[rulePath](value)) {
         issues.push({
           field,
+          rulePath,
           issue: 'custom_validation_failed',
           severity: 'medium',
           description: `Field '${field}' failed custom validation`
         });
       }
-    }
+    });
   });
   
   return issues;
@@ -156,34 +358,36 @@ function validateDocument(document, collection = 'users') {
 
 /**
  * Attempts to repair a document based on validation issues
- * @param {Object} document - The document to repair
+ * Values are read and written by the issue's concrete path; rules are looked up by its rulePath.
+ * @param {Object} document - The document to repair (field values keyed by concrete path)
  * @param {Array} issues - Array of validation issues
  * @param {string} collection - The collection name
+ * @param {Object} rules - Rules to apply; defaults to the built-in rules for the collection
  * @returns {Object} Object containing repaired document and repair actions
  */
-function repairDocument(document, issues, collection = 'users') {
-  const rules = validationRules[collection];
+function repairDocument(document, issues, collection = 'users', rules = validationRules[collection]) {
   const repairedDoc = { ...document };
   const repairs = [];
   
   issues.forEach(issue => {
     const { field, issue: issueType } = issue;
+    const rulePath = issue.rulePath || field;
     
     switch (issueType) {
       case 'missing_required_field':
-        if (rules.defaultValues[field]) {
-          repairedDoc[field] = rules.defaultValues[field];
+        if (rules.defaultValues[rulePath]) {
+          repairedDoc[field] = rules.defaultValues[rulePath];
           repairs.push({
             field,
             action: 'set_default',
             oldValue: undefined,
-            newValue: rules.defaultValues[field]
+            newValue: rules.defaultValues[rulePath]
           });
         }
         break;
         
       case 'invalid_type':
-        if (field === 'age' && typeof repairedDoc[field] === 'string') {
+        if (rules.fieldTypes[rulePath] === 'number' && typeof repairedDoc[field] === 'string') {
           const parsed = parseInt(repairedDoc[field], 10);
           if (!isNaN(parsed)) {
             repairs.push({
@@ -198,21 +402,21 @@ function repairDocument(document, issues, collection = 'users') {
         break;
         
       case 'invalid_value':
-        if (field === 'role') {
+        if (rules.defaultValues[rulePath] !== undefined) {
           // Set to default role if invalid
-          repairedDoc[field] = rules.defaultValues[field];
+          repairedDoc[field] = rules.defaultValues[rulePath];
           repairs.push({
             field,
             action: 'set_default',
             oldValue: document[field],
-            newValue: rules.defaultValues[field]
+            newValue: rules.defaultValues[rulePath]
           });
         }
         break;
         
       case 'out_of_range':
-        if (field === 'age') {
-          const range = rules.valueRanges[field];
+        if (rules.valueRanges[rulePath]) {
+          const range = rules.valueRanges[rulePath];
           const value = typeof repairedDoc[field] === 'string' ? parseInt(repairedDoc[field], 10) : repairedDoc[field];
           
           if (value < range.min) {
@@ -243,13 +447,18 @@ function repairDocument(document, issues, collection = 'users') {
     shouldDelete: issues.some(issue => 
       issue.severity === 'high' && 
       issue.issue === 'invalid_value' && 
-      !rules.defaultValues[issue.field]
+      !rules.defaultValues[issue.rulePath || issue.field]
     )
   };
 }
 
 module.exports = {
   validationRules,
+  FIELD_TYPES,
+  DUPLICATE_STRATEGIES,
+  getValueType,
+  validateRuleDefinition,
+  compileRules,
   validateDocument,
   repairDocument
 };
@@ -6,12 +6,16 @@ class ConsistencyCheckerUI {
         this.isChecking = false;
         this.currentReport = null;
         this.sessionId = this.getOrCreateSessionId();
+        this.authToken = localStorage.getItem('authToken');
+        this.account = null;
+        this.profileId = null;
         this.isConnected = false;
+        this.databaseName = null;
         
         this.initializeElements();
         this.attachEventListeners();
         this.initializeTheme();
-        this.initializeConnection();
+        this.initializeAuth();
     }
 
     getOrCreateSessionId() {
@@ -23,13 +27,142 @@ class ConsistencyCheckerUI {
         return sessionId;
     }
 
+    // Authentication
+    async initializeAuth() {
+        if (!this.authToken) {
+            this.showLoginModal();
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`${this.apiBase}/auth/me`);
+            const data = await response.json();
+
+            if (data.success) {
+                await this.onAuthenticated(data.data);
+            } else {
+                this.showLoginModal();
+            }
+        } catch (error) {
+            console.error('Error checking login:', error);
+            this.showLoginModal();
+        }
+    }
+
+    showLoginModal(message = null) {
+        this.loginModal.classList.remove('hidden');
+        this.loginError.style.display = message ? 'block' : 'none';
+        this.loginError.textContent = message || '';
+        this.loginUsername.focus();
+    }
+
+    async login() {
+        this.loginBtn.disabled = true;
+
+        try {
+            const response = await fetch(`${this.apiBase}/auth/login`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    username: this.loginUsername.value.trim(),
+                    password: this.loginPassword.value
+                })
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showLoginModal(data.message || 'Login failed');
+                return;
+            }
+
+            this.authToken = data.data.token;
+            localStorage.setItem('authToken', this.authToken);
+            this.loginPassword.value = '';
+            this.loginModal.classList.add('hidden');
+            await this.onAuthenticated(data.data.account);
+        } catch (error) {
+            console.error('Login error:', error);
+            this.showLoginModal('Network error. Please check if server is running.');
+        } finally {
+            this.loginBtn.disabled = false;
+        }
+    }
+
+    async logout() {
+        try {
+            await this.apiFetch(`${this.apiBase}/auth/logout`, { method: 'POST' });
+        } catch (error) {
+            console.error('Logout error:', error);
+        }
+        localStorage.removeItem('authToken');
+        window.location.reload();
+    }
+
+    async onAuthenticated(account) {
+        this.account = account;
+        this.accountName.textContent = `${account.username} (${account.role})`;
+        this.accountInfo.classList.remove('hidden');
+        this.applyRolePermissions();
+
+        // Viewers only read reports and status, which need no database session
+        if (this.can('operator')) {
+            await this.initializeConnection();
+        } else {
+            await this.loadInitialData();
+        }
+    }
+
+    /**
+     * Whether the logged-in role includes another role (viewer < operator < admin)
+     */
+    can(role) {
+        const levels = { viewer: 1, operator: 2, admin: 3 };
+        return Boolean(this.account) && levels[this.account.role] >= levels[role];
+    }
+
+    // Hide controls marked with data-min-role that the role cannot use
+    applyRolePermissions() {
+        document.querySelectorAll('[data-min-role]').forEach(element => {
+            element.classList.toggle('hidden', !this.can(element.dataset.minRole));
+        });
+        if (!this.can('admin')) {
+            this.approvalToggle.checked = false;
+            this.dryRunToggle.checked = true;
+        }
+    }
+
+    /**
+     * fetch with the login token; an expired login brings back the login screen
+     */
+    async apiFetch(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: { ...(options.headers || {}), Authorization: `Bearer ${this.authToken}` }
+        });
+
+        if (response.status === 401 && this.account) {
+            this.account = null;
+            localStorage.removeItem('authToken');
+            this.showLoginModal('Your session has expired. Please log in again.');
+        }
+        return response;
+    }
+
+    // Download links and event streams cannot send headers, so the token goes in the URL
+    withToken(url) {
+        return `${url}${url.includes('?') ? '&' : '?'}token=${encodeURIComponent(this.authToken)}`;
+    }
+
     async initializeConnection() {
-        // Check if there's a saved MongoDB URI
-        const savedUri = localStorage.getItem('mongoUri');
+        // Raw URIs were kept here before connection profiles; don't leave them behind
+        localStorage.removeItem('mongoUri');
+
+        // Check if there's a saved connection profile
+        const savedProfileId = localStorage.getItem('profileId');
         
-        if (savedUri) {
+        if (savedProfileId) {
             // Try to reconnect
-            await this.connectToDatabase(savedUri, false);
+            await this.connectToDatabase(savedProfileId, false);
         } else {
             // Show connection modal
             this.showConnectionModal();
@@ -49,11 +182,16 @@ class ConsistencyCheckerUI {
         this.runCheckBtn = document.getElementById('run-check-btn');
         this.refreshStatusBtn = document.getElementById('refresh-status-btn');
         this.viewReportsBtn = document.getElementById('view-reports-btn');
+        this.dryRunToggle = document.getElementById('dry-run-toggle');
+        this.approvalToggle = document.getElementById('approval-toggle');
+        this.reviewRepairsBtn = document.getElementById('review-repairs-btn');
         
         // Loading elements
         this.loadingSection = document.getElementById('loading-section');
         this.progressFill = document.getElementById('progress-fill');
         this.progressText = document.getElementById('progress-text');
+        this.cancelCheckBtn = document.getElementById('cancel-check-btn');
+        this.liveIssues = document.getElementById('live-issues');
         
         // Report elements - Latest Report
         this.latestReportContent = document.getElementById('latest-report-content');
@@ -74,6 +212,55 @@ class ConsistencyCheckerUI {
         this.reportsList = document.getElementById('reports-list');
         this.collectionFilter = document.getElementById('collection-filter');
         this.refreshReportsBtn = document.getElementById('refresh-reports-btn');
+        this.compareReportsBtn = document.getElementById('compare-reports-btn');
+        
+        // Pending repairs
+        this.approvalsSection = document.getElementById('approvals-section');
+        this.approvalsSummary = document.getElementById('approvals-summary');
+        this.approvalsList = document.getElementById('approvals-list');
+        this.approvalStatusFilter = document.getElementById('approval-status-filter');
+        this.approvalFieldFilter = document.getElementById('approval-field-filter');
+        this.approvalIssueFilter = document.getElementById('approval-issue-filter');
+        this.approvalSeverityFilter = document.getElementById('approval-severity-filter');
+        this.approvalSelectAll = document.getElementById('approval-select-all');
+        this.refreshApprovalsBtn = document.getElementById('refresh-approvals-btn');
+        this.approveSelectedBtn = document.getElementById('approve-selected-btn');
+        this.rejectSelectedBtn = document.getElementById('reject-selected-btn');
+        this.approveMatchingBtn = document.getElementById('approve-matching-btn');
+        this.rejectMatchingBtn = document.getElementById('reject-matching-btn');
+        this.applyApprovedBtn = document.getElementById('apply-approved-btn');
+
+        // Schedules
+        this.schedulesBtn = document.getElementById('schedules-btn');
+        this.schedulesSection = document.getElementById('schedules-section');
+        this.schedulesList = document.getElementById('schedules-list');
+        this.scheduleForm = document.getElementById('schedule-form');
+        this.scheduleFormTitle = document.getElementById('schedule-form-title');
+        this.scheduleName = document.getElementById('schedule-name');
+        this.scheduleCron = document.getElementById('schedule-cron');
+        this.scheduleCollection = document.getElementById('schedule-collection');
+        this.scheduleValidator = document.getElementById('schedule-validator');
+        this.scheduleMode = document.getElementById('schedule-mode');
+        this.scheduleProfile = document.getElementById('schedule-profile');
+        this.scheduleEnabled = document.getElementById('schedule-enabled');
+        this.saveScheduleBtn = document.getElementById('save-schedule-btn');
+        this.cancelScheduleEditBtn = document.getElementById('cancel-schedule-edit-btn');
+        this.refreshSchedulesBtn = document.getElementById('refresh-schedules-btn');
+        this.schedules = [];
+        this.editingScheduleId = null;
+
+        // Audit log
+        this.auditBtn = document.getElementById('audit-btn');
+        this.auditSection = document.getElementById('audit-section');
+        this.auditSummary = document.getElementById('audit-summary');
+        this.auditList = document.getElementById('audit-list');
+        this.auditActorFilter = document.getElementById('audit-actor-filter');
+        this.auditActionFilter = document.getElementById('audit-action-filter');
+        this.auditCollectionFilter = document.getElementById('audit-collection-filter');
+        this.auditOutcomeFilter = document.getElementById('audit-outcome-filter');
+        this.refreshAuditBtn = document.getElementById('refresh-audit-btn');
+        this.verifyAuditBtn = document.getElementById('verify-audit-btn');
+        this.auditVerifyResult = document.getElementById('audit-verify-result');
         
         // Statistics elements
         this.totalChecks = document.getElementById('total-checks');
@@ -94,10 +281,27 @@ class ConsistencyCheckerUI {
         
         // Theme toggle
         this.themeToggle = document.getElementById('theme-toggle');
+
+        // Login
+        this.loginModal = document.getElementById('login-modal');
+        this.loginForm = document.getElementById('login-form');
+        this.loginUsername = document.getElementById('login-username');
+        this.loginPassword = document.getElementById('login-password');
+        this.loginBtn = document.getElementById('login-btn');
+        this.loginError = document.getElementById('login-error');
+        this.accountInfo = document.getElementById('account-info');
+        this.accountName = document.getElementById('account-name');
+        this.logoutBtn = document.getElementById('logout-btn');
         
         // Connection modal elements
         this.connectionModal = document.getElementById('connection-modal');
+        this.profileSelect = document.getElementById('profile-select');
+        this.deleteProfileBtn = document.getElementById('delete-profile-btn');
+        this.profileUriDisplay = document.getElementById('profile-uri-display');
+        this.newProfileFields = document.getElementById('new-profile-fields');
+        this.profileNameInput = document.getElementById('profile-name-input');
         this.mongoUriInput = document.getElementById('mongo-uri-input');
+        this.profiles = [];
         this.testConnectionBtn = document.getElementById('test-connection-btn');
         this.saveConnectionBtn = document.getElementById('save-connection-btn');
         this.connectionStatus = document.getElementById('connection-status');
@@ -132,11 +336,57 @@ class ConsistencyCheckerUI {
         this.refreshStatusBtn.addEventListener('click', () => this.loadStatus());
         this.viewReportsBtn.addEventListener('click', () => this.toggleReportsHistory());
         this.refreshReportsBtn.addEventListener('click', () => this.loadReports());
+        this.compareReportsBtn.addEventListener('click', () => this.compareSelectedReports());
+        this.cancelCheckBtn.addEventListener('click', () => this.cancelCheck());
         this.collectionFilter.addEventListener('change', () => this.loadReports());
+        this.reviewRepairsBtn.addEventListener('click', () => this.toggleApprovals());
+        this.refreshApprovalsBtn.addEventListener('click', () => this.loadApprovals());
+        [this.approvalStatusFilter, this.approvalFieldFilter, this.approvalIssueFilter, this.approvalSeverityFilter]
+            .forEach(select => select.addEventListener('change', () => this.loadApprovals()));
+        this.approvalSelectAll.addEventListener('change', () => {
+            this.approvalsList.querySelectorAll('.approval-select').forEach(box => {
+                box.checked = this.approvalSelectAll.checked;
+            });
+        });
+        this.approveSelectedBtn.addEventListener('click', () => this.decideRepairs('approve', this.getSelectedApprovals()));
+        this.rejectSelectedBtn.addEventListener('click', () => this.decideRepairs('reject', this.getSelectedApprovals()));
+        this.approveMatchingBtn.addEventListener('click', () => this.decideRepairs('approve', null));
+        this.rejectMatchingBtn.addEventListener('click', () => this.decideRepairs('reject', null));
+        this.applyApprovedBtn.addEventListener('click', () => this.applyApprovedRepairs());
+        this.schedulesBtn.addEventListener('click', () => this.toggleSchedules());
+        this.refreshSchedulesBtn.addEventListener('click', () => this.loadSchedules());
+        this.scheduleForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSchedule();
+        });
+        this.cancelScheduleEditBtn.addEventListener('click', () => this.resetScheduleForm());
+        this.auditBtn.addEventListener('click', () => this.toggleAudit());
+        this.refreshAuditBtn.addEventListener('click', () => this.loadAudit());
+        this.verifyAuditBtn.addEventListener('click', () => this.verifyAudit());
+        this.auditOutcomeFilter.addEventListener('change', () => this.loadAudit());
+        [this.auditActorFilter, this.auditActionFilter, this.auditCollectionFilter].forEach(input => {
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.loadAudit();
+            });
+        });
+        // A check either previews, holds or applies its repairs
+        this.dryRunToggle.addEventListener('change', () => {
+            if (this.dryRunToggle.checked) this.approvalToggle.checked = false;
+        });
+        this.approvalToggle.addEventListener('change', () => {
+            if (this.approvalToggle.checked) this.dryRunToggle.checked = false;
+        });
         this.modalClose.addEventListener('click', () => this.closeModal());
         
         // Theme toggle
         this.themeToggle.addEventListener('click', () => this.toggleTheme());
+
+        // Login
+        this.loginForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.login();
+        });
+        this.logoutBtn.addEventListener('click', () => this.logout());
         
         // Notification close
         this.notificationClose.addEventListener('click', () => {
@@ -144,6 +394,8 @@ class ConsistencyCheckerUI {
         });
         
         // Connection modal events
+        this.profileSelect.addEventListener('change', () => this.selectProfile());
+        this.deleteProfileBtn.addEventListener('click', () => this.deleteProfile());
         this.testConnectionBtn.addEventListener('click', () => this.testConnection());
         this.saveConnectionBtn.addEventListener('click', () => this.saveConnection());
         this.startUsingBtn.addEventListener('click', () => this.startUsingDashboard());
@@ -165,17 +417,72 @@ class ConsistencyCheckerUI {
     }
 
     // Connection Management Methods
-    showConnectionModal() {
+    async showConnectionModal() {
         this.connectionModal.classList.remove('hidden');
         this.connectionForm.classList.remove('hidden');
         this.connectedView.classList.add('hidden');
-        this.saveConnectionBtn.disabled = true;
         this.connectionStatus.style.display = 'none';
-        
-        // Pre-fill with saved URI if exists
-        const savedUri = localStorage.getItem('mongoUri');
-        if (savedUri) {
-            this.mongoUriInput.value = savedUri;
+        this.profileNameInput.value = '';
+        this.mongoUriInput.value = '';
+
+        // Pre-select the saved profile if it still exists
+        await this.loadProfiles();
+        const savedProfileId = localStorage.getItem('profileId');
+        this.profileSelect.value = this.profiles.some(profile => profile.id === savedProfileId) ? savedProfileId : '';
+        this.selectProfile();
+    }
+
+    async loadProfiles() {
+        try {
+            const response = await this.apiFetch(`${this.apiBase}/profiles`);
+            const data = await response.json();
+
+            if (data.success) {
+                this.profiles = data.data;
+            } else {
+                this.showConnectionStatus(`❌ ${data.message || 'Failed to load connection profiles'}`, 'error');
+            }
+        } catch (error) {
+            console.error('Error loading profiles:', error);
+        }
+
+        this.profileSelect.innerHTML = `
+            ${this.profiles.map(profile => `<option value="${this.escapeHtml(profile.id)}">${this.escapeHtml(profile.name)}</option>`).join('')}
+            <option value="">New profile…</option>
+        `;
+    }
+
+    // Saved profiles connect straight away; a new one has to pass a test first
+    selectProfile() {
+        const profile = this.profiles.find(item => item.id === this.profileSelect.value);
+
+        this.newProfileFields.classList.toggle('hidden', Boolean(profile));
+        this.deleteProfileBtn.classList.toggle('hidden', !profile);
+        this.profileUriDisplay.textContent = profile ? profile.redactedUri : '';
+        this.saveConnectionBtn.disabled = !profile;
+    }
+
+    async deleteProfile() {
+        const profile = this.profiles.find(item => item.id === this.profileSelect.value);
+        if (!profile || !confirm(`Delete connection profile "${profile.name}"?`)) return;
+
+        try {
+            const response = await this.apiFetch(`${this.apiBase}/profiles/${profile.id}`, { method: 'DELETE' });
+            const data = await response.json();
+
+            if (data.success) {
+                if (localStorage.getItem('profileId') === profile.id) {
+                    localStorage.removeItem('profileId');
+                }
+                this.showConnectionStatus(`✅ ${data.message}`, 'success');
+                await this.loadProfiles();
+                this.selectProfile();
+            } else {
+                this.showConnectionStatus(`❌ ${data.message}`, 'error');
+            }
+        } catch (error) {
+            console.error('Error deleting profile:', error);
+            this.showConnectionStatus('❌ Network error. Please check if server is running.', 'error');
         }
     }
 
@@ -184,9 +491,10 @@ class ConsistencyCheckerUI {
     }
 
     async testConnection() {
+        const profileId = this.profileSelect.value;
         const mongoUri = this.mongoUriInput.value.trim();
         
-        if (!mongoUri) {
+        if (!profileId && !mongoUri) {
             this.showConnectionStatus('Please enter a MongoDB connection string', 'error');
             return;
         }
@@ -195,10 +503,10 @@ class ConsistencyCheckerUI {
         this.testConnectionBtn.innerHTML = '<span class="loading-spinner-small" style="width: 16px; height: 16px; border-width: 2px; display: inline-block; vertical-align: middle; margin-right: 6px;"></span> Testing...';
 
         try {
-            const response = await fetch(`${this.apiBase}/connection/test`, {
+            const response = await this.apiFetch(`${this.apiBase}/connection/test`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ mongoUri })
+                body: JSON.stringify(profileId ? { profileId } : { mongoUri })
             });
 
             const data = await response.json();
@@ -229,10 +537,12 @@ class ConsistencyCheckerUI {
     }
 
     async saveConnection() {
+        let profileId = this.profileSelect.value;
+        const name = this.profileNameInput.value.trim();
         const mongoUri = this.mongoUriInput.value.trim();
         
-        if (!mongoUri) {
-            this.showConnectionStatus('Please enter a MongoDB connection string', 'error');
+        if (!profileId && (!name || !mongoUri)) {
+            this.showConnectionStatus('Please enter a profile name and a MongoDB connection string', 'error');
             return;
         }
 
@@ -240,7 +550,12 @@ class ConsistencyCheckerUI {
         this.saveConnectionBtn.innerHTML = '<span class="loading-spinner-small" style="width: 16px; height: 16px; border-width: 2px; display: inline-block; vertical-align: middle; margin-right: 6px;"></span> Connecting...';
 
         try {
-            await this.connectToDatabase(mongoUri, true);
+            // Save a new profile first; only its ID is kept in the browser
+            if (!profileId) {
+                profileId = await this.createProfile(name, mongoUri);
+                if (!profileId) return;
+            }
+            await this.connectToDatabase(profileId, true);
         } finally {
             this.saveConnectionBtn.disabled = false;
             this.saveConnectionBtn.innerHTML = `
@@ -254,13 +569,34 @@ class ConsistencyCheckerUI {
         }
     }
 
-    async connectToDatabase(mongoUri, showSuccess = true) {
+    async createProfile(name, mongoUri) {
+        try {
+            const response = await this.apiFetch(`${this.apiBase}/profiles`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name, mongoUri })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.mongoUriInput.value = '';
+                return data.data.id;
+            }
+            this.showConnectionStatus(`❌ ${data.errors ? data.errors.join('; ') : data.message}`, 'error');
+        } catch (error) {
+            console.error('Error saving profile:', error);
+            this.showConnectionStatus('❌ Failed to save the connection profile. Please try again.', 'error');
+        }
+        return null;
+    }
+
+    async connectToDatabase(profileId, showSuccess = true) {
         try {
-            const response = await fetch(`${this.apiBase}/connection/connect`, {
+            const response = await this.apiFetch(`${this.apiBase}/connection/connect`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ 
-                    mongoUri,
+                    profileId,
                     sessionId: this.sessionId
                 })
             });
@@ -269,7 +605,8 @@ class ConsistencyCheckerUI {
 
             if (data.success && data.data.connected) {
                 this.isConnected = true;
-                localStorage.setItem('mongoUri', mongoUri);
+                this.profileId = profileId;
+                localStorage.setItem('profileId', profileId);
                 
                 // Show connected view
                 this.connectionForm.classList.add('hidden');
@@ -277,7 +614,8 @@ class ConsistencyCheckerUI {
                 
                 // Show connection manager
                 this.connectionManager.classList.remove('hidden');
-                this.connectionDbName.textContent = data.data.database;
+                this.connectionDbName.textContent = `${data.data.profileName} · ${data.data.database}`;
+                this.databaseName = data.data.database;
                 
                 if (showSuccess) {
                     this.showNotification(`Connected to ${data.data.database}`, 'success');
@@ -319,14 +657,22 @@ class ConsistencyCheckerUI {
 
     async disconnect() {
         try {
-            await fetch(`${this.apiBase}/connection/disconnect`, {
+            const response = await this.apiFetch(`${this.apiBase}/connection/disconnect`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ sessionId: this.sessionId })
             });
-            
+            const data = await response.json();
+
+            // Refused while this session's jobs still use the connection
+            if (!data.success) {
+                this.showNotification(data.message, 'warning');
+                return;
+            }
+
             this.isConnected = false;
-            localStorage.removeItem('mongoUri');
+            this.profileId = null;
+            localStorage.removeItem('profileId');
             this.connectionManager.classList.add('hidden');
             this.showConnectionModal();
             this.showNotification('Disconnected from database', 'info');
@@ -345,7 +691,10 @@ class ConsistencyCheckerUI {
 
     async loadStatus() {
         try {
-            const response = await fetch(`${this.apiBase}/status`);
+            const query = this.isConnected
+                ? `?sessionId=${encodeURIComponent(this.sessionId)}`
+                : this.databaseName ? `?database=${encodeURIComponent(this.databaseName)}` : '';
+            const response = await this.apiFetch(`${this.apiBase}/status${query}`);
             const data = await response.json();
             
             if (data.success) {
@@ -409,48 +758,80 @@ class ConsistencyCheckerUI {
             return;
         }
 
+        const dryRun = this.dryRunToggle.checked;
+        const approval = this.approvalToggle.checked;
+        if (!dryRun && !approval && !this.can('admin')) {
+            this.showNotification('Your role can only run dry runs or checks that require approval', 'error');
+            return;
+        }
+
         this.isChecking = true;
         this.runCheckBtn.disabled = true;
         this.showLoadingSection();
-        this.updateProgress(10, 'Starting consistency check...');
+        this.updateProgress(0, dryRun ? 'Queueing dry run...' : 'Queueing consistency check...');
 
         try {
-            this.updateProgress(25, 'Scanning collection...');
-
-            const response = await fetch(`${this.apiBase}/check`, {
+            const response = await this.apiFetch(`${this.apiBase}/check`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
                     collection: 'users',
-                    sessionId: this.sessionId
+                    sessionId: this.sessionId,
+                    dryRun,
+                    approval
                 })
             });
             
-            this.updateProgress(75, 'Processing results...');
-            
             const data = await response.json();
             
+            if (!data.success) {
+                this.showNotification(`Check failed: ${data.message}`, 'error');
+                return;
+            }
+
+            this.currentJobId = data.data.id;
+            const job = await this.waitForJob(data.data.id);
+            this.currentJobId = null;
+
+            if (job.state === 'failed') {
+                this.showNotification(`Check failed: ${job.error}`, 'error');
+                return;
+            }
+
             this.updateProgress(100, 'Complete!');
-            
-            if (data.success) {
-                this.currentReport = data.report;
-                this.showNotification('Consistency check completed successfully', 'success');
-                
-                // Refresh all data
-                await Promise.all([
-                    this.loadStatus(),
-                    this.displayLatestReport(data.report),
-                    this.loadStatistics()
-                ]);
+
+            if (job.report) {
+                this.currentReport = job.report;
+            }
+
+            if (job.state === 'cancelled') {
+                this.showNotification(
+                    job.report ? 'Check cancelled, partial report saved' : 'Check cancelled before it started',
+                    'warning'
+                );
             } else {
-                this.showNotification(`Check failed: ${data.error}`, 'error');
+                const pending = job.report ? job.report.pendingRepairs : 0;
+                this.showNotification(
+                    dryRun ? 'Dry run completed, no changes were written'
+                        : approval ? `Check completed, ${pending} repairs held for approval`
+                        : 'Consistency check completed successfully',
+                    'success'
+                );
             }
+            
+            // Refresh all data
+            await Promise.all([
+                this.loadStatus(),
+                job.report ? this.displayLatestReport(job.report) : null,
+                this.loadStatistics()
+            ]);
         } catch (error) {
             console.error('Error running consistency check:', error);
             this.showNotification('Error running consistency check', 'error');
         } finally {
+            this.currentJobId = null;
             setTimeout(() => {
                 this.hideLoadingSection();
                 this.isChecking = false;
@@ -459,8 +840,104 @@ class ConsistencyCheckerUI {
         }
     }
 
+    waitForJob(jobId) {
+        return new Promise((resolve, reject) => {
+            const events = new EventSource(this.withToken(`${this.apiBase}/jobs/${jobId}/events`));
+
+            events.addEventListener('progress', (event) => {
+                this.showJobProgress(JSON.parse(event.data));
+            });
+
+            events.addEventListener('finished', (event) => {
+                events.close();
+                resolve(JSON.parse(event.data));
+            });
+
+            // EventSource reconnects on its own; only a closed stream is fatal
+            events.onerror = () => {
+                if (events.readyState === EventSource.CLOSED) {
+                    reject(new Error('Lost connection to check progress'));
+                }
+            };
+        });
+    }
+
+    showJobProgress(job) {
+        this.renderLiveIssues(job.recentIssues || []);
+
+        if (job.state === 'queued') {
+            this.updateProgress(0, `Queued (position ${job.position}), waiting for another check on this collection...`);
+            return;
+        }
+
+        const progress = job.progress;
+        if (!progress) {
+            this.updateProgress(0, 'Starting...');
+            return;
+        }
+
+        if (progress.phase === 'schema') {
+            this.updateProgress(5, 'Inferring schema...');
+            return;
+        }
+
+        if (progress.phase === 'applying') {
+            const percent = progress.estimatedTotal > 0
+                ? Math.min(99, Math.round(progress.issuesFound / progress.estimatedTotal * 100))
+                : 50;
+            this.updateProgress(percent, `${progress.issuesFound} / ${progress.estimatedTotal} approved repairs processed`);
+            return;
+        }
+
+        if (progress.phase === 'duplicates') {
+            this.updateProgress(99, `Looking for duplicates, ${progress.issuesFound} issues so far...`);
+            return;
+        }
+
+        const percent = progress.estimatedTotal > 0
+            ? Math.min(99, Math.round(progress.documentsProcessed / progress.estimatedTotal * 100))
+            : 50;
+        const eta = progress.etaMs !== null ? `, about ${this.formatDuration(progress.etaMs)} left` : '';
+        this.updateProgress(
+            percent,
+            `${progress.documentsProcessed} / ${progress.estimatedTotal} documents, ${progress.issuesFound} issues${eta}`
+        );
+    }
+
+    renderLiveIssues(issues) {
+        if (issues.length === 0) {
+            this.liveIssues.classList.add('hidden');
+            return;
+        }
+
+        this.liveIssues.classList.remove('hidden');
+        this.liveIssues.innerHTML = issues.slice().reverse().map(issue => `
+            <li>
+                <span style="color: var(--accent-warning); font-weight: 600;">${this.escapeHtml(issue.issue)}</span>
+                <span>${this.escapeHtml(issue.field || 'document')}</span>
+                <span style="color: var(--text-muted);">in ${this.escapeHtml(issue.documentId)}</span>
+            </li>
+        `).join('');
+    }
+
+    async cancelCheck() {
+        if (!this.currentJobId) return;
+
+        this.cancelCheckBtn.disabled = true;
+        try {
+            const response = await this.apiFetch(`${this.apiBase}/jobs/${this.currentJobId}/cancel`, { method: 'POST' });
+            const data = await response.json();
+            this.showNotification(data.message, data.success ? 'info' : 'error');
+        } catch (error) {
+            console.error('Error cancelling check:', error);
+            this.showNotification('Error cancelling check', 'error');
+        }
+    }
+
     showLoadingSection() {
         this.loadingSection.classList.remove('hidden');
+        this.cancelCheckBtn.disabled = false;
+        this.renderLiveIssues([]);
         this.updateProgress(0, 'Initializing...');
     }
 
@@ -475,7 +952,7 @@ class ConsistencyCheckerUI {
 
     async loadLatestReport() {
         try {
-            const response = await fetch(`${this.apiBase}/report/latest`);
+            const response = await this.apiFetch(`${this.apiBase}/report/latest`);
             const data = await response.json();
             
             if (data.success && data.data) {
@@ -510,11 +987,15 @@ class ConsistencyCheckerUI {
             'clean': 'consistent',
             'repaired': 'consistent',
             'error': 'inconsistent',
-            'partial': 'inconsistent'
+            'partial': 'inconsistent',
+            'mismatch': 'inconsistent',
+            'preview': 'preview',
+            'rolled_back': 'preview',
+            'cancelled': 'preview'
         };
         const statusClass = statusColors[report.status] || '';
         this.latestReportStatus.className = `status-badge ${statusClass}`;
-        this.latestReportStatusText.textContent = report.status.charAt(0).toUpperCase() + report.status.slice(1);
+        this.latestReportStatusText.textContent = this.formatStatus(report.status);
         
         // Update detail values
         this.latestReportCollection.textContent = report.collection;
@@ -533,7 +1014,12 @@ class ConsistencyCheckerUI {
             'clean': '#22c55e',
             'repaired': '#6366f1',
             'error': '#ef4444',
-            'partial': '#f59e0b'
+            'partial': '#f59e0b',
+            'mismatch': '#ef4444',
+            'preview': '#d97706',
+            'rolled_back': '#94a3b8',
+            'cancelled': '#94a3b8',
+            'awaiting_approval': '#0ea5e9'
         };
         const statusColor = statusColors[report.status] || '#f59e0b';
         
@@ -547,7 +1033,7 @@ class ConsistencyCheckerUI {
                         <div style="font-size: 0.875rem; color: var(--text-muted);">${this.formatDateTime(report.timestamp)}</div>
                     </div>
                     <div class="report-status" style="padding: 6px 12px; border-radius: 50px; font-size: 0.75rem; font-weight: 600; text-transform: uppercase; background: ${statusColor}20; color: ${statusColor};">
-                        ${report.status}
+                        ${this.formatStatus(report.status)}
                     </div>
                 </div>
                 
@@ -586,7 +1072,13 @@ class ConsistencyCheckerUI {
                     <button class="btn btn-small view-details-btn" data-report-id="${report.id}" style="flex: 1;">
                         View Details
                     </button>
-                    ${!isLatest ? `<button class="btn btn-small btn-secondary delete-report-btn" data-report-id="${report.id}">Delete</button>` : ''}
+                    ${!isLatest && this.can('admin') ? `<button class="btn btn-small btn-secondary delete-report-btn" data-report-id="${report.id}">Delete</button>` : ''}
+                    ${!isLatest && report.issuesRecorded ? `
+                        <label style="display: flex; align-items: center; gap: 6px; font-size: 0.875rem; color: var(--text-secondary); cursor: pointer;">
+                            <input type="checkbox" class="compare-report-checkbox" data-report-id="${report.id}">
+                            Compare
+                        </label>
+                    ` : ''}
                 </div>
             </div>
         `;
@@ -597,7 +1089,12 @@ class ConsistencyCheckerUI {
             'clean': 'clean',
             'repaired': 'repaired',
             'error': 'error',
-            'partial': 'partial'
+            'partial': 'partial',
+            'mismatch': 'error',
+            'preview': 'preview',
+            'rolled_back': 'rolled_back',
+            'cancelled': 'cancelled',
+            'awaiting_approval': 'preview'
         };
         return statusMap[status] || 'partial';
     }
@@ -618,6 +1115,14 @@ class ConsistencyCheckerUI {
                 this.deleteReport(reportId);
             });
         });
+
+        // Compare checkboxes: exactly two reports can be compared
+        document.querySelectorAll('.compare-report-checkbox').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                this.compareReportsBtn.disabled = this.getSelectedReports().length !== 2;
+            });
+        });
+        this.compareReportsBtn.disabled = true;
     }
 
     async viewReportDetails(reportId) {
@@ -630,7 +1135,7 @@ class ConsistencyCheckerUI {
             } else {
                 // For now, we'll show a simplified view
                 // In a real implementation, you might want an endpoint to get full report details
-                const response = await fetch(`${this.apiBase}/reports`);
+                const response = await this.apiFetch(`${this.apiBase}/reports`);
                 const data = await response.json();
                 if (data.success) {
                     report = data.data.find(r => r.id === reportId);
@@ -653,8 +1158,15 @@ class ConsistencyCheckerUI {
             'clean': { color: '#22c55e', class: 'consistent', icon: '✓' },
             'repaired': { color: '#6366f1', class: 'consistent', icon: '🔧' },
             'error': { color: '#ef4444', class: 'inconsistent', icon: '✗' },
-            'partial': { color: '#f59e0b', class: 'inconsistent', icon: '⚠' }
+            'partial': { color: '#f59e0b', class: 'inconsistent', icon: '⚠' },
+            'mismatch': { color: '#ef4444', class: 'inconsistent', icon: '≠' },
+            'preview': { color: '#d97706', class: 'preview', icon: '👁' },
+            'rolled_back': { color: '#94a3b8', class: 'preview', icon: '↺' },
+            'cancelled': { color: '#94a3b8', class: 'preview', icon: '■' },
+            'awaiting_approval': { color: '#0ea5e9', class: 'preview', icon: '⏸' }
         };
+        const canRevert = this.can('admin') && !report.dryRun && !report.rolledBackAt &&
+            (report.repairsApplied + report.documentsDeleted) > 0;
         const config = statusConfig[report.status] || statusConfig['partial'];
         
         const detailsHtml = `
@@ -666,7 +1178,7 @@ class ConsistencyCheckerUI {
                     </div>
                     <div style="flex: 1;">
                         <div style="font-size: 0.75rem; font-weight: 600; color: var(--text-muted); text-transform: uppercase; letter-spacing: 0.05em; margin-bottom: 4px;">Report Status</div>
-                        <div style="font-size: 1.25rem; font-weight: 700; color: ${config.color}; text-transform: capitalize;">${report.status}</div>
+                        <div style="font-size: 1.25rem; font-weight: 700; color: ${config.color};">${this.formatStatus(report.status)}</div>
                     </div>
                     <div style="text-align: right;">
                         <div style="font-size: 0.75rem; color: var(--text-muted);">Report #${report.id}</div>
@@ -674,6 +1186,39 @@ class ConsistencyCheckerUI {
                     </div>
                 </div>
 
+                ${report.dryRun ? `
+                    <div style="margin-bottom: 24px; padding: 12px 16px; background: rgba(245, 158, 11, 0.1); border-radius: var(--radius-md); border-left: 3px solid var(--accent-warning);">
+                        <p style="font-size: 0.875rem; color: var(--accent-warning); margin: 0;">
+                            <strong>Dry run preview:</strong> the repairs below were proposed but not written to the database.
+                        </p>
+                    </div>
+                ` : ''}
+
+                ${report.approval ? `
+                    <div style="margin-bottom: 24px; padding: 12px 16px; background: rgba(14, 165, 233, 0.1); border-radius: var(--radius-md); border-left: 3px solid #0ea5e9;">
+                        <p style="font-size: 0.875rem; color: #0ea5e9; margin: 0;">
+                            <strong>Held for approval:</strong> ${report.pendingRepairs} repairs were queued for review instead of being applied. Use <em>Review Repairs</em> to approve or reject them.
+                        </p>
+                    </div>
+                ` : ''}
+
+                ${report.comparison ? `
+                    <div style="margin-bottom: 24px; padding: 12px 16px; background: var(--bg-secondary); border-radius: var(--radius-md); font-size: 0.875rem; color: var(--text-secondary);">
+                        Compared with source <strong>${this.escapeHtml(report.comparison.sourceDatabase)}.${this.escapeHtml(report.comparison.sourceCollection)}</strong>
+                        (${report.comparison.sourceDocuments} documents, target ${report.comparison.targetDocuments}):
+                        ${report.comparison.missingInTarget} missing in target, ${report.comparison.extraInTarget} extra,
+                        ${report.comparison.differentDocuments} with different fields.
+                        ${report.comparison.ignoredFields.length > 0 ? `Ignored: ${this.escapeHtml(report.comparison.ignoredFields.join(', '))}.` : ''}
+                        ${report.comparison.detailsTruncated ? `Only the first ${report.details.length} differences are listed below.` : ''}
+                    </div>
+                ` : ''}
+
+                ${report.approvedFrom && report.approvedFrom.length > 0 ? `
+                    <div style="margin-bottom: 24px; padding: 12px 16px; background: var(--bg-secondary); border-radius: var(--radius-md); font-size: 0.875rem; color: var(--text-secondary);">
+                        Approved repairs from report${report.approvedFrom.length > 1 ? 's' : ''} ${report.approvedFrom.map(id => `#${id}`).join(', ')}, applied by <strong>${report.appliedBy || 'unknown'}</strong>.
+                    </div>
+                ` : ''}
+
                 <!-- Info Cards Grid -->
                 <div style="display: grid; grid-template-columns: repeat(2, 1fr); gap: 12px; margin-bottom: 24px;">
                     <div style="padding: 16px; background: var(--bg-tertiary); border-radius: var(--radius-md);">
@@ -684,6 +1229,10 @@ class ConsistencyCheckerUI {
                         <div style="font-size: 0.75rem; color: var(--text-muted); text-transform: uppercase; margin-bottom: 4px;">Duration</div>
                         <div style="font-size: 1rem; font-weight: 600; color: var(--text-primary);">${report.durationFormatted || this.formatDuration(report.duration)}</div>
                     </div>
+                    <div style="padding: 16px; background: var(--bg-tertiary); border-radius: var(--radius-md);">
+                        <div style="font-size: 0.75rem; color: var(--text-muted); text-transform: uppercase; margin-bottom: 4px;">Validator</div>
+                        <div style="font-size: 1rem; font-weight: 600; color: var(--text-primary); text-transform: capitalize;">${report.validator || 'simple'}${report.rulesVersion ? ` (rules v${report.rulesVersion})` : ''}</div>
+                    </div>
                 </div>
                 
                 <!-- Summary Stats -->
@@ -724,34 +1273,62 @@ class ConsistencyCheckerUI {
                     </div>
                 ` : ''}
                 
+                ${report.duplicateGroups && report.duplicateGroups.length > 0 ? `
+                    <div style="margin-bottom: 24px;">
+                        <h4 style="font-size: 0.75rem; font-weight: 600; color: var(--text-muted); text-transform: uppercase; letter-spacing: 0.05em; margin-bottom: 12px;">
+                            Duplicate Groups (${report.duplicateGroupsFound || report.duplicateGroups.length})
+                        </h4>
+                        <div style="display: flex; flex-direction: column; gap: 10px;">
+                            ${report.duplicateGroups.map(group => `
+                                <div style="background: var(--bg-secondary); border-radius: var(--radius-md); padding: 16px; border-left: 3px solid var(--accent-warning);">
+                                    <div style="font-size: 0.875rem; margin-bottom: 8px;">
+                                        <span style="color: var(--text-muted);">${this.escapeHtml(group.fields.join(' + '))}:</span>
+                                        <span style="font-weight: 600; color: var(--text-primary);">${this.escapeHtml(group.key)}</span>
+                                        <span style="color: var(--text-muted); margin-left: 8px;">(${this.escapeHtml(group.strategy.replace('_', ' '))})</span>
+                                    </div>
+                                    <div style="font-size: 0.8rem; font-family: monospace; color: var(--accent-success);">kept ${this.escapeHtml(group.keepId)}</div>
+                                    ${group.documentIds.map(id => `
+                                        <div style="font-size: 0.8rem; font-family: monospace; color: var(--accent-warning);">duplicate ${this.escapeHtml(id)}</div>
+                                    `).join('')}
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+                ` : ''}
+
                 ${report.details && report.details.length > 0 ? `
                     <div>
                         <h4 style="font-size: 0.75rem; font-weight: 600; color: var(--text-muted); text-transform: uppercase; letter-spacing: 0.05em; margin-bottom: 12px;">
-                            Repair Details (${report.details.length})
+                            ${report.dryRun ? 'Proposed Repairs' : report.approval ? 'Repairs Held for Approval' : 'Repair Details'} (${report.dryRun ? report.proposedRepairs || report.details.length : report.details.length})
                         </h4>
+                        ${report.detailsTruncated ? `
+                            <p style="font-size: 0.8rem; color: var(--text-muted); margin-bottom: 12px;">
+                                Only the first ${report.details.length} details${report.duplicateGroups.length < report.duplicateGroupsFound ? ` and ${report.duplicateGroups.length} duplicate groups` : ''} are kept; the counts above cover everything.
+                            </p>
+                        ` : ''}
                         <div style="display: flex; flex-direction: column; gap: 10px;">
                             ${report.details.map(detail => `
                                 <div style="background: var(--bg-secondary); border-radius: var(--radius-md); padding: 16px; border-left: 3px solid var(--accent-primary);">
                                     <div style="display: grid; grid-template-columns: auto 1fr; gap: 8px 16px; font-size: 0.875rem; margin-bottom: 8px;">
                                         <span style="color: var(--text-muted);">Document:</span>
-                                        <span style="font-weight: 500; font-family: monospace; color: var(--text-primary);">${detail.documentId}</span>
+                                        <span style="font-weight: 500; font-family: monospace; color: var(--text-primary);">${this.escapeHtml(detail.documentId)}</span>
                                         <span style="color: var(--text-muted);">Issue:</span>
-                                        <span style="color: var(--accent-warning);">${detail.issue}</span>
+                                        <span style="color: var(--accent-warning);">${this.escapeHtml(detail.issue)}</span>
                                         <span style="color: var(--text-muted);">Action:</span>
-                                        <span style="color: var(--accent-success); font-weight: 500;">${detail.action}</span>
+                                        <span style="color: var(--accent-success); font-weight: 500;">${this.escapeHtml(detail.action)}</span>
                                     </div>
                                     ${detail.oldValue !== undefined || detail.newValue !== undefined ? `
                                         <div style="display: flex; gap: 12px; margin-top: 12px; padding-top: 12px; border-top: 1px solid var(--border-color);">
                                             ${detail.oldValue !== undefined ? `
                                                 <div style="flex: 1; padding: 8px 12px; background: rgba(239, 68, 68, 0.08); border-radius: var(--radius-sm);">
                                                     <span style="font-size: 0.6875rem; color: var(--accent-error); text-transform: uppercase;">Before</span>
-                                                    <div style="font-size: 0.875rem; color: var(--accent-error); font-family: monospace;">${detail.oldValue}</div>
+                                                    <div style="font-size: 0.875rem; color: var(--accent-error); font-family: monospace;">${this.escapeValue(detail.oldValue)}</div>
                                                 </div>
                                             ` : ''}
                                             ${detail.newValue !== undefined ? `
                                                 <div style="flex: 1; padding: 8px 12px; background: rgba(34, 197, 94, 0.08); border-radius: var(--radius-sm);">
                                                     <span style="font-size: 0.6875rem; color: var(--accent-success); text-transform: uppercase;">After</span>
-                                                    <div style="font-size: 0.875rem; color: var(--accent-success); font-family: monospace;">${detail.newValue}</div>
+                                                    <div style="font-size: 0.875rem; color: var(--accent-success); font-family: monospace;">${this.escapeValue(detail.newValue)}</div>
                                                 </div>
                                             ` : ''}
                                         </div>
@@ -761,11 +1338,108 @@ class ConsistencyCheckerUI {
                         </div>
                     </div>
                 ` : ''}
+
+                ${report.rolledBackAt ? `
+                    <div style="margin-top: 24px; padding: 12px 16px; background: var(--bg-secondary); border-radius: var(--radius-md); font-size: 0.875rem; color: var(--text-muted);">
+                        This run was reverted on ${this.formatDateTime(report.rolledBackAt)}.
+                    </div>
+                ` : ''}
+
+                <div style="display: flex; align-items: center; gap: 8px; flex-wrap: wrap; margin-top: 24px; padding-top: 16px; border-top: 1px solid var(--border-color);">
+                    <span style="font-size: 0.75rem; font-weight: 600; color: var(--text-muted); text-transform: uppercase; letter-spacing: 0.05em;">Download</span>
+                    ${[['csv', 'CSV'], ['ndjson', 'NDJSON'], ['html', 'HTML'], ['junit', 'JUnit XML']].map(([format, label]) => `
+                        <a class="btn btn-small btn-secondary" style="text-decoration: none;" href="${this.withToken(`${this.apiBase}/reports/${report.id}/export?format=${format}`)}" download>${label}</a>
+                    `).join('')}
+                    ${canRevert ? `
+                        <button class="btn btn-small btn-secondary" id="revert-report-btn" style="margin-left: auto;">
+                            ↺ Revert this run
+                        </button>
+                    ` : ''}
+                </div>
             </div>
         `;
         
         this.modalBody.innerHTML = detailsHtml;
         this.reportModal.classList.remove('hidden');
+
+        if (canRevert) {
+            document.getElementById('revert-report-btn')
+                .addEventListener('click', () => this.revertReport(report.id));
+        }
+    }
+
+    async revertReport(reportId, force = false) {
+        if (this.isChecking) return;
+
+        if (!force && !confirm('Restore every document this run changed to its state before the repair?')) {
+            return;
+        }
+
+        this.closeModal();
+        this.isChecking = true;
+        this.runCheckBtn.disabled = true;
+        this.showLoadingSection();
+        this.updateProgress(0, 'Queueing revert...');
+
+        let retryForced = false;
+        try {
+            const response = await this.apiFetch(`${this.apiBase}/reports/${reportId}/rollback`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sessionId: this.sessionId, force })
+            });
+
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showNotification(`Revert failed: ${data.message}`, 'error');
+                return;
+            }
+
+            this.currentJobId = data.data.id;
+            const job = await this.waitForJob(data.data.id);
+
+            // A rollback cancelled while running still finishes, so its result decides
+            if (!job.rollback) {
+                this.showNotification(`Revert failed: ${job.error || job.state}`, 'error');
+                return;
+            }
+
+            this.updateProgress(100, 'Complete!');
+            const { restored, conflicts } = job.rollback;
+            const message = conflicts.length > 0
+                ? `Restored ${restored} documents, ${conflicts.length} skipped because they changed after the repair`
+                : `Restored ${restored} documents`;
+
+            if (conflicts.length > 0 && !force) {
+                const list = conflicts.slice(0, 5).map(c => `• ${c.documentId}: ${c.reason}`).join('\n');
+                retryForced = confirm(
+                    `${message}.\n\n${list}${conflicts.length > 5 ? `\n…and ${conflicts.length - 5} more` : ''}\n\n` +
+                    'Overwrite these documents with their before-images anyway?'
+                );
+            }
+
+            if (!retryForced) {
+                this.showNotification(message, conflicts.length > 0 ? 'warning' : 'success');
+            }
+            await Promise.all([
+                this.loadStatus(),
+                this.loadLatestReport(),
+                this.reportsHistorySection.classList.contains('hidden') ? null : this.loadReports()
+            ]);
+        } catch (error) {
+            console.error('Error reverting report:', error);
+            this.showNotification('Error reverting report', 'error');
+        } finally {
+            this.currentJobId = null;
+            this.hideLoadingSection();
+            this.isChecking = false;
+            this.runCheckBtn.disabled = false;
+        }
+
+        if (retryForced) {
+            await this.revertReport(reportId, true);
+        }
     }
 
     closeModal() {
@@ -788,7 +1462,7 @@ class ConsistencyCheckerUI {
             const collection = this.collectionFilter.value;
             const url = collection ? `${this.apiBase}/reports?collection=${collection}` : `${this.apiBase}/reports`;
             
-            const response = await fetch(url);
+            const response = await this.apiFetch(url);
             const data = await response.json();
             
             if (data.success) {
@@ -814,13 +1488,683 @@ class ConsistencyCheckerUI {
         this.attachReportEventListeners();
     }
 
-    async loadStatistics() {
+    getSelectedReports() {
+        return [...document.querySelectorAll('.compare-report-checkbox:checked')].map(checkbox => checkbox.dataset.reportId);
+    }
+
+    async compareSelectedReports() {
+        const [from, to] = this.getSelectedReports();
+        if (!from || !to) return;
+
         try {
-            const response = await fetch(`${this.apiBase}/stats`);
+            const response = await this.apiFetch(`${this.apiBase}/reports/compare?from=${from}&to=${to}`);
             const data = await response.json();
-            
-            if (data.success) {
-                console.log(data);
+
+            if (data.success) {
+                this.showComparisonModal(data.data);
+            } else {
+                this.showNotification(data.message || 'Failed to compare reports', 'error');
+            }
+        } catch (error) {
+            console.error('Error comparing reports:', error);
+            this.showNotification('Error comparing reports', 'error');
+        }
+    }
+
+    showComparisonModal(diff) {
+        const issueList = (title, items, color, total) => `
+            <div style="margin-bottom: 24px;">
+                <h4 style="font-size: 0.75rem; font-weight: 600; color: var(--text-muted); text-transform: uppercase; letter-spacing: 0.05em; margin-bottom: 12px;">
+                    ${title} (${total})
+                </h4>
+                ${items.length === 0 ? '<p class="no-data">None.</p>' : `
+                    <div style="display: flex; flex-direction: column; gap: 6px;">
+                        ${items.map(item => `
+                            <div style="display: flex; gap: 12px; align-items: baseline; padding: 8px 12px; background: var(--bg-secondary); border-radius: var(--radius-sm); border-left: 3px solid ${color}; font-size: 0.875rem;">
+                                <span style="font-family: monospace; color: var(--text-primary);">${this.escapeHtml(item.documentId)}</span>
+                                <span style="color: var(--text-secondary);">${this.escapeHtml(item.field || 'document')}</span>
+                                <span style="color: ${color};">${this.escapeHtml(item.issue)}</span>
+                                ${item.repairedBefore ? '<span style="margin-left: auto; font-size: 0.75rem; color: var(--accent-error);">repaired, broke again</span>' : ''}
+                            </div>
+                        `).join('')}
+                    </div>
+                `}
+            </div>
+        `;
+
+        const stat = (label, value, color) => `
+            <div style="text-align: center; padding: 16px 12px; background: ${color}1a; border-radius: var(--radius-md);">
+                <div style="font-size: 1.5rem; font-weight: 700; color: ${color};">${value}</div>
+                <div style="font-size: 0.6875rem; color: var(--text-muted); text-transform: uppercase;">${label}</div>
+            </div>
+        `;
+
+        this.modalBody.innerHTML = `
+            <div class="modal-report-content" style="color: var(--text-primary);">
+                <div style="display: grid; grid-template-columns: 1fr auto 1fr; gap: 12px; align-items: center; margin-bottom: 24px; padding: 20px; background: var(--bg-secondary); border-radius: var(--radius-lg);">
+                    <div>
+                        <div style="font-size: 0.75rem; color: var(--text-muted); text-transform: uppercase;">Baseline</div>
+                        <div style="font-size: 0.875rem; font-weight: 600;">${this.formatDateTime(diff.from.timestamp)}</div>
+                        <div style="font-size: 0.75rem; color: var(--text-muted);">#${diff.from.id} · ${diff.from.inconsistenciesFound} issues</div>
+                    </div>
+                    <div style="font-size: 1.25rem; color: var(--text-muted);">→</div>
+                    <div style="text-align: right;">
+                        <div style="font-size: 0.75rem; color: var(--text-muted); text-transform: uppercase;">Compared</div>
+                        <div style="font-size: 0.875rem; font-weight: 600;">${this.formatDateTime(diff.to.timestamp)}</div>
+                        <div style="font-size: 0.75rem; color: var(--text-muted);">#${diff.to.id} · ${diff.to.inconsistenciesFound} issues</div>
+                    </div>
+                </div>
+
+                <div style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 12px; margin-bottom: 24px;">
+                    ${stat('New', diff.counts.new, '#ef4444')}
+                    ${stat('Resolved', diff.counts.resolved, '#22c55e')}
+                    ${stat('Persisting', diff.counts.persisting, '#f59e0b')}
+                    ${stat('Recurring Docs', diff.counts.recurring, '#8b5cf6')}
+                </div>
+
+                ${diff.truncated ? `
+                    <p style="font-size: 0.875rem; color: var(--text-muted); margin-bottom: 24px;">Lists show the first ${diff.limit} entries each.</p>
+                ` : ''}
+
+                ${diff.recurring.length > 0 ? `
+                    <div style="margin-bottom: 24px;">
+                        <h4 style="font-size: 0.75rem; font-weight: 600; color: #8b5cf6; text-transform: uppercase; letter-spacing: 0.05em; margin-bottom: 4px;">
+                            Repaired, then broke again (${diff.counts.recurring})
+                        </h4>
+                        <p style="font-size: 0.8125rem; color: var(--text-muted); margin-bottom: 12px;">Earlier runs repaired these documents, yet they have issues again: an upstream writer is likely reintroducing them.</p>
+                        <div style="display: flex; flex-direction: column; gap: 6px;">
+                            ${diff.recurring.map(doc => `
+                                <div style="padding: 10px 12px; background: var(--bg-secondary); border-radius: var(--radius-sm); border-left: 3px solid #8b5cf6; font-size: 0.875rem;">
+                                    <div style="display: flex; justify-content: space-between; gap: 12px;">
+                                        <span style="font-family: monospace;">${this.escapeHtml(doc.documentId)}</span>
+                                        <span style="color: ${doc.repairRuns > 1 ? 'var(--accent-error)' : 'var(--text-secondary)'}; font-weight: 600;">repaired in ${doc.repairRuns} run${doc.repairRuns > 1 ? 's' : ''}</span>
+                                    </div>
+                                    <div style="font-size: 0.8125rem; color: var(--text-muted); margin-top: 4px;">
+                                        Now: ${this.escapeHtml(doc.issues.join(', '))} · last repaired ${this.formatDateTime(doc.lastRepairedAt)}
+                                    </div>
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+                ` : ''}
+
+                ${issueList('New Issues', diff.new, '#ef4444', diff.counts.new)}
+                ${issueList('Resolved Issues', diff.resolved, '#22c55e', diff.counts.resolved)}
+                ${issueList('Persisting Issues', diff.persisting, '#f59e0b', diff.counts.persisting)}
+            </div>
+        `;
+        this.reportModal.classList.remove('hidden');
+    }
+
+    async toggleApprovals() {
+        if (this.approvalsSection.classList.contains('hidden')) {
+            this.approvalsSection.classList.remove('hidden');
+            await this.loadApprovals();
+            this.reviewRepairsBtn.querySelector('.btn-text').textContent = 'Hide Review';
+        } else {
+            this.approvalsSection.classList.add('hidden');
+            this.reviewRepairsBtn.querySelector('.btn-text').textContent = 'Review Repairs';
+        }
+    }
+
+    getApprovalFilter() {
+        const filter = {
+            database: this.databaseName || '',
+            collection: 'users',
+            status: this.approvalStatusFilter.value,
+            field: this.approvalFieldFilter.value,
+            issue: this.approvalIssueFilter.value,
+            severity: this.approvalSeverityFilter.value
+        };
+        Object.keys(filter).forEach(key => {
+            if (!filter[key]) delete filter[key];
+        });
+        return filter;
+    }
+
+    async loadApprovals() {
+        try {
+            const params = new URLSearchParams({ ...this.getApprovalFilter(), limit: 100 });
+            const response = await this.apiFetch(`${this.apiBase}/approvals?${params}`);
+            const data = await response.json();
+
+            if (data.success) {
+                this.displayApprovals(data.data);
+            } else {
+                this.showNotification(`Failed to load pending repairs: ${data.message}`, 'error');
+            }
+        } catch (error) {
+            console.error('Error loading pending repairs:', error);
+            this.showNotification('Error loading pending repairs', 'error');
+        }
+    }
+
+    displayApprovals({ items, total, summary }) {
+        const { counts } = summary;
+        this.approvalsSummary.textContent =
+            `${counts.pending} pending · ${counts.approved} approved · ${counts.rejected} rejected · ${counts.applied} applied · ${counts.failed} failed`;
+        this.applyApprovedBtn.disabled = counts.approved === 0;
+        this.applyApprovedBtn.textContent = `Apply approved (${counts.approved})`;
+
+        this.fillFilterOptions(this.approvalFieldFilter, 'All fields', summary.fields);
+        this.fillFilterOptions(this.approvalIssueFilter, 'All issues', summary.issues);
+        this.fillFilterOptions(this.approvalSeverityFilter, 'All severities', summary.severities);
+        this.approvalSelectAll.checked = false;
+
+        const isPending = this.approvalStatusFilter.value === 'pending';
+        [this.approveSelectedBtn, this.rejectSelectedBtn, this.approveMatchingBtn, this.rejectMatchingBtn]
+            .forEach(btn => { btn.disabled = !isPending || items.length === 0; });
+
+        if (items.length === 0) {
+            this.approvalsList.innerHTML = '<p class="no-data">No repairs match these filters.</p>';
+            return;
+        }
+
+        this.approvalsList.innerHTML = items.map(item => `
+            <div class="approval-item severity-${this.escapeHtml(item.severity || 'none')}">
+                <input type="checkbox" class="approval-select" value="${this.escapeHtml(item.id)}" ${isPending ? '' : 'disabled'}>
+                <div>
+                    <div style="font-weight: 600; color: var(--text-primary);">
+                        ${this.escapeHtml(item.field || 'document')}: ${this.escapeHtml(item.action.replace(/_/g, ' '))}
+                        <span style="font-weight: 400; color: var(--accent-warning); margin-left: 8px;">${this.escapeHtml(item.issue)}</span>
+                        <span style="font-weight: 400; color: var(--text-muted);">${item.severity ? `(${this.escapeHtml(item.severity)})` : ''}</span>
+                    </div>
+                    <div style="font-family: monospace; font-size: 0.8rem; color: var(--text-muted);">
+                        ${this.escapeHtml(item.documentId)}
+                        ${item.oldValue !== undefined ? ` · <span style="color: var(--accent-error);">${this.escapeHtml(JSON.stringify(item.oldValue))}</span>` : ''}
+                        ${item.newValue !== undefined ? ` → <span style="color: var(--accent-success);">${this.escapeHtml(JSON.stringify(item.newValue))}</span>` : ''}
+                    </div>
+                    ${item.decidedBy ? `
+                        <div style="font-size: 0.75rem; color: var(--text-muted);">
+                            ${item.status === 'rejected' ? 'Rejected' : 'Approved'} by ${this.escapeHtml(item.decidedBy)}, ${this.formatDateTime(item.decidedAt)}${item.comment ? ` — ${this.escapeHtml(item.comment)}` : ''}
+                        </div>
+                    ` : ''}
+                    ${item.appliedAt ? `
+                        <div style="font-size: 0.75rem; color: ${item.status === 'failed' ? 'var(--accent-error)' : 'var(--text-muted)'};">
+                            ${item.status === 'failed' ? `Not applied: ${this.escapeHtml(item.error)}` : 'Applied'} by ${this.escapeHtml(item.appliedBy)}, ${this.formatDateTime(item.appliedAt)}
+                        </div>
+                    ` : ''}
+                </div>
+                ${isPending && this.can('admin') ? `
+                    <div style="display: flex; gap: 6px;">
+                        <button class="btn btn-small approve-item-btn" data-id="${this.escapeHtml(item.id)}">Approve</button>
+                        <button class="btn btn-small btn-secondary reject-item-btn" data-id="${this.escapeHtml(item.id)}">Reject</button>
+                    </div>
+                ` : isPending ? '' : `<span style="font-size: 0.75rem; text-transform: uppercase; color: var(--text-muted);">${this.escapeHtml(item.status)}</span>`}
+            </div>
+        `).join('') + (total > items.length
+            ? `<p class="no-data">Showing ${items.length} of ${total}. Narrow the filters or decide these to see more.</p>`
+            : '');
+
+        this.approvalsList.querySelectorAll('.approve-item-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.decideRepairs('approve', [btn.dataset.id]));
+        });
+        this.approvalsList.querySelectorAll('.reject-item-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.decideRepairs('reject', [btn.dataset.id]));
+        });
+    }
+
+    fillFilterOptions(select, allLabel, values) {
+        const current = select.value;
+        const options = current && !values.includes(current) ? [current, ...values] : values;
+        select.innerHTML = `<option value="">${allLabel}</option>` +
+            options.map(value => `<option value="${this.escapeHtml(value)}">${this.escapeHtml(value)}</option>`).join('');
+        select.value = current;
+    }
+
+    getSelectedApprovals() {
+        return [...this.approvalsList.querySelectorAll('.approval-select:checked')].map(box => box.value);
+    }
+
+    /**
+     * Approve or reject the given items, or every pending item matching the filters when ids is null
+     */
+    async decideRepairs(decision, ids) {
+        if (ids && ids.length === 0) {
+            this.showNotification('Select at least one repair', 'warning');
+            return;
+        }
+
+        const body = {};
+        if (ids) {
+            body.ids = ids;
+        } else {
+            const filter = this.getApprovalFilter();
+            if (!confirm(`${decision === 'approve' ? 'Approve' : 'Reject'} every pending repair matching the current filters?`)) {
+                return;
+            }
+            body.filter = filter;
+        }
+
+        try {
+            const response = await this.apiFetch(`${this.apiBase}/approvals/${decision}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const data = await response.json();
+
+            this.showNotification(data.message, data.success ? 'success' : 'error');
+            await this.loadApprovals();
+        } catch (error) {
+            console.error('Error deciding repairs:', error);
+            this.showNotification('Error saving the decision', 'error');
+        }
+    }
+
+    async applyApprovedRepairs() {
+        if (this.isChecking) return;
+
+        if (!confirm('Apply every approved repair to the database now?')) return;
+
+        this.isChecking = true;
+        this.runCheckBtn.disabled = true;
+        this.applyApprovedBtn.disabled = true;
+        this.showLoadingSection();
+        this.updateProgress(0, 'Queueing approved repairs...');
+
+        try {
+            const response = await this.apiFetch(`${this.apiBase}/approvals/apply`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ collection: 'users', sessionId: this.sessionId })
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showNotification(`Apply failed: ${data.message}`, 'error');
+                return;
+            }
+
+            this.currentJobId = data.data.id;
+            const job = await this.waitForJob(data.data.id);
+
+            if (job.state === 'failed') {
+                this.showNotification(`Apply failed: ${job.error}`, 'error');
+                return;
+            }
+
+            this.updateProgress(100, 'Complete!');
+            if (job.report) {
+                this.currentReport = job.report;
+                this.showNotification(
+                    `Applied ${job.report.repairsApplied} repairs and ${job.report.documentsDeleted} removals`,
+                    job.report.status === 'repaired' ? 'success' : 'warning'
+                );
+            }
+
+            await Promise.all([
+                this.loadStatus(),
+                job.report ? this.displayLatestReport(job.report) : null,
+                this.loadStatistics(),
+                this.loadApprovals()
+            ]);
+        } catch (error) {
+            console.error('Error applying approved repairs:', error);
+            this.showNotification('Error applying approved repairs', 'error');
+        } finally {
+            this.currentJobId = null;
+            setTimeout(() => {
+                this.hideLoadingSection();
+                this.isChecking = false;
+                this.runCheckBtn.disabled = false;
+            }, 1000);
+        }
+    }
+
+    async toggleSchedules() {
+        if (this.schedulesSection.classList.contains('hidden')) {
+            this.schedulesSection.classList.remove('hidden');
+            await this.loadSchedules();
+            this.schedulesBtn.querySelector('.btn-text').textContent = 'Hide Schedules';
+        } else {
+            this.schedulesSection.classList.add('hidden');
+            this.schedulesBtn.querySelector('.btn-text').textContent = 'Schedules';
+        }
+    }
+
+    async loadSchedules() {
+        await this.loadScheduleProfiles();
+
+        try {
+            const response = await this.apiFetch(`${this.apiBase}/schedules`);
+            const data = await response.json();
+
+            if (data.success) {
+                this.schedules = data.data;
+                this.displaySchedules(data.data);
+            } else {
+                this.showNotification(`Failed to load schedules: ${data.message}`, 'error');
+            }
+        } catch (error) {
+            console.error('Error loading schedules:', error);
+            this.showNotification('Error loading schedules', 'error');
+        }
+    }
+
+    async loadScheduleProfiles() {
+        const selected = this.scheduleProfile.value || this.profileId || '';
+        await this.loadProfiles();
+
+        this.scheduleProfile.innerHTML = `
+            <option value="">Connection profile…</option>
+            ${this.profiles.map(profile => `<option value="${this.escapeHtml(profile.id)}">${this.escapeHtml(profile.name)}</option>`).join('')}
+        `;
+        this.scheduleProfile.value = this.profiles.some(profile => profile.id === selected) ? selected : '';
+    }
+
+    displaySchedules(schedules) {
+        if (schedules.length === 0) {
+            this.schedulesList.innerHTML = '<p class="no-data">No schedules yet.</p>';
+            return;
+        }
+
+        const statusColors = {
+            completed: 'var(--accent-success)',
+            queued: 'var(--accent-primary)',
+            failed: 'var(--accent-error)',
+            missed: 'var(--accent-warning)',
+            skipped: 'var(--accent-warning)',
+            cancelled: 'var(--text-muted)'
+        };
+
+        this.schedulesList.innerHTML = schedules.map(schedule => {
+            const mode = schedule.options.dryRun ? 'dry run' : schedule.options.approval ? 'approval' : 'repairs';
+            const recent = (schedule.history || []).slice(0, 5);
+            const canRun = this.can(mode === 'repairs' ? 'admin' : 'operator');
+
+            return `
+                <div class="schedule-item ${schedule.enabled ? '' : 'disabled'}">
+                    <div>
+                        <div style="font-weight: 600; color: var(--text-primary);">
+                            ${this.escapeHtml(schedule.name)}
+                            <span style="font-family: monospace; font-weight: 400; color: var(--text-muted); margin-left: 8px;">${this.escapeHtml(schedule.cron)}</span>
+                            ${schedule.running ? '<span style="font-weight: 400; color: var(--accent-primary); margin-left: 8px;">running</span>' : ''}
+                        </div>
+                        <div style="font-size: 0.8rem; color: var(--text-secondary);">
+                            ${this.escapeHtml(schedule.profileName || 'deleted profile')} · ${this.escapeHtml(schedule.collection)} · ${this.escapeHtml(schedule.validator)} · ${mode}
+                        </div>
+                        <div style="font-size: 0.8rem; color: var(--text-muted);">
+                            ${schedule.enabled
+                                ? `Next: ${schedule.upcomingRuns.slice(0, 3).map(run => this.formatDateTime(run)).join(', ') || 'never'}`
+                                : 'Disabled'}
+                        </div>
+                        ${recent.length > 0 ? `
+                            <div style="font-size: 0.75rem; margin-top: 4px; display: flex; flex-wrap: wrap; gap: 10px;">
+                                ${recent.map(run => `
+                                    <span style="color: ${statusColors[run.status] || 'var(--text-muted)'};" title="${this.escapeHtml(run.error)}">
+                                        ${run.status}${run.missedCount > 1 ? ` ×${run.missedCount}` : ''}${run.manual ? ' (manual)' : ''} ${this.formatDateTime(run.scheduledFor)}
+                                    </span>
+                                `).join('')}
+                            </div>
+                        ` : ''}
+                    </div>
+                    <div style="display: flex; gap: 6px; flex-wrap: wrap; justify-content: flex-end;">
+                        ${canRun ? `<button class="btn btn-small run-schedule-btn" data-id="${schedule.id}" ${schedule.running ? 'disabled' : ''}>Run now</button>` : ''}
+                        ${this.can('admin') ? `
+                            <button class="btn btn-small btn-secondary toggle-schedule-btn" data-id="${schedule.id}">${schedule.enabled ? 'Disable' : 'Enable'}</button>
+                            <button class="btn btn-small btn-secondary edit-schedule-btn" data-id="${schedule.id}">Edit</button>
+                            <button class="btn btn-small btn-secondary delete-schedule-btn" data-id="${schedule.id}">Delete</button>
+                        ` : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        this.schedulesList.querySelectorAll('.run-schedule-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.runScheduleNow(btn.dataset.id));
+        });
+        this.schedulesList.querySelectorAll('.toggle-schedule-btn').forEach(btn => {
+            const schedule = this.schedules.find(item => item.id === btn.dataset.id);
+            btn.addEventListener('click', () => this.updateSchedule(schedule.id, { enabled: !schedule.enabled }));
+        });
+        this.schedulesList.querySelectorAll('.edit-schedule-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.editSchedule(btn.dataset.id));
+        });
+        this.schedulesList.querySelectorAll('.delete-schedule-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.deleteSchedule(btn.dataset.id));
+        });
+    }
+
+    editSchedule(id) {
+        const schedule = this.schedules.find(item => item.id === id);
+        if (!schedule) return;
+
+        this.editingScheduleId = id;
+        this.scheduleName.value = schedule.name;
+        this.scheduleCron.value = schedule.cron;
+        this.scheduleCollection.value = schedule.collection;
+        this.scheduleValidator.value = schedule.validator;
+        this.scheduleMode.value = schedule.options.dryRun ? 'dryRun' : schedule.options.approval ? 'approval' : 'repair';
+        this.scheduleProfile.value = schedule.profileId;
+        this.scheduleEnabled.checked = schedule.enabled;
+        this.scheduleFormTitle.textContent = `Edit schedule: ${schedule.name}`;
+        this.saveScheduleBtn.textContent = 'Save changes';
+        this.cancelScheduleEditBtn.classList.remove('hidden');
+    }
+
+    resetScheduleForm() {
+        this.editingScheduleId = null;
+        this.scheduleForm.reset();
+        this.scheduleProfile.value = this.profileId || '';
+        this.scheduleFormTitle.textContent = 'New schedule';
+        this.saveScheduleBtn.textContent = 'Create schedule';
+        this.cancelScheduleEditBtn.classList.add('hidden');
+    }
+
+    async saveSchedule() {
+        const mode = this.scheduleMode.value;
+        const schedule = {
+            name: this.scheduleName.value.trim(),
+            cron: this.scheduleCron.value.trim(),
+            collection: this.scheduleCollection.value.trim(),
+            validator: this.scheduleValidator.value,
+            profileId: this.scheduleProfile.value,
+            options: { dryRun: mode === 'dryRun', approval: mode === 'approval' },
+            enabled: this.scheduleEnabled.checked
+        };
+
+        if (this.editingScheduleId) {
+            await this.updateSchedule(this.editingScheduleId, schedule);
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`${this.apiBase}/schedules`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(schedule)
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(data.message, 'success');
+                this.resetScheduleForm();
+                await this.loadSchedules();
+            } else {
+                this.showNotification(`Failed to create schedule: ${data.message}`, 'error');
+            }
+        } catch (error) {
+            console.error('Error creating schedule:', error);
+            this.showNotification('Error creating schedule', 'error');
+        }
+    }
+
+    async updateSchedule(id, changes) {
+        try {
+            const response = await this.apiFetch(`${this.apiBase}/schedules/${id}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(changes)
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(data.message, 'success');
+                if (this.editingScheduleId === id) this.resetScheduleForm();
+                await this.loadSchedules();
+            } else {
+                this.showNotification(`Failed to update schedule: ${data.message}`, 'error');
+            }
+        } catch (error) {
+            console.error('Error updating schedule:', error);
+            this.showNotification('Error updating schedule', 'error');
+        }
+    }
+
+    async runScheduleNow(id) {
+        try {
+            const response = await this.apiFetch(`${this.apiBase}/schedules/${id}/run`, { method: 'POST' });
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(data.message, 'success');
+                await this.loadSchedules();
+            } else {
+                this.showNotification(`Failed to run schedule: ${data.message}`, 'error');
+            }
+        } catch (error) {
+            console.error('Error running schedule:', error);
+            this.showNotification('Error running schedule', 'error');
+        }
+    }
+
+    async deleteSchedule(id) {
+        if (!confirm('Delete this schedule? Its run history is deleted with it.')) return;
+
+        try {
+            const response = await this.apiFetch(`${this.apiBase}/schedules/${id}`, { method: 'DELETE' });
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(data.message, 'success');
+                if (this.editingScheduleId === id) this.resetScheduleForm();
+                await this.loadSchedules();
+            } else {
+                this.showNotification(`Failed to delete schedule: ${data.message}`, 'error');
+            }
+        } catch (error) {
+            console.error('Error deleting schedule:', error);
+            this.showNotification('Error deleting schedule', 'error');
+        }
+    }
+
+    async toggleAudit() {
+        if (this.auditSection.classList.contains('hidden')) {
+            this.auditSection.classList.remove('hidden');
+            await this.loadAudit();
+            this.auditBtn.querySelector('.btn-text').textContent = 'Hide Audit Log';
+        } else {
+            this.auditSection.classList.add('hidden');
+            this.auditBtn.querySelector('.btn-text').textContent = 'Audit Log';
+        }
+    }
+
+    async loadAudit() {
+        const filter = {
+            actor: this.auditActorFilter.value.trim(),
+            action: this.auditActionFilter.value.trim(),
+            collection: this.auditCollectionFilter.value.trim(),
+            outcome: this.auditOutcomeFilter.value
+        };
+        Object.keys(filter).forEach(key => {
+            if (!filter[key]) delete filter[key];
+        });
+
+        try {
+            const params = new URLSearchParams({ ...filter, limit: 100 });
+            const response = await this.apiFetch(`${this.apiBase}/audit?${params}`);
+            const data = await response.json();
+
+            if (data.success) {
+                this.displayAudit(data.data);
+            } else {
+                this.showNotification(`Failed to load audit log: ${data.message}`, 'error');
+            }
+        } catch (error) {
+            console.error('Error loading audit log:', error);
+            this.showNotification('Error loading audit log', 'error');
+        }
+    }
+
+    displayAudit({ entries, total }) {
+        this.auditSummary.textContent = `Recorded actions (${total})`;
+
+        if (entries.length === 0) {
+            this.auditList.innerHTML = '<p class="no-data">No audit entries match.</p>';
+            return;
+        }
+
+        const outcomeColors = {
+            success: 'var(--accent-success)',
+            partial: 'var(--accent-warning)',
+            failure: 'var(--accent-error)',
+            denied: 'var(--accent-error)'
+        };
+
+        this.auditList.innerHTML = entries.map(entry => {
+            const scope = [entry.database, entry.collection].filter(Boolean).join('.');
+            const escape = (value) => this.escapeHtml(value);
+
+            return `
+                <div class="audit-item outcome-${escape(entry.outcome)}">
+                    <div style="font-size: 0.75rem; color: var(--text-muted);">#${entry.seq}</div>
+                    <div style="flex: 1; min-width: 0;">
+                        <div style="font-weight: 600;">
+                            ${escape(entry.action)}
+                            <span style="font-weight: 400; color: ${outcomeColors[entry.outcome]}; margin-left: 8px;">${escape(entry.outcome)}${entry.statusCode ? ` (${escape(entry.statusCode)})` : ''}</span>
+                        </div>
+                        <div style="font-size: 0.8rem; color: var(--text-secondary);">
+                            ${escape(entry.actor || 'anonymous')}${entry.actorRole ? ` (${escape(entry.actorRole)})` : ''} · ${this.formatDateTime(entry.timestamp)}${scope ? ` · ${escape(scope)}` : ''}${entry.target ? ` · ${escape(entry.target)}` : ''}
+                        </div>
+                        ${entry.message ? `<div style="font-size: 0.8rem; color: var(--text-muted);">${escape(entry.message)}</div>` : ''}
+                        ${entry.params && Object.keys(entry.params).length > 0 ? `
+                            <details style="font-size: 0.75rem; margin-top: 4px;">
+                                <summary style="cursor: pointer; color: var(--text-muted);">Parameters</summary>
+                                <pre style="white-space: pre-wrap; word-break: break-all; margin: 4px 0 0;">${escape(JSON.stringify(entry.params, null, 2))}</pre>
+                            </details>
+                        ` : ''}
+                    </div>
+                    <div style="font-family: monospace; font-size: 0.7rem; color: var(--text-muted);" title="${escape(entry.hash)}">${escape(entry.hash.slice(0, 12))}</div>
+                </div>
+            `;
+        }).join('') + (total > entries.length
+            ? `<p class="no-data">Showing ${entries.length} of ${total}. Narrow the filters to see older entries.</p>`
+            : '');
+    }
+
+    async verifyAudit() {
+        this.verifyAuditBtn.disabled = true;
+
+        try {
+            const response = await this.apiFetch(`${this.apiBase}/audit/verify`);
+            const data = await response.json();
+
+            if (data.success) {
+                const result = data.data;
+                this.auditVerifyResult.style.color = result.valid ? 'var(--accent-success)' : 'var(--accent-error)';
+                this.auditVerifyResult.textContent = result.valid
+                    ? `${data.message}. Head: #${result.headSeq} ${result.headHash}`
+                    : data.message;
+                this.auditVerifyResult.classList.remove('hidden');
+            } else {
+                this.showNotification(`Failed to verify audit log: ${data.message}`, 'error');
+            }
+        } catch (error) {
+            console.error('Error verifying audit log:', error);
+            this.showNotification('Error verifying audit log', 'error');
+        } finally {
+            this.verifyAuditBtn.disabled = false;
+        }
+    }
+
+    async loadStatistics() {
+        try {
+            const response = await this.apiFetch(`${this.apiBase}/stats`);
+            const data = await response.json();
+            
+            if (data.success) {
+                console.log(data);
 
                 this.updateStatisticsDisplay(data.data);
             }
@@ -864,6 +2208,26 @@ s
         }, 5000);
     }
 
+    /**
+     * Escape a value for use in HTML text or a quoted attribute
+     * Anything read from the checked collections (IDs, field names, values) must go through this.
+     */
+    escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Escape a stored field value for HTML; anything but a string is shown as JSON
+     */
+    escapeValue(value) {
+        return this.escapeHtml(typeof value === 'string' ? value : JSON.stringify(value));
+    }
+
     formatDateTime(dateString) {
         if (!dateString) return 'Never';
         
@@ -877,6 +2241,11 @@ s
         });
     }
 
+    formatStatus(status) {
+        const label = status.replace(/_/g, ' ');
+        return label.charAt(0).toUpperCase() + label.slice(1);
+    }
+
     formatDuration(ms) {
         if (ms < 1000) {
             return `${ms}ms`;
@@ -893,7 +2262,7 @@ s
         }
         
         try {
-            const response = await fetch(`${this.apiBase}/reports/${reportId}`, {
+            const response = await this.apiFetch(`${this.apiBase}/reports/${reportId}`, {
                 method: 'DELETE',
                 headers: {
                     'Content-Type': 'application/json'
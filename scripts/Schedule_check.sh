@@ -7,29 +7,77 @@
 API_BASE_URL="http://localhost:3000/api"
 LOG_FILE="/var/log/consistency-checker.log"
 COLLECTION="users"
+SESSION_ID="scheduled"        # Session connected beforehand via POST /api/connection/connect
+SCHEDULE_ID=""                # Run this server-side schedule instead (no session needed)
+POLL_INTERVAL=5               # Seconds between job status checks
+MAX_WAIT=3600                 # Give up waiting after this many seconds
+JUNIT_FILE=""                 # Save the report as JUnit XML here (empty to skip)
+FAIL_ON_INCONSISTENCIES=false # Exit with status 2 when the report has unresolved issues or errors
+API_USERNAME="${API_USERNAME:-}" # Account to log in as (operator, or admin for checks that apply repairs)
+API_PASSWORD="${API_PASSWORD:-}" # Prefer setting both in the environment over editing this file
+AUTH_TOKEN=""
 
 # Function to log messages
 log_message() {
     echo "$(date '+%Y-%m-%d %H:%M:%S') - $1" >> "$LOG_FILE"
 }
 
+# Function to log in and keep the bearer token for later calls
+login() {
+    if [ -z "$API_USERNAME" ] || [ -z "$API_PASSWORD" ]; then
+        log_message "ERROR: API_USERNAME and API_PASSWORD must be set"
+        exit 1
+    fi
+
+    if ! command -v jq > /dev/null; then
+        log_message "ERROR: jq is required to log in"
+        exit 1
+    fi
+
+    # jq quotes the credentials; they reach jq through its environment and curl through stdin,
+    # so neither command line (visible in ps) holds the password
+    response=$(API_USERNAME="$API_USERNAME" API_PASSWORD="$API_PASSWORD" \
+        jq -n '{username: env.API_USERNAME, password: env.API_PASSWORD}' | \
+        curl -s -w "\n%{http_code}" -X POST \
+        -H "Content-Type: application/json" \
+        --data @- \
+        "$API_BASE_URL/auth/login")
+
+    http_code=$(echo "$response" | tail -n1)
+    AUTH_TOKEN=$(echo "$response" | head -n -1 | sed -n 's/.*"token":"\([^"]*\)".*/\1/p')
+
+    if [ "$http_code" -ne 200 ] || [ -z "$AUTH_TOKEN" ]; then
+        log_message "ERROR: Login as $API_USERNAME failed (HTTP $http_code)"
+        exit 1
+    fi
+}
+
 # Function to trigger consistency check
 trigger_check() {
-    log_message "Starting scheduled consistency check for collection: $COLLECTION"
-    
-    # Make API call to trigger the check
-    response=$(curl -s -w "\n%{http_code}" -X POST \
-        -H "Content-Type: application/json" \
-        -d "{\"collection\": \"$COLLECTION\"}" \
-        "$API_BASE_URL/check")
+    if [ -n "$SCHEDULE_ID" ]; then
+        log_message "Starting schedule $SCHEDULE_ID"
+        response=$(curl -s -w "\n%{http_code}" -X POST \
+            -H "Authorization: Bearer $AUTH_TOKEN" \
+            "$API_BASE_URL/schedules/$SCHEDULE_ID/run")
+    else
+        log_message "Starting scheduled consistency check for collection: $COLLECTION"
+
+        # Make API call to trigger the check
+        response=$(curl -s -w "\n%{http_code}" -X POST \
+            -H "Content-Type: application/json" \
+            -H "Authorization: Bearer $AUTH_TOKEN" \
+            -d "{\"collection\": \"$COLLECTION\", \"sessionId\": \"$SESSION_ID\"}" \
+            "$API_BASE_URL/check")
+    fi
     
     # Extract HTTP status code (last line of response)
     http_code=$(echo "$response" | tail -n1)
     response_body=$(echo "$response" | head -n -1)
     
-    if [ "$http_code" -eq 200 ]; then
-        log_message "Consistency check triggered successfully"
-        log_message "Response: $response_body"
+    if [ "$http_code" -eq 202 ]; then
+        job_id=$(echo "$response_body" | sed -n 's/.*"id":"\([^"]*\)".*/\1/p')
+        log_message "Consistency check queued as job $job_id"
+        wait_for_job "$job_id"
     elif [ "$http_code" -eq 409 ]; then
         log_message "Consistency check already in progress, skipping"
     else
@@ -39,6 +87,74 @@ trigger_check() {
     fi
 }
 
+# Function to poll a job until it finishes
+wait_for_job() {
+    job_id="$1"
+    waited=0
+
+    while [ "$waited" -lt "$MAX_WAIT" ]; do
+        job_response=$(curl -s -H "Authorization: Bearer $AUTH_TOKEN" "$API_BASE_URL/jobs/$job_id")
+        state=$(echo "$job_response" | sed -n 's/.*"state":"\([^"]*\)".*/\1/p')
+
+        case "$state" in
+            completed)
+                log_message "Job $job_id completed"
+                log_message "Response: $job_response"
+                export_junit "$job_response"
+                return 0
+                ;;
+            cancelled)
+                log_message "Job $job_id was cancelled"
+                return 0
+                ;;
+            failed)
+                log_message "Job $job_id failed"
+                log_message "Response: $job_response"
+                exit 1
+                ;;
+        esac
+
+        sleep "$POLL_INTERVAL"
+        waited=$((waited + POLL_INTERVAL))
+    done
+
+    log_message "Job $job_id still $state after ${MAX_WAIT}s, giving up waiting"
+    exit 1
+}
+
+# Function to download the job's report as JUnit XML and fail on inconsistencies
+export_junit() {
+    if [ -z "$JUNIT_FILE" ] && [ "$FAIL_ON_INCONSISTENCIES" != "true" ]; then
+        return 0
+    fi
+
+    report_id=$(echo "$1" | sed -n 's/.*"reportId":"\([^"]*\)".*/\1/p')
+    junit_file="${JUNIT_FILE:-$(mktemp)}"
+
+    http_code=$(curl -s -o "$junit_file" -w "%{http_code}" \
+        -H "Authorization: Bearer $AUTH_TOKEN" \
+        "$API_BASE_URL/reports/$report_id/export?format=junit")
+
+    if [ "$http_code" -ne 200 ]; then
+        log_message "Failed to export report $report_id as JUnit XML (HTTP $http_code)"
+        exit 1
+    fi
+
+    failures=$(sed -n 's/.*<testsuites [^>]*failures="\([0-9]*\)".*/\1/p' "$junit_file")
+    errors=$(sed -n 's/.*<testsuites [^>]*errors="\([0-9]*\)".*/\1/p' "$junit_file")
+    if [ -n "$JUNIT_FILE" ]; then
+        log_message "JUnit report written to $JUNIT_FILE"
+    else
+        rm -f "$junit_file"
+    fi
+    log_message "Report $report_id: ${failures:-0} failures, ${errors:-0} errors"
+
+    if [ "$FAIL_ON_INCONSISTENCIES" = "true" ] && [ $((${failures:-0} + ${errors:-0})) -gt 0 ]; then
+        log_message "Inconsistencies remain, failing"
+        exit 2
+    fi
+}
+
 # Function to check if server is running
 check_server() {
     health_response=$(curl -s -w "\n%{http_code}" "$API_BASE_URL/health" 2>/dev/null)
@@ -62,6 +178,8 @@ main() {
     fi
     
     log_message "Server is running, proceeding with consistency check"
+
+    login
     
     # Trigger the consistency check
     trigger_check
@@ -5,6 +5,15 @@
 $ApiBaseUrl = "http://localhost:3000/api"
 $LogFile = "C:\Logs\consistency-checker.log"
 $Collection = "users"
+$SessionId = "scheduled"      # Session connected beforehand via POST /api/connection/connect
+$ScheduleId = ""              # Run this server-side schedule instead (no session needed)
+$PollInterval = 5             # Seconds between job status checks
+$MaxWait = 3600               # Give up waiting after this many seconds
+$JUnitFile = ""               # Save the report as JUnit XML here (empty to skip)
+$FailOnInconsistencies = $false # Exit with code 2 when the report has unresolved issues or errors
+$ApiUsername = $env:API_USERNAME # Account to log in as (operator, or admin for checks that apply repairs)
+$ApiPassword = $env:API_PASSWORD
+$AuthHeaders = @{}
 
 # Function to log messages
 function Log-Message {
@@ -21,25 +30,62 @@ function Log-Message {
     Add-Content -Path $LogFile -Value $LogEntry
 }
 
-# Function to trigger consistency check
-function Trigger-Check {
-    Log-Message "Starting scheduled consistency check for collection: $Collection"
-    
+# Function to log in and keep the bearer token for later calls
+function Connect-Api {
+    if (-not $ApiUsername -or -not $ApiPassword) {
+        Log-Message "ERROR: API_USERNAME and API_PASSWORD must be set"
+        exit 1
+    }
+
+    $Body = @{
+        username = $ApiUsername
+        password = $ApiPassword
+    } | ConvertTo-Json
+
     try {
-        # Prepare request body
-        $Body = @{
-            collection = $Collection
-        } | ConvertTo-Json
-        
-        # Make API call
-        $Response = Invoke-RestMethod -Uri "$ApiBaseUrl/check" `
+        $Response = Invoke-RestMethod -Uri "$ApiBaseUrl/auth/login" `
             -Method Post `
             -ContentType "application/json" `
             -Body $Body `
             -ErrorAction Stop
+    } catch {
+        Log-Message "ERROR: Login as $ApiUsername failed: $($_.Exception.Message)"
+        exit 1
+    }
+
+    $script:AuthHeaders = @{ Authorization = "Bearer $($Response.data.token)" }
+}
+
+# Function to trigger consistency check
+function Trigger-Check {
+    try {
+        if ($ScheduleId) {
+            Log-Message "Starting schedule $ScheduleId"
+            $Response = Invoke-RestMethod -Uri "$ApiBaseUrl/schedules/$ScheduleId/run" `
+                -Method Post `
+                -Headers $AuthHeaders `
+                -ErrorAction Stop
+        } else {
+            Log-Message "Starting scheduled consistency check for collection: $Collection"
+
+            # Prepare request body
+            $Body = @{
+                collection = $Collection
+                sessionId = $SessionId
+            } | ConvertTo-Json
+
+            # Make API call
+            $Response = Invoke-RestMethod -Uri "$ApiBaseUrl/check" `
+                -Method Post `
+                -Headers $AuthHeaders `
+                -ContentType "application/json" `
+                -Body $Body `
+                -ErrorAction Stop
+        }
         
-        Log-Message "Consistency check triggered successfully"
-        Log-Message "Response: $($Response | ConvertTo-Json -Compress)"
+        $JobId = $Response.data.id
+        Log-Message "Consistency check queued as job $JobId"
+        Wait-ForJob -JobId $JobId
         
     } catch [System.Net.WebException] {
         $HttpStatusCode = $_.Exception.Response.StatusCode
@@ -58,6 +104,74 @@ function Trigger-Check {
     }
 }
 
+# Function to poll a job until it finishes
+function Wait-ForJob {
+    param([string]$JobId)
+    $Waited = 0
+
+    while ($Waited -lt $MaxWait) {
+        $Job = (Invoke-RestMethod -Uri "$ApiBaseUrl/jobs/$JobId" -Method Get -Headers $AuthHeaders -ErrorAction Stop).data
+
+        switch ($Job.state) {
+            "completed" {
+                Log-Message "Job $JobId completed"
+                Log-Message "Response: $($Job | ConvertTo-Json -Compress -Depth 5)"
+                Export-JUnit -ReportId $Job.reportId
+                return
+            }
+            "cancelled" {
+                Log-Message "Job $JobId was cancelled"
+                return
+            }
+            "failed" {
+                Log-Message "Job $JobId failed: $($Job.error)"
+                exit 1
+            }
+        }
+
+        Start-Sleep -Seconds $PollInterval
+        $Waited += $PollInterval
+    }
+
+    Log-Message "Job $JobId still $($Job.state) after $($MaxWait)s, giving up waiting"
+    exit 1
+}
+
+# Function to download the job's report as JUnit XML and fail on inconsistencies
+function Export-JUnit {
+    param([string]$ReportId)
+
+    if (-not $JUnitFile -and -not $FailOnInconsistencies) {
+        return
+    }
+
+    try {
+        $Response = Invoke-WebRequest -Uri "$ApiBaseUrl/reports/$ReportId/export?format=junit" `
+            -Method Get `
+            -Headers $AuthHeaders `
+            -UseBasicParsing `
+            -ErrorAction Stop
+    } catch {
+        Log-Message "Failed to export report $ReportId as JUnit XML: $($_.Exception.Message)"
+        exit 1
+    }
+
+    if ($JUnitFile) {
+        Set-Content -Path $JUnitFile -Value $Response.Content -Encoding UTF8
+        Log-Message "JUnit report written to $JUnitFile"
+    }
+
+    $Suites = ([xml]$Response.Content).testsuites
+    $Failures = [int]$Suites.failures
+    $Errors = [int]$Suites.errors
+    Log-Message "Report $($ReportId): $Failures failures, $Errors errors"
+
+    if ($FailOnInconsistencies -and ($Failures + $Errors) -gt 0) {
+        Log-Message "Inconsistencies remain, failing"
+        exit 2
+    }
+}
+
 # Function to check if server is running
 function Test-Server {
     try {
@@ -83,6 +197,8 @@ function Main {
     }
     
     Log-Message "Server is running, proceeding with consistency check"
+
+    Connect-Api
     
     # Trigger the consistency check
     Trigger-Check